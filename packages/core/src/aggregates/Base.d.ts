@@ -1,5 +1,28 @@
 import { z } from "zod";
+import { HistoryOptions } from "../entities/history";
 import { Entity, PartialOf } from "../entities/Base";
+import { Trait } from "../entities/traits";
+import { LifecycleHooks } from "../entities/lifecycle";
+import { PatchOperation } from "../entities/patch";
+import { StateMachine, StateMachineDefinition } from "./stateMachine";
+import { MessageDescriptor } from "../errors/messages";
+import { Result } from "../result/Base";
+
+/**
+ * Options of the asynchronous creation and update of aggregates
+ */
+export type AsyncValidationOptions = {
+  /**
+   * Dependencies handed to asynchronous invariants, e.g. repositories. A
+   * reference resolver under `references` checks references that must exist.
+   */
+  context?: any;
+
+  /**
+   * Signal to cancel the validation
+   */
+  signal?: AbortSignal;
+};
 
 /**
  * Defines a business rule invariant for an aggregate
@@ -11,14 +34,20 @@ export type InvariantDefinition = {
   name: string;
 
   /**
-   * Function that returns true if the invariant is satisfied
+   * Function that returns true if the invariant is satisfied, or a promise
+   * of it for invariants that need I/O. Asynchronous invariants receive the
+   * context passed to createAsync or updateAsync and the abort signal.
    */
-  check: (data: unknown) => boolean;
+  check: (
+    data: unknown,
+    context?: any,
+    options?: { signal?: AbortSignal }
+  ) => boolean | Promise<boolean>;
 
   /**
-   * Optional custom error message
+   * Optional custom error message, or a message key with parameters
    */
-  message?: string;
+  message?: string | MessageDescriptor;
 }
 
 /**
@@ -32,16 +61,75 @@ export type Aggregate<T> = Entity<T> & {
  * A factory for creating and managing aggregates
  */
 export type AggregateFactory<SchemaType extends z.ZodType, T> = {
+  /**
+   * The name of the aggregate type
+   */
+  name: string;
+
   /**
    * Creates a new instance of the aggregate
    */
   create: (data: T) => Aggregate<T>;
 
+  /**
+   * Rebuilds an aggregate from stored data, e.g. a row loaded by a
+   * repository, telling the create hooks that it is not new
+   */
+  reconstitute: (data: T) => Aggregate<T>;
+
   /**
    * Updates an aggregate with new values while preserving its identity
    */
   update: (aggregate: Aggregate<T>, updates: PartialOf<T>) => Aggregate<T>;
 
+  /**
+   * Creates a new instance, running asynchronous refinements of the schema
+   * and asynchronous invariants
+   */
+  createAsync: (
+    data: T,
+    options?: AsyncValidationOptions
+  ) => Promise<Aggregate<T>>;
+
+  /**
+   * Updates an aggregate, running asynchronous refinements of the schema and
+   * asynchronous invariants
+   */
+  updateAsync: (
+    aggregate: Aggregate<T>,
+    updates: PartialOf<T>,
+    options?: AsyncValidationOptions
+  ) => Promise<Aggregate<T>>;
+
+  /**
+   * Creates a new instance without throwing
+   */
+  tryCreate: (data: T) => Result<Aggregate<T>>;
+
+  /**
+   * Updates an aggregate without throwing
+   */
+  tryUpdate: (
+    aggregate: Aggregate<T>,
+    updates: PartialOf<T>
+  ) => Result<Aggregate<T>>;
+
+  /**
+   * Applies JSON Patch operations through update, validating the result and
+   * checking the invariants. The version of versioned aggregates is left to
+   * the update.
+   */
+  applyPatch: (aggregate: Aggregate<T>, patch: PatchOperation[]) => Aggregate<T>;
+
+  /**
+   * Applies JSON Patch operations through updateAsync
+   */
+  applyPatchAsync: (
+    aggregate: Aggregate<T>,
+    patch: PatchOperation[],
+    options?: AsyncValidationOptions
+  ) => Promise<Aggregate<T>>;
+
   /**
    * The schema used for validation
    */
@@ -57,6 +145,21 @@ export type AggregateFactory<SchemaType extends z.ZodType, T> = {
    */
   invariants: InvariantDefinition[];
 
+  /**
+   * Whether updates increment the `version` field
+   */
+  versioned: boolean;
+
+  /**
+   * The traits the aggregate opted into
+   */
+  traits: Trait[];
+
+  /**
+   * The state machine of the status field, if declared
+   */
+  stateMachine: StateMachine | null;
+
   /**
    * Creates an extended version of this aggregate with additional functionality
    */
@@ -66,8 +169,28 @@ export type AggregateFactory<SchemaType extends z.ZodType, T> = {
     methodsFactory: (factory: AggregateFactory<SchemaType, T>) => Record<string, Function>;
     identity?: string;
     invariants?: InvariantDefinition[];
-    historize?: boolean;
+    historize?: boolean | HistoryOptions;
+    versioned?: boolean;
+    computed?: Record<string, (entity: Entity<NewT>) => unknown>;
+    hooks?: LifecycleHooks<Entity<NewT>, NewT>;
+    traits?: Trait[];
+    stateMachine?: StateMachineDefinition<Aggregate<NewT>>;
   }) => AggregateFactory<NewSchemaType, NewT>;
+
+  /**
+   * Checks if a value was created by this factory or one extended from it
+   */
+  isInstance: (value: unknown) => boolean;
+
+  /**
+   * Checks if this factory is another factory or was extended from it
+   */
+  isSubtypeOf: (factory: unknown) => boolean;
+
+  /**
+   * Lists the type names of this factory and its ancestors, closest first
+   */
+  lineage: () => string[];
 }
 
 /**
@@ -112,7 +235,37 @@ export function aggregate<SchemaType extends z.ZodType, T = z.infer<SchemaType>>
   invariants?: InvariantDefinition[];
 
   /**
-   * Whether to track state changes
+   * Whether to track state changes, optionally with retention rules or an
+   * external store. Historized instances get getHistory, asOf and revertTo.
+   */
+  historize?: boolean | HistoryOptions;
+
+  /**
+   * Whether updates increment a `version` field, which repositories check to
+   * detect concurrent changes. Declare it in the schema with `versionSchema`.
+   */
+  versioned?: boolean;
+
+  /**
+   * Derived properties, evaluated once per instance and included in toJSON
+   */
+  computed?: Record<string, (entity: Entity<T>) => unknown>;
+
+  /**
+   * Hooks that transform data or reject changes around create and update,
+   * inherited by extended aggregates
+   */
+  hooks?: LifecycleHooks<Entity<T>, T>;
+
+  /**
+   * Reusable fields, hooks and methods, e.g. `auditable()` or
+   * `softDeletable()`, inherited by extended aggregates
+   */
+  traits?: Trait[];
+
+  /**
+   * States and transitions of the status field. Each transition becomes a
+   * method that rejects illegal moves with an InvalidTransitionError.
    */
-  historize?: boolean;
+  stateMachine?: StateMachineDefinition<Aggregate<T>>;
 }): AggregateFactory<SchemaType, T>;
@@ -1,12 +1,39 @@
-import { entity } from "../entities/Base.js";
+import { entity, STAGED_UPDATE } from "../entities/Base.js";
+import { DomainError } from "../errors/DomainError.js";
 import { InvariantViolationError } from "../errors/InvariantViolationError.js";
 import { updateWithEvents, withEvents } from "./EventSourced.js";
+import { TYPE_NAME } from "../serialization/Base.js";
+import { attempt } from "../result/Base.js";
+import { revertUpdates } from "../entities/history.js";
+import { traitMethods, mergeTraits } from "../entities/traits.js";
+import {
+  normalizeHooks,
+  mergeHooks,
+  isPromiseLike,
+} from "../entities/lifecycle.js";
+import { patchUpdates } from "../entities/patch.js";
+import {
+  defineStateMachine,
+  stateMachineMethods,
+  withDeclaredStates,
+} from "./stateMachine.js";
+import { verifyReferences } from "./reference.js";
+import { expectedVersionOf, trackExpectedVersion } from "./version.js";
+import {
+  BRAND,
+  brandOf,
+  areRelated,
+  createBrand,
+  inheritBrand,
+  typeChecks,
+} from "../valueObjects/branding.js";
+import { throwIfAborted } from "../errors/abort.js";
 
 /**
  * @typedef {Object} InvariantDefinition
  * @property {string} name - The name of the invariant
- * @property {Function} check - Function that returns true if the invariant is satisfied
- * @property {string} [message] - Optional custom error message
+ * @property {Function} check - Function that returns true if the invariant is satisfied, or a promise of it for asynchronous invariants; receives the data, the context passed to createAsync or updateAsync and `{ signal }`
+ * @property {string|import('../errors/messages.js').MessageDescriptor} [message] - Optional custom error message, or a message key with parameters
  */
 
 /**
@@ -22,19 +49,38 @@ import { updateWithEvents, withEvents } from "./EventSourced.js";
  * @template SchemaType
  * @template T
  * @typedef {Object} AggregateFactory<SchemaType, T>
+ * @property {string} name - The name of the aggregate type
  * @property {(data: T) => Aggregate<T>} create - Creates a new instance of the aggregate
+ * @property {(data: T) => Aggregate<T>} reconstitute - Rebuilds an aggregate from stored data, telling the create hooks it is not new
  * @property {(aggregate: Aggregate<T>, updates: Partial<T>) => Aggregate<T>} update - Updates an aggregate with new values
+ * @property {(data: T, options?: {context?: any, signal?: AbortSignal}) => Promise<Aggregate<T>>} createAsync - Creates a new instance, running asynchronous refinements and invariants
+ * @property {(aggregate: Aggregate<T>, updates: Partial<T>, options?: {context?: any, signal?: AbortSignal}) => Promise<Aggregate<T>>} updateAsync - Updates an aggregate, running asynchronous refinements and invariants
+ * @property {(data: T) => import('../result/Base.js').Result<Aggregate<T>>} tryCreate - Creates a new instance without throwing
+ * @property {(aggregate: Aggregate<T>, updates: Partial<T>) => import('../result/Base.js').Result<Aggregate<T>>} tryUpdate - Updates an aggregate without throwing
+ * @property {(aggregate: Aggregate<T>, patch: import('../entities/patch.js').PatchOperation[]) => Aggregate<T>} applyPatch - Applies JSON Patch operations through update
+ * @property {(aggregate: Aggregate<T>, patch: import('../entities/patch.js').PatchOperation[], options?: {context?: any, signal?: AbortSignal}) => Promise<Aggregate<T>>} applyPatchAsync - Applies JSON Patch operations through updateAsync
  * @property {SchemaType} schema - The Zod schema used for validation
  * @property {string} identity - The field used as identity
  * @property {InvariantDefinition[]} invariants - The invariants for this aggregate
+ * @property {boolean} versioned - Whether updates increment the `version` field
+ * @property {import('../entities/traits.js').Trait[]} traits - The traits the aggregate opted into
+ * @property {import('./stateMachine.js').StateMachine | null} stateMachine - The state machine of the status field, if declared
  * @property {<NewSchemaType, NewT>(options: {
  *   name: string,
  *   schema?: (schema: SchemaType) => NewSchemaType,
  *   methodsFactory: Function,
  *   identity?: string,
  *   invariants?: InvariantDefinition[],
- *   historize?: boolean
+ *   historize?: boolean | import('../entities/history.js').HistoryOptions,
+ *   versioned?: boolean,
+ *   computed?: Record<string, (entity: any) => unknown>,
+ *   hooks?: import('../entities/lifecycle.js').LifecycleHooks,
+ *   traits?: import('../entities/traits.js').Trait[],
+ *   stateMachine?: import('./stateMachine.js').StateMachineDefinition
  * }) => AggregateFactory<NewSchemaType, NewT>} extend - Creates an extended version of this aggregate
+ * @property {(value: unknown) => boolean} isInstance - Checks if a value was created by this factory or one extended from it
+ * @property {(factory: unknown) => boolean} isSubtypeOf - Checks if this factory is another factory or was extended from it
+ * @property {() => string[]} lineage - Lists the type names of this factory and its ancestors
  */
 
 /**
@@ -54,31 +100,66 @@ import { updateWithEvents, withEvents } from "./EventSourced.js";
  * @param {string} options.identity - Field name that serves as the identity
  * @param {function(AggregateFactory): Record<string, Function>} options.methodsFactory - Factory function that creates methods
  * @param {InvariantDefinition[]} [options.invariants=[]] - Business rules that must be satisfied
- * @param {boolean} [options.historize=false] - Whether to track state changes
+ * @param {boolean | import('../entities/history.js').HistoryOptions} [options.historize=false] - Whether to track state changes, optionally with retention rules or an external store
+ * @param {boolean} [options.versioned=false] - Whether updates increment a `version` field, which repositories check to detect concurrent changes
+ * @param {Record<string, (entity: any) => unknown>} [options.computed={}] - Derived properties, evaluated once per instance and included in toJSON
+ * @param {import('../entities/lifecycle.js').LifecycleHooks} [options.hooks] - Hooks that transform data or reject changes around create and update
+ * @param {import('../entities/traits.js').Trait[]} [options.traits] - Reusable fields, hooks and methods, e.g. `auditable()` or `softDeletable()`
+ * @param {import('./stateMachine.js').StateMachineDefinition} [options.stateMachine] - States and transitions of the status field, generating a method per transition
  * @returns {AggregateFactory<SchemaType, T>} A factory object to create and manage aggregates
  */
 export function aggregate({
                             name,
-                            schema,
+                            schema: baseSchema,
                             identity,
                             methodsFactory,
                             invariants = [],
                             historize = false,
+                            versioned = false,
+                            computed = {},
+                            hooks,
+                            traits = [],
+                            stateMachine: stateMachineDefinition,
                           }) {
   if (!name) throw new Error("Aggregate name is required");
-  if (!schema) throw new Error("Aggregate schema is required");
+  if (!baseSchema) throw new Error("Aggregate schema is required");
   if (!identity) throw new Error("Aggregate identity field is required");
   if (typeof methodsFactory !== 'function') throw new Error("Method factory is required");
+  if (versioned && baseSchema.shape && !("version" in baseSchema.shape)) {
+    throw new Error(
+      `Versioned aggregate ${name} must declare a version field, e.g. version: versionSchema`,
+    );
+  }
+
+  // Brand identifying instances of this factory, distinct from any other type
+  const brand = createBrand(name);
+  const checks = typeChecks(brand);
+
+  // The state machine generating the transition methods, if declared
+  const stateMachine = stateMachineDefinition
+    ? defineStateMachine(name, baseSchema, stateMachineDefinition)
+    : null;
 
   // Create an entity factory to handle the basic entity behavior
   const entityFactory = entity({
     name,
-    schema,
+    schema: stateMachine
+      ? withDeclaredStates(stateMachine, baseSchema)
+      : baseSchema,
     identity,
     methodsFactory: () => ({}), // No methods on the entity level
     historize,
+    computed,
+    hooks,
+    traits,
   });
 
+  // The schema with the fields of the traits
+  const schema = entityFactory.schema;
+
+  // Updates of the entity factory that leave saving the history to us
+  const staged = entityFactory[STAGED_UPDATE];
+
   /**
    * Validates all invariants on the aggregate
    * @param {T} data - The aggregate data to validate
@@ -86,19 +167,58 @@ export function aggregate({
    */
   function validateInvariants(data) {
     for (const invariant of invariants) {
-      if (!invariant.check(data)) {
-        const message =
-            invariant.message ||
-            `Invariant '${invariant.name}' violated in ${name}`;
-
-        throw new InvariantViolationError(message, invariant.name, {
-          aggregate: name,
-          data,
-        });
+      const satisfied = invariant.check(data);
+      if (isPromiseLike(satisfied)) {
+        Promise.resolve(satisfied).catch(() => {});
+        throw new Error(
+          `Invariant '${invariant.name}' of ${name} is asynchronous, use createAsync or updateAsync`,
+        );
+      }
+      if (!satisfied) {
+        throw invariantViolation(invariant, data);
       }
     }
   }
 
+  /**
+   * Validates all invariants on the aggregate, awaiting asynchronous checks
+   * Invariants run one after another, so a violation stops later checks.
+   * @param {T} data - The aggregate data to validate
+   * @param {any} context - Dependencies handed to the checks, e.g. repositories
+   * @param {AbortSignal} [signal] - Signal to cancel the validation
+   * @returns {Promise<void>}
+   * @throws {InvariantViolationError} If any invariant is violated
+   */
+  async function validateInvariantsAsync(data, context, signal) {
+    for (const invariant of invariants) {
+      throwIfAborted(signal);
+      const satisfied = await invariant.check(data, context, { signal });
+      throwIfAborted(signal);
+      if (!satisfied) {
+        throw invariantViolation(invariant, data);
+      }
+    }
+  }
+
+  /**
+   * Creates the error for a violated invariant
+   * @param {InvariantDefinition} invariant - The violated invariant
+   * @param {T} data - The aggregate data
+   * @returns {InvariantViolationError}
+   * @private
+   */
+  function invariantViolation(invariant, data) {
+    const message = invariant.message || {
+      key: "invariant.violated",
+      params: { invariant: invariant.name, type: name },
+    };
+
+    return new InvariantViolationError(message, invariant.name, {
+      aggregate: name,
+      data,
+    });
+  }
+
   /**
    * Create a new aggregate instance
    * @param {T} data - The data to create the aggregate from
@@ -113,18 +233,83 @@ export function aggregate({
     // Validate the invariants
     validateInvariants(entityInstance);
 
+    return instantiate(entityInstance);
+  }
+
+  /**
+   * Rebuilds an aggregate from stored data, e.g. a row loaded by a repository
+   * The data is validated and checked against the invariants as on create,
+   * and the create hooks learn that the aggregate is not new.
+   * @param {T} data - The stored data
+   * @returns {Aggregate<T>} The aggregate
+   * @throws {ValidationError} If validation fails
+   * @throws {InvariantViolationError} If any invariant is violated
+   */
+  function reconstitute(data) {
+    const entityInstance = entityFactory.reconstitute(data);
+    validateInvariants(entityInstance);
+    return instantiate(entityInstance);
+  }
+
+  /**
+   * Create a new aggregate instance, running asynchronous refinements of the
+   * schema and asynchronous invariants
+   * @param {T} data - The data to create the aggregate from
+   * @param {{context?: any, signal?: AbortSignal}} [options] - Context handed to the invariants, with a reference resolver as `references` for references that must exist, and signal to cancel the creation
+   * @returns {Promise<Aggregate<T>>} A new aggregate instance
+   * @throws {ValidationError} If validation fails or a referenced aggregate does not exist
+   * @throws {InvariantViolationError} If any invariant is violated
+   */
+  async function createAsync(data, { context, signal } = {}) {
+    const entityInstance = await entityFactory.createAsync(data, { signal });
+    await verifyReferences(name, schema, entityInstance, context?.references);
+    await validateInvariantsAsync(entityInstance, context, signal);
+    return instantiate(entityInstance);
+  }
+
+  /**
+   * Builds a frozen aggregate with its methods and events from a valid entity
+   * @param {any} entityInstance - The validated entity
+   * @param {number} [expectedVersion] - The version the store holds, if the entity has unsaved updates
+   * @returns {Aggregate<T>} The aggregate
+   * @private
+   */
+  function instantiate(entityInstance, expectedVersion) {
     // Create a temporary factory for use in methodsFactory
     const tempFactory = {
+      name,
       create,
+      reconstitute,
       update,
+      createAsync,
+      updateAsync,
+      tryCreate,
+      tryUpdate,
+      applyPatch,
+      applyPatchAsync,
       schema,
       identity,
       invariants,
-      extend
+      versioned,
+      traits,
+      stateMachine,
+      extend,
+      ...checks,
+      [BRAND]: brand,
     };
 
-    // Generate methods using the factory
-    const methods = methodsFactory(tempFactory);
+    // Trait methods and transitions update the aggregate itself, so they run on
+    // the instance carrying its domain events to keep the events emitted before them
+    const eventCarryingMethods = {
+      ...traitMethods(traits, tempFactory),
+      ...(stateMachine && stateMachineMethods(stateMachine, tempFactory)),
+    };
+
+    // Generate methods using the factory, after those of the traits and transitions
+    const methods = {
+      ...eventCarryingMethods,
+      ...methodsFactory(tempFactory),
+    };
 
     // Add all custom methods to the prototype
     const customMethods = {};
@@ -136,17 +321,117 @@ export function aggregate({
     // This maintains immutability as we're binding methods to a frozen object
     const boundCustomMethods = {};
     for (const [methodName, methodFn] of Object.entries(customMethods)) {
-      boundCustomMethods[methodName] = methodFn.bind(entityInstance);
+      boundCustomMethods[methodName] =
+        eventCarryingMethods[methodName] === methodFn
+          ? (...args) => methodFn.apply(aggregateWithEvents, args)
+          : methodFn.bind(entityInstance);
+    }
+
+    /**
+     * Compares this aggregate with another for equality
+     * Aggregates are equal when they have the same identity and belong to
+     * the same type, or one type was extended from the other
+     *
+     * @param {unknown} other - The object to compare with
+     * @returns {boolean} True if the aggregates have the same identity
+     */
+    function equals(other) {
+      if (other === null || other === undefined) {
+        return false;
+      }
+
+      const otherBrand = brandOf(other);
+      if (otherBrand !== undefined && !areRelated(otherBrand, brand)) {
+        return false;
+      }
+
+      return entityInstance[identity] === other[identity];
     }
 
+    // The history methods of the entity rebuild entities, these rebuild aggregates
+    const historyMethods = entityInstance.asOf
+      ? {
+          /**
+           * Rebuilds this aggregate as it was at a point in time
+           * @param {Date|number|string} timestamp - The point in time
+           * @returns {Aggregate<T>} The aggregate in its state at that time
+           */
+          asOf: (timestamp) =>
+            reconstitute(/** @type {any} */ (entityInstance).asOf(timestamp)),
+
+          /**
+           * Restores the fields of this aggregate to the values they had at a version
+           * @param {number} version - The version to restore, 0 for the state at creation
+           * @returns {Aggregate<T>} The updated aggregate, keeping its domain events
+           */
+          revertTo: (version) =>
+            update(
+              aggregateWithEvents,
+              withoutVersion(
+                revertUpdates(
+                  name,
+                  entityInstance.toJSON(),
+                  /** @type {any} */ (entityInstance).getHistory(),
+                  version,
+                ),
+              ),
+            ),
+        }
+      : {};
+
     // Create the basic aggregate instance
     const aggregateInstance = Object.freeze({
       ...entityInstance,
+      equals,
+      ...historyMethods,
+      [TYPE_NAME]: name,
+      [BRAND]: brand,
       ...boundCustomMethods,
     });
 
     // Enhance with event capabilities
-    return withEvents(aggregateInstance);
+    const aggregateWithEvents = withEvents(aggregateInstance);
+
+    // Methods are bound to the entity, so updates through them need its expected version too
+    if (versioned) {
+      trackExpectedVersion(
+        [entityInstance, aggregateWithEvents],
+        expectedVersion ?? entityInstance.version,
+      );
+    }
+    return aggregateWithEvents;
+  }
+
+  /**
+   * Increments the version along with the updates of a versioned aggregate
+   * @param {any} aggregate - The aggregate to update
+   * @param {Record<string, any>} updates - The updates to apply
+   * @returns {Record<string, any>} The updates with the next version
+   * @throws {DomainError} If the updates change the version
+   * @private
+   */
+  function withNextVersion(aggregate, updates) {
+    if (!versioned) return updates;
+    if (updates.version !== undefined && updates.version !== aggregate.version) {
+      throw new DomainError(
+        { key: "aggregate.versionChanged", params: { type: name } },
+        undefined,
+        { objectType: name, version: aggregate.version, updates },
+      );
+    }
+    return { ...updates, version: aggregate.version + 1 };
+  }
+
+  /**
+   * Removes the version from restored values, the update increments it instead
+   * @param {Record<string, any>} updates - The restored values
+   * @returns {Record<string, any>}
+   * @private
+   */
+  function withoutVersion(updates) {
+    if (!versioned) return updates;
+    const { version: _version, ...rest } = updates;
+    return rest;
   }
 
   /**
@@ -154,19 +439,28 @@ export function aggregate({
    * @param {Aggregate<T>} aggregate - The aggregate to update
    * @param {Partial<T>} updates - The updates to apply
    * @returns {Aggregate<T>} A new aggregate instance with updated values
-   * @throws {DomainError} If the identity field is changed
+   * @throws {DomainError} If the identity field or the version is changed
    * @throws {ValidationError} If validation fails
    * @throws {InvariantViolationError} If any invariant is violated
    */
   function update(aggregate, updates) {
     // Use the entity factory to perform the basic update
-    const updatedEntity = entityFactory.update(aggregate, updates);
+    const { entity: updatedEntity, entries } = staged.update(
+      aggregate,
+      withNextVersion(aggregate, updates),
+    );
 
     // Validate the invariants on the updated aggregate
     validateInvariants(updatedEntity);
 
+    // Only an update that passed the invariants becomes part of the history
+    staged.saveHistory(updatedEntity, entries);
+
     // Create a new aggregate instance with the updated entity
-    const updatedAggregate = create(updatedEntity);
+    const updatedAggregate = instantiate(
+      updatedEntity,
+      versioned ? expectedVersionOf(aggregate) : undefined,
+    );
 
     // Transfer any domain events
     return aggregate._domainEvents
@@ -174,6 +468,92 @@ export function aggregate({
         : updatedAggregate;
   }
 
+  /**
+   * Updates an aggregate, running asynchronous refinements of the schema and
+   * asynchronous invariants
+   * @param {Aggregate<T>} aggregate - The aggregate to update
+   * @param {Partial<T>} updates - The updates to apply
+   * @param {{context?: any, signal?: AbortSignal}} [options] - Context handed to the invariants, with a reference resolver as `references` for references that must exist, and signal to cancel the update
+   * @returns {Promise<Aggregate<T>>} A new aggregate instance with updated values
+   * @throws {DomainError} If the identity field or the version is changed
+   * @throws {ValidationError} If validation fails or a referenced aggregate does not exist
+   * @throws {InvariantViolationError} If any invariant is violated
+   */
+  async function updateAsync(aggregate, updates, { context, signal } = {}) {
+    const { entity: updatedEntity, entries } = await staged.updateAsync(
+      aggregate,
+      withNextVersion(aggregate, updates),
+      { signal },
+    );
+    await verifyReferences(name, schema, updatedEntity, context?.references);
+    await validateInvariantsAsync(updatedEntity, context, signal);
+    staged.saveHistory(updatedEntity, entries);
+    const updatedAggregate = instantiate(
+      updatedEntity,
+      versioned ? expectedVersionOf(aggregate) : undefined,
+    );
+
+    return aggregate._domainEvents
+        ? updateWithEvents(aggregate, updatedAggregate)
+        : updatedAggregate;
+  }
+
+  /**
+   * Creates an aggregate without throwing
+   * @param {T} data - The data to create the aggregate from
+   * @returns {import('../result/Base.js').Result<Aggregate<T>>} The aggregate, or the validation or invariant error
+   */
+  function tryCreate(data) {
+    return attempt(() => create(data));
+  }
+
+  /**
+   * Updates an aggregate without throwing
+   * @param {Aggregate<T>} aggregate - The aggregate to update
+   * @param {Partial<T>} updates - The updates to apply
+   * @returns {import('../result/Base.js').Result<Aggregate<T>>} The updated aggregate, or the domain error
+   */
+  function tryUpdate(aggregate, updates) {
+    return attempt(() => update(aggregate, updates));
+  }
+
+  /**
+   * Applies JSON Patch operations to an aggregate through update, so the
+   * patched aggregate is validated and checked against the invariants
+   * The version of versioned aggregates is left to the update, guard it with
+   * a "test" operation instead.
+   * @param {Aggregate<T>} aggregate - The aggregate to patch
+   * @param {import('../entities/patch.js').PatchOperation[]} patch - The operations to apply
+   * @returns {Aggregate<T>} A new aggregate instance with the patch applied
+   * @throws {ValidationError} If the patch cannot be applied or validation fails
+   * @throws {DomainError} If the patch changes the identity field
+   * @throws {InvariantViolationError} If any invariant is violated
+   */
+  function applyPatch(aggregate, patch) {
+    return update(
+      aggregate,
+      withoutVersion(patchUpdates(name, aggregate, patch)),
+    );
+  }
+
+  /**
+   * Applies JSON Patch operations to an aggregate through updateAsync
+   * @param {Aggregate<T>} aggregate - The aggregate to patch
+   * @param {import('../entities/patch.js').PatchOperation[]} patch - The operations to apply
+   * @param {{context?: any, signal?: AbortSignal}} [options] - Context handed to the invariants, and signal to cancel the update
+   * @returns {Promise<Aggregate<T>>} A new aggregate instance with the patch applied
+   * @throws {ValidationError} If the patch cannot be applied, validation fails or a referenced aggregate does not exist
+   * @throws {DomainError} If the patch changes the identity field
+   * @throws {InvariantViolationError} If any invariant is violated
+   */
+  async function applyPatchAsync(aggregate, patch, options) {
+    return updateAsync(
+      aggregate,
+      withoutVersion(patchUpdates(name, aggregate, patch)),
+      options,
+    );
+  }
+
   /**
    * Extends this aggregate with additional validation, methods, and invariants
    *
@@ -185,7 +565,12 @@ export function aggregate({
    * @param {function(AggregateFactory): Record<string, Function>} options.methodsFactory - Factory function for creating methods
    * @param {string} [options.identity] - Optional override for identity field
    * @param {InvariantDefinition[]} [options.invariants] - Additional invariants
-   * @param {boolean} [options.historize] - Optional override for historization
+   * @param {boolean | import('../entities/history.js').HistoryOptions} [options.historize] - Optional override for historization
+   * @param {boolean} [options.versioned] - Optional override for versioning
+   * @param {Record<string, (entity: any) => unknown>} [options.computed] - Additional computed properties, replacing inherited ones of the same name
+   * @param {import('../entities/lifecycle.js').LifecycleHooks} [options.hooks] - Additional hooks, run after the inherited ones
+   * @param {import('../entities/traits.js').Trait[]} [options.traits] - Additional traits, replacing inherited ones of the same name
+   * @param {import('./stateMachine.js').StateMachineDefinition} [options.stateMachine] - Optional override for the state machine
    * @returns {AggregateFactory<NewSchemaType, NewT>} A new factory for the extended aggregate
    */
   function extend({
@@ -195,6 +580,11 @@ export function aggregate({
                     identity: extendedIdentity,
                     invariants: extendedInvariants = [],
                     historize: extendedHistorize,
+                    versioned: extendedVersioned,
+                    computed: extendedComputed,
+                    hooks: extendedHooks,
+                    traits: extendedTraits,
+                    stateMachine: extendedStateMachine,
                   }) {
     if (!extendedName) {
       throw new Error("Extended aggregate name is required");
@@ -214,7 +604,7 @@ export function aggregate({
     const combinedInvariants = [...invariants, ...extendedInvariants];
 
     // Create a new aggregate factory with combined methods and invariants
-    return aggregate({
+    const extended = aggregate({
       name: extendedName,
       schema: newSchema,
       identity: finalIdentity,
@@ -222,16 +612,42 @@ export function aggregate({
       invariants: combinedInvariants,
       historize:
           extendedHistorize !== undefined ? extendedHistorize : historize,
+      versioned:
+          extendedVersioned !== undefined ? extendedVersioned : versioned,
+      computed: { ...computed, ...extendedComputed },
+      hooks: mergeHooks(normalizeHooks(hooks), extendedHooks),
+      traits: mergeTraits(traits, extendedTraits),
+      stateMachine:
+          extendedStateMachine !== undefined
+            ? extendedStateMachine
+            : stateMachineDefinition,
     });
+
+    // Instances of the extended factory also count as instances of this one
+    inheritBrand(extended[BRAND], brand);
+    return extended;
   }
 
-  // Return the factory with create, update, and extend methods
+  // Return the factory with create, update, extend and the type checks
   return {
+    name,
     create,
+    reconstitute,
     update,
+    createAsync,
+    updateAsync,
+    tryCreate,
+    tryUpdate,
+    applyPatch,
+    applyPatchAsync,
     schema,
     identity,
     invariants,
+    versioned,
+    traits,
+    stateMachine,
     extend,
+    ...checks,
+    [BRAND]: brand,
   };
 }
@@ -1,6 +1,11 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi, afterEach } from "vitest";
 import { z } from "zod";
 import { aggregate } from "./Base.js";
+import {
+  historySchema,
+  createInMemoryHistoryStore,
+} from "../entities/history.js";
+import { versionSchema } from "./version.js";
 import {
   ValidationError,
   InvariantViolationError,
@@ -650,6 +655,67 @@ describe("aggregate", () => {
     });
   });
 
+  describe("computed properties and hooks", () => {
+    const createAccount = () =>
+      aggregate({
+        name: "Account",
+        schema: z.object({
+          id: z.string(),
+          owner: z.string(),
+          balance: z.number(),
+        }),
+        identity: "id",
+        computed: { label: (account) => `${account.owner}: ${account.balance}` },
+        hooks: {
+          beforeCreate: (data) => ({ ...data, owner: data.owner.trim() }),
+          beforeUpdate: (updates) =>
+            updates.owner ? { ...updates, owner: updates.owner.trim() } : updates,
+        },
+        methodsFactory: () => ({
+          describe() {
+            return `Account of ${this.label}`;
+          },
+        }),
+      });
+
+    it("should compute properties and run hooks of aggregates", () => {
+      // Arrange
+      const Account = createAccount();
+
+      // Act
+      const account = Account.create({ id: "a-1", owner: " Ada ", balance: 5 });
+      const renamed = Account.update(account, { owner: " Grace " });
+
+      // Assert
+      expect(account.owner).toBe("Ada");
+      expect(account.label).toBe("Ada: 5");
+      expect(account.describe()).toBe("Account of Ada: 5");
+      expect(renamed.label).toBe("Grace: 5");
+      expect(renamed.toJSON()).toMatchObject({ label: "Grace: 5" });
+    });
+
+    it("should inherit computed properties and hooks through extend", () => {
+      // Arrange
+      const Account = createAccount();
+      const Savings = Account.extend({
+        name: "Savings",
+        computed: { rich: (account) => account.balance > 100 },
+        hooks: {
+          beforeCreate: (data) => ({ ...data, owner: data.owner.toUpperCase() }),
+        },
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const savings = Savings.create({ id: "s-1", owner: " ada ", balance: 500 });
+
+      // Assert
+      expect(savings.owner).toBe("ADA");
+      expect(savings.label).toBe("ADA: 500");
+      expect(savings.rich).toBe(true);
+    });
+  });
+
   // Extension tests
   describe("extension", () => {
     it("should allow extending an aggregate with additional validation", () => {
@@ -1118,6 +1184,431 @@ describe("aggregate", () => {
     });
   });
 
+  describe("createAsync and updateAsync", () => {
+    const createCatalogOrder = () =>
+      aggregate({
+        name: "CatalogOrder",
+        schema: z.object({
+          id: z.string(),
+          skus: z.array(z.string()),
+        }),
+        identity: "id",
+        invariants: [
+          {
+            name: "SKUs must exist in the catalog",
+            check: async (order, { catalog }) => {
+              const known = await catalog.findSkus(order.skus);
+              return known.length === order.skus.length;
+            },
+            message: "Unknown SKU",
+          },
+        ],
+        methodsFactory: () => ({}),
+      });
+
+    const catalog = {
+      async findSkus(skus) {
+        return skus.filter((sku) => sku.startsWith("SKU-"));
+      },
+    };
+
+    it("should run asynchronous invariants with the injected context", async () => {
+      // Arrange
+      const Order = createCatalogOrder();
+
+      // Act
+      const order = await Order.createAsync(
+        { id: "o-1", skus: ["SKU-1"] },
+        { context: { catalog } },
+      );
+      const updated = await Order.updateAsync(
+        order,
+        { skus: ["SKU-1", "SKU-2"] },
+        { context: { catalog } },
+      );
+
+      // Assert
+      expect(Object.isFrozen(order)).toBe(true);
+      expect(Order.isInstance(order)).toBe(true);
+      expect(updated.skus).toEqual(["SKU-1", "SKU-2"]);
+    });
+
+    it("should reject with an InvariantViolationError", async () => {
+      // Arrange
+      const Order = createCatalogOrder();
+      const order = await Order.createAsync(
+        { id: "o-1", skus: [] },
+        { context: { catalog } },
+      );
+
+      // Act & Assert
+      await expect(
+        Order.createAsync({ id: "o-2", skus: ["X"] }, { context: { catalog } }),
+      ).rejects.toThrow(InvariantViolationError);
+      await expect(
+        Order.updateAsync(order, { skus: ["X"] }, { context: { catalog } }),
+      ).rejects.toThrow("Unknown SKU");
+      await expect(
+        Order.createAsync({ id: 1, skus: [] }, { context: { catalog } }),
+      ).rejects.toThrow(ValidationError);
+    });
+
+    it("should refuse asynchronous invariants in synchronous create", () => {
+      // Arrange
+      const Order = createCatalogOrder();
+
+      // Act & Assert
+      expect(() => Order.create({ id: "o-1", skus: [] })).toThrow(
+        "Invariant 'SKUs must exist in the catalog' of CatalogOrder is asynchronous, use createAsync or updateAsync",
+      );
+    });
+
+    it("should stop when the signal is aborted during validation", async () => {
+      // Arrange
+      const Order = createCatalogOrder();
+      const controller = new AbortController();
+      const slowCatalog = {
+        async findSkus(skus) {
+          controller.abort();
+          return skus;
+        },
+      };
+
+      // Act
+      const error = await Order.createAsync(
+        { id: "o-1", skus: ["SKU-1"] },
+        { context: { catalog: slowCatalog }, signal: controller.signal },
+      ).catch((e) => e);
+
+      // Assert
+      expect(error.name).toBe("AbortError");
+    });
+  });
+
+  describe("history", () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("should rebuild and revert aggregates, keeping their events", () => {
+      // Arrange
+      vi.useFakeTimers();
+      const Budget = aggregate({
+        name: "Budget",
+        schema: z.object({
+          id: z.string(),
+          limit: z.number(),
+          spent: z.number(),
+          _history: historySchema,
+        }),
+        identity: "id",
+        historize: true,
+        invariants: [
+          {
+            name: "Spent within limit",
+            check: (budget) => budget.spent <= budget.limit,
+          },
+        ],
+        methodsFactory: () => ({}),
+      });
+      const budget = Budget.create({ id: "b-1", limit: 100, spent: 0 });
+      vi.setSystemTime(new Date("2024-01-01"));
+      const lowered = Budget.update(budget, { limit: 50 });
+      vi.setSystemTime(new Date("2024-01-02"));
+      const spent = Budget.update(lowered, { spent: 40 }).emitEvent("Spent", {
+        amount: 40,
+      });
+
+      // Act
+      const past = spent.asOf("2024-01-01T12:00:00Z");
+      const reverted = spent.revertTo(1);
+
+      // Assert
+      expect(Budget.isInstance(past)).toBe(true);
+      expect(past).toMatchObject({ limit: 50, spent: 0 });
+      expect(Budget.isInstance(reverted)).toBe(true);
+      expect(reverted).toMatchObject({ limit: 50, spent: 0 });
+      expect(reverted.getHistory().at(-1).version).toBe(3);
+      expect(reverted.getDomainEvents()).toHaveLength(1);
+    });
+
+    it("should leave the history store unchanged when an update is rejected", async () => {
+      // Arrange
+      const store = createInMemoryHistoryStore();
+      const Budget = aggregate({
+        name: "Budget",
+        schema: z.object({ id: z.string(), limit: z.number(), spent: z.number() }),
+        identity: "id",
+        historize: { store },
+        invariants: [
+          {
+            name: "Spent within limit",
+            check: (budget) => budget.spent <= budget.limit,
+          },
+        ],
+        methodsFactory: () => ({}),
+      });
+      const budget = Budget.update(
+        Budget.create({ id: "b-1", limit: 100, spent: 0 }),
+        { spent: 40 },
+      );
+      const saved = store.load({ type: "Budget", id: "b-1" });
+
+      // Act
+      const rejected = () => Budget.update(budget, { spent: 200 });
+      const rejectedAsync = Budget.updateAsync(budget, { spent: 300 });
+
+      // Assert
+      expect(rejected).toThrow(InvariantViolationError);
+      await expect(rejectedAsync).rejects.toThrow(InvariantViolationError);
+      expect(store.load({ type: "Budget", id: "b-1" })).toBe(saved);
+      expect(budget.getHistory()).toHaveLength(1);
+    });
+  });
+
+  describe("versioning", () => {
+    const createAccount = (options = {}) =>
+      aggregate({
+        name: "Account",
+        schema: z.object({
+          id: z.string(),
+          balance: z.number(),
+          version: versionSchema,
+        }),
+        identity: "id",
+        versioned: true,
+        methodsFactory: (factory) => ({
+          deposit(amount) {
+            return factory.update(this, { balance: this.balance + amount });
+          },
+        }),
+        ...options,
+      });
+
+    it("should start new aggregates at version 0", () => {
+      // Act
+      const account = createAccount().create({ id: "a-1", balance: 0 });
+
+      // Assert
+      expect(account.version).toBe(0);
+    });
+
+    it("should increment the version on every update", async () => {
+      // Arrange
+      const Account = createAccount();
+      const account = Account.create({ id: "a-1", balance: 0 });
+
+      // Act
+      const deposited = account.deposit(10);
+      const updated = Account.update(deposited, { balance: 5 });
+      const updatedAsync = await Account.updateAsync(updated, { balance: 7 });
+
+      // Assert
+      expect(deposited.version).toBe(1);
+      expect(updated.version).toBe(2);
+      expect(updatedAsync.version).toBe(3);
+    });
+
+    it("should reject updates that change the version", () => {
+      // Arrange
+      const Account = createAccount();
+      const account = Account.create({ id: "a-1", balance: 0, version: 4 });
+
+      // Act & Assert
+      expect(() => Account.update(account, { version: 9 })).toThrow(
+        "Cannot change version of Account, it is incremented by each update",
+      );
+      expect(Account.update(account, { version: 4 }).version).toBe(5);
+    });
+
+    it("should describe a changed version in the error context", () => {
+      // Arrange
+      const Account = createAccount();
+      const account = Account.create({ id: "a-1", balance: 0, version: 4 });
+
+      // Act
+      const result = Account.tryUpdate(account, { version: 9 });
+
+      // Assert
+      expect(result.error.context).toEqual({
+        objectType: "Account",
+        version: 4,
+        updates: { version: 9 },
+      });
+    });
+
+    it("should keep counting when reverting to an earlier state", () => {
+      // Arrange
+      const Account = createAccount({
+        schema: z.object({
+          id: z.string(),
+          balance: z.number(),
+          version: versionSchema,
+          _history: historySchema,
+        }),
+        historize: true,
+      });
+      const account = Account.create({ id: "a-1", balance: 0 }).deposit(10);
+
+      // Act
+      const reverted = account.revertTo(0);
+
+      // Assert
+      expect(reverted).toMatchObject({ balance: 0, version: 2 });
+    });
+
+    it("should require a version field in the schema", () => {
+      // Act & Assert
+      expect(() =>
+        aggregate({
+          name: "Account",
+          schema: z.object({ id: z.string() }),
+          identity: "id",
+          versioned: true,
+          methodsFactory: () => ({}),
+        }),
+      ).toThrow(
+        "Versioned aggregate Account must declare a version field, e.g. version: versionSchema",
+      );
+    });
+
+    it("should pass versioning on to extensions", () => {
+      // Arrange
+      const Account = createAccount();
+      const SavingsAccount = Account.extend({
+        name: "SavingsAccount",
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const account = SavingsAccount.create({ id: "a-1", balance: 0 });
+
+      // Assert
+      expect(SavingsAccount.versioned).toBe(true);
+      expect(SavingsAccount.update(account, { balance: 1 }).version).toBe(1);
+    });
+
+    it("should leave unversioned aggregates alone", () => {
+      // Arrange
+      const Counter = aggregate({
+        name: "Counter",
+        schema: z.object({ id: z.string(), count: z.number() }),
+        identity: "id",
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const counter = Counter.update(Counter.create({ id: "c-1", count: 0 }), {
+        count: 1,
+      });
+
+      // Assert
+      expect(Counter.versioned).toBe(false);
+      expect(counter.version).toBeUndefined();
+    });
+  });
+
+  describe("tryCreate and tryUpdate", () => {
+    const orderData = {
+      id: "123e4567-e89b-12d3-a456-426614174000",
+      customerId: "987e6543-e21b-12d3-a456-426614174000",
+      items: [],
+      status: "DRAFT",
+    };
+
+    it("should return invariant violations as failed results", () => {
+      // Arrange
+      const Order = createOrderAggregate();
+
+      // Act
+      const created = Order.tryCreate(orderData);
+      const placed = Order.tryUpdate(created.value, { status: "PLACED" });
+      const invalid = Order.tryCreate({ ...orderData, status: "UNKNOWN" });
+
+      // Assert
+      expect(created.ok).toBe(true);
+      expect(placed.ok).toBe(false);
+      expect(placed.error).toBeInstanceOf(InvariantViolationError);
+      expect(invalid.error).toBeInstanceOf(ValidationError);
+    });
+
+    it("should chain updates with flatMap", () => {
+      // Arrange
+      const Order = createOrderAggregate();
+
+      // Act
+      const result = Order.tryCreate(orderData)
+        .flatMap((order) => Order.tryUpdate(order, { total: 10 }))
+        .map((order) => order.total);
+
+      // Assert
+      expect(result).toEqual({ ok: true, value: 10 });
+    });
+  });
+
+  describe("type checks", () => {
+    const orderData = {
+      id: "123e4567-e89b-12d3-a456-426614174000",
+      customerId: "987e6543-e21b-12d3-a456-426614174000",
+      items: [],
+      status: "DRAFT",
+    };
+
+    it("should recognize instances of the factory and its extensions", () => {
+      // Arrange
+      const Order = createOrderAggregate();
+      const PriorityOrder = Order.extend({
+        name: "PriorityOrder",
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const order = Order.create(orderData);
+      const priorityOrder = PriorityOrder.create(orderData);
+
+      // Assert
+      expect(Order.isInstance(order)).toBe(true);
+      expect(Order.isInstance(priorityOrder)).toBe(true);
+      expect(PriorityOrder.isInstance(order)).toBe(false);
+      expect(PriorityOrder.isSubtypeOf(Order)).toBe(true);
+      expect(order.equals(priorityOrder)).toBe(true);
+    });
+
+    it("should keep the brand through events and updates", () => {
+      // Arrange
+      const Order = createOrderAggregate();
+      const order = Order.create(orderData);
+
+      // Act
+      const updated = Order.update(order.emitEvent("OrderTouched", {}), {
+        total: 0,
+      });
+
+      // Assert
+      expect(Order.isInstance(updated)).toBe(true);
+    });
+
+    it("should not consider aggregates of unrelated types equal", () => {
+      // Arrange
+      const Order = createOrderAggregate();
+      const Invoice = aggregate({
+        name: "Invoice",
+        schema: z.object({ id: z.string().uuid() }),
+        identity: "id",
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const order = Order.create(orderData);
+      const invoice = Invoice.create({ id: orderData.id });
+
+      // Assert
+      expect(order.equals(invoice)).toBe(false);
+      expect(invoice.equals(order)).toBe(false);
+      expect(Invoice.isInstance(order)).toBe(false);
+    });
+  });
+
   // Historize tests
   describe("historization", () => {
     it("should inherit historization settings from entity", () => {
@@ -1,2 +1,29 @@
-export { aggregate, Aggregate, AggregateFactory, InvariantDefinition } from "./Base";
+export {
+  aggregate,
+  Aggregate,
+  AggregateFactory,
+  InvariantDefinition,
+  AsyncValidationOptions,
+} from "./Base";
 export { withEvents, updateWithEvents, AggregateWithEvents } from "./EventSourced";
+export { versionSchema, expectedVersionOf } from "./version";
+export {
+  reference,
+  referenceOf,
+  referencesOf,
+  createReferenceResolver,
+  REFERENCE,
+  ReferenceSchema,
+  ReferenceMetadata,
+  ReferenceField,
+  ReferenceResolver,
+  ReferenceOptions,
+} from "./reference";
+export {
+  StateMachine,
+  StateMachineDefinition,
+  StateMachineMethods,
+  StateDefinition,
+  TransitionDefinition,
+  TransitionInfo,
+} from "./stateMachine";
@@ -1 +1,9 @@
 export { aggregate } from "./Base.js";
+export { versionSchema, expectedVersionOf } from "./version.js";
+export {
+  reference,
+  referenceOf,
+  referencesOf,
+  createReferenceResolver,
+  REFERENCE,
+} from "./reference.js";
@@ -0,0 +1,158 @@
+import { z } from "zod";
+
+/**
+ * Key of the metadata attached to reference schemas
+ */
+export const REFERENCE: unique symbol;
+
+/**
+ * A factory that can be the target of a reference
+ */
+type ReferenceTarget = {
+  name: string;
+  identity: string;
+  schema: z.ZodTypeAny;
+};
+
+/**
+ * Describes a field that refers to another aggregate by its identity
+ */
+export interface ReferenceMetadata<
+  F extends ReferenceTarget = ReferenceTarget,
+> {
+  /**
+   * The name of the referenced aggregate type
+   */
+  readonly type: string;
+
+  /**
+   * The factory of the referenced aggregate
+   */
+  readonly target: F;
+
+  /**
+   * The identity field of the referenced aggregate
+   */
+  readonly identity: string;
+
+  /**
+   * Whether async validation checks that the target exists
+   */
+  readonly mustExist: boolean;
+}
+
+/**
+ * The schema of a reference, validating the identity of the target
+ */
+export type ReferenceSchema<F extends ReferenceTarget = ReferenceTarget> =
+  z.ZodType<string> & {
+    readonly [REFERENCE]: ReferenceMetadata<F>;
+  };
+
+/**
+ * A reference found in the schema of an aggregate
+ */
+export interface ReferenceField<F extends ReferenceTarget = ReferenceTarget>
+  extends ReferenceMetadata<F> {
+  /**
+   * Dotted path of the field, e.g. "lines.productId"
+   */
+  path: string;
+
+  /**
+   * Whether the field holds a list of references or lies inside an array
+   */
+  many: boolean;
+
+  /**
+   * Whether the reference may be missing
+   */
+  optional: boolean;
+}
+
+/**
+ * Options of a reference
+ */
+export interface ReferenceOptions {
+  /**
+   * Check that the target exists in createAsync and updateAsync
+   */
+  mustExist?: boolean;
+}
+
+/**
+ * Loads referenced aggregates through their repositories
+ */
+export interface ReferenceResolver {
+  /**
+   * Loads an aggregate by identity, or null if it does not exist
+   */
+  load<A = unknown>(
+    target: ReferenceTarget | string,
+    id: unknown,
+  ): Promise<A | null>;
+
+  /**
+   * Loads aggregates by identity, with null for missing ones
+   */
+  loadMany<A = unknown>(
+    target: ReferenceTarget | string,
+    ids: unknown[],
+  ): Promise<Array<A | null>>;
+
+  /**
+   * Loads the aggregates a field of an instance refers to
+   */
+  resolve<A = unknown>(
+    factory: ReferenceTarget,
+    instance: Record<string, unknown>,
+    field: string,
+  ): Promise<A | null | Array<A | null>>;
+
+  /**
+   * Forgets the loaded aggregates
+   */
+  clear(): void;
+}
+
+/**
+ * Creates a schema for a field that refers to another aggregate by identity
+ */
+export function reference<F extends ReferenceTarget>(
+  target: F | (() => F),
+  options?: ReferenceOptions,
+): ReferenceSchema<F>;
+
+/**
+ * Returns the reference metadata of a schema
+ */
+export function referenceOf(schema: unknown): ReferenceMetadata | undefined;
+
+/**
+ * Lists the references declared in the schema of an aggregate
+ */
+export function referencesOf(
+  factoryOrSchema: ReferenceTarget | z.ZodTypeAny,
+): ReferenceField[];
+
+/**
+ * Creates a resolver that loads referenced aggregates through repositories,
+ * combining the loads of a tick into one `findByIds` call per type
+ */
+export function createReferenceResolver(
+  repositories: Record<
+    string,
+    { findByIds: (ids: any[]) => Promise<Map<any, any>> }
+  >,
+): ReferenceResolver;
+
+/**
+ * Checks that the references marked with `mustExist` point to existing
+ * aggregates
+ */
+export function verifyReferences(
+  type: string,
+  schema: z.ZodTypeAny,
+  data: unknown,
+  resolver: ReferenceResolver | undefined,
+): Promise<void>;
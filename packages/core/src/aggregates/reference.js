@@ -0,0 +1,414 @@
+// packages/core/src/aggregates/reference.js
+import { z } from "zod";
+import { ValidationError } from "../errors/ValidationError.js";
+import { translate } from "../errors/messages.js";
+
+/**
+ * Key of the metadata attached to reference schemas
+ */
+export const REFERENCE = Symbol("reference");
+
+/**
+ * Describes a field that refers to another aggregate by its identity
+ * @typedef {Object} ReferenceMetadata
+ * @property {string} type - The name of the referenced aggregate type
+ * @property {any} target - The factory of the referenced aggregate
+ * @property {string} identity - The identity field of the referenced aggregate
+ * @property {boolean} mustExist - Whether async validation checks that the target exists
+ */
+
+/**
+ * A reference found in the schema of an aggregate
+ * @typedef {ReferenceMetadata & {path: string, many: boolean, optional: boolean}} ReferenceField
+ */
+
+/**
+ * Loads referenced aggregates through their repositories
+ * @typedef {Object} ReferenceResolver
+ * @property {(target: any, id: unknown) => Promise<any>} load - Loads an aggregate by identity, or null if it does not exist
+ * @property {(target: any, ids: unknown[]) => Promise<any[]>} loadMany - Loads aggregates by identity, with null for missing ones
+ * @property {(factory: any, instance: any, field: string) => Promise<any>} resolve - Loads the aggregates a field of an instance refers to
+ * @property {() => void} clear - Forgets the loaded aggregates
+ */
+
+/**
+ * Creates a schema for a field that refers to another aggregate by identity
+ * The field holds only the identity, validated by the identity schema of the
+ * referenced aggregate. Pass a function returning the factory for aggregates
+ * that refer to each other.
+ *
+ * @example
+ * const Order = aggregate({
+ *   name: "Order",
+ *   schema: z.object({
+ *     id: z.string().uuid(),
+ *     customerId: reference(Customer, { mustExist: true }),
+ *   }),
+ *   identity: "id",
+ *   methodsFactory: () => ({}),
+ * });
+ *
+ * @param {any} target - The referenced aggregate factory, or a function returning it
+ * @param {object} [options] - Reference options
+ * @param {boolean} [options.mustExist=false] - Check that the target exists in createAsync and updateAsync
+ * @returns {z.ZodTypeAny} The schema of the identity, carrying the reference metadata
+ */
+export function reference(target, { mustExist = false } = {}) {
+  const factoryOf = typeof target === "function" ? target : () => target;
+  if (typeof target !== "function" && !isFactory(target)) {
+    throw new Error("Reference target must be an aggregate factory");
+  }
+
+  // Described copies keep the metadata off the schema of the target itself
+  const schema =
+    typeof target === "function"
+      ? z.lazy(() => identitySchemaOf(factoryOf()))
+      : identitySchemaOf(target).describe(`Reference to ${target.name}`);
+
+  /** @type {ReferenceMetadata} */
+  const metadata = Object.freeze({
+    get type() {
+      return factoryOf().name;
+    },
+    get target() {
+      return factoryOf();
+    },
+    get identity() {
+      return factoryOf().identity;
+    },
+    mustExist,
+  });
+
+  Object.defineProperty(schema, REFERENCE, { value: metadata });
+  return schema;
+}
+
+/**
+ * Returns the reference metadata of a schema
+ * Optional, nullable and defaulted references are recognized as well.
+ * @param {unknown} schema - The schema to inspect
+ * @returns {ReferenceMetadata | undefined} The metadata, or undefined if the schema is no reference
+ */
+export function referenceOf(schema) {
+  return /** @type {any} */ (unwrap(schema).schema)?.[REFERENCE];
+}
+
+/**
+ * Lists the references declared in the schema of an aggregate
+ * Nested objects and arrays are searched as well, so the result can document
+ * which aggregate types an aggregate depends on.
+ * @param {any} factoryOrSchema - An aggregate factory or a Zod schema
+ * @returns {ReferenceField[]} The references with their dotted paths
+ */
+export function referencesOf(factoryOrSchema) {
+  const schema = isFactory(factoryOrSchema)
+    ? factoryOrSchema.schema
+    : factoryOrSchema;
+  /** @type {ReferenceField[]} */
+  const found = [];
+  collectReferences(schema, [], false, found);
+  return found;
+}
+
+/**
+ * Creates a resolver that loads referenced aggregates through repositories
+ * Loads requested in the same tick are combined into one `findByIds` call per
+ * aggregate type, and loaded aggregates are kept until `clear` is called.
+ * Create a resolver per unit of work, e.g. per request.
+ *
+ * @example
+ * const references = createReferenceResolver({ Customer: customerRepository });
+ * const customers = await Promise.all(
+ *   orders.map((order) => references.resolve(Order, order, "customerId")),
+ * );
+ *
+ * @param {Record<string, {findByIds: (ids: any[]) => Promise<Map<any, any>>}>} repositories - Repositories by aggregate type name
+ * @returns {ReferenceResolver} The resolver
+ */
+export function createReferenceResolver(repositories) {
+  if (!repositories || typeof repositories !== "object") {
+    throw new Error("Reference resolver requires repositories by type name");
+  }
+
+  /** @type {Map<string, Map<unknown, Promise<any>>>} */
+  const loaded = new Map();
+  /** @type {Map<string, Map<unknown, {resolve: Function, reject: Function}>>} */
+  const pending = new Map();
+
+  /**
+   * Loads the requested aggregates of a type with one repository call
+   * @param {string} type - The aggregate type name
+   * @returns {Promise<void>}
+   * @private
+   */
+  async function flush(type) {
+    const batch = /** @type {Map<unknown, any>} */ (pending.get(type));
+    pending.delete(type);
+    try {
+      const found = await repositories[type].findByIds([...batch.keys()]);
+      for (const [id, { resolve }] of batch) {
+        resolve(found.get(id) ?? null);
+      }
+    } catch (error) {
+      for (const [id, { reject }] of batch) {
+        // Failed loads are not cached, so they can be retried
+        loaded.get(type)?.delete(id);
+        reject(error);
+      }
+    }
+  }
+
+  /**
+   * @param {any} target - The aggregate factory or type name
+   * @param {unknown} id - The identity
+   * @returns {Promise<any>}
+   */
+  function load(target, id) {
+    const type = typeof target === "string" ? target : target?.name;
+    if (typeof repositories[type]?.findByIds !== "function") {
+      throw new Error(`No repository registered for ${type}`);
+    }
+
+    if (!loaded.has(type)) loaded.set(type, new Map());
+    const cache = /** @type {Map<unknown, Promise<any>>} */ (loaded.get(type));
+    const cached = cache.get(id);
+    if (cached) return cached;
+
+    if (!pending.has(type)) {
+      pending.set(type, new Map());
+      queueMicrotask(() => flush(type));
+    }
+    const promise = new Promise((resolve, reject) => {
+      /** @type {Map<unknown, any>} */ (pending.get(type)).set(id, {
+        resolve,
+        reject,
+      });
+    });
+    cache.set(id, promise);
+    return promise;
+  }
+
+  /**
+   * @param {any} target - The aggregate factory or type name
+   * @param {unknown[]} ids - The identities
+   * @returns {Promise<any[]>}
+   */
+  function loadMany(target, ids) {
+    return Promise.all(ids.map((id) => load(target, id)));
+  }
+
+  /**
+   * @param {any} factory - The factory of the referring aggregate
+   * @param {any} instance - The referring aggregate
+   * @param {string} field - The reference field
+   * @returns {Promise<any>} The referenced aggregate, null if the field is empty, or a list for arrays of references
+   */
+  function resolve(factory, instance, field) {
+    const fieldSchema = unwrap(factory.schema).schema?.shape?.[field];
+    const { schema, many } = unwrap(fieldSchema);
+    const metadata = referenceOf(schema);
+    if (!metadata) {
+      throw new Error(`Field "${field}" of ${factory.name} is no reference`);
+    }
+
+    const value = instance[field];
+    if (value === undefined || value === null) {
+      return Promise.resolve(many ? [] : null);
+    }
+    return many
+      ? loadMany(metadata.target, value)
+      : load(metadata.target, value);
+  }
+
+  return {
+    load,
+    loadMany,
+    resolve,
+    clear() {
+      loaded.clear();
+    },
+  };
+}
+
+/**
+ * Checks that the references of an aggregate marked with `mustExist` point
+ * to existing aggregates
+ * @param {string} type - The name of the referring aggregate type
+ * @param {any} schema - The schema of the referring aggregate
+ * @param {any} data - The aggregate data
+ * @param {ReferenceResolver | undefined} resolver - The resolver passed as `references` in the context
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If a referenced aggregate does not exist
+ */
+export async function verifyReferences(type, schema, data, resolver) {
+  const references = referencesOf(schema).filter((ref) => ref.mustExist);
+  if (references.length === 0) return;
+  if (!resolver) {
+    throw new Error(
+      `${type} has references that must exist, pass a reference resolver as "references" in the context`,
+    );
+  }
+
+  /** @type {Array<{path: Array<string|number>, type: string, id: unknown, target: any}>} */
+  const lookups = [];
+  for (const ref of references) {
+    for (const { path, value } of valuesAt(data, ref.path.split("."), [])) {
+      if (value !== undefined && value !== null) {
+        lookups.push({ path, type: ref.type, id: value, target: ref.target });
+      }
+    }
+  }
+
+  const found = await Promise.all(
+    lookups.map(({ target, id }) => resolver.load(target, id)),
+  );
+  const issues = lookups
+    .filter((_, index) => found[index] === null)
+    .map(({ path, type: targetType, id }) => ({
+      code: "custom",
+      path,
+      message: translate("reference.notFound", { type: targetType, id }),
+      params: {
+        code: "reference_not_found",
+        received: id,
+        messageKey: "reference.notFound",
+        messageParams: { type: targetType, id },
+      },
+    }));
+
+  if (issues.length > 0) {
+    throw new ValidationError(
+      {
+        key: "validation.invalid",
+        params: {
+          type,
+          details: issues.map((issue) => issue.message).join(", "),
+        },
+      },
+      new z.ZodError(/** @type {any} */ (issues)),
+      { objectType: type, input: data },
+    );
+  }
+}
+
+/**
+ * Builds the identity schema of a referenced aggregate
+ * Defaults that generate new identities are dropped, and the schema falls
+ * back to a string when the identity cannot be found.
+ * @param {any} factory - The referenced aggregate factory
+ * @returns {z.ZodTypeAny}
+ * @private
+ */
+function identitySchemaOf(factory) {
+  const identity = unwrap(factory.schema).schema?.shape?.[factory.identity];
+  if (identity instanceof z.ZodDefault) {
+    return identity._def.innerType;
+  }
+  return identity ?? z.string();
+}
+
+/**
+ * Checks if a value looks like a domain object factory
+ * @param {any} value - The value to check
+ * @returns {boolean}
+ * @private
+ */
+function isFactory(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.name === "string" &&
+    typeof value.identity === "string" &&
+    value.schema instanceof z.ZodType
+  );
+}
+
+/**
+ * Removes optional, nullable, default, effect and array wrappers from a schema
+ * @param {any} schema - The schema
+ * @returns {{schema: any, many: boolean, optional: boolean}}
+ * @private
+ */
+function unwrap(schema) {
+  let current = schema;
+  let many = false;
+  let optional = false;
+  while (current instanceof z.ZodType && !(REFERENCE in current)) {
+    if (
+      current instanceof z.ZodOptional ||
+      current instanceof z.ZodNullable ||
+      current instanceof z.ZodDefault
+    ) {
+      optional = true;
+      current = current._def.innerType;
+    } else if (current instanceof z.ZodEffects) {
+      current = current._def.schema;
+    } else if (current instanceof z.ZodArray) {
+      many = true;
+      current = current._def.type;
+    } else {
+      break;
+    }
+  }
+  return { schema: current, many, optional };
+}
+
+/**
+ * Collects the references of a schema and its nested objects
+ * @param {any} schema - The schema to search
+ * @param {string[]} path - Path of the schema
+ * @param {boolean} many - Whether the schema is inside an array
+ * @param {ReferenceField[]} found - The references found so far
+ * @returns {void}
+ * @private
+ */
+function collectReferences(schema, path, many, found) {
+  const unwrapped = unwrap(schema);
+  const metadata = referenceOf(unwrapped.schema);
+  if (metadata) {
+    found.push({
+      path: path.join("."),
+      type: metadata.type,
+      target: metadata.target,
+      identity: metadata.identity,
+      mustExist: metadata.mustExist,
+      many: many || unwrapped.many,
+      optional: unwrapped.optional,
+    });
+    return;
+  }
+  if (unwrapped.schema instanceof z.ZodObject) {
+    for (const [key, fieldSchema] of Object.entries(unwrapped.schema.shape)) {
+      collectReferences(
+        fieldSchema,
+        [...path, key],
+        many || unwrapped.many,
+        found,
+      );
+    }
+  }
+}
+
+/**
+ * Lists the values at a dotted path, descending into arrays along the way
+ * @param {any} value - The data
+ * @param {string[]} keys - The remaining keys of the path
+ * @param {Array<string|number>} path - The concrete path walked so far
+ * @returns {Array<{path: Array<string|number>, value: unknown}>}
+ * @private
+ */
+function valuesAt(value, keys, path) {
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) =>
+      valuesAt(item, keys, [...path, index]),
+    );
+  }
+  if (keys.length === 0) {
+    return [{ path, value }];
+  }
+  if (value === null || typeof value !== "object") {
+    return [];
+  }
+  const [key, ...rest] = keys;
+  return valuesAt(value[key], rest, [...path, key]);
+}
@@ -0,0 +1,386 @@
+// packages/core/src/aggregates/reference.test.js
+import { describe, it, expect, vi } from "vitest";
+import { z } from "zod";
+import { aggregate } from "./Base.js";
+import {
+  reference,
+  referenceOf,
+  referencesOf,
+  createReferenceResolver,
+} from "./reference.js";
+import { repository } from "../repositories/Base.js";
+import { createInMemoryAdapter } from "../repositories/adapters/InMemory.js";
+import { ValidationError } from "../errors/index.js";
+
+describe("reference", () => {
+  const Customer = aggregate({
+    name: "Customer",
+    schema: z.object({
+      id: z.string().min(2),
+      name: z.string(),
+    }),
+    identity: "id",
+    methodsFactory: () => ({}),
+  });
+
+  const Product = aggregate({
+    name: "Product",
+    schema: z.object({
+      sku: z.string().regex(/^SKU-\d+$/),
+      title: z.string(),
+    }),
+    identity: "sku",
+    methodsFactory: () => ({}),
+  });
+
+  const Order = aggregate({
+    name: "Order",
+    schema: z.object({
+      id: z.string(),
+      customerId: reference(Customer, { mustExist: true }),
+      referredBy: reference(Customer).optional(),
+      lines: z.array(
+        z.object({
+          productId: reference(Product, { mustExist: true }),
+          quantity: z.number().int().positive(),
+        }),
+      ),
+    }),
+    identity: "id",
+    methodsFactory: () => ({}),
+  });
+
+  const createRepositories = () => {
+    const customers = repository({
+      aggregate: Customer,
+      adapter: createInMemoryAdapter({
+        identity: "id",
+        initialData: [
+          { id: "c-1", name: "Ada" },
+          { id: "c-2", name: "Grace" },
+        ],
+      }),
+    });
+    const products = repository({
+      aggregate: Product,
+      adapter: createInMemoryAdapter({
+        identity: "sku",
+        initialData: [{ sku: "SKU-1", title: "Keyboard" }],
+      }),
+    });
+    return { Customer: customers, Product: products };
+  };
+
+  const orderData = {
+    id: "o-1",
+    customerId: "c-1",
+    lines: [{ productId: "SKU-1", quantity: 2 }],
+  };
+
+  describe("schema", () => {
+    it("should validate references with the identity schema of the target", () => {
+      // Act
+      const order = Order.create(orderData);
+
+      // Assert
+      expect(order.customerId).toBe("c-1");
+      expect(() => Order.create({ ...orderData, customerId: "c" })).toThrow(
+        ValidationError,
+      );
+      expect(() =>
+        Order.create({
+          ...orderData,
+          lines: [{ productId: "P-1", quantity: 1 }],
+        }),
+      ).toThrow(ValidationError);
+    });
+
+    it("should expose the metadata of the reference", () => {
+      // Act
+      const metadata = referenceOf(Order.schema.shape.customerId);
+
+      // Assert
+      expect(metadata).toMatchObject({
+        type: "Customer",
+        identity: "id",
+        mustExist: true,
+      });
+      expect(metadata.target).toBe(Customer);
+      expect(referenceOf(Order.schema.shape.referredBy)?.type).toBe("Customer");
+      expect(referenceOf(Order.schema.shape.id)).toBeUndefined();
+    });
+
+    it("should leave the schema of the target untouched", () => {
+      // Assert
+      expect(referenceOf(Customer.schema.shape.id)).toBeUndefined();
+    });
+
+    it("should accept a function returning the target for mutual references", () => {
+      // Arrange
+      const Employee = aggregate({
+        name: "Employee",
+        schema: z.object({
+          id: z.string().uuid(),
+          managerId: reference(() => Employee).optional(),
+        }),
+        identity: "id",
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const metadata = referenceOf(Employee.schema.shape.managerId);
+
+      // Assert
+      expect(metadata.target).toBe(Employee);
+      expect(() =>
+        Employee.create({ id: crypto.randomUUID(), managerId: "nobody" }),
+      ).toThrow(ValidationError);
+    });
+
+    it("should not take over defaults of the target identity", () => {
+      // Arrange
+      const Invoice = aggregate({
+        name: "Invoice",
+        schema: z.object({ id: z.string().default("generated") }),
+        identity: "id",
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const result = reference(Invoice).safeParse(undefined);
+
+      // Assert
+      expect(result.success).toBe(false);
+    });
+
+    it("should reject targets that are no factories", () => {
+      // Assert
+      expect(() => reference({ name: "Customer" })).toThrow(
+        "Reference target must be an aggregate factory",
+      );
+    });
+  });
+
+  describe("referencesOf", () => {
+    it("should list the references of an aggregate with their paths", () => {
+      // Act
+      const references = referencesOf(Order).map(
+        ({ path, type, many, optional, mustExist }) => ({
+          path,
+          type,
+          many,
+          optional,
+          mustExist,
+        }),
+      );
+
+      // Assert
+      expect(references).toEqual([
+        {
+          path: "customerId",
+          type: "Customer",
+          many: false,
+          optional: false,
+          mustExist: true,
+        },
+        {
+          path: "referredBy",
+          type: "Customer",
+          many: false,
+          optional: true,
+          mustExist: false,
+        },
+        {
+          path: "lines.productId",
+          type: "Product",
+          many: true,
+          optional: false,
+          mustExist: true,
+        },
+      ]);
+    });
+
+    it("should find references in lists of identities", () => {
+      // Arrange
+      const schema = z.object({ productIds: z.array(reference(Product)) });
+
+      // Act
+      const [productIds] = referencesOf(schema);
+
+      // Assert
+      expect(productIds).toMatchObject({ path: "productIds", many: true });
+    });
+  });
+
+  describe("createReferenceResolver", () => {
+    it("should combine loads of the same tick into one repository call", async () => {
+      // Arrange
+      const repositories = createRepositories();
+      const findByIds = vi.spyOn(repositories.Customer, "findByIds");
+      const resolver = createReferenceResolver(repositories);
+      const orders = [
+        Order.create(orderData),
+        Order.create({ ...orderData, id: "o-2", customerId: "c-2" }),
+        Order.create({ ...orderData, id: "o-3", customerId: "c-1" }),
+      ];
+
+      // Act
+      const customers = await Promise.all(
+        orders.map((order) => resolver.resolve(Order, order, "customerId")),
+      );
+
+      // Assert
+      expect(customers.map((customer) => customer.name)).toEqual([
+        "Ada",
+        "Grace",
+        "Ada",
+      ]);
+      expect(findByIds).toHaveBeenCalledTimes(1);
+      expect(findByIds).toHaveBeenCalledWith(["c-1", "c-2"]);
+    });
+
+    it("should keep loaded aggregates until cleared", async () => {
+      // Arrange
+      const repositories = createRepositories();
+      const findByIds = vi.spyOn(repositories.Customer, "findByIds");
+      const resolver = createReferenceResolver(repositories);
+
+      // Act
+      const first = await resolver.load(Customer, "c-1");
+      const second = await resolver.load("Customer", "c-1");
+      resolver.clear();
+      await resolver.load(Customer, "c-1");
+
+      // Assert
+      expect(second).toBe(first);
+      expect(findByIds).toHaveBeenCalledTimes(2);
+    });
+
+    it("should resolve missing targets and empty fields to null", async () => {
+      // Arrange
+      const resolver = createReferenceResolver(createRepositories());
+      const order = Order.create(orderData);
+
+      // Act
+      const missing = await resolver.load(Customer, "c-9");
+      const referrer = await resolver.resolve(Order, order, "referredBy");
+
+      // Assert
+      expect(missing).toBeNull();
+      expect(referrer).toBeNull();
+    });
+
+    it("should not cache failed loads", async () => {
+      // Arrange
+      const repositories = createRepositories();
+      const findByIds = vi
+        .spyOn(repositories.Customer, "findByIds")
+        .mockRejectedValueOnce(new Error("Connection lost"));
+      const resolver = createReferenceResolver(repositories);
+
+      // Act & Assert
+      await expect(resolver.load(Customer, "c-1")).rejects.toThrow(
+        "Connection lost",
+      );
+      await expect(resolver.load(Customer, "c-1")).resolves.toMatchObject({
+        name: "Ada",
+      });
+      expect(findByIds).toHaveBeenCalledTimes(2);
+    });
+
+    it("should reject fields that are no references", () => {
+      // Arrange
+      const resolver = createReferenceResolver(createRepositories());
+      const order = Order.create(orderData);
+
+      // Assert
+      expect(() => resolver.resolve(Order, order, "id")).toThrow(
+        'Field "id" of Order is no reference',
+      );
+    });
+
+    it("should reject types without a repository", () => {
+      // Arrange
+      const resolver = createReferenceResolver({});
+
+      // Assert
+      expect(() => resolver.load(Customer, "c-1")).toThrow(
+        "No repository registered for Customer",
+      );
+    });
+  });
+
+  describe("existence checks", () => {
+    it("should accept references to existing aggregates", async () => {
+      // Arrange
+      const references = createReferenceResolver(createRepositories());
+
+      // Act
+      const order = await Order.createAsync(orderData, {
+        context: { references },
+      });
+
+      // Assert
+      expect(order.customerId).toBe("c-1");
+    });
+
+    it("should reject references to missing aggregates with the path of each", async () => {
+      // Arrange
+      const references = createReferenceResolver(createRepositories());
+
+      // Act
+      const error = await Order.createAsync(
+        {
+          ...orderData,
+          customerId: "c-9",
+          lines: [
+            { productId: "SKU-1", quantity: 1 },
+            { productId: "SKU-7", quantity: 1 },
+          ],
+        },
+        { context: { references } },
+      ).catch((e) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.toFieldErrors()).toEqual({
+        customerId: "Customer with ID c-9 does not exist",
+        "lines.1.productId": "Product with ID SKU-7 does not exist",
+      });
+      expect(error.issues[0]).toMatchObject({
+        code: "reference_not_found",
+        received: "c-9",
+      });
+    });
+
+    it("should check the references on updateAsync", async () => {
+      // Arrange
+      const references = createReferenceResolver(createRepositories());
+      const order = Order.create(orderData);
+
+      // Act & Assert
+      await expect(
+        Order.updateAsync(
+          order,
+          { customerId: "c-9" },
+          { context: { references } },
+        ),
+      ).rejects.toThrow(ValidationError);
+    });
+
+    it("should require a resolver for references that must exist", async () => {
+      // Assert
+      await expect(Order.createAsync(orderData)).rejects.toThrow(
+        'Order has references that must exist, pass a reference resolver as "references" in the context',
+      );
+    });
+
+    it("should skip the check on synchronous creation", () => {
+      // Act
+      const order = Order.create({ ...orderData, customerId: "c-9" });
+
+      // Assert
+      expect(order.customerId).toBe("c-9");
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Describes a transition while its actions run
+ */
+export interface TransitionInfo {
+  /**
+   * The name of the transition, e.g. "place"
+   */
+  name: string;
+
+  /**
+   * The state before the transition
+   */
+  from: string;
+
+  /**
+   * The state after the transition
+   */
+  to: string;
+
+  /**
+   * The arguments passed to the transition method
+   */
+  args: unknown[];
+}
+
+/**
+ * A state of a state machine
+ */
+export interface StateDefinition<A = any> {
+  /**
+   * Runs when a transition enters the state, may return updates
+   */
+  onEntry?: (
+    aggregate: A,
+    transition: TransitionInfo,
+  ) => Record<string, any> | void;
+
+  /**
+   * Runs when a transition leaves the state, may return updates
+   */
+  onExit?: (
+    aggregate: A,
+    transition: TransitionInfo,
+  ) => Record<string, any> | void;
+}
+
+/**
+ * A transition of a state machine, which becomes a method of the aggregate
+ */
+export interface TransitionDefinition<A = any> {
+  /**
+   * The states the transition starts from
+   */
+  from: string | string[];
+
+  /**
+   * The state the transition leads to
+   */
+  to: string;
+
+  /**
+   * Allows the transition, receives the aggregate and the method arguments
+   */
+  guard?: (aggregate: A, ...args: any[]) => boolean;
+
+  /**
+   * Returns updates from the method arguments, e.g. a tracking number
+   */
+  action?: (aggregate: A, ...args: any[]) => Record<string, any> | void;
+
+  /**
+   * The domain event emitted by the transition, as type or event factory
+   */
+  event?: string | { type: string; create: (data: any) => unknown };
+
+  /**
+   * Returns the event data, receives the updated aggregate and the method
+   * arguments. Defaults to the identity with the source and target state.
+   */
+  eventData?: (aggregate: A, ...args: any[]) => Record<string, any>;
+}
+
+/**
+ * The declaration of a state machine for the status field of an aggregate
+ *
+ * The schema only accepts the declared states. Plain updates of the field
+ * bypass the transitions, their guards and their actions, so change it
+ * through the transition methods.
+ */
+export interface StateMachineDefinition<A = any> {
+  /**
+   * The field holding the state, defaults to "status"
+   */
+  field?: string;
+
+  /**
+   * The state new aggregates start in, marked in diagrams
+   */
+  initial?: string;
+
+  /**
+   * The states, or their entry and exit actions by state
+   */
+  states: string[] | Record<string, StateDefinition<A>>;
+
+  /**
+   * The transitions by method name
+   */
+  transitions: Record<string, TransitionDefinition<A>>;
+}
+
+/**
+ * A validated state machine
+ */
+export interface StateMachine {
+  /**
+   * The aggregate type name
+   */
+  readonly type: string;
+
+  /**
+   * The field holding the state
+   */
+  readonly field: string;
+
+  /**
+   * The initial state
+   */
+  readonly initial: string | undefined;
+
+  /**
+   * The states
+   */
+  readonly states: Readonly<Record<string, StateDefinition>>;
+
+  /**
+   * The transitions by method name
+   */
+  readonly transitions: Readonly<
+    Record<string, TransitionDefinition & { from: string[] }>
+  >;
+
+  /**
+   * Lists the names of the transitions that start from a state
+   */
+  transitionsFrom(state: string): string[];
+
+  /**
+   * Renders the machine as Mermaid state diagram
+   */
+  toMermaid(): string;
+
+  /**
+   * Renders the machine as Graphviz DOT graph
+   */
+  toDot(): string;
+}
+
+/**
+ * Methods added to aggregates with a state machine, besides one method per
+ * transition
+ */
+export interface StateMachineMethods {
+  /**
+   * Checks if a transition is possible in the current state
+   */
+  canTransition(name: string, ...args: unknown[]): boolean;
+
+  /**
+   * Lists the transitions that start from the current state, without
+   * checking their guards
+   */
+  availableTransitions(): string[];
+}
+
+/**
+ * Validates the state machine of an aggregate
+ */
+export function defineStateMachine(
+  type: string,
+  schema: unknown,
+  definition: StateMachineDefinition,
+): StateMachine;
+
+/**
+ * Restricts the field of a state machine to the declared states
+ */
+export function withDeclaredStates<S>(machine: StateMachine, schema: S): S;
+
+/**
+ * Creates the instance methods of a state machine
+ */
+export function stateMachineMethods(
+  machine: StateMachine,
+  factory: unknown,
+): Record<string, Function>;
@@ -0,0 +1,439 @@
+// packages/core/src/aggregates/stateMachine.js
+import { z } from "zod";
+import { InvalidTransitionError, translate } from "../errors/index.js";
+
+/**
+ * Describes a transition while its actions run
+ * @typedef {Object} TransitionInfo
+ * @property {string} name - The name of the transition, e.g. "place"
+ * @property {string} from - The state before the transition
+ * @property {string} to - The state after the transition
+ * @property {unknown[]} args - The arguments passed to the transition method
+ */
+
+/**
+ * A state of a state machine
+ * @typedef {Object} StateDefinition
+ * @property {(aggregate: any, transition: TransitionInfo) => Record<string, any> | void} [onEntry] - Runs when a transition enters the state, may return updates
+ * @property {(aggregate: any, transition: TransitionInfo) => Record<string, any> | void} [onExit] - Runs when a transition leaves the state, may return updates
+ */
+
+/**
+ * A transition of a state machine, which becomes a method of the aggregate
+ * @typedef {Object} TransitionDefinition
+ * @property {string | string[]} from - The states the transition starts from
+ * @property {string} to - The state the transition leads to
+ * @property {(aggregate: any, ...args: any[]) => boolean} [guard] - Allows the transition, receives the aggregate and the method arguments
+ * @property {(aggregate: any, ...args: any[]) => Record<string, any> | void} [action] - Returns updates from the method arguments, e.g. a tracking number
+ * @property {string | {type: string, create: Function}} [event] - The domain event emitted by the transition, as type or event factory
+ * @property {(aggregate: any, ...args: any[]) => Record<string, any>} [eventData] - Returns the event data, receives the updated aggregate and the method arguments
+ */
+
+/**
+ * The declaration of a state machine for the status field of an aggregate
+ * The schema only accepts the declared states. Plain updates of the field
+ * bypass the transitions, their guards and their actions, so change it
+ * through the transition methods.
+ * @typedef {Object} StateMachineDefinition
+ * @property {string} [field="status"] - The field holding the state
+ * @property {string} [initial] - The state new aggregates start in, marked in diagrams
+ * @property {string[] | Record<string, StateDefinition>} states - The states, or their entry and exit actions by state
+ * @property {Record<string, TransitionDefinition>} transitions - The transitions by method name
+ */
+
+/**
+ * A validated state machine
+ * @typedef {Object} StateMachine
+ * @property {string} type - The aggregate type name
+ * @property {string} field - The field holding the state
+ * @property {string | undefined} initial - The initial state
+ * @property {Readonly<Record<string, StateDefinition>>} states - The states
+ * @property {Readonly<Record<string, TransitionDefinition & {from: string[]}>>} transitions - The transitions by method name
+ * @property {(state: string) => string[]} transitionsFrom - Lists the names of the transitions that start from a state
+ * @property {() => string} toMermaid - Renders the machine as Mermaid state diagram
+ * @property {() => string} toDot - Renders the machine as Graphviz DOT graph
+ */
+
+/**
+ * Instance members that transitions must not shadow
+ * @private
+ */
+const RESERVED_TRANSITION_NAMES = [
+  "equals",
+  "toString",
+  "toJSON",
+  "emitEvent",
+  "getDomainEvents",
+  "clearDomainEvents",
+  "canTransition",
+  "availableTransitions",
+];
+
+/**
+ * Validates the state machine of an aggregate
+ *
+ * @example
+ * const Order = aggregate({
+ *   name: "Order",
+ *   schema: z.object({ id: z.string(), status: z.string() }),
+ *   identity: "id",
+ *   stateMachine: {
+ *     initial: "DRAFT",
+ *     states: ["DRAFT", "PLACED", "CANCELLED"],
+ *     transitions: {
+ *       place: { from: "DRAFT", to: "PLACED", event: "OrderPlaced" },
+ *       cancel: { from: ["DRAFT", "PLACED"], to: "CANCELLED" },
+ *     },
+ *   },
+ *   methodsFactory: () => ({}),
+ * });
+ *
+ * Order.create({ id: "o-1", status: "DRAFT" }).place().status; // "PLACED"
+ *
+ * @param {string} type - The aggregate type name
+ * @param {any} schema - The schema of the aggregate
+ * @param {StateMachineDefinition} definition - The declaration
+ * @returns {StateMachine} The state machine
+ * @throws {Error} If the declaration references unknown states or fields
+ */
+export function defineStateMachine(type, schema, definition) {
+  const { field = "status", initial, transitions = {} } = definition;
+  const states = normalizeStates(type, definition.states);
+  const stateNames = Object.keys(states);
+
+  if (schema?.shape && !(field in schema.shape)) {
+    throw new Error(
+      `State machine of ${type} needs the field "${field}" in the schema`,
+    );
+  }
+  if (initial !== undefined && !stateNames.includes(initial)) {
+    throw new Error(
+      `State machine of ${type} references unknown state: ${initial}`,
+    );
+  }
+
+  /** @type {Record<string, TransitionDefinition & {from: string[]}>} */
+  const normalized = {};
+  for (const [name, transition] of Object.entries(transitions)) {
+    if (RESERVED_TRANSITION_NAMES.includes(name)) {
+      throw new Error(`Transition name "${name}" of ${type} is reserved`);
+    }
+    const from = [transition.from ?? []].flat();
+    if (from.length === 0) {
+      throw new Error(`Transition "${name}" of ${type} needs a source state`);
+    }
+    for (const state of [...from, transition.to]) {
+      if (!stateNames.includes(state)) {
+        throw new Error(
+          `State machine of ${type} references unknown state: ${state}`,
+        );
+      }
+    }
+    normalized[name] = Object.freeze({ ...transition, from });
+  }
+
+  /**
+   * Lists the names of the transitions that start from a state
+   * @param {string} state - The state
+   * @returns {string[]}
+   */
+  function transitionsFrom(state) {
+    return Object.keys(normalized).filter((name) =>
+      normalized[name].from.includes(state),
+    );
+  }
+
+  /**
+   * Renders the machine as Mermaid state diagram
+   * Final states, those without outgoing transitions, lead to the end marker.
+   * @returns {string}
+   */
+  function toMermaid() {
+    const lines = ["stateDiagram-v2"];
+    if (initial !== undefined) {
+      lines.push(`    [*] --> ${initial}`);
+    }
+    for (const [from, to, label] of edges()) {
+      lines.push(`    ${from} --> ${to}: ${label}`);
+    }
+    for (const state of finalStates()) {
+      lines.push(`    ${state} --> [*]`);
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Renders the machine as Graphviz DOT graph
+   * Final states are drawn with a double border.
+   * @returns {string}
+   */
+  function toDot() {
+    const lines = [
+      `digraph ${quote(type)} {`,
+      "  rankdir=LR;",
+      "  node [shape=box, style=rounded];",
+    ];
+    if (initial !== undefined) {
+      lines.push('  "[*]" [shape=point];');
+      lines.push(`  "[*]" -> ${quote(initial)};`);
+    }
+    for (const state of finalStates()) {
+      lines.push(`  ${quote(state)} [peripheries=2];`);
+    }
+    for (const [from, to, label] of edges()) {
+      lines.push(`  ${quote(from)} -> ${quote(to)} [label=${quote(label)}];`);
+    }
+    lines.push("}");
+    return lines.join("\n");
+  }
+
+  /**
+   * Lists the edges of the diagrams as source, target and label
+   * Labels name the transition, its guard and its event.
+   * @returns {Array<[string, string, string]>}
+   * @private
+   */
+  function edges() {
+    return Object.entries(normalized).flatMap(([name, transition]) => {
+      let label = name;
+      if (transition.guard) {
+        label += ` [${transition.guard.name || "guard"}]`;
+      }
+      if (transition.event) {
+        label += ` / ${eventTypeOf(transition.event)}`;
+      }
+      return transition.from.map(
+        (from) =>
+          /** @type {[string, string, string]} */ ([
+            from,
+            transition.to,
+            label,
+          ]),
+      );
+    });
+  }
+
+  /**
+   * Lists the states without outgoing transitions
+   * @returns {string[]}
+   * @private
+   */
+  function finalStates() {
+    return stateNames.filter((state) => transitionsFrom(state).length === 0);
+  }
+
+  return Object.freeze({
+    type,
+    field,
+    initial,
+    states,
+    transitions: Object.freeze(normalized),
+    transitionsFrom,
+    toMermaid,
+    toDot,
+  });
+}
+
+/**
+ * Field schemas restricted to the declared states, to restrict them afresh
+ * when an extended aggregate declares other states
+ * @type {WeakSet<z.ZodTypeAny>}
+ * @private
+ */
+const stateFields = new WeakSet();
+
+/**
+ * Restricts the field of a state machine to the declared states
+ * Schemas that are not object schemas are returned as they are.
+ * @param {StateMachine} machine - The state machine
+ * @param {any} schema - The schema of the aggregate
+ * @returns {any} The schema with the restricted field
+ */
+export function withDeclaredStates(machine, schema) {
+  const { type, field, states } = machine;
+  if (!(schema instanceof z.ZodObject)) {
+    return schema;
+  }
+
+  const stateNames = Object.keys(states);
+  /** @type {z.ZodTypeAny} */
+  let fieldSchema = schema.shape[field];
+  if (stateFields.has(fieldSchema)) {
+    fieldSchema = /** @type {z.ZodEffects<any>} */ (fieldSchema).innerType();
+  }
+  const restricted = fieldSchema.refine(
+    (value) => value === undefined || stateNames.includes(stateValue(value)),
+    (value) => {
+      const params = {
+        type,
+        state: stateValue(value),
+        states: stateNames.join(", "),
+      };
+      return {
+        message: translate("stateMachine.unknownState", params),
+        params: {
+          messageKey: "stateMachine.unknownState",
+          messageParams: params,
+        },
+      };
+    },
+  );
+  stateFields.add(restricted);
+  return schema.extend({ [field]: restricted });
+}
+
+/**
+ * Creates the instance methods of a state machine
+ * Each transition becomes a method that checks the current state and the
+ * guard, updates the aggregate with the updates of the exit action, the
+ * transition action and the entry action, and emits the event.
+ * @param {StateMachine} machine - The state machine
+ * @param {any} factory - The aggregate factory
+ * @returns {Record<string, Function>} The methods
+ */
+export function stateMachineMethods(machine, factory) {
+  const { type, field, states, transitions } = machine;
+
+  /** @type {Record<string, Function>} */
+  const methods = {
+    /**
+     * Checks if a transition is possible in the current state
+     * @param {string} name - The name of the transition
+     * @param {...any} args - The arguments the guard receives
+     * @returns {boolean}
+     */
+    canTransition(name, ...args) {
+      const transition = transitions[name];
+      return (
+        transition !== undefined &&
+        transition.from.includes(stateOf(this, field)) &&
+        (!transition.guard || Boolean(transition.guard(this, ...args)))
+      );
+    },
+
+    /**
+     * Lists the transitions that start from the current state
+     * Guards are not checked, as they may depend on method arguments.
+     * @returns {string[]}
+     */
+    availableTransitions() {
+      return machine.transitionsFrom(stateOf(this, field));
+    },
+  };
+
+  for (const [name, transition] of Object.entries(transitions)) {
+    methods[name] = function (/** @type {any[]} */ ...args) {
+      const from = stateOf(this, field);
+      const { to } = transition;
+
+      if (!transition.from.includes(from)) {
+        throw new InvalidTransitionError(
+          {
+            key: "stateMachine.invalidTransition",
+            params: { type, transition: name, from },
+          },
+          from,
+          to,
+          { objectType: type, transition: name, allowed: transition.from },
+        );
+      }
+      if (transition.guard && !transition.guard(this, ...args)) {
+        throw new InvalidTransitionError(
+          {
+            key: "stateMachine.guardRejected",
+            params: { type, transition: name, from, to },
+          },
+          from,
+          to,
+          { objectType: type, transition: name },
+        );
+      }
+
+      /** @type {TransitionInfo} */
+      const info = { name, from, to, args };
+      const updated = factory.update(this, {
+        ...states[from].onExit?.(this, info),
+        ...transition.action?.(this, ...args),
+        ...states[to].onEntry?.(this, info),
+        [field]: to,
+      });
+
+      if (!transition.event) {
+        return updated;
+      }
+      const eventData = transition.eventData
+        ? transition.eventData(updated, ...args)
+        : { [factory.identity]: updated[factory.identity], from, to };
+      return updated.emitEvent(transition.event, eventData);
+    };
+  }
+  return methods;
+}
+
+/**
+ * Returns the state of an aggregate, unwrapping enum value objects
+ * @param {any} aggregate - The aggregate
+ * @param {string} field - The field holding the state
+ * @returns {string}
+ * @private
+ */
+function stateOf(aggregate, field) {
+  return stateValue(aggregate[field]);
+}
+
+/**
+ * Returns a state, unwrapping enum value objects
+ * @param {any} value - The value of the state field
+ * @returns {string}
+ * @private
+ */
+function stateValue(value) {
+  return value != null && typeof value === "object"
+    ? String(value.valueOf())
+    : value;
+}
+
+/**
+ * Brings both state notations into the definition form
+ * @param {string} type - The aggregate type name, for error messages
+ * @param {string[] | Record<string, StateDefinition>} states - The states
+ * @returns {Readonly<Record<string, StateDefinition>>} Definitions by state
+ * @throws {Error} If there are no states
+ * @private
+ */
+function normalizeStates(type, states) {
+  const entries = Array.isArray(states)
+    ? states.map((state) => [state, {}])
+    : Object.entries(states ?? {});
+  if (entries.length === 0) {
+    throw new Error(`State machine of ${type} needs at least one state`);
+  }
+  return Object.freeze(
+    Object.fromEntries(
+      entries.map(([state, definition]) => [
+        state,
+        Object.freeze({ ...definition }),
+      ]),
+    ),
+  );
+}
+
+/**
+ * Returns the type of a transition event
+ * @param {string | {type: string}} event - Event type or event factory
+ * @returns {string}
+ * @private
+ */
+function eventTypeOf(event) {
+  return typeof event === "string" ? event : event.type;
+}
+
+/**
+ * Quotes an identifier for DOT
+ * @param {string} id - The identifier
+ * @returns {string}
+ * @private
+ */
+function quote(id) {
+  return `"${String(id).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
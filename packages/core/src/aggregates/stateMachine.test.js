@@ -0,0 +1,374 @@
+// packages/core/src/aggregates/stateMachine.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { aggregate } from "./Base.js";
+import { domainEvent } from "../events/Base.js";
+import { valueObject } from "../valueObjects/index.js";
+import {
+  InvalidTransitionError,
+  InvariantViolationError,
+  ValidationError,
+} from "../errors/index.js";
+
+describe("stateMachine", () => {
+  const OrderShipped = domainEvent({
+    name: "OrderShipped",
+    schema: z.object({ orderId: z.string(), trackingNumber: z.string() }),
+  });
+
+  const hasLines = (order) => order.lines > 0;
+
+  const Order = aggregate({
+    name: "Order",
+    schema: z.object({
+      id: z.string(),
+      status: z.enum(["DRAFT", "PLACED", "SHIPPED", "CANCELLED"]),
+      lines: z.number().int(),
+      placedAt: z.date().optional(),
+      trackingNumber: z.string().optional(),
+      log: z.array(z.string()).default([]),
+    }),
+    identity: "id",
+    invariants: [
+      {
+        name: "shipped orders have a tracking number",
+        check: (order) =>
+          order.status !== "SHIPPED" || Boolean(order.trackingNumber),
+      },
+    ],
+    stateMachine: {
+      initial: "DRAFT",
+      states: {
+        DRAFT: {
+          onExit: (order, { name }) => ({
+            log: [...order.log, `exit:${name}`],
+          }),
+        },
+        PLACED: {
+          onEntry: () => ({ placedAt: new Date("2024-01-01T00:00:00Z") }),
+        },
+        SHIPPED: {},
+        CANCELLED: {},
+      },
+      transitions: {
+        place: {
+          from: "DRAFT",
+          to: "PLACED",
+          guard: hasLines,
+          event: "OrderPlaced",
+        },
+        ship: {
+          from: "PLACED",
+          to: "SHIPPED",
+          action: (order, trackingNumber) => ({ trackingNumber }),
+          event: OrderShipped,
+          eventData: (order) => ({
+            orderId: order.id,
+            trackingNumber: order.trackingNumber,
+          }),
+        },
+        cancel: { from: ["DRAFT", "PLACED"], to: "CANCELLED" },
+      },
+    },
+    methodsFactory: () => ({}),
+  });
+
+  const draft = Order.create({ id: "o-1", status: "DRAFT", lines: 2 });
+
+  describe("transitions", () => {
+    it("should generate a method per transition that moves the state", () => {
+      // Act
+      const placed = draft.place();
+
+      // Assert
+      expect(placed.status).toBe("PLACED");
+      expect(draft.status).toBe("DRAFT");
+      expect(placed.cancel().status).toBe("CANCELLED");
+    });
+
+    it("should run the exit, transition and entry actions in one update", () => {
+      // Act
+      const placed = draft.place();
+      const shipped = placed.ship("TRACK-1");
+
+      // Assert
+      expect(placed.log).toEqual(["exit:place"]);
+      expect(placed.placedAt).toEqual(new Date("2024-01-01T00:00:00Z"));
+      expect(shipped.trackingNumber).toBe("TRACK-1");
+    });
+
+    it("should emit the events of the transitions", () => {
+      // Act
+      const placed = draft.place();
+      const shipped = placed.ship("TRACK-1");
+
+      // Assert
+      expect(placed.getDomainEvents()).toEqual([
+        expect.objectContaining({
+          type: "OrderPlaced",
+          id: "o-1",
+          from: "DRAFT",
+          to: "PLACED",
+        }),
+      ]);
+      expect(shipped.getDomainEvents()).toEqual([
+        expect.objectContaining({ type: "OrderPlaced", id: "o-1" }),
+        expect.objectContaining({
+          type: "OrderShipped",
+          orderId: "o-1",
+          trackingNumber: "TRACK-1",
+        }),
+      ]);
+      expect(draft.cancel().getDomainEvents()).toEqual([]);
+    });
+
+    it("should keep the events emitted before a transition", () => {
+      // Arrange
+      const noted = draft.emitEvent("OrderNoted", { note: "rush" });
+
+      // Act
+      const events = noted.place().cancel().getDomainEvents();
+
+      // Assert
+      expect(events.map((event) => event.type)).toEqual([
+        "OrderNoted",
+        "OrderPlaced",
+      ]);
+    });
+
+    it("should reject transitions from other states", () => {
+      // Act
+      let error;
+      try {
+        draft.ship("TRACK-1");
+      } catch (e) {
+        error = e;
+      }
+
+      // Assert
+      expect(error).toBeInstanceOf(InvalidTransitionError);
+      expect(error.message).toBe("Cannot ship Order in state DRAFT");
+      expect(error.from).toBe("DRAFT");
+      expect(error.to).toBe("SHIPPED");
+      expect(error.context).toMatchObject({
+        transition: "ship",
+        allowed: ["PLACED"],
+      });
+    });
+
+    it("should reject transitions whose guard fails", () => {
+      // Arrange
+      const empty = Order.create({ id: "o-2", status: "DRAFT", lines: 0 });
+
+      // Act & Assert
+      expect(() => empty.place()).toThrow(
+        "Cannot place Order, the guard rejected the transition from DRAFT to PLACED",
+      );
+      expect(() => empty.place()).toThrow(InvalidTransitionError);
+    });
+
+    it("should check the invariants of the aggregate", () => {
+      // Act & Assert
+      expect(() => draft.place().ship("")).toThrow(InvariantViolationError);
+    });
+
+    it("should tell which transitions are possible", () => {
+      // Arrange
+      const empty = Order.create({ id: "o-2", status: "DRAFT", lines: 0 });
+
+      // Assert
+      expect(draft.availableTransitions()).toEqual(["place", "cancel"]);
+      expect(draft.canTransition("place")).toBe(true);
+      expect(empty.canTransition("place")).toBe(false);
+      expect(draft.canTransition("ship")).toBe(false);
+      expect(draft.canTransition("unknown")).toBe(false);
+    });
+
+    it("should support enum value objects as state", () => {
+      // Arrange
+      const TaskStatus = valueObject.enum({
+        name: "TaskStatus",
+        members: ["OPEN", "DONE"],
+      });
+      const Task = aggregate({
+        name: "Task",
+        schema: z.object({ id: z.string(), status: TaskStatus.schema }),
+        identity: "id",
+        stateMachine: {
+          states: ["OPEN", "DONE"],
+          transitions: { complete: { from: "OPEN", to: "DONE" } },
+        },
+        methodsFactory: () => ({}),
+      });
+      const task = Task.create({ id: "t-1", status: "OPEN" });
+
+      // Act
+      const done = task.complete();
+
+      // Assert
+      expect(String(done.status)).toBe("DONE");
+      expect(() => done.complete()).toThrow(InvalidTransitionError);
+    });
+
+    it("should keep the state machine on extended aggregates", () => {
+      // Arrange
+      const RushOrder = Order.extend({
+        name: "RushOrder",
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const placed = RushOrder.create({
+        id: "o-3",
+        status: "DRAFT",
+        lines: 1,
+      }).place();
+
+      // Assert
+      expect(placed.status).toBe("PLACED");
+      expect(RushOrder.stateMachine.transitionsFrom("PLACED")).toEqual([
+        "ship",
+        "cancel",
+      ]);
+    });
+  });
+
+  describe("declaration", () => {
+    const declare = (stateMachine) =>
+      aggregate({
+        name: "Ticket",
+        schema: z.object({ id: z.string(), status: z.string() }),
+        identity: "id",
+        stateMachine,
+        methodsFactory: () => ({}),
+      });
+
+    it("should reject unknown states, reserved names and missing fields", () => {
+      // Act & Assert
+      expect(() =>
+        declare({
+          states: ["OPEN"],
+          transitions: { close: { from: "OPEN", to: "CLOSED" } },
+        }),
+      ).toThrow("State machine of Ticket references unknown state: CLOSED");
+      expect(() =>
+        declare({
+          states: ["OPEN"],
+          transitions: { equals: { from: "OPEN", to: "OPEN" } },
+        }),
+      ).toThrow('Transition name "equals" of Ticket is reserved');
+      expect(() => declare({ states: [], transitions: {} })).toThrow(
+        "State machine of Ticket needs at least one state",
+      );
+      expect(() =>
+        declare({ field: "stage", states: ["OPEN"], transitions: {} }),
+      ).toThrow(
+        'State machine of Ticket needs the field "stage" in the schema',
+      );
+    });
+
+    it("should only accept the declared states in the schema", () => {
+      // Arrange
+      const Ticket = declare({
+        states: ["OPEN", "CLOSED"],
+        transitions: { close: { from: "OPEN", to: "CLOSED" } },
+      });
+      const ticket = Ticket.create({ id: "t-1", status: "OPEN" });
+
+      // Act & Assert
+      expect(() => Ticket.create({ id: "t-2", status: "BOGUS" })).toThrow(
+        ValidationError,
+      );
+      expect(() => Ticket.create({ id: "t-2", status: "BOGUS" })).toThrow(
+        "Unknown state BOGUS of Ticket, expected one of OPEN, CLOSED",
+      );
+      expect(() => Ticket.update(ticket, { status: "BOGUS" })).toThrow(
+        ValidationError,
+      );
+    });
+
+    it("should let plain updates bypass the transitions", () => {
+      // Arrange
+      const Ticket = declare({
+        states: ["OPEN", "CLOSED"],
+        transitions: { close: { from: "OPEN", to: "CLOSED" } },
+      });
+      const closed = Ticket.create({ id: "t-1", status: "CLOSED" });
+
+      // Act
+      const reopened = Ticket.update(closed, { status: "OPEN" });
+
+      // Assert
+      expect(reopened.status).toBe("OPEN");
+    });
+
+    it("should accept the states declared by extended aggregates", () => {
+      // Arrange
+      const Ticket = declare({
+        states: ["OPEN", "CLOSED"],
+        transitions: { close: { from: "OPEN", to: "CLOSED" } },
+      });
+      const Incident = Ticket.extend({
+        name: "Incident",
+        stateMachine: {
+          states: ["OPEN", "RESOLVED"],
+          transitions: { resolve: { from: "OPEN", to: "RESOLVED" } },
+        },
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const resolved = Incident.create({ id: "i-1", status: "OPEN" }).resolve();
+
+      // Assert
+      expect(resolved.status).toBe("RESOLVED");
+      expect(() => Incident.create({ id: "i-2", status: "CLOSED" })).toThrow(
+        "Unknown state CLOSED of Incident, expected one of OPEN, RESOLVED",
+      );
+    });
+  });
+
+  describe("diagrams", () => {
+    it("should export the machine as Mermaid state diagram", () => {
+      // Act
+      const diagram = Order.stateMachine.toMermaid();
+
+      // Assert
+      expect(diagram).toBe(
+        [
+          "stateDiagram-v2",
+          "    [*] --> DRAFT",
+          "    DRAFT --> PLACED: place [hasLines] / OrderPlaced",
+          "    PLACED --> SHIPPED: ship / OrderShipped",
+          "    DRAFT --> CANCELLED: cancel",
+          "    PLACED --> CANCELLED: cancel",
+          "    SHIPPED --> [*]",
+          "    CANCELLED --> [*]",
+        ].join("\n"),
+      );
+    });
+
+    it("should export the machine as DOT graph", () => {
+      // Act
+      const diagram = Order.stateMachine.toDot();
+
+      // Assert
+      expect(diagram).toBe(
+        [
+          'digraph "Order" {',
+          "  rankdir=LR;",
+          "  node [shape=box, style=rounded];",
+          '  "[*]" [shape=point];',
+          '  "[*]" -> "DRAFT";',
+          '  "SHIPPED" [peripheries=2];',
+          '  "CANCELLED" [peripheries=2];',
+          '  "DRAFT" -> "PLACED" [label="place [hasLines] / OrderPlaced"];',
+          '  "PLACED" -> "SHIPPED" [label="ship / OrderShipped"];',
+          '  "DRAFT" -> "CANCELLED" [label="cancel"];',
+          '  "PLACED" -> "CANCELLED" [label="cancel"];',
+          "}",
+        ].join("\n"),
+      );
+    });
+  });
+});
@@ -0,0 +1,23 @@
+import { z } from "zod";
+
+/**
+ * Zod schema for the `version` field of versioned aggregates, starting at 0
+ */
+export const versionSchema: z.ZodDefault<z.ZodNumber>;
+
+/**
+ * Returns the version a repository expects to find when saving an aggregate,
+ * i.e. its version when it was loaded or last saved
+ */
+export function expectedVersionOf(aggregate: { version?: number }): number;
+
+/**
+ * Tracks the expected version of the objects that make up an aggregate
+ * instance
+ */
+export function trackExpectedVersion(objects: object[], version: number): void;
+
+/**
+ * Records the version a repository expects to find when saving an aggregate
+ */
+export function setExpectedVersion(aggregate: object, version: number): void;
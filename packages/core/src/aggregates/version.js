@@ -0,0 +1,64 @@
+// packages/core/src/aggregates/version.js
+import { z } from "zod";
+
+/**
+ * Zod schema for the `version` field of versioned aggregates
+ * New aggregates start at version 0, and every update increments it.
+ *
+ * @example
+ * const Order = aggregate({
+ *   name: "Order",
+ *   schema: z.object({ id: z.string(), total: z.number(), version: versionSchema }),
+ *   identity: "id",
+ *   versioned: true,
+ *   methodsFactory: () => ({}),
+ * });
+ */
+export const versionSchema = z.number().int().nonnegative().default(0);
+
+/**
+ * The versions the store is expected to hold, shared by the objects that
+ * make up one aggregate instance
+ * @type {WeakMap<object, {version: number}>}
+ */
+const expectedVersions = new WeakMap();
+
+/**
+ * Returns the version a repository expects to find when saving an aggregate
+ * That is the version the aggregate had when it was loaded or last saved,
+ * before any of its unsaved updates.
+ * @param {any} aggregate - The versioned aggregate
+ * @returns {number} The expected version
+ */
+export function expectedVersionOf(aggregate) {
+  return expectedVersions.get(aggregate)?.version ?? aggregate.version;
+}
+
+/**
+ * Tracks the expected version of the objects that make up an aggregate instance
+ * @param {object[]} objects - The aggregate and the entity its methods are bound to
+ * @param {number} version - The expected version
+ * @returns {void}
+ */
+export function trackExpectedVersion(objects, version) {
+  const expected = { version };
+  for (const object of objects) {
+    expectedVersions.set(object, expected);
+  }
+}
+
+/**
+ * Records the version a repository expects to find when saving an aggregate,
+ * e.g. after it was saved
+ * @param {object} aggregate - The versioned aggregate
+ * @param {number} version - The expected version
+ * @returns {void}
+ */
+export function setExpectedVersion(aggregate, version) {
+  const expected = expectedVersions.get(aggregate);
+  if (expected) {
+    expected.version = version;
+  } else {
+    trackExpectedVersion([aggregate], version);
+  }
+}
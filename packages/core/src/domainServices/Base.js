@@ -59,7 +59,10 @@ export function domainService({
 
     if (missingDependencies.length > 0) {
       throw new DomainServiceError(
-          `Missing required dependencies: ${missingDependencies.join(", ")}`,
+          {
+            key: "domainService.missingDependencies",
+            params: { dependencies: missingDependencies.join(", ") },
+          },
           null,
           { service: name, missingDependencies },
       );
@@ -1,4 +1,9 @@
 import { z } from "zod";
+import { HistoryOptions } from "./history";
+import { LifecycleHooks } from "./lifecycle";
+import { Trait } from "./traits";
+import { PatchOperation } from "./patch";
+import { Result } from "../result/Base";
 
 /**
  * An entity with standard methods
@@ -14,6 +19,11 @@ export type Entity<T> = T & {
    */
   toString: () => string;
 
+  /**
+   * Returns the plain entity data used by JSON.stringify
+   */
+  toJSON: () => Record<string, unknown>;
+
   [key: string]: unknown;
 }
 
@@ -28,16 +38,71 @@ export type PartialOf<T> = {
  * A factory for creating and managing entities
  */
 export type EntityFactory<SchemaType extends z.ZodType, T> = {
+  /**
+   * The name of the entity type
+   */
+  name: string;
+
   /**
    * Creates a new instance of the entity
    */
   create: (data: T) => Entity<T>;
 
+  /**
+   * Rebuilds an entity from stored data, e.g. a row loaded by a repository,
+   * telling the create hooks that it is not new
+   */
+  reconstitute: (data: T) => Entity<T>;
+
   /**
    * Updates an entity with new values while preserving its identity
    */
   update: (entity: Entity<T>, updates: PartialOf<T>) => Entity<T>;
 
+  /**
+   * Creates a new instance, running asynchronous refinements of the schema
+   */
+  createAsync: (
+    data: T,
+    options?: { signal?: AbortSignal }
+  ) => Promise<Entity<T>>;
+
+  /**
+   * Updates an entity, running asynchronous refinements of the schema
+   */
+  updateAsync: (
+    entity: Entity<T>,
+    updates: PartialOf<T>,
+    options?: { signal?: AbortSignal }
+  ) => Promise<Entity<T>>;
+
+  /**
+   * Creates a new instance without throwing
+   */
+  tryCreate: (data: T) => Result<Entity<T>>;
+
+  /**
+   * Updates an entity without throwing
+   */
+  tryUpdate: (
+    entity: Entity<T>,
+    updates: PartialOf<T>
+  ) => Result<Entity<T>>;
+
+  /**
+   * Applies JSON Patch operations through update, validating the result
+   */
+  applyPatch: (entity: Entity<T>, patch: PatchOperation[]) => Entity<T>;
+
+  /**
+   * Applies JSON Patch operations through updateAsync
+   */
+  applyPatchAsync: (
+    entity: Entity<T>,
+    patch: PatchOperation[],
+    options?: { signal?: AbortSignal }
+  ) => Promise<Entity<T>>;
+
   /**
    * The schema used for validation
    */
@@ -48,6 +113,11 @@ export type EntityFactory<SchemaType extends z.ZodType, T> = {
    */
   identity: string;
 
+  /**
+   * The traits the entity opted into
+   */
+  traits: Trait[];
+
   /**
    * Creates an extended version of this entity with additional functionality
    */
@@ -56,8 +126,26 @@ export type EntityFactory<SchemaType extends z.ZodType, T> = {
     schema?: (schema: SchemaType) => NewSchemaType;
     methodsFactory: (factory: EntityFactory<SchemaType, T>) => Record<string, Function>;
     identity?: string;
-    historize?: boolean;
+    historize?: boolean | HistoryOptions;
+    computed?: Record<string, (entity: Entity<NewT>) => unknown>;
+    hooks?: LifecycleHooks<Entity<NewT>, NewT>;
+    traits?: Trait[];
   }) => EntityFactory<NewSchemaType, NewT>;
+
+  /**
+   * Checks if a value was created by this factory or one extended from it
+   */
+  isInstance: (value: unknown) => boolean;
+
+  /**
+   * Checks if this factory is another factory or was extended from it
+   */
+  isSubtypeOf: (factory: unknown) => boolean;
+
+  /**
+   * Lists the type names of this factory and its ancestors, closest first
+   */
+  lineage: () => string[];
 }
 
 /**
@@ -97,7 +185,26 @@ export function entity<SchemaType extends z.ZodType, T = z.infer<SchemaType>>(op
   methodsFactory: (factory: EntityFactory<SchemaType, T>) => EntityMethods<T & Entity<T>>;
 
   /**
-   * Whether to track state changes
+   * Whether to track state changes, optionally with retention rules or an
+   * external store. Historized instances get getHistory, asOf and revertTo.
+   */
+  historize?: boolean | HistoryOptions;
+
+  /**
+   * Derived properties, computed once per instance on first access and
+   * included in toJSON
+   */
+  computed?: Record<string, (entity: Entity<T>) => unknown>;
+
+  /**
+   * Hooks that transform data or reject changes around create and update,
+   * inherited by extended entities
+   */
+  hooks?: LifecycleHooks<Entity<T>, T>;
+
+  /**
+   * Reusable fields, hooks and methods, e.g. `auditable()` or
+   * `softDeletable()`, inherited by extended entities
    */
-  historize?: boolean;
+  traits?: Trait[];
 }): EntityFactory<SchemaType, T>;
@@ -1,11 +1,56 @@
 import { z } from "zod";
-import { ValidationError, DomainError } from "../errors/index.js";
+import {
+  ValidationError,
+  DomainError,
+  translateIssue,
+} from "../errors/index.js";
+import { attempt } from "../result/Base.js";
+import { TYPE_NAME } from "../serialization/Base.js";
+import { dataKeys, deepEqual } from "../valueObjects/equality.js";
+import {
+  BRAND,
+  brandOf,
+  areRelated,
+  createBrand,
+  inheritBrand,
+  typeChecks,
+} from "../valueObjects/branding.js";
+import {
+  historyOptions,
+  normalizeHistory,
+  appendHistory,
+  historyAsOf,
+  revertUpdates,
+} from "./history.js";
+import {
+  normalizeHooks,
+  mergeHooks,
+  runHooks,
+  runHooksAsync,
+} from "./lifecycle.js";
+import {
+  withTraitFields,
+  traitHooks,
+  traitMethods,
+  mergeTraits,
+} from "./traits.js";
+import { patchUpdates } from "./patch.js";
+import { throwIfAborted } from "../errors/abort.js";
+
+/**
+ * Key of the update functions that return the new history of an entity
+ * instead of saving it to the history store, so aggregates can save it only
+ * once their invariants hold
+ * @private
+ */
+export const STAGED_UPDATE = Symbol("stagedUpdate");
 
 /**
  * @template T
  * @typedef {T & {
  *   equals: (other: unknown) => boolean,
  *   toString: () => string,
+ *   toJSON: () => Record<string, unknown>,
  *   [key: string]: unknown
  * }} Entity<T>
  */
@@ -20,17 +65,32 @@ import { ValidationError, DomainError } from "../errors/index.js";
  * @template SchemaType
  * @template T
  * @typedef {Object} EntityFactory<SchemaType, T>
+ * @property {string} name - The name of the entity type
  * @property {(data: T) => Entity<T>} create - Creates a new instance of the entity
+ * @property {(data: T) => Entity<T>} reconstitute - Rebuilds an entity from stored data, telling the create hooks it is not new
  * @property {(entity: Entity<T>, updates: PartialOf<T>) => Entity<T>} update - Updates an entity with new values
+ * @property {(data: T, options?: {signal?: AbortSignal}) => Promise<Entity<T>>} createAsync - Creates a new instance, running asynchronous refinements
+ * @property {(entity: Entity<T>, updates: PartialOf<T>, options?: {signal?: AbortSignal}) => Promise<Entity<T>>} updateAsync - Updates an entity, running asynchronous refinements
+ * @property {(data: T) => import('../result/Base.js').Result<Entity<T>>} tryCreate - Creates a new instance without throwing
+ * @property {(entity: Entity<T>, updates: PartialOf<T>) => import('../result/Base.js').Result<Entity<T>>} tryUpdate - Updates an entity without throwing
+ * @property {(entity: Entity<T>, patch: import('./patch.js').PatchOperation[]) => Entity<T>} applyPatch - Applies JSON Patch operations through update
+ * @property {(entity: Entity<T>, patch: import('./patch.js').PatchOperation[], options?: {signal?: AbortSignal}) => Promise<Entity<T>>} applyPatchAsync - Applies JSON Patch operations through updateAsync
  * @property {SchemaType} schema - The Zod schema used for validation
  * @property {string} identity - The field used as identity
+ * @property {import('./traits.js').Trait[]} traits - The traits the entity opted into
  * @property {<NewSchemaType, NewT>(options: {
  *   name: string,
  *   schema?: (schema: SchemaType) => NewSchemaType,
  *   methodsFactory: Function,
  *   identity?: string,
- *   historize?: boolean
+ *   historize?: boolean | import('./history.js').HistoryOptions,
+ *   computed?: Record<string, (entity: any) => unknown>,
+ *   hooks?: import('./lifecycle.js').LifecycleHooks,
+ *   traits?: import('./traits.js').Trait[]
  * }) => EntityFactory<NewSchemaType, NewT>} extend - Creates an extended version of this entity
+ * @property {(value: unknown) => boolean} isInstance - Checks if a value was created by this factory or one extended from it
+ * @property {(factory: unknown) => boolean} isSubtypeOf - Checks if this factory is another factory or was extended from it
+ * @property {() => string[]} lineage - Lists the type names of this factory and its ancestors
  */
 
 /**
@@ -49,21 +109,54 @@ import { ValidationError, DomainError } from "../errors/index.js";
  * @param {SchemaType} options.schema - Zod schema for validation
  * @param {string} options.identity - Field name that serves as the identity
  * @param {function(EntityFactory<SchemaType, T>): Record<string, Function>} options.methodsFactory - Factory function that creates methods
- * @param {boolean} [options.historize=false] - Whether to track state changes
+ * @param {boolean | import('./history.js').HistoryOptions} [options.historize=false] - Whether to track state changes, optionally with retention rules or an external store
+ * @param {Record<string, (entity: any) => unknown>} [options.computed] - Derived properties, computed once per instance and included in toJSON
+ * @param {import('./lifecycle.js').LifecycleHooks} [options.hooks] - Hooks that transform data or reject changes around create and update
+ * @param {import('./traits.js').Trait[]} [options.traits] - Reusable fields, hooks and methods, e.g. `auditable()`
  * @returns {EntityFactory<SchemaType, T>} A factory object to create and manage entities
  */
 export function entity({
                          name,
-                         schema,
+                         schema: baseSchema,
                          identity,
                          methodsFactory,
                          historize = false,
+                         computed = {},
+                         hooks = {},
+                         traits = [],
                        }) {
   if (!name) throw new Error("Entity name is required");
-  if (!schema) throw new Error("Entity schema is required");
+  if (!baseSchema) throw new Error("Entity schema is required");
   if (!identity) throw new Error("Entity identity field is required");
   if (typeof methodsFactory !== 'function') throw new Error("Method factory is required");
 
+  for (const [propertyName, compute] of Object.entries(computed)) {
+    if (typeof compute !== "function") {
+      throw new Error(`Computed property "${propertyName}" must be a function`);
+    }
+  }
+
+  // History settings, or null if changes are not tracked
+  const history = historyOptions(historize);
+
+  // The schema with the fields of the traits
+  const schema = withTraitFields(name, baseSchema, traits);
+
+  // Parsing strips undeclared fields, which would drop an in-object history
+  if (history && !history.store && schema.shape && !("_history" in schema.shape)) {
+    throw new Error(
+      `Historized entity ${name} must declare a _history field, e.g. _history: historySchema, or use a history store`,
+    );
+  }
+
+  // Lifecycle hooks as a list of functions per hook, those of the traits first
+  const ownHooks = normalizeHooks(hooks);
+  const lifecycle = traitHooks(traits, ownHooks);
+
+  // Brand identifying instances of this factory, distinct from any other type
+  const brand = createBrand(name);
+  const checks = typeChecks(brand);
+
   /**
    * Create a new entity instance
    * @param {T} data - The data to create the entity from
@@ -71,83 +164,350 @@ export function entity({
    * @throws {ValidationError} If validation fails
    */
   function create(data) {
+    return createWith(data, { reconstituted: false });
+  }
+
+  /**
+   * Rebuilds an entity from stored data, e.g. a row loaded by a repository
+   * The data is validated as on create, and the create hooks learn that the
+   * entity is not new, so traits such as auditable keep its stamps.
+   * @param {T} data - The stored data
+   * @returns {Entity<T>} The entity
+   * @throws {ValidationError} If validation fails
+   */
+  function reconstitute(data) {
+    return createWith(data, { reconstituted: true });
+  }
+
+  /**
+   * Runs the create hooks around validating data
+   * @param {any} data - The data to create the entity from
+   * @param {import('./lifecycle.js').CreationContext} creation - How the entity comes into being
+   * @returns {Entity<T>} The entity
+   * @private
+   */
+  function createWith(data, creation) {
+    const prepared = runHooks(name, "beforeCreate", lifecycle.beforeCreate, data, creation);
+    return runHooks(name, "afterCreate", lifecycle.afterCreate, validate(prepared), creation);
+  }
+
+  /**
+   * Creates a new entity instance, running asynchronous refinements of the schema
+   * @param {T} data - The data to create the entity from
+   * @param {{signal?: AbortSignal}} [options] - Signal to cancel the creation
+   * @returns {Promise<Entity<T>>} A new entity instance
+   * @throws {ValidationError} If validation fails
+   */
+  async function createAsync(data, { signal } = {}) {
+    const creation = { reconstituted: false };
+    const prepared = await runHooksAsync(
+        "beforeCreate", lifecycle.beforeCreate, data, [creation], signal,
+    );
+    const created = await validateAsync(prepared, signal);
+    return runHooksAsync(
+        "afterCreate", lifecycle.afterCreate, created, [creation], signal,
+    );
+  }
+
+  /**
+   * Validates data and builds an entity from it, without running hooks
+   * @param {any} data - The data to validate
+   * @returns {Entity<T>} The entity
+   * @throws {ValidationError} If validation fails
+   * @private
+   */
+  function validate(data) {
     try {
       // Parse and validate the data using the schema
-      const validatedData = schema.parse(data);
+      return instantiate(schema.parse(data));
+    } catch (error) {
+      throw toValidationError(error, data);
+    }
+  }
 
-      // Ensure the identity field exists
-      if (validatedData[identity] === undefined) {
-        throw new Error(`Identity field "${identity}" is required`);
+  /**
+   * Validates data with asynchronous refinements and builds an entity from it,
+   * without running hooks
+   * @param {any} data - The data to validate
+   * @param {AbortSignal} [signal] - Signal to cancel the validation
+   * @returns {Promise<Entity<T>>} The entity
+   * @throws {ValidationError} If validation fails
+   * @private
+   */
+  async function validateAsync(data, signal) {
+    throwIfAborted(signal);
+    let validatedData;
+    try {
+      validatedData = await schema.parseAsync(data);
+    } catch (error) {
+      throw toValidationError(error, data);
+    }
+    throwIfAborted(signal);
+    return instantiate(validatedData);
+  }
+
+  /**
+   * Builds a frozen entity from validated data
+   * @param {any} validatedData - Data produced by the schema
+   * @returns {Entity<T>} The entity
+   * @private
+   */
+  function instantiate(validatedData) {
+    // Ensure the identity field exists
+    if (validatedData[identity] === undefined) {
+      throw new Error(`Identity field "${identity}" is required`);
+    }
+
+    // Computed values copied along with the data of an earlier instance are recomputed
+    if (Object.keys(computed).some((key) => key in validatedData)) {
+      validatedData = { ...validatedData };
+      for (const key of Object.keys(computed)) {
+        delete validatedData[key];
       }
+    }
 
-      // Create the base prototype with standard methods
-      const prototype = {
-        ...validatedData,
-
-        /**
-         * Compares this entity with another for equality
-         * Entities are equal when they have the same identity
-         *
-         * @param {unknown} other - The object to compare with
-         * @returns {boolean} True if the entities have the same identity
-         */
-        equals(other) {
-          if (other === null || other === undefined) {
-            return false;
-          }
+    // Create the base prototype with standard methods
+    const prototype = {
+      ...validatedData,
+
+      /**
+       * Compares this entity with another for equality
+       * Entities are equal when they have the same identity and belong to
+       * the same type, or one type was extended from the other
+       *
+       * @param {unknown} other - The object to compare with
+       * @returns {boolean} True if the entities have the same identity
+       */
+      equals(other) {
+        if (other === null || other === undefined) {
+          return false;
+        }
 
-          if (this === other) {
-            return true;
-          }
+        if (this === other) {
+          return true;
+        }
 
-          // Entities are equal if they have the same identity
-          return this[identity] === other[identity];
-        },
+        // Entities of unrelated types are different even with the same identity
+        const otherBrand = brandOf(other);
+        if (otherBrand !== undefined && !areRelated(otherBrand, brand)) {
+          return false;
+        }
 
-        /**
-         * Returns a string representation of the entity
-         * @returns {string}
-         */
-        toString() {
-          return `${name}(${this[identity]})`;
-        },
-      };
-
-      // Create a temporary factory for use in methodsFactory
-      const tempFactory = {
-        create,
-        update,
-        schema,
-        identity,
-        extend
-      };
-
-      // Generate methods using the factory
-      const methods = methodsFactory(tempFactory);
-
-      // Bind all methods to the complete prototype
-      const boundMethods = {};
-      for (const [methodName, methodFn] of Object.entries(methods)) {
-        boundMethods[methodName] = methodFn.bind(prototype);
-      }
+        // Entities are equal if they have the same identity
+        return this[identity] === other[identity];
+      },
+
+      /**
+       * Returns a string representation of the entity
+       * @returns {string}
+       */
+      toString() {
+        return `${name}(${this[identity]})`;
+      },
+
+      /**
+       * Returns the plain entity data used by JSON.stringify
+       * Methods are left out, and so are the domain events of aggregates,
+       * as this is bound to the data-only prototype
+       * @returns {Record<string, unknown>}
+       */
+      toJSON() {
+        /** @type {Record<string, unknown>} */
+        const data = {};
+        for (const key of dataKeys(this)) {
+          data[key] = this[key];
+        }
+        return data;
+      },
+    };
+
+    // Create a temporary factory for use in methodsFactory
+    const tempFactory = {
+      name,
+      create,
+      reconstitute,
+      update,
+      createAsync,
+      updateAsync,
+      tryCreate,
+      tryUpdate,
+      applyPatch,
+      applyPatchAsync,
+      schema,
+      identity,
+      traits,
+      extend,
+      ...checks,
+      [BRAND]: brand,
+    };
+
+    // Generate methods using the factory, after those of the traits
+    const methods = {
+      ...traitMethods(traits, tempFactory),
+      ...methodsFactory(tempFactory),
+    };
+
+    // Combine properties and methods
+    /** @type {any} */
+    const instance = {
+      ...validatedData,
+      equals: prototype.equals.bind(prototype),
+      toString: prototype.toString.bind(prototype),
+      /**
+       * Returns the plain entity data and computed values used by JSON.stringify
+       * @returns {Record<string, unknown>}
+       */
+      toJSON: () => {
+        const data = prototype.toJSON();
+        for (const key of Object.keys(computed)) {
+          data[key] = instance[key];
+        }
+        return data;
+      },
+      ...(history && historyMethods(() => instance)),
+      [TYPE_NAME]: name,
+      [BRAND]: brand,
+    };
+
+    // Bind all methods to the instance, so they see its computed properties
+    for (const [methodName, methodFn] of Object.entries(methods)) {
+      instance[methodName] = methodFn.bind(instance);
+    }
 
-      // Combine properties and methods, then freeze the object
-      return Object.freeze({
-        ...validatedData,
-        equals: prototype.equals.bind(prototype),
-        toString: prototype.toString.bind(prototype),
-        ...boundMethods,
+    // Computed properties are evaluated on first access and cached, which is
+    // safe as the instance never changes
+    for (const [key, compute] of Object.entries(computed)) {
+      /** @type {{value: unknown} | undefined} */
+      let cached;
+      Object.defineProperty(instance, key, {
+        enumerable: true,
+        get() {
+          if (cached === undefined) {
+            cached = { value: compute(instance) };
+          }
+          return cached.value;
+        },
       });
-    } catch (error) {
-      if (error instanceof z.ZodError) {
-        throw new ValidationError(
-            `Invalid ${name}: ${error.errors.map((e) => e.message).join(", ")}`,
-            error,
-            { objectType: name, input: data },
+    }
+
+    // Then freeze the object
+    return Object.freeze(instance);
+  }
+
+  /**
+   * Creates the history methods of an instance
+   * The instance is passed lazily, as it only exists once the methods are frozen into it.
+   * @param {() => any} self - Returns the instance
+   * @returns {Record<string, Function>} The history methods
+   * @private
+   */
+  function historyMethods(self) {
+    return {
+      /**
+       * Returns the recorded updates, or the changes of a single field
+       * @param {string} [field] - Only return the changes of this field
+       * @returns {Array<any>} The entries, oldest first
+       */
+      getHistory(field) {
+        const entries = historyOf(self());
+        if (field === undefined) {
+          return entries;
+        }
+
+        return entries.flatMap((entry) =>
+          entry.changes
+            .filter((change) => change.field === field)
+            .map(({ from, to }) => ({
+              version: entry.version,
+              timestamp: entry.timestamp,
+              from,
+              to,
+            })),
         );
-      }
-      throw error;
+      },
+
+      /**
+       * Rebuilds this entity as it was at a point in time
+       * @param {Date|number|string} timestamp - The point in time
+       * @returns {Entity<T>} The entity in its state at that time
+       * @throws {DomainError} If the history needed was dropped by retention
+       */
+      asOf(timestamp) {
+        const { data, kept } = historyAsOf(
+          name,
+          self().toJSON(),
+          historyOf(self()),
+          timestamp,
+        );
+        return validate(history?.store ? data : { ...data, _history: kept });
+      },
+
+      /**
+       * Restores the fields of this entity to the values they had at a version
+       * The revert is recorded as a new update, so it can be reverted as well.
+       * @param {number} version - The version to restore, 0 for the state at creation
+       * @returns {Entity<T>} The updated entity
+       * @throws {DomainError} If the version does not exist or is no longer retained
+       */
+      revertTo(version) {
+        const current = self();
+        return update(
+          current,
+          revertUpdates(name, current.toJSON(), historyOf(current), version),
+        );
+      },
+    };
+  }
+
+  /**
+   * Reads the history of an entity from its `_history` field or the store
+   * @param {any} entity - The entity
+   * @returns {import('./history.js').HistoryEntry[]} The entries, oldest first
+   * @private
+   */
+  function historyOf(entity) {
+    const entries = history?.store
+      ? history.store.load({ type: name, id: entity[identity] })
+      : entity._history;
+    return normalizeHistory(entries ?? []);
+  }
+
+  /**
+   * Saves the history of an updated entity to the store, if one is configured
+   * @param {Entity<T>} entity - The updated entity
+   * @param {import('./history.js').HistoryEntry[] | undefined} entries - Its new history, if it changed
+   * @returns {Entity<T>} The entity
+   * @private
+   */
+  function saveHistory(entity, entries) {
+    if (history?.store && entries) {
+      history.store.save({ type: name, id: entity[identity] }, entries);
+    }
+    return entity;
+  }
+
+  /**
+   * Converts Zod errors into validation errors of this entity
+   * @param {unknown} error - The error thrown while parsing
+   * @param {any} data - The input data
+   * @returns {unknown} The validation error, or the original error
+   * @private
+   */
+  function toValidationError(error, data) {
+    if (error instanceof z.ZodError) {
+      return new ValidationError(
+          {
+            key: "validation.invalid",
+            params: {
+              type: name,
+              details: error.errors.map((e) => translateIssue(e)).join(", "),
+            },
+          },
+          error,
+          { objectType: name, input: data },
+      );
     }
+    return error;
   }
 
   /**
@@ -159,13 +519,93 @@ export function entity({
    * @throws {ValidationError} If validation fails
    */
   function update(entity, updates) {
+    const { entity: updated, entries } = stageUpdate(entity, updates);
+    return saveHistory(updated, entries);
+  }
+
+  /**
+   * Updates an entity, running asynchronous refinements of the schema
+   * @param {Entity<T>} entity - The entity to update
+   * @param {PartialOf<T>} updates - The updates to apply
+   * @param {{signal?: AbortSignal}} [options] - Signal to cancel the update
+   * @returns {Promise<Entity<T>>} A new entity instance with updated values
+   * @throws {DomainError} If the identity field is changed
+   * @throws {ValidationError} If validation fails
+   */
+  async function updateAsync(entity, updates, options) {
+    const { entity: updated, entries } = await stageUpdateAsync(
+        entity, updates, options,
+    );
+    return saveHistory(updated, entries);
+  }
+
+  /**
+   * Updates an entity without saving its history to the store
+   * @param {Entity<T>} entity - The entity to update
+   * @param {PartialOf<T>} updates - The updates to apply
+   * @returns {{entity: Entity<T>, entries?: import('./history.js').HistoryEntry[]}}
+   * The updated entity, and its new history if the update changed it
+   * @private
+   */
+  function stageUpdate(entity, updates) {
+    const prepared = runHooks(
+        name, "beforeUpdate", lifecycle.beforeUpdate, updates, entity,
+    );
+    const { data, entries } = mergeUpdates(entity, prepared);
+    const updated = runHooks(
+        name, "afterUpdate", lifecycle.afterUpdate, validate(data), entity,
+    );
+    return { entity: updated, entries };
+  }
+
+  /**
+   * Updates an entity asynchronously without saving its history to the store
+   * @param {Entity<T>} entity - The entity to update
+   * @param {PartialOf<T>} updates - The updates to apply
+   * @param {{signal?: AbortSignal}} [options] - Signal to cancel the update
+   * @returns {Promise<{entity: Entity<T>, entries?: import('./history.js').HistoryEntry[]}>}
+   * The updated entity, and its new history if the update changed it
+   * @private
+   */
+  async function stageUpdateAsync(entity, updates, { signal } = {}) {
+    const prepared = await runHooksAsync(
+        "beforeUpdate", lifecycle.beforeUpdate, updates, [entity], signal,
+    );
+    const { data, entries } = mergeUpdates(entity, prepared);
+    const updated = await runHooksAsync(
+        "afterUpdate",
+        lifecycle.afterUpdate,
+        await validateAsync(data, signal),
+        [entity],
+        signal,
+    );
+    return { entity: updated, entries };
+  }
+
+  /**
+   * Merges updates into the data of an entity and records its history
+   * @param {Entity<T>} entity - The entity to update
+   * @param {PartialOf<T>} updates - The updates to apply
+   * @returns {{data: Record<string, any>, entries?: import('./history.js').HistoryEntry[]}}
+   * The data of the updated entity, and its new history if the update changed it
+   * @throws {DomainError} If the identity field is changed
+   * @private
+   */
+  function mergeUpdates(entity, updates) {
     // Ensure we're not changing the identity
     if (
         updates[identity] !== undefined &&
         updates[identity] !== entity[identity]
     ) {
       throw new DomainError(
-          `Cannot change identity of ${name} from "${entity[identity]}" to "${updates[identity]}"`,
+          {
+            key: "entity.identityChanged",
+            params: {
+              type: name,
+              from: entity[identity],
+              to: updates[identity],
+            },
+          },
           null,
           { objectType: name, entity, updates },
       );
@@ -178,9 +618,9 @@ export function entity({
     };
 
     // Add history if enabled
-    if (historize) {
+    if (history) {
       const now = new Date();
-      const history = entity._history || [];
+      const entries = historyOf(entity);
       const changes = [];
 
       // Calculate changes
@@ -196,21 +636,64 @@ export function entity({
       }
 
       // Only update history if there are changes
-      if (changes.length > 0) {
-        updatedData._history = [
-          ...history,
-          {
-            timestamp: now,
-            changes,
-          },
-        ];
-      } else {
-        updatedData._history = history;
+      const updatedEntries =
+        changes.length > 0
+          ? appendHistory(entries, changes, now, history)
+          : undefined;
+
+      // Keep the history in the entity unless it lives in a store
+      if (!history.store) {
+        updatedData._history = updatedEntries ?? entries;
       }
+      return { data: updatedData, entries: updatedEntries };
     }
 
-    // Create a new entity instance with the updated data
-    return create(updatedData);
+    return { data: updatedData };
+  }
+
+  /**
+   * Creates an entity without throwing
+   * @param {T} data - The data to create the entity from
+   * @returns {import('../result/Base.js').Result<Entity<T>>} The entity, or the validation error
+   */
+  function tryCreate(data) {
+    return attempt(() => create(data));
+  }
+
+  /**
+   * Updates an entity without throwing
+   * @param {Entity<T>} entity - The entity to update
+   * @param {PartialOf<T>} updates - The updates to apply
+   * @returns {import('../result/Base.js').Result<Entity<T>>} The updated entity, or the domain error
+   */
+  function tryUpdate(entity, updates) {
+    return attempt(() => update(entity, updates));
+  }
+
+  /**
+   * Applies JSON Patch operations to an entity through update, so the
+   * patched entity is validated like any other update
+   * @param {Entity<T>} entity - The entity to patch
+   * @param {import('./patch.js').PatchOperation[]} patch - The operations to apply
+   * @returns {Entity<T>} A new entity instance with the patch applied
+   * @throws {ValidationError} If the patch cannot be applied or validation fails
+   * @throws {DomainError} If the patch changes the identity field
+   */
+  function applyPatch(entity, patch) {
+    return update(entity, patchUpdates(name, entity, patch));
+  }
+
+  /**
+   * Applies JSON Patch operations to an entity through updateAsync
+   * @param {Entity<T>} entity - The entity to patch
+   * @param {import('./patch.js').PatchOperation[]} patch - The operations to apply
+   * @param {{signal?: AbortSignal}} [options] - Signal to cancel the update
+   * @returns {Promise<Entity<T>>} A new entity instance with the patch applied
+   * @throws {ValidationError} If the patch cannot be applied or validation fails
+   * @throws {DomainError} If the patch changes the identity field
+   */
+  async function applyPatchAsync(entity, patch, options) {
+    return updateAsync(entity, patchUpdates(name, entity, patch), options);
   }
 
   /**
@@ -223,7 +706,10 @@ export function entity({
    * @param {(baseSchema: SchemaType) => NewSchemaType} [options.schema] - Function to transform the base schema
    * @param {function(EntityFactory): Record<string, Function>} options.methodsFactory - Factory function for creating methods
    * @param {string} [options.identity] - Optional override for identity field
-   * @param {boolean} [options.historize] - Optional override for historization
+   * @param {boolean | import('./history.js').HistoryOptions} [options.historize] - Optional override for historization
+   * @param {Record<string, (entity: any) => unknown>} [options.computed] - Additional computed properties, replacing inherited ones of the same name
+   * @param {import('./lifecycle.js').LifecycleHooks} [options.hooks] - Additional hooks, run after the inherited ones
+   * @param {import('./traits.js').Trait[]} [options.traits] - Additional traits, replacing inherited ones of the same name
    * @returns {EntityFactory<NewSchemaType, NewT>} A new factory for the extended entity
    */
   function extend({
@@ -232,6 +718,9 @@ export function entity({
                     methodsFactory: extendedMethodsFactory,
                     identity: extendedIdentity,
                     historize: extendedHistorize,
+                    computed: extendedComputed,
+                    hooks: extendedHooks,
+                    traits: extendedTraits,
                   }) {
     if (!extendedName) {
       throw new Error("Extended entity name is required");
@@ -250,68 +739,45 @@ export function entity({
         : schema;
 
     // Create a new entity factory with combined methods
-    return entity({
+    const extended = entity({
       name: extendedName,
       schema: extendedSchema,
       identity: finalIdentity,
       methodsFactory: extendedMethodsFactory,
       historize:
           extendedHistorize !== undefined ? extendedHistorize : historize,
+      computed: { ...computed, ...extendedComputed },
+      hooks: mergeHooks(ownHooks, extendedHooks),
+      traits: mergeTraits(traits, extendedTraits),
     });
+
+    // Instances of the extended factory also count as instances of this one
+    inheritBrand(extended[BRAND], brand);
+    return extended;
   }
 
-  // Return the factory with create, update, and extend methods
+  // Return the factory with create, update, extend and the type checks
   return {
+    name,
     create,
+    reconstitute,
     update,
+    createAsync,
+    updateAsync,
+    tryCreate,
+    tryUpdate,
+    applyPatch,
+    applyPatchAsync,
     schema,
     identity,
+    traits,
     extend,
+    ...checks,
+    [BRAND]: brand,
+    [STAGED_UPDATE]: {
+      update: stageUpdate,
+      updateAsync: stageUpdateAsync,
+      saveHistory,
+    },
   };
 }
-
-/**
- * Deep equality check for comparing entity values
- * @param {unknown} a - First value
- * @param {unknown} b - Second value
- * @returns {boolean} True if values are deeply equal
- * @private
- */
-function deepEqual(a, b) {
-  // Handle primitives
-  if (a === b) return true;
-
-  // Handle null or undefined
-  if (a == null || b == null) return a === b;
-
-  // Handle dates
-  if (a instanceof Date && b instanceof Date) {
-    return a.getTime() === b.getTime();
-  }
-
-  // Handle arrays
-  if (Array.isArray(a) && Array.isArray(b)) {
-    if (a.length !== b.length) return false;
-    return a.every((item, index) => deepEqual(item, b[index]));
-  }
-
-  // Handle objects
-  if (typeof a === "object" && typeof b === "object") {
-    // Check for value objects with equals method
-    if (typeof a.equals === "function") {
-      return a.equals(b);
-    }
-
-    // Handle regular objects
-    const keysA = Object.keys(a);
-    const keysB = Object.keys(b);
-
-    if (keysA.length !== keysB.length) return false;
-
-    return keysA.every(
-        (key) => keysB.includes(key) && deepEqual(a[key], b[key]),
-    );
-  }
-
-  return false;
-}
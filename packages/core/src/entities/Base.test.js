@@ -1,12 +1,17 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import { z } from "zod";
 import { entity } from "./Base.js";
+import { historySchema, createInMemoryHistoryStore } from "./history.js";
 import { ValidationError, DomainError } from "../errors/index.js";
 import {
   NonEmptyString,
   PositiveNumber,
 } from "../valueObjects/primitives/index.js";
-import { specificValueObjectSchema } from "../valueObjects/schema.js";
+import {
+  specificValueObjectSchema,
+  hydratedValueObjectSchema,
+} from "../valueObjects/schema.js";
+import { valueObject } from "../valueObjects/Base.js";
 
 /**
  * @typedef {import('./Base.js').Entity} Entity
@@ -293,6 +298,51 @@ describe("entity", () => {
       expect(instance1.equals(instance1)).toBe(true); // Same instance
     });
 
+    it("should not consider entities of unrelated types equal", () => {
+      // Arrange
+      const TestEntity = createTestEntity();
+      const OtherEntity = entity({
+        name: "OtherEntity",
+        schema: z.object({ id: z.string().uuid() }),
+        identity: "id",
+        methodsFactory: () => ({}),
+      });
+      const id = "123e4567-e89b-12d3-a456-426614174000";
+
+      const instance = TestEntity.create({
+        id,
+        name: "Entity 1",
+        email: "test1@example.com",
+      });
+      const other = OtherEntity.create({ id });
+
+      // Act & Assert
+      expect(instance.equals(other)).toBe(false);
+      expect(other.equals(instance)).toBe(false);
+    });
+
+    it("should consider entities of extended types with the same identity equal", () => {
+      // Arrange
+      const TestEntity = createTestEntity();
+      const SpecialEntity = TestEntity.extend({
+        name: "SpecialEntity",
+        methodsFactory: () => ({}),
+      });
+      const data = {
+        id: "123e4567-e89b-12d3-a456-426614174000",
+        name: "Entity 1",
+        email: "test1@example.com",
+      };
+
+      // Act & Assert
+      expect(TestEntity.create(data).equals(SpecialEntity.create(data))).toBe(
+        true,
+      );
+      expect(SpecialEntity.create(data).equals(TestEntity.create(data))).toBe(
+        true,
+      );
+    });
+
     it("should implement toString method", () => {
       // Arrange
       const TestEntity = createTestEntity();
@@ -396,6 +446,521 @@ describe("entity", () => {
       expect(updated._history[0].changes[0].from).toBe("initial");
       expect(updated._history[0].changes[0].to).toBe("new value");
     });
+
+    it("should require a _history field without a history store", () => {
+      // Arrange
+      const schema = z.object({ id: z.string(), value: z.string() });
+
+      // Act & Assert
+      expect(() =>
+        entity({
+          name: "Note",
+          schema,
+          identity: "id",
+          historize: true,
+          methodsFactory: () => ({}),
+        }),
+      ).toThrow("Historized entity Note must declare a _history field");
+      expect(() =>
+        entity({
+          name: "Note",
+          schema,
+          identity: "id",
+          historize: { store: createInMemoryHistoryStore() },
+          methodsFactory: () => ({}),
+        }),
+      ).not.toThrow();
+    });
+  });
+
+  describe("history queries", () => {
+    const createProduct = (historize = true) =>
+      entity({
+        name: "Product",
+        schema: z.object({
+          id: z.string(),
+          name: z.string(),
+          price: z.number(),
+          note: z.string().optional(),
+          _history: historySchema,
+        }),
+        identity: "id",
+        historize,
+        methodsFactory: () => ({}),
+      });
+
+    // Creates a product and updates it once a day, starting on 2024-01-02
+    const withUpdates = (Product, ...updates) => {
+      let product = Product.create({ id: "p-1", name: "Lamp", price: 100 });
+      updates.forEach((changes, day) => {
+        vi.setSystemTime(new Date(Date.UTC(2024, 0, day + 2)));
+        product = Product.update(product, changes);
+      });
+      return product;
+    };
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("should list the history of the entity and of a single field", () => {
+      // Arrange
+      const Product = createProduct();
+
+      // Act
+      const product = withUpdates(
+        Product,
+        { price: 120 },
+        { name: "Desk Lamp" },
+        { price: 90 },
+      );
+
+      // Assert
+      expect(product.getHistory().map((entry) => entry.version)).toEqual([
+        1, 2, 3,
+      ]);
+      expect(product.getHistory("price")).toEqual([
+        { version: 1, timestamp: new Date("2024-01-02"), from: 100, to: 120 },
+        { version: 3, timestamp: new Date("2024-01-04"), from: 120, to: 90 },
+      ]);
+      expect(product.getHistory("unknown")).toEqual([]);
+    });
+
+    it("should rebuild the state at a point in time", () => {
+      // Arrange
+      const Product = createProduct();
+      const product = withUpdates(
+        Product,
+        { price: 120 },
+        { name: "Desk Lamp", note: "Bestseller" },
+        { price: 90 },
+      );
+
+      // Act
+      const asOfJanuary3 = product.asOf(new Date("2024-01-03T12:00:00Z"));
+      const atCreation = product.asOf("2024-01-01");
+
+      // Assert
+      expect(Product.isInstance(asOfJanuary3)).toBe(true);
+      expect(Object.isFrozen(asOfJanuary3)).toBe(true);
+      expect(asOfJanuary3).toMatchObject({ name: "Desk Lamp", price: 120 });
+      expect(asOfJanuary3.getHistory()).toHaveLength(2);
+      expect(atCreation).toMatchObject({ name: "Lamp", price: 100 });
+      expect(atCreation.note).toBeUndefined();
+      expect(product.asOf(Date.now())).toMatchObject({ price: 90 });
+      expect(() => product.asOf("not a date")).toThrow("Invalid timestamp");
+    });
+
+    it("should revert to a version and record the revert", () => {
+      // Arrange
+      const Product = createProduct();
+      const product = withUpdates(
+        Product,
+        { price: 120 },
+        { name: "Desk Lamp", note: "Bestseller" },
+        { price: 90 },
+      );
+
+      // Act
+      const reverted = product.revertTo(1);
+      const original = reverted.revertTo(0);
+
+      // Assert
+      expect(reverted).toMatchObject({ name: "Lamp", price: 120 });
+      expect(reverted.note).toBeUndefined();
+      expect(reverted.getHistory().at(-1).version).toBe(4);
+      expect(original).toMatchObject({ name: "Lamp", price: 100 });
+      expect(() => product.revertTo(7)).toThrow(DomainError);
+      expect(() => product.revertTo(7)).toThrow(
+        "Cannot revert Product to version 7, the current version is 3",
+      );
+    });
+
+    it("should describe rejected reverts in the error context", () => {
+      // Arrange
+      const Product = createProduct();
+      const product = withUpdates(Product, { price: 110 });
+
+      // Act
+      let error;
+      try {
+        product.revertTo(7);
+      } catch (e) {
+        error = e;
+      }
+
+      // Assert
+      expect(error.context).toEqual({
+        objectType: "Product",
+        version: 7,
+        currentVersion: 1,
+      });
+    });
+
+    it("should keep only the latest entries", () => {
+      // Arrange
+      const Product = createProduct({ maxEntries: 2 });
+
+      // Act
+      const product = withUpdates(
+        Product,
+        { price: 110 },
+        { price: 120 },
+        { price: 130 },
+      );
+
+      // Assert
+      expect(product.getHistory().map((entry) => entry.version)).toEqual([
+        2, 3,
+      ]);
+      expect(product.revertTo(1).price).toBe(110);
+      expect(() => product.revertTo(0)).toThrow(
+        "the history only reaches back to version 1",
+      );
+      expect(() => product.asOf("2024-01-01")).toThrow("is no longer retained");
+    });
+
+    it("should drop entries older than the maximum age", () => {
+      // Arrange
+      const Product = createProduct({ maxAge: 36 * 60 * 60 * 1000 });
+
+      // Act
+      const product = withUpdates(
+        Product,
+        { price: 110 },
+        { price: 120 },
+        { price: 130 },
+      );
+
+      // Assert
+      expect(product.getHistory("price").map((entry) => entry.to)).toEqual([
+        120, 130,
+      ]);
+    });
+
+    it("should keep the history in an external store", () => {
+      // Arrange
+      const store = createInMemoryHistoryStore();
+      const Product = createProduct({ store });
+
+      // Act
+      const product = withUpdates(Product, { price: 120 }, { price: 90 });
+
+      // Assert
+      expect(product._history).toBeUndefined();
+      expect(store.load({ type: "Product", id: "p-1" })).toHaveLength(2);
+      expect(product.getHistory("price").map((entry) => entry.to)).toEqual([
+        120, 90,
+      ]);
+      expect(product.asOf("2024-01-02T12:00:00Z").price).toBe(120);
+      expect(product.revertTo(0).price).toBe(100);
+      expect(product.getHistory()).toHaveLength(3);
+    });
+
+    it("should validate the history options", () => {
+      // Act & Assert
+      expect(() => createProduct({ maxEntries: 0 })).toThrow(
+        "History maxEntries must be a positive integer",
+      );
+      expect(() => createProduct({ store: {} })).toThrow(
+        "History store must provide load and save functions",
+      );
+      expect(
+        createProduct(false).create({ id: "p", name: "A", price: 1 })
+          .getHistory,
+      ).toBeUndefined();
+    });
+  });
+
+  describe("computed properties", () => {
+    const createPerson = (compute = vi.fn()) =>
+      entity({
+        name: "Person",
+        schema: z.object({
+          id: z.string(),
+          firstName: z.string(),
+          lastName: z.string(),
+        }),
+        identity: "id",
+        computed: {
+          fullName: (person) => {
+            compute();
+            return `${person.firstName} ${person.lastName}`;
+          },
+          initials: (person) => `${person.firstName[0]}${person.lastName[0]}`,
+        },
+        methodsFactory: () => ({}),
+      });
+
+    it("should compute derived values once per instance", () => {
+      // Arrange
+      const compute = vi.fn();
+      const Person = createPerson(compute);
+      const person = Person.create({
+        id: "1",
+        firstName: "Ada",
+        lastName: "Lovelace",
+      });
+
+      // Act
+      const first = person.fullName;
+      const second = person.fullName;
+
+      // Assert
+      expect(first).toBe("Ada Lovelace");
+      expect(second).toBe("Ada Lovelace");
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(Object.isFrozen(person)).toBe(true);
+      expect(() => {
+        person.fullName = "Someone else";
+      }).toThrow(TypeError);
+    });
+
+    it("should recompute after updates and appear in serialization", () => {
+      // Arrange
+      const Person = createPerson();
+      const person = Person.create({
+        id: "1",
+        firstName: "Ada",
+        lastName: "Lovelace",
+      });
+
+      // Act
+      const married = Person.update(person, { lastName: "King" });
+
+      // Assert
+      expect(married.fullName).toBe("Ada King");
+      expect(married.toJSON()).toEqual({
+        id: "1",
+        firstName: "Ada",
+        lastName: "King",
+        fullName: "Ada King",
+        initials: "AK",
+      });
+      expect(Person.create(married.toJSON()).fullName).toBe("Ada King");
+    });
+
+    it("should inherit computed properties through extend", () => {
+      // Arrange
+      const Person = createPerson();
+      const Employee = Person.extend({
+        name: "Employee",
+        computed: { initials: (employee) => employee.firstName.toUpperCase() },
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const employee = Employee.create({
+        id: "1",
+        firstName: "Ada",
+        lastName: "Lovelace",
+      });
+
+      // Assert
+      expect(employee.fullName).toBe("Ada Lovelace");
+      expect(employee.initials).toBe("ADA");
+    });
+
+    it("should make computed properties available to methods", () => {
+      // Arrange
+      const Person = entity({
+        name: "Person",
+        schema: z.object({ id: z.string(), firstName: z.string() }),
+        identity: "id",
+        computed: { greeting: (person) => `Hi ${person.firstName}` },
+        methodsFactory: () => ({
+          greet(punctuation) {
+            return `${this.greeting}${punctuation}`;
+          },
+        }),
+      });
+
+      // Act
+      const person = Person.create({ id: "1", firstName: "Ada" });
+
+      // Assert
+      expect(person.greet("!")).toBe("Hi Ada!");
+    });
+
+    it("should reject computed properties that are not functions", () => {
+      // Act & Assert
+      expect(() =>
+        entity({
+          name: "Broken",
+          schema: z.object({ id: z.string() }),
+          identity: "id",
+          computed: { label: "text" },
+          methodsFactory: () => ({}),
+        }),
+      ).toThrow('Computed property "label" must be a function');
+    });
+  });
+
+  describe("lifecycle hooks", () => {
+    const createAccount = (hooks) =>
+      entity({
+        name: "Account",
+        schema: z.object({
+          id: z.string(),
+          email: z.string().email(),
+          status: z.enum(["active", "closed"]),
+        }),
+        identity: "id",
+        hooks,
+        methodsFactory: () => ({}),
+      });
+
+    it("should transform data before creating and react afterwards", () => {
+      // Arrange
+      const created = vi.fn();
+      const Account = createAccount({
+        beforeCreate: (data) => ({
+          status: "active",
+          ...data,
+          email: data.email.trim().toLowerCase(),
+        }),
+        afterCreate: created,
+      });
+
+      // Act
+      const account = Account.create({ id: "a-1", email: " Ada@Example.com " });
+
+      // Assert
+      expect(account.email).toBe("ada@example.com");
+      expect(account.status).toBe("active");
+      expect(created).toHaveBeenCalledWith(account, { reconstituted: false });
+    });
+
+    it("should tell the create hooks about reconstituted entities", () => {
+      // Arrange
+      const seen = vi.fn();
+      const Account = createAccount({ beforeCreate: seen, afterCreate: seen });
+
+      // Act
+      const account = Account.reconstitute({
+        id: "a-1",
+        email: "ada@example.com",
+        status: "closed",
+      });
+
+      // Assert
+      expect(account.status).toBe("closed");
+      expect(seen.mock.calls.map(([, creation]) => creation)).toEqual([
+        { reconstituted: true },
+        { reconstituted: true },
+      ]);
+    });
+
+    it("should transform or reject updates", () => {
+      // Arrange
+      const updated = vi.fn();
+      const Account = createAccount({
+        beforeUpdate: (updates, account) => {
+          if (account.status === "closed") {
+            throw new DomainError("Closed accounts cannot change");
+          }
+          return updates.email
+            ? { ...updates, email: updates.email.toLowerCase() }
+            : undefined;
+        },
+        afterUpdate: updated,
+      });
+      const account = Account.create({
+        id: "a-1",
+        email: "ada@example.com",
+        status: "active",
+      });
+
+      // Act
+      const changed = Account.update(account, { email: "ADA@lovelace.dev" });
+      const closed = Account.update(changed, { status: "closed" });
+
+      // Assert
+      expect(changed.email).toBe("ada@lovelace.dev");
+      expect(updated).toHaveBeenCalledWith(changed, account);
+      expect(() => Account.update(closed, { status: "active" })).toThrow(
+        "Closed accounts cannot change",
+      );
+      expect(Account.tryUpdate(closed, { status: "active" }).ok).toBe(false);
+    });
+
+    it("should run inherited hooks before the hooks of an extension", () => {
+      // Arrange
+      const calls = [];
+      const Account = createAccount({
+        beforeCreate: (data) => {
+          calls.push("account");
+          return { ...data, email: data.email.trim() };
+        },
+      });
+      const AdminAccount = Account.extend({
+        name: "AdminAccount",
+        hooks: {
+          beforeCreate: (data) => {
+            calls.push(`admin:${data.email}`);
+          },
+        },
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const admin = AdminAccount.create({
+        id: "a-1",
+        email: " root@example.com",
+        status: "active",
+      });
+
+      // Assert
+      expect(admin.email).toBe("root@example.com");
+      expect(calls).toEqual(["account", "admin:root@example.com"]);
+    });
+
+    it("should await asynchronous hooks in createAsync and updateAsync", async () => {
+      // Arrange
+      const Account = createAccount({
+        beforeCreate: async (data) => ({ ...data, status: "active" }),
+        beforeUpdate: async (updates) => ({ ...updates, status: "closed" }),
+      });
+
+      // Act
+      const account = await Account.createAsync({
+        id: "a-1",
+        email: "ada@example.com",
+      });
+      const closed = await Account.updateAsync(account, {
+        email: "old@example.com",
+      });
+
+      // Assert
+      expect(account.status).toBe("active");
+      expect(closed.status).toBe("closed");
+      expect(() =>
+        Account.create({ id: "a-2", email: "grace@example.com" }),
+      ).toThrow(
+        "Hook 'beforeCreate' of Account is asynchronous, use createAsync or updateAsync",
+      );
+    });
+
+    it("should not run the create hooks when updating", () => {
+      // Arrange
+      const beforeCreate = vi.fn();
+      const Account = createAccount({ beforeCreate });
+      const account = Account.create({
+        id: "a-1",
+        email: "ada@example.com",
+        status: "active",
+      });
+
+      // Act
+      Account.update(account, { status: "closed" });
+
+      // Assert
+      expect(beforeCreate).toHaveBeenCalledTimes(1);
+    });
   });
 
   // Extension tests
@@ -571,7 +1136,175 @@ describe("entity", () => {
     });
   });
 
+  describe("createAsync and updateAsync", () => {
+    const registered = new Set(["taken@example.com"]);
+    const Account = entity({
+      name: "Account",
+      schema: z.object({
+        id: z.string(),
+        email: z
+          .string()
+          .email()
+          .refine(
+            async (email) => !registered.has(email),
+            "Email is already registered",
+          ),
+      }),
+      identity: "id",
+      methodsFactory: () => ({}),
+    });
+
+    it("should validate asynchronously when creating and updating", async () => {
+      // Act
+      const account = await Account.createAsync({
+        id: "a-1",
+        email: "ada@example.com",
+      });
+      const updated = await Account.updateAsync(account, {
+        email: "grace@example.com",
+      });
+
+      // Assert
+      expect(Object.isFrozen(account)).toBe(true);
+      expect(updated.email).toBe("grace@example.com");
+      expect(updated.equals(account)).toBe(true);
+    });
+
+    it("should reject invalid data with a ValidationError", async () => {
+      // Arrange
+      const account = await Account.createAsync({
+        id: "a-1",
+        email: "ada@example.com",
+      });
+
+      // Act
+      const error = await Account.updateAsync(account, {
+        email: "taken@example.com",
+      }).catch((e) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.toFieldErrors()).toEqual({
+        email: "Email is already registered",
+      });
+    });
+
+    it("should refuse identity changes", async () => {
+      // Arrange
+      const account = await Account.createAsync({
+        id: "a-1",
+        email: "ada@example.com",
+      });
+
+      // Act & Assert
+      await expect(Account.updateAsync(account, { id: "a-2" })).rejects.toThrow(
+        DomainError,
+      );
+    });
+  });
+
+  describe("tryCreate and tryUpdate", () => {
+    it("should return results instead of throwing", () => {
+      // Arrange
+      const TestEntity = createTestEntity();
+      const data = {
+        id: "123e4567-e89b-12d3-a456-426614174000",
+        name: "Test",
+        email: "test@example.com",
+      };
+
+      // Act
+      const created = TestEntity.tryCreate(data);
+      const invalid = TestEntity.tryCreate({ ...data, email: "invalid" });
+      const updated = TestEntity.tryUpdate(created.value, { name: "Changed" });
+      const rejected = TestEntity.tryUpdate(created.value, { name: "" });
+
+      // Assert
+      expect(created.ok).toBe(true);
+      expect(invalid.ok).toBe(false);
+      expect(invalid.error).toBeInstanceOf(ValidationError);
+      expect(updated.value.name).toBe("Changed");
+      expect(rejected.error).toBeInstanceOf(ValidationError);
+    });
+
+    it("should return identity changes as failed results", () => {
+      // Arrange
+      const TestEntity = createTestEntity();
+      const entity = TestEntity.create({
+        id: "123e4567-e89b-12d3-a456-426614174000",
+        name: "Test",
+        email: "test@example.com",
+      });
+
+      // Act
+      const result = TestEntity.tryUpdate(entity, {
+        id: "987e6543-e21b-12d3-a456-426614174000",
+      });
+
+      // Assert
+      expect(result.ok).toBe(false);
+      expect(result.error).toBeInstanceOf(DomainError);
+    });
+  });
+
   // Value object integration tests
+  describe("type checks", () => {
+    it("should recognize instances of the factory and its extensions", () => {
+      // Arrange
+      const TestEntity = createTestEntity();
+      const SpecialEntity = TestEntity.extend({
+        name: "SpecialEntity",
+        methodsFactory: () => ({}),
+      });
+      const data = {
+        id: "123e4567-e89b-12d3-a456-426614174000",
+        name: "Entity 1",
+        email: "test1@example.com",
+      };
+
+      // Act
+      const base = TestEntity.create(data);
+      const special = SpecialEntity.create(data);
+
+      // Assert
+      expect(TestEntity.isInstance(base)).toBe(true);
+      expect(TestEntity.isInstance(special)).toBe(true);
+      expect(SpecialEntity.isInstance(base)).toBe(false);
+      expect(TestEntity.isInstance({ ...data })).toBe(false);
+      expect(TestEntity.isInstance(null)).toBe(false);
+    });
+
+    it("should keep the brand through updates", () => {
+      // Arrange
+      const TestEntity = createTestEntity();
+      const instance = TestEntity.create({
+        id: "123e4567-e89b-12d3-a456-426614174000",
+        name: "Entity 1",
+        email: "test1@example.com",
+      });
+
+      // Act
+      const updated = instance.changeName("Renamed");
+
+      // Assert
+      expect(TestEntity.isInstance(updated)).toBe(true);
+    });
+
+    it("should expose the ancestry of extended factories", () => {
+      // Arrange
+      const TestEntity = createTestEntity();
+      const SpecialEntity = TestEntity.extend({
+        name: "SpecialEntity",
+        methodsFactory: () => ({}),
+      });
+
+      // Act & Assert
+      expect(SpecialEntity.isSubtypeOf(TestEntity)).toBe(true);
+      expect(TestEntity.isSubtypeOf(SpecialEntity)).toBe(false);
+      expect(SpecialEntity.lineage()).toEqual(["SpecialEntity", "TestEntity"]);
+    });
+  });
+
   describe("value object integration", () => {
     it("should support value objects as properties", () => {
       // Arrange
@@ -774,4 +1507,87 @@ describe("entity", () => {
       expect(user.displayName.toString()).toBe("John Doe");
     });
   });
+
+  describe("validation issues", () => {
+    it("should expose the paths of invalid fields", () => {
+      // Arrange
+      const TestEntity = createTestEntity();
+
+      // Act
+      let error;
+      try {
+        TestEntity.create({
+          id: "not-a-uuid",
+          name: "",
+          email: "valid@example.com",
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      // Assert
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.issues.map((issue) => issue.path)).toEqual([
+        ["id"],
+        ["name"],
+      ]);
+      expect(error.issues[0]).toMatchObject({
+        code: "invalid_string",
+        received: "not-a-uuid",
+      });
+      expect(Object.keys(error.toFieldErrors())).toEqual(["id", "name"]);
+    });
+
+    it("should merge the issues of nested value objects into the entity paths", () => {
+      // Arrange
+      const Address = valueObject({
+        name: "Address",
+        schema: z.object({
+          street: z.string().min(1),
+          zip: z.string().length(5),
+        }),
+        methodsFactory: () => ({}),
+      });
+      const Addresses = valueObject.list(Address, { name: "Addresses" });
+      const Customer = entity({
+        name: "Customer",
+        schema: z.object({
+          id: z.string(),
+          billing: hydratedValueObjectSchema(Address),
+          shipping: hydratedValueObjectSchema(Addresses),
+        }),
+        identity: "id",
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      let error;
+      try {
+        Customer.create({
+          id: "c-1",
+          billing: { street: "", zip: "12345" },
+          shipping: [{ street: "Main St 1", zip: "123" }],
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      // Assert
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.issues).toEqual([
+        {
+          path: ["billing", "street"],
+          code: "too_small",
+          message: "String must contain at least 1 character(s)",
+          received: "",
+        },
+        {
+          path: ["shipping", "items", 0, "zip"],
+          code: "too_small",
+          message: "String must contain exactly 5 character(s)",
+          received: "123",
+        },
+      ]);
+    });
+  });
 });
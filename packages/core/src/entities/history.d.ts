@@ -0,0 +1,195 @@
+import { z } from "zod";
+
+/**
+ * A single field change recorded by a historized entity
+ */
+export interface HistoryChange {
+  /**
+   * The changed field
+   */
+  field: string;
+
+  /**
+   * The value before the update
+   */
+  from: unknown;
+
+  /**
+   * The value after the update
+   */
+  to: unknown;
+
+  /**
+   * When the update happened
+   */
+  timestamp: Date;
+}
+
+/**
+ * The changes of one update of a historized entity
+ */
+export interface HistoryEntry {
+  /**
+   * Number of recorded updates up to and including this one, starting at 1
+   */
+  version: number;
+
+  /**
+   * When the update happened
+   */
+  timestamp: Date;
+
+  /**
+   * The changed fields
+   */
+  changes: HistoryChange[];
+}
+
+/**
+ * The change of a single field, as returned by `getHistory(field)`
+ */
+export interface FieldHistoryEntry {
+  version: number;
+  timestamp: Date;
+  from: unknown;
+  to: unknown;
+}
+
+/**
+ * Identifies the entity whose history a store keeps
+ */
+export interface HistoryReference {
+  /**
+   * The entity type name
+   */
+  type: string;
+
+  /**
+   * The identity of the entity
+   */
+  id: unknown;
+}
+
+/**
+ * Keeps the history of entities outside of the entity objects
+ * Stores are synchronous, so updates stay synchronous too.
+ */
+export interface HistoryStore {
+  /**
+   * Returns the history of an entity
+   */
+  load(ref: HistoryReference): HistoryEntry[] | undefined;
+
+  /**
+   * Replaces the history of an entity
+   */
+  save(ref: HistoryReference, entries: HistoryEntry[]): void;
+}
+
+/**
+ * How a historized entity records its changes
+ */
+export interface HistoryOptions {
+  /**
+   * Keep at most this many of the latest entries
+   */
+  maxEntries?: number;
+
+  /**
+   * Drop entries older than this many milliseconds
+   */
+  maxAge?: number;
+
+  /**
+   * Keep the history in a store instead of the `_history` field
+   */
+  store?: HistoryStore;
+}
+
+/**
+ * Methods of historized entities and aggregates
+ */
+export interface HistoryMethods<E> {
+  /**
+   * Returns the recorded updates, oldest first
+   */
+  getHistory(): HistoryEntry[];
+
+  /**
+   * Returns the changes of a single field, oldest first
+   */
+  getHistory(field: string): FieldHistoryEntry[];
+
+  /**
+   * Rebuilds the instance as it was at a point in time
+   * Throws a DomainError if the history needed was dropped by retention.
+   */
+  asOf(timestamp: Date | number | string): E;
+
+  /**
+   * Restores the fields to the values they had at a version, 0 being the
+   * state at creation. The revert is recorded as a new update.
+   */
+  revertTo(version: number): E;
+}
+
+/**
+ * Zod schema for the `_history` field of historized entities
+ */
+export const historySchema: z.ZodOptional<z.ZodArray<z.ZodTypeAny>>;
+
+/**
+ * Creates a history store that keeps the entries in memory
+ */
+export function createInMemoryHistoryStore(): HistoryStore & { clear(): void };
+
+/**
+ * Normalizes history options, where `true` enables an unbounded in-object history
+ */
+export function historyOptions(
+  historize: boolean | HistoryOptions | undefined
+): HistoryOptions | null;
+
+/**
+ * Numbers the entries of a history
+ */
+export function normalizeHistory(entries: unknown[]): HistoryEntry[];
+
+/**
+ * Appends the changes of an update and applies the retention rules
+ */
+export function appendHistory(
+  entries: HistoryEntry[],
+  changes: HistoryChange[],
+  now: Date,
+  options: HistoryOptions
+): HistoryEntry[];
+
+/**
+ * Undoes the latest entries of a history on the data of an entity
+ */
+export function undoHistory(
+  data: Record<string, unknown>,
+  entries: HistoryEntry[],
+  shouldUndo: (entry: HistoryEntry) => boolean
+): { data: Record<string, unknown>; kept: HistoryEntry[] };
+
+/**
+ * Rebuilds the data of an entity at a point in time
+ */
+export function historyAsOf(
+  type: string,
+  data: Record<string, unknown>,
+  entries: HistoryEntry[],
+  timestamp: Date | number | string
+): { data: Record<string, unknown>; kept: HistoryEntry[] };
+
+/**
+ * Computes the updates that restore the data of an entity to a version
+ */
+export function revertUpdates(
+  type: string,
+  data: Record<string, unknown>,
+  entries: HistoryEntry[],
+  version: number
+): Record<string, unknown>;
@@ -0,0 +1,283 @@
+// packages/core/src/entities/history.js
+import { z } from "zod";
+import { DomainError } from "../errors/index.js";
+
+/**
+ * A single field change recorded by a historized entity
+ * @typedef {Object} HistoryChange
+ * @property {string} field - The changed field
+ * @property {unknown} from - The value before the update
+ * @property {unknown} to - The value after the update
+ * @property {Date} timestamp - When the update happened
+ */
+
+/**
+ * The changes of one update of a historized entity
+ * @typedef {Object} HistoryEntry
+ * @property {number} version - Number of recorded updates up to and including this one, starting at 1
+ * @property {Date} timestamp - When the update happened
+ * @property {HistoryChange[]} changes - The changed fields
+ */
+
+/**
+ * Identifies the entity whose history a store keeps
+ * @typedef {Object} HistoryReference
+ * @property {string} type - The entity type name
+ * @property {unknown} id - The identity of the entity
+ */
+
+/**
+ * Keeps the history of entities outside of the entity objects
+ * Stores are synchronous, so updates stay synchronous too.
+ * @typedef {Object} HistoryStore
+ * @property {(ref: HistoryReference) => HistoryEntry[] | undefined} load - Returns the history of an entity
+ * @property {(ref: HistoryReference, entries: HistoryEntry[]) => void} save - Replaces the history of an entity
+ */
+
+/**
+ * How a historized entity records its changes
+ * @typedef {Object} HistoryOptions
+ * @property {number} [maxEntries] - Keep at most this many of the latest entries
+ * @property {number} [maxAge] - Drop entries older than this many milliseconds
+ * @property {HistoryStore} [store] - Keep the history in a store instead of the `_history` field
+ */
+
+/**
+ * Zod schema for the `_history` field of historized entities
+ * Declare it in the entity schema so that parsing keeps the entries intact.
+ *
+ * @example
+ * const Product = entity({
+ *   name: "Product",
+ *   schema: z.object({ id: z.string(), price: z.number(), _history: historySchema }),
+ *   identity: "id",
+ *   historize: { maxEntries: 50 },
+ *   methodsFactory: () => ({}),
+ * });
+ */
+export const historySchema = z
+  .array(
+    z.object({
+      version: z.number().int().positive().optional(),
+      timestamp: z.date(),
+      changes: z.array(
+        z.object({
+          field: z.string(),
+          from: z.any(),
+          to: z.any(),
+          timestamp: z.date(),
+        }),
+      ),
+    }),
+  )
+  .optional();
+
+/**
+ * Creates a history store that keeps the entries in memory
+ * @returns {HistoryStore & {clear: () => void}} The store
+ */
+export function createInMemoryHistoryStore() {
+  /** @type {Map<string, HistoryEntry[]>} */
+  const histories = new Map();
+  /** @param {HistoryReference} ref */
+  const keyOf = (ref) => `${ref.type}:${String(ref.id)}`;
+
+  return {
+    load(ref) {
+      return histories.get(keyOf(ref));
+    },
+    save(ref, entries) {
+      histories.set(keyOf(ref), [...entries]);
+    },
+    clear() {
+      histories.clear();
+    },
+  };
+}
+
+/**
+ * Normalizes history options, where `true` enables an unbounded in-object history
+ * @param {boolean | HistoryOptions} historize - The historize option of an entity
+ * @returns {HistoryOptions | null} The options, or null if history is disabled
+ * @throws {Error} If the options are invalid
+ */
+export function historyOptions(historize) {
+  if (!historize) return null;
+  if (historize === true) return {};
+
+  const { maxEntries, maxAge, store } = historize;
+  if (
+    maxEntries !== undefined &&
+    !(Number.isInteger(maxEntries) && maxEntries > 0)
+  ) {
+    throw new Error("History maxEntries must be a positive integer");
+  }
+  if (maxAge !== undefined && !(typeof maxAge === "number" && maxAge > 0)) {
+    throw new Error("History maxAge must be a positive number of milliseconds");
+  }
+  if (
+    store !== undefined &&
+    (typeof store?.load !== "function" || typeof store?.save !== "function")
+  ) {
+    throw new Error("History store must provide load and save functions");
+  }
+  return historize;
+}
+
+/**
+ * Numbers the entries of a history
+ * Entries parsed by schemas without a version field are numbered by position.
+ * @param {any[]} entries - The recorded entries
+ * @returns {HistoryEntry[]} The entries, each with a version
+ */
+export function normalizeHistory(entries) {
+  /** @type {HistoryEntry[]} */
+  const normalized = [];
+  let previous = 0;
+  for (const entry of entries) {
+    const version = entry.version ?? previous + 1;
+    normalized.push(entry.version === version ? entry : { ...entry, version });
+    previous = version;
+  }
+  return normalized;
+}
+
+/**
+ * Appends the changes of an update and applies the retention rules
+ * @param {HistoryEntry[]} entries - The history so far
+ * @param {HistoryChange[]} changes - The changes of the update
+ * @param {Date} now - When the update happened
+ * @param {HistoryOptions} options - The retention rules
+ * @returns {HistoryEntry[]} The new history
+ */
+export function appendHistory(entries, changes, now, { maxEntries, maxAge }) {
+  const version = (entries.at(-1)?.version ?? 0) + 1;
+  let retained = [...entries, { version, timestamp: now, changes }];
+
+  if (maxAge !== undefined) {
+    const oldest = now.getTime() - maxAge;
+    retained = retained.filter((entry) => entry.timestamp.getTime() >= oldest);
+  }
+  if (maxEntries !== undefined && retained.length > maxEntries) {
+    retained = retained.slice(-maxEntries);
+  }
+  return retained;
+}
+
+/**
+ * Undoes the latest entries of a history on the data of an entity
+ * @param {Record<string, any>} data - The current data
+ * @param {HistoryEntry[]} entries - The history of the data
+ * @param {(entry: HistoryEntry) => boolean} shouldUndo - Selects the entries to undo, newest first
+ * @returns {{data: Record<string, any>, kept: HistoryEntry[]}} The earlier data and the entries that were not undone
+ */
+export function undoHistory(data, entries, shouldUndo) {
+  const restored = { ...data };
+  const kept = [...entries];
+
+  while (
+    kept.length > 0 &&
+    shouldUndo(/** @type {HistoryEntry} */ (kept.at(-1)))
+  ) {
+    const entry = /** @type {HistoryEntry} */ (kept.pop());
+    for (const change of [...entry.changes].reverse()) {
+      if (change.from === undefined) {
+        delete restored[change.field];
+      } else {
+        restored[change.field] = change.from;
+      }
+    }
+  }
+
+  return { data: restored, kept };
+}
+
+/**
+ * Rebuilds the data of an entity at a point in time
+ * @param {string} type - The entity type name, for error messages
+ * @param {Record<string, any>} data - The current data
+ * @param {HistoryEntry[]} entries - The history of the data
+ * @param {Date|number|string} timestamp - The point in time
+ * @returns {{data: Record<string, any>, kept: HistoryEntry[]}} The data at that time and the entries up to it
+ * @throws {Error} If the timestamp is invalid
+ * @throws {DomainError} If entries needed for the reconstruction were dropped by retention
+ */
+export function historyAsOf(type, data, entries, timestamp) {
+  const time = new Date(timestamp).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid timestamp: ${String(timestamp)}`);
+  }
+
+  const result = undoHistory(
+    data,
+    entries,
+    (entry) => entry.timestamp.getTime() > time,
+  );
+
+  // All retained entries were undone, so dropped ones may be needed as well
+  if (
+    result.kept.length === 0 &&
+    entries.length > 0 &&
+    entries[0].version > 1
+  ) {
+    throw new DomainError(
+      {
+        key: "history.notRetained",
+        params: { type, timestamp: entries[0].timestamp.toISOString() },
+      },
+      undefined,
+      { objectType: type, timestamp },
+    );
+  }
+  return result;
+}
+
+/**
+ * Computes the updates that restore the data of an entity to a version
+ * @param {string} type - The entity type name, for error messages
+ * @param {Record<string, any>} data - The current data
+ * @param {HistoryEntry[]} entries - The history of the data
+ * @param {number} version - The version to restore, 0 for the state at creation
+ * @returns {Record<string, any>} The updates, holding the restored value of each field changed since
+ * @throws {DomainError} If the version does not exist or is no longer retained
+ */
+export function revertUpdates(type, data, entries, version) {
+  const current = entries.at(-1)?.version ?? 0;
+  const oldest = (entries[0]?.version ?? 1) - 1;
+
+  if (!Number.isInteger(version) || version < 0 || version > current) {
+    throw new DomainError(
+      {
+        key: "history.unknownVersion",
+        params: { type, version, current },
+      },
+      undefined,
+      { objectType: type, version, currentVersion: current },
+    );
+  }
+  if (version < oldest) {
+    throw new DomainError(
+      {
+        key: "history.versionNotRetained",
+        params: { type, version, oldest },
+      },
+      undefined,
+      { objectType: type, version, oldestVersion: oldest },
+    );
+  }
+
+  const { data: restored } = undoHistory(
+    data,
+    entries,
+    (entry) => entry.version > version,
+  );
+
+  /** @type {Record<string, any>} */
+  const updates = {};
+  for (const entry of entries.filter((e) => e.version > version)) {
+    for (const { field } of entry.changes) {
+      updates[field] = restored[field];
+    }
+  }
+  return updates;
+}
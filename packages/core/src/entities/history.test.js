@@ -0,0 +1,108 @@
+// packages/core/src/entities/history.test.js
+import { describe, it, expect } from "vitest";
+import {
+  createInMemoryHistoryStore,
+  normalizeHistory,
+  appendHistory,
+  undoHistory,
+} from "./history.js";
+
+describe("history", () => {
+  const change = (field, from, to, timestamp) => ({
+    field,
+    from,
+    to,
+    timestamp,
+  });
+
+  describe("normalizeHistory", () => {
+    it("should number entries without a version by position", () => {
+      // Arrange
+      const timestamp = new Date("2024-01-01");
+      const entries = [
+        { version: 4, timestamp, changes: [] },
+        { timestamp, changes: [] },
+      ];
+
+      // Act
+      const normalized = normalizeHistory(entries);
+
+      // Assert
+      expect(normalized.map((entry) => entry.version)).toEqual([4, 5]);
+      expect(normalized[0]).toBe(entries[0]);
+    });
+  });
+
+  describe("appendHistory", () => {
+    it("should continue the versions and apply both retention rules", () => {
+      // Arrange
+      const day = 24 * 60 * 60 * 1000;
+      const entries = [1, 2, 3].map((version) => ({
+        version,
+        timestamp: new Date(Date.UTC(2024, 0, version)),
+        changes: [],
+      }));
+      const now = new Date(Date.UTC(2024, 0, 4));
+
+      // Act
+      const unbounded = appendHistory(entries, [], now, {});
+      const byCount = appendHistory(entries, [], now, { maxEntries: 2 });
+      const byAge = appendHistory(entries, [], now, { maxAge: 2 * day });
+
+      // Assert
+      expect(unbounded.map((entry) => entry.version)).toEqual([1, 2, 3, 4]);
+      expect(byCount.map((entry) => entry.version)).toEqual([3, 4]);
+      expect(byAge.map((entry) => entry.version)).toEqual([2, 3, 4]);
+    });
+  });
+
+  describe("undoHistory", () => {
+    it("should undo the selected entries, newest first", () => {
+      // Arrange
+      const timestamp = new Date("2024-01-01");
+      const entries = [
+        {
+          version: 1,
+          timestamp,
+          changes: [change("price", 100, 120, timestamp)],
+        },
+        {
+          version: 2,
+          timestamp,
+          changes: [
+            change("price", 120, 90, timestamp),
+            change("note", undefined, "Sale", timestamp),
+          ],
+        },
+      ];
+
+      // Act
+      const { data, kept } = undoHistory(
+        { price: 90, note: "Sale" },
+        entries,
+        (entry) => entry.version > 1,
+      );
+
+      // Assert
+      expect(data).toEqual({ price: 120 });
+      expect(kept).toEqual([entries[0]]);
+    });
+  });
+
+  describe("createInMemoryHistoryStore", () => {
+    it("should keep histories per entity type and identity", () => {
+      // Arrange
+      const store = createInMemoryHistoryStore();
+      const entries = [{ version: 1, timestamp: new Date(), changes: [] }];
+
+      // Act
+      store.save({ type: "Product", id: 1 }, entries);
+
+      // Assert
+      expect(store.load({ type: "Product", id: 1 })).toEqual(entries);
+      expect(store.load({ type: "Order", id: 1 })).toBeUndefined();
+      store.clear();
+      expect(store.load({ type: "Product", id: 1 })).toBeUndefined();
+    });
+  });
+});
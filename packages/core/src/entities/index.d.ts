@@ -1 +1,24 @@
 export { entity, Entity, EntityFactory, PartialOf } from "./Base";
+export {
+  historySchema,
+  createInMemoryHistoryStore,
+  HistoryChange,
+  HistoryEntry,
+  FieldHistoryEntry,
+  HistoryReference,
+  HistoryStore,
+  HistoryOptions,
+  HistoryMethods,
+} from "./history";
+export { LifecycleHooks, CreationContext } from "./lifecycle";
+export {
+  auditable,
+  softDeletable,
+  isSoftDeleted,
+  hasTrait,
+  Trait,
+  TraitContext,
+  AuditFields,
+  SoftDeleteFields,
+} from "./traits";
+export { diff, PatchOperation } from "./patch";
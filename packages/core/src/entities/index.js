@@ -1 +1,9 @@
 export { entity } from "./Base.js";
+export { historySchema, createInMemoryHistoryStore } from "./history.js";
+export {
+  auditable,
+  softDeletable,
+  isSoftDeleted,
+  hasTrait,
+} from "./traits.js";
+export { diff } from "./patch.js";
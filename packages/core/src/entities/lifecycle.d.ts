@@ -0,0 +1,100 @@
+/**
+ * A hook or a list of hooks run in order
+ */
+type HookList<F> = F | F[];
+
+/**
+ * Tells the create hooks how an entity comes into being
+ */
+export interface CreationContext {
+  /**
+   * True for stored data rebuilt with reconstitute, false for new entities
+   */
+  reconstituted: boolean;
+}
+
+/**
+ * Lifecycle hooks of an entity
+ *
+ * Before hooks receive the data about to be validated and may return
+ * replacement data; returning nothing keeps it. After hooks receive the new
+ * instance. Any hook can reject the change by throwing. Asynchronous hooks
+ * require createAsync and updateAsync.
+ */
+export interface LifecycleHooks<E = any, T = any> {
+  /**
+   * Runs before the data is validated
+   */
+  beforeCreate?: HookList<
+    (data: T, creation: CreationContext) => T | void | Promise<T | void>
+  >;
+
+  /**
+   * Runs after the entity was created
+   */
+  afterCreate?: HookList<
+    (entity: E, creation: CreationContext) => void | Promise<void>
+  >;
+
+  /**
+   * Runs before the updates are merged and validated
+   */
+  beforeUpdate?: HookList<
+    (updates: Partial<T>, entity: E) => Partial<T> | void | Promise<Partial<T> | void>
+  >;
+
+  /**
+   * Runs after the entity was updated
+   */
+  afterUpdate?: HookList<(updated: E, previous: E) => void | Promise<void>>;
+}
+
+/**
+ * The names of the supported lifecycle hooks
+ */
+export const HOOK_NAMES: readonly [
+  "beforeCreate",
+  "afterCreate",
+  "beforeUpdate",
+  "afterUpdate"
+];
+
+/**
+ * Brings lifecycle hooks into a form with a list of functions per hook
+ */
+export function normalizeHooks(hooks?: LifecycleHooks): Record<string, Function[]>;
+
+/**
+ * Combines inherited hooks with the hooks of an extension, inherited ones first
+ */
+export function mergeHooks(
+  parent: Record<string, Function[]>,
+  child?: LifecycleHooks
+): Record<string, Function[]>;
+
+/**
+ * Runs the hooks of a lifecycle stage, rejecting asynchronous hooks
+ */
+export function runHooks(
+  type: string,
+  hookName: string,
+  hooks: Function[],
+  value: unknown,
+  ...args: unknown[]
+): any;
+
+/**
+ * Checks if a value is a promise or another thenable
+ */
+export function isPromiseLike(value: unknown): value is PromiseLike<unknown>;
+
+/**
+ * Runs the hooks of a lifecycle stage, awaiting asynchronous hooks
+ */
+export function runHooksAsync(
+  hookName: string,
+  hooks: Function[],
+  value: unknown,
+  args: unknown[],
+  signal?: AbortSignal
+): Promise<any>;
@@ -0,0 +1,147 @@
+// packages/core/src/entities/lifecycle.js
+import { throwIfAborted } from "../errors/abort.js";
+
+/**
+ * Lifecycle hooks of an entity
+ *
+ * Before hooks receive the data about to be validated and may return
+ * replacement data; returning nothing keeps it. After hooks receive the new
+ * instance. Any hook can reject the change by throwing. Each hook may also be
+ * a list of hooks, which run in order.
+ *
+ * @typedef {Object} LifecycleHooks
+ * @property {Function|Function[]} [beforeCreate] - `(data, creation) => data`, runs before the data is validated
+ * @property {Function|Function[]} [afterCreate] - `(entity, creation) => void`, runs after the entity was created
+ * @property {Function|Function[]} [beforeUpdate] - `(updates, entity) => updates`, runs before the updates are merged and validated
+ * @property {Function|Function[]} [afterUpdate] - `(updated, previous) => void`, runs after the entity was updated
+ */
+
+/**
+ * Tells the create hooks how an entity comes into being
+ * @typedef {Object} CreationContext
+ * @property {boolean} reconstituted - True for stored data rebuilt with `reconstitute`, false for new entities
+ */
+
+/**
+ * The names of the supported lifecycle hooks
+ */
+export const HOOK_NAMES = Object.freeze([
+  "beforeCreate",
+  "afterCreate",
+  "beforeUpdate",
+  "afterUpdate",
+]);
+
+/**
+ * Brings lifecycle hooks into a form with a list of functions per hook
+ * @param {LifecycleHooks} [hooks] - The hooks of an entity
+ * @returns {Record<string, Function[]>} The hook functions by hook name
+ * @throws {Error} If a hook is unknown or not a function
+ */
+export function normalizeHooks(hooks = {}) {
+  for (const hookName of Object.keys(hooks)) {
+    if (!HOOK_NAMES.includes(hookName)) {
+      throw new Error(`Unknown lifecycle hook "${hookName}"`);
+    }
+  }
+
+  /** @type {Record<string, Function[]>} */
+  const normalized = {};
+  for (const hookName of HOOK_NAMES) {
+    const hook = /** @type {Record<string, any>} */ (hooks)[hookName];
+    const list = hook === undefined ? [] : [hook].flat();
+    if (list.some((fn) => typeof fn !== "function")) {
+      throw new Error(`Lifecycle hook "${hookName}" must be a function`);
+    }
+    normalized[hookName] = list;
+  }
+  return normalized;
+}
+
+/**
+ * Combines inherited hooks with the hooks of an extension
+ * The inherited hooks run first, so extensions see normalized data.
+ * @param {Record<string, Function[]>} parent - The normalized inherited hooks
+ * @param {LifecycleHooks} [child] - The hooks of the extension
+ * @returns {Record<string, Function[]>} The combined hooks
+ */
+export function mergeHooks(parent, child) {
+  const normalizedChild = normalizeHooks(child);
+  /** @type {Record<string, Function[]>} */
+  const merged = {};
+  for (const hookName of HOOK_NAMES) {
+    merged[hookName] = [...parent[hookName], ...normalizedChild[hookName]];
+  }
+  return merged;
+}
+
+/**
+ * Runs the hooks of a lifecycle stage
+ * @param {string} type - The entity type name, for error messages
+ * @param {string} hookName - The lifecycle stage
+ * @param {Function[]} hooks - The hooks of the stage
+ * @param {any} value - The data for before hooks, the instance for after hooks
+ * @param {...any} args - Further arguments for the hooks
+ * @returns {any} The data returned by the before hooks, or the value itself
+ * @throws {Error} If a hook is asynchronous
+ */
+export function runHooks(type, hookName, hooks, value, ...args) {
+  let current = value;
+  for (const hook of hooks) {
+    const result = hook(current, ...args);
+    if (isPromiseLike(result)) {
+      // The result is never awaited, keep a rejection from going unhandled
+      Promise.resolve(result).catch(() => {});
+      throw new Error(
+        `Hook '${hookName}' of ${type} is asynchronous, use createAsync or updateAsync`,
+      );
+    }
+    current = nextValue(hookName, current, result);
+  }
+  return current;
+}
+
+/**
+ * Runs the hooks of a lifecycle stage, awaiting asynchronous hooks
+ * @param {string} hookName - The lifecycle stage
+ * @param {Function[]} hooks - The hooks of the stage
+ * @param {any} value - The data for before hooks, the instance for after hooks
+ * @param {any[]} args - Further arguments for the hooks
+ * @param {AbortSignal} [signal] - Signal to cancel between hooks
+ * @returns {Promise<any>} The data returned by the before hooks, or the value itself
+ */
+export async function runHooksAsync(hookName, hooks, value, args, signal) {
+  let current = value;
+  for (const hook of hooks) {
+    throwIfAborted(signal);
+    current = nextValue(hookName, current, await hook(current, ...args));
+  }
+  return current;
+}
+
+/**
+ * Picks the value handed to the next hook
+ * @param {string} hookName - The lifecycle stage
+ * @param {any} current - The value passed to the hook
+ * @param {any} result - The value returned by the hook
+ * @returns {any}
+ * @private
+ */
+function nextValue(hookName, current, result) {
+  return hookName.startsWith("before") && result !== undefined
+    ? result
+    : current;
+}
+
+/**
+ * Checks if a value is a promise or another thenable
+ * @param {unknown} value - The value to check
+ * @returns {boolean}
+ */
+export function isPromiseLike(value) {
+  return (
+    value !== null &&
+    (typeof value === "object" || typeof value === "function") &&
+    typeof (/** @type {any} */ (value).then) === "function"
+  );
+}
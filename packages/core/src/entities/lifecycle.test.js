@@ -0,0 +1,68 @@
+// packages/core/src/entities/lifecycle.test.js
+import { describe, it, expect } from "vitest";
+import { normalizeHooks, mergeHooks, runHooks } from "./lifecycle.js";
+
+describe("lifecycle", () => {
+  describe("normalizeHooks", () => {
+    it("should turn hooks into lists of functions", () => {
+      // Arrange
+      const first = () => {};
+      const second = () => {};
+
+      // Act
+      const hooks = normalizeHooks({
+        beforeCreate: first,
+        afterUpdate: [first, second],
+      });
+
+      // Assert
+      expect(hooks).toEqual({
+        beforeCreate: [first],
+        afterCreate: [],
+        beforeUpdate: [],
+        afterUpdate: [first, second],
+      });
+    });
+
+    it("should reject unknown hooks and hooks that are not functions", () => {
+      // Act & Assert
+      expect(() => normalizeHooks({ beforeDelete: () => {} })).toThrow(
+        'Unknown lifecycle hook "beforeDelete"',
+      );
+      expect(() => normalizeHooks({ afterCreate: "log" })).toThrow(
+        'Lifecycle hook "afterCreate" must be a function',
+      );
+    });
+  });
+
+  describe("mergeHooks", () => {
+    it("should run inherited hooks first", () => {
+      // Arrange
+      const parent = () => {};
+      const child = () => {};
+
+      // Act
+      const hooks = mergeHooks(normalizeHooks({ beforeCreate: parent }), {
+        beforeCreate: child,
+      });
+
+      // Assert
+      expect(hooks.beforeCreate).toEqual([parent, child]);
+    });
+  });
+
+  describe("runHooks", () => {
+    it("should thread data through before hooks only", () => {
+      // Arrange
+      const hooks = [
+        (value) => value + 1,
+        () => undefined,
+        (value) => value * 2,
+      ];
+
+      // Act & Assert
+      expect(runHooks("Counter", "beforeCreate", hooks, 1)).toBe(4);
+      expect(runHooks("Counter", "afterCreate", hooks, 1)).toBe(1);
+    });
+  });
+});
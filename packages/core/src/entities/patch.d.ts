@@ -0,0 +1,34 @@
+/**
+ * A JSON Patch operation as defined by RFC 6902
+ */
+export type PatchOperation =
+  | { op: "add"; path: string; value: unknown }
+  | { op: "remove"; path: string }
+  | { op: "replace"; path: string; value: unknown }
+  | { op: "move"; path: string; from: string }
+  | { op: "copy"; path: string; from: string }
+  | { op: "test"; path: string; value: unknown };
+
+/**
+ * Computes the JSON Patch operations that turn one value into another,
+ * with nested paths such as "/lines/1/quantity"
+ */
+export function diff(a: unknown, b: unknown): PatchOperation[];
+
+/**
+ * Computes the updates that apply a JSON Patch to an entity
+ */
+export function patchUpdates(
+  type: string,
+  entity: unknown,
+  patch: PatchOperation[],
+): Record<string, any>;
+
+/**
+ * Applies JSON Patch operations to plain data without changing it
+ */
+export function applyOperations(
+  type: string,
+  document: unknown,
+  patch: PatchOperation[],
+): unknown;
@@ -0,0 +1,468 @@
+// packages/core/src/entities/patch.js
+import { ValidationError } from "../errors/index.js";
+import { deepEqual } from "../valueObjects/equality.js";
+import { brandOf } from "../valueObjects/branding.js";
+
+/**
+ * A JSON Patch operation as defined by RFC 6902
+ * @typedef {Object} PatchOperation
+ * @property {"add"|"remove"|"replace"|"move"|"copy"|"test"} op - The operation
+ * @property {string} path - JSON Pointer to the target location, e.g. "/lines/0/quantity"
+ * @property {unknown} [value] - The value to add, replace or test
+ * @property {string} [from] - JSON Pointer to the source location of move and copy
+ */
+
+/**
+ * Fields that belong to the bookkeeping of instances rather than their data
+ * @private
+ */
+const IGNORED_FIELDS = new Set(["_history", "_domainEvents"]);
+
+/**
+ * The supported operations
+ * @private
+ */
+const OPERATIONS = new Set([
+  "add",
+  "remove",
+  "replace",
+  "move",
+  "copy",
+  "test",
+]);
+
+/**
+ * Computes the JSON Patch operations that turn one value into another
+ * Nested objects and arrays are compared field by field, so changes get
+ * paths such as "/address/city" or "/lines/1/quantity". Methods, computed
+ * properties, the history and domain events of instances are left out.
+ * Nested value objects and entities are replaced as a whole.
+ *
+ * @example
+ * diff(order, Order.update(order, { status: "SHIPPED" }));
+ * // [{ op: "replace", path: "/status", value: "SHIPPED" }]
+ *
+ * @param {unknown} a - The original value, e.g. an entity
+ * @param {unknown} b - The changed value
+ * @returns {PatchOperation[]} The operations, in the order they must be applied
+ */
+export function diff(a, b) {
+  /** @type {PatchOperation[]} */
+  const operations = [];
+  diffValues(a, b, "", operations);
+  return operations;
+}
+
+/**
+ * Computes the updates that apply a JSON Patch to an entity
+ * Only top-level fields the patch changes are part of the updates, and
+ * removed fields are updated to undefined.
+ * @param {string} type - The entity type name, for error messages
+ * @param {any} entity - The entity to patch
+ * @param {PatchOperation[]} patch - The operations to apply
+ * @returns {Record<string, any>} The updates
+ * @throws {ValidationError} If the patch is malformed, a path does not exist or a test fails
+ */
+export function patchUpdates(type, entity, patch) {
+  const data = copyOf(entity, true);
+  const patched = applyOperations(type, data, patch);
+  if (!isRecord(patched, true)) {
+    throw invalidPatch(type, patch, "the result must be an object");
+  }
+
+  /** @type {Record<string, any>} */
+  const updates = {};
+  for (const key of new Set([...Object.keys(data), ...Object.keys(patched)])) {
+    if (!deepEqual(data[key], patched[key])) {
+      updates[key] = patched[key];
+    }
+  }
+  return updates;
+}
+
+/**
+ * Applies JSON Patch operations to plain data without changing it
+ * Containers along the changed paths are copied, everything else is shared.
+ * @param {string} type - The entity type name, for error messages
+ * @param {unknown} document - The data to patch
+ * @param {PatchOperation[]} patch - The operations to apply
+ * @returns {unknown} The patched data
+ * @throws {ValidationError} If the patch is malformed, a path does not exist or a test fails
+ */
+export function applyOperations(type, document, patch) {
+  if (!Array.isArray(patch)) {
+    throw invalidPatch(type, patch, "a patch must be an array of operations");
+  }
+
+  return patch.reduce((current, operation, index) => {
+    /** @param {string} reason */
+    const fail = (reason) =>
+      invalidPatch(type, patch, `operation ${index} ${reason}`);
+
+    if (!operation || !OPERATIONS.has(operation.op)) {
+      throw fail(`has an unknown op "${operation?.op}"`);
+    }
+    const path = parsePointer(operation.path, fail);
+
+    switch (operation.op) {
+      case "add":
+        return addAt(current, path, requireValue(operation, fail), fail);
+      case "remove":
+        return removeAt(current, path, fail);
+      case "replace":
+        valueAt(current, path, fail);
+        return replaceAt(current, path, requireValue(operation, fail), fail);
+      case "move": {
+        const from = parsePointer(operation.from, fail);
+        if (isProperPrefix(from, path)) {
+          throw fail(`cannot move "${operation.from}" into itself`);
+        }
+        const value = valueAt(current, from, fail);
+        return addAt(removeAt(current, from, fail), path, value, fail);
+      }
+      case "copy": {
+        const from = parsePointer(operation.from, fail);
+        return addAt(current, path, valueAt(current, from, fail), fail);
+      }
+      default:
+        if (
+          !deepEqual(
+            valueAt(current, path, fail),
+            requireValue(operation, fail),
+          )
+        ) {
+          throw fail(`failed, "${operation.path}" has another value`);
+        }
+        return current;
+    }
+  }, document);
+}
+
+/**
+ * Collects the operations for the differences between two values
+ * @param {unknown} a - The original value
+ * @param {unknown} b - The changed value
+ * @param {string} path - JSON Pointer to both values
+ * @param {PatchOperation[]} operations - Receives the operations
+ * @returns {void}
+ * @private
+ */
+function diffValues(a, b, path, operations) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const common = Math.min(a.length, b.length);
+    for (let i = 0; i < common; i++) {
+      diffValues(a[i], b[i], `${path}/${i}`, operations);
+    }
+    for (let i = common; i < b.length; i++) {
+      operations.push({ op: "add", path: `${path}/${i}`, value: b[i] });
+    }
+    // Remove from the end, so the indices of the remaining items stay valid
+    for (let i = a.length - 1; i >= common; i--) {
+      operations.push({ op: "remove", path: `${path}/${i}` });
+    }
+    return;
+  }
+
+  if (isRecord(a, path === "") && isRecord(b, path === "")) {
+    const fieldsA = fieldsOf(a);
+    const fieldsB = new Set(fieldsOf(b));
+    for (const key of fieldsA) {
+      const fieldPath = `${path}/${escapeToken(key)}`;
+      if (fieldsB.has(key)) {
+        diffValues(a[key], b[key], fieldPath, operations);
+      } else {
+        operations.push({ op: "remove", path: fieldPath });
+      }
+    }
+    for (const key of fieldsB) {
+      if (!fieldsA.includes(key)) {
+        operations.push({
+          op: "add",
+          path: `${path}/${escapeToken(key)}`,
+          value: b[key],
+        });
+      }
+    }
+    return;
+  }
+
+  if (!deepEqual(a, b)) {
+    operations.push({ op: "replace", path, value: b });
+  }
+}
+
+/**
+ * Adds a value at a path, inserting into arrays
+ * @param {unknown} document - The data
+ * @param {string[]} path - The parsed path
+ * @param {unknown} value - The value
+ * @param {(reason: string) => Error} fail - Creates the error for an invalid operation
+ * @returns {unknown} The changed data
+ * @private
+ */
+function addAt(document, path, value, fail) {
+  if (path.length === 0) return value;
+  return editParent(document, path, fail, (container, token) => {
+    if (Array.isArray(container)) {
+      const index =
+        token === "-"
+          ? container.length
+          : indexOf(token, container.length, fail);
+      container.splice(index, 0, value);
+    } else {
+      container[token] = value;
+    }
+  });
+}
+
+/**
+ * Replaces the existing value at a path
+ * @param {unknown} document - The data
+ * @param {string[]} path - The parsed path
+ * @param {unknown} value - The new value
+ * @param {(reason: string) => Error} fail - Creates the error for an invalid operation
+ * @returns {unknown} The changed data
+ * @private
+ */
+function replaceAt(document, path, value, fail) {
+  if (path.length === 0) return value;
+  return editParent(document, path, fail, (container, token) => {
+    const key = Array.isArray(container)
+      ? indexOf(token, container.length - 1, fail)
+      : token;
+    container[key] = value;
+  });
+}
+
+/**
+ * Removes the value at a path
+ * @param {unknown} document - The data
+ * @param {string[]} path - The parsed path
+ * @param {(reason: string) => Error} fail - Creates the error for an invalid operation
+ * @returns {unknown} The changed data
+ * @private
+ */
+function removeAt(document, path, fail) {
+  if (path.length === 0) {
+    throw fail("cannot remove the whole document");
+  }
+  return editParent(document, path, fail, (container, token) => {
+    if (Array.isArray(container)) {
+      container.splice(indexOf(token, container.length - 1, fail), 1);
+    } else if (Object.hasOwn(container, token)) {
+      delete container[token];
+    } else {
+      throw fail(`targets the missing field "${token}"`);
+    }
+  });
+}
+
+/**
+ * Copies the containers down to the parent of a path and edits the parent
+ * @param {unknown} document - The data
+ * @param {string[]} path - The parsed path
+ * @param {(reason: string) => Error} fail - Creates the error for an invalid operation
+ * @param {(container: any, token: string) => void} edit - Changes the copied parent
+ * @returns {unknown} The changed data
+ * @private
+ */
+function editParent(document, path, fail, edit) {
+  const [token, ...rest] = path;
+  const container = copyOf(document);
+  if (container === undefined) {
+    throw fail(`targets "${token}" inside a value that is no object or array`);
+  }
+
+  if (rest.length === 0) {
+    edit(container, token);
+    return container;
+  }
+
+  const key = Array.isArray(container)
+    ? indexOf(token, container.length - 1, fail)
+    : token;
+  if (!Object.hasOwn(container, key)) {
+    throw fail(`targets the missing field "${token}"`);
+  }
+  container[key] = editParent(container[key], rest, fail, edit);
+  return container;
+}
+
+/**
+ * Looks up the value at a path
+ * @param {unknown} document - The data
+ * @param {string[]} path - The parsed path
+ * @param {(reason: string) => Error} fail - Creates the error for an invalid operation
+ * @returns {unknown} The value
+ * @private
+ */
+function valueAt(document, path, fail) {
+  /** @type {any} */
+  let current = document;
+  for (const token of path) {
+    const key = Array.isArray(current)
+      ? indexOf(token, current.length - 1, fail)
+      : token;
+    if (
+      current === null ||
+      typeof current !== "object" ||
+      !Object.hasOwn(current, key)
+    ) {
+      throw fail(`targets the missing field "${token}"`);
+    }
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * Copies an array or the data fields of an object
+ * @param {unknown} value - The value to copy
+ * @param {boolean} [isRoot=false] - Whether the value is the patched instance itself
+ * @returns {any} The copy, or undefined if the value is no container
+ * @private
+ */
+function copyOf(value, isRoot = false) {
+  if (Array.isArray(value)) return [...value];
+  if (!isRecord(value, isRoot)) return undefined;
+  return Object.fromEntries(fieldsOf(value).map((key) => [key, value[key]]));
+}
+
+/**
+ * Returns the fields of an object that hold data
+ * Methods, computed properties and the bookkeeping of instances are left out.
+ * @param {Record<string, any>} value - The object
+ * @returns {string[]} The field names
+ * @private
+ */
+function fieldsOf(value) {
+  return Object.keys(value).filter((key) => {
+    if (IGNORED_FIELDS.has(key)) return false;
+    const descriptor = Object.getOwnPropertyDescriptor(value, key);
+    return (
+      descriptor !== undefined &&
+      "value" in descriptor &&
+      descriptor.value !== undefined &&
+      typeof descriptor.value !== "function"
+    );
+  });
+}
+
+/**
+ * Checks if a value is an object whose fields are compared one by one
+ * Below the root, value objects and entities are values of their own, so
+ * they are compared and replaced as a whole.
+ * @param {unknown} value - The value
+ * @param {boolean} [isRoot=false] - Whether the value is the diffed or patched instance itself
+ * @returns {value is Record<string, any>}
+ * @private
+ */
+function isRecord(value, isRoot = false) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof Map) &&
+    !(value instanceof Set) &&
+    (isRoot || !isInstance(value))
+  );
+}
+
+/**
+ * Checks if a value is a value object or an entity rather than plain data
+ * @param {Record<string, any>} value - The object
+ * @returns {boolean}
+ * @private
+ */
+function isInstance(value) {
+  return brandOf(value) !== undefined || typeof value.equals === "function";
+}
+
+/**
+ * Parses a JSON Pointer into its unescaped tokens
+ * @param {unknown} pointer - The pointer, e.g. "/lines/0"
+ * @param {(reason: string) => Error} fail - Creates the error for an invalid operation
+ * @returns {string[]} The tokens
+ * @private
+ */
+function parsePointer(pointer, fail) {
+  if (typeof pointer !== "string" || (pointer !== "" && pointer[0] !== "/")) {
+    throw fail(`has an invalid path "${String(pointer)}"`);
+  }
+  if (pointer === "") return [];
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Escapes a field name for use in a JSON Pointer
+ * @param {string} token - The field name
+ * @returns {string}
+ * @private
+ */
+function escapeToken(token) {
+  return token.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Parses an array index of a path
+ * @param {string} token - The token
+ * @param {number} max - The highest valid index
+ * @param {(reason: string) => Error} fail - Creates the error for an invalid operation
+ * @returns {number}
+ * @private
+ */
+function indexOf(token, max, fail) {
+  const index = /^(0|[1-9]\d*)$/.test(token) ? Number(token) : NaN;
+  if (!(index <= max)) {
+    throw fail(`targets the invalid array index "${token}"`);
+  }
+  return index;
+}
+
+/**
+ * Checks if one path lies inside another
+ * @param {string[]} prefix - The outer path
+ * @param {string[]} path - The inner path
+ * @returns {boolean}
+ * @private
+ */
+function isProperPrefix(prefix, path) {
+  return (
+    prefix.length < path.length &&
+    prefix.every((token, index) => token === path[index])
+  );
+}
+
+/**
+ * Returns the value of an add, replace or test operation
+ * @param {PatchOperation} operation - The operation
+ * @param {(reason: string) => Error} fail - Creates the error for an invalid operation
+ * @returns {unknown}
+ * @private
+ */
+function requireValue(operation, fail) {
+  if (!("value" in operation)) {
+    throw fail("is missing a value");
+  }
+  return operation.value;
+}
+
+/**
+ * Creates the error for a patch that cannot be applied
+ * @param {string} type - The entity type name
+ * @param {unknown} patch - The patch
+ * @param {string} reason - What is wrong with the patch
+ * @returns {ValidationError}
+ * @private
+ */
+function invalidPatch(type, patch, reason) {
+  return new ValidationError(
+    { key: "patch.invalid", params: { type, reason } },
+    undefined,
+    { objectType: type, patch },
+  );
+}
@@ -0,0 +1,346 @@
+// packages/core/src/entities/patch.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { entity } from "./Base.js";
+import { aggregate } from "../aggregates/Base.js";
+import { versionSchema } from "../aggregates/version.js";
+import { diff, applyOperations } from "./patch.js";
+import { valueObject } from "../valueObjects/Base.js";
+import { hydratedValueObjectSchema } from "../valueObjects/schema.js";
+import { Email } from "../valueObjects/primitives/Email.js";
+import {
+  DomainError,
+  InvariantViolationError,
+  ValidationError,
+} from "../errors/index.js";
+
+describe("patch", () => {
+  const Customer = entity({
+    name: "Customer",
+    schema: z.object({
+      id: z.string(),
+      name: z.string().min(1),
+      address: z.object({ street: z.string(), city: z.string() }),
+      tags: z.array(z.string()),
+      nickname: z.string().optional(),
+    }),
+    identity: "id",
+    computed: { label: (customer) => `${customer.name} (${customer.id})` },
+    methodsFactory: () => ({}),
+  });
+
+  const ada = Customer.create({
+    id: "c-1",
+    name: "Ada",
+    address: { street: "Main St 1", city: "London" },
+    tags: ["vip", "early"],
+  });
+
+  describe("diff", () => {
+    it("should produce operations with nested paths", () => {
+      // Arrange
+      const updated = Customer.update(ada, {
+        address: { street: "Main St 1", city: "Paris" },
+        nickname: "Countess",
+      });
+
+      // Act
+      const operations = diff(ada, updated);
+
+      // Assert
+      expect(operations).toEqual([
+        { op: "replace", path: "/address/city", value: "Paris" },
+        { op: "add", path: "/nickname", value: "Countess" },
+      ]);
+    });
+
+    it("should add and remove array items by index", () => {
+      // Act
+      const grown = diff({ tags: ["a"] }, { tags: ["b", "c", "d"] });
+      const shrunk = diff({ tags: ["a", "b", "c"] }, { tags: ["a"] });
+
+      // Assert
+      expect(grown).toEqual([
+        { op: "replace", path: "/tags/0", value: "b" },
+        { op: "add", path: "/tags/1", value: "c" },
+        { op: "add", path: "/tags/2", value: "d" },
+      ]);
+      expect(shrunk).toEqual([
+        { op: "remove", path: "/tags/2" },
+        { op: "remove", path: "/tags/1" },
+      ]);
+    });
+
+    it("should escape field names and compare dates by time", () => {
+      // Act
+      const operations = diff(
+        { "a/b": 1, "c~d": 1, at: new Date("2024-01-01") },
+        { "a/b": 2, "c~d": 2, at: new Date("2024-01-01") },
+      );
+
+      // Assert
+      expect(operations).toEqual([
+        { op: "replace", path: "/a~1b", value: 2 },
+        { op: "replace", path: "/c~0d", value: 2 },
+      ]);
+    });
+
+    it("should leave out methods and computed properties", () => {
+      // Arrange
+      const updated = Customer.update(ada, { name: "Grace" });
+
+      // Act
+      const operations = diff(ada, updated);
+
+      // Assert
+      expect(operations).toEqual([
+        { op: "replace", path: "/name", value: "Grace" },
+      ]);
+    });
+
+    it("should return no operations for equal values", () => {
+      // Assert
+      expect(diff(ada, Customer.create(ada.toJSON()))).toEqual([]);
+    });
+  });
+
+  describe("applyOperations", () => {
+    it("should apply the operations of RFC 6902 without changing the input", () => {
+      // Arrange
+      const document = { a: { b: 1 }, list: [1, 2, 3] };
+
+      // Act
+      const patched = applyOperations("Doc", document, [
+        { op: "test", path: "/a/b", value: 1 },
+        { op: "add", path: "/list/1", value: 9 },
+        { op: "add", path: "/list/-", value: 4 },
+        { op: "remove", path: "/list/0" },
+        { op: "copy", from: "/a", path: "/copy" },
+        { op: "move", from: "/a/b", path: "/b" },
+        { op: "replace", path: "/copy/b", value: 5 },
+      ]);
+
+      // Assert
+      expect(patched).toEqual({
+        a: {},
+        list: [9, 2, 3, 4],
+        copy: { b: 5 },
+        b: 1,
+      });
+      expect(document).toEqual({ a: { b: 1 }, list: [1, 2, 3] });
+    });
+
+    it("should reject operations on missing paths and failed tests", () => {
+      // Arrange
+      const document = { a: 1, list: [] };
+
+      // Act & Assert
+      expect(() =>
+        applyOperations("Doc", document, [
+          { op: "replace", path: "/b", value: 1 },
+        ]),
+      ).toThrow(
+        'Invalid patch for Doc: operation 0 targets the missing field "b"',
+      );
+      expect(() =>
+        applyOperations("Doc", document, [
+          { op: "add", path: "/list/1", value: 1 },
+        ]),
+      ).toThrow('operation 0 targets the invalid array index "1"');
+      expect(() =>
+        applyOperations("Doc", document, [
+          { op: "test", path: "/a", value: 2 },
+        ]),
+      ).toThrow('operation 0 failed, "/a" has another value');
+      expect(() =>
+        applyOperations("Doc", document, [{ op: "delete", path: "/a" }]),
+      ).toThrow('operation 0 has an unknown op "delete"');
+      expect(() =>
+        applyOperations("Doc", document, [{ op: "remove", path: "a" }]),
+      ).toThrow('operation 0 has an invalid path "a"');
+      expect(() => applyOperations("Doc", document, { op: "remove" })).toThrow(
+        ValidationError,
+      );
+    });
+  });
+
+  describe("applyPatch", () => {
+    it("should round-trip the diff of two entities", () => {
+      // Arrange
+      const updated = Customer.update(ada, {
+        tags: ["vip"],
+        address: { street: "Rue 2", city: "Paris" },
+      });
+
+      // Act
+      const patched = Customer.applyPatch(ada, diff(ada, updated));
+
+      // Assert
+      expect(patched.toJSON()).toEqual(updated.toJSON());
+      expect(patched.label).toBe("Ada (c-1)");
+      expect(Customer.isInstance(patched)).toBe(true);
+    });
+
+    it("should validate the patched entity with the schema", () => {
+      // Act & Assert
+      expect(() =>
+        Customer.applyPatch(ada, [{ op: "replace", path: "/name", value: "" }]),
+      ).toThrow(ValidationError);
+    });
+
+    it("should remove optional fields", () => {
+      // Arrange
+      const nicknamed = Customer.update(ada, { nickname: "Countess" });
+
+      // Act
+      const patched = Customer.applyPatch(nicknamed, [
+        { op: "remove", path: "/nickname" },
+      ]);
+
+      // Assert
+      expect(patched.nickname).toBeUndefined();
+    });
+
+    it("should not change the identity", () => {
+      // Act & Assert
+      expect(() =>
+        Customer.applyPatch(ada, [
+          { op: "replace", path: "/id", value: "c-2" },
+        ]),
+      ).toThrow(DomainError);
+    });
+
+    it("should apply the patch asynchronously", async () => {
+      // Act
+      const patched = await Customer.applyPatchAsync(ada, [
+        { op: "add", path: "/tags/-", value: "new" },
+      ]);
+
+      // Assert
+      expect(patched.tags).toEqual(["vip", "early", "new"]);
+    });
+  });
+
+  describe("value objects", () => {
+    const Location = valueObject({
+      name: "Location",
+      schema: z.object({ city: z.string(), country: z.string() }),
+      methodsFactory: () => ({}),
+    });
+
+    const User = entity({
+      name: "User",
+      schema: z.object({
+        id: z.string(),
+        email: hydratedValueObjectSchema(Email),
+        location: hydratedValueObjectSchema(Location),
+      }),
+      identity: "id",
+      methodsFactory: () => ({}),
+    });
+
+    const user = User.create({
+      id: "u-1",
+      email: Email.create("ada@example.com"),
+      location: Location.create({ city: "London", country: "UK" }),
+    });
+
+    it("should replace value objects as a whole", () => {
+      // Arrange
+      const email = Email.create("grace@example.com");
+      const location = Location.create({ city: "Paris", country: "FR" });
+      const updated = User.update(user, { email, location });
+
+      // Act
+      const operations = diff(user, updated);
+
+      // Assert
+      expect(operations).toEqual([
+        { op: "replace", path: "/email", value: email },
+        { op: "replace", path: "/location", value: location },
+      ]);
+    });
+
+    it("should return no operations for equal value objects", () => {
+      // Arrange
+      const same = User.update(user, {
+        email: Email.create("ada@example.com"),
+        location: Location.create({ city: "London", country: "UK" }),
+      });
+
+      // Assert
+      expect(diff(user, same)).toEqual([]);
+    });
+
+    it("should round-trip the diff through applyPatch", () => {
+      // Arrange
+      const updated = User.update(user, {
+        email: Email.create("grace@example.com"),
+        location: Location.create({ city: "Paris", country: "FR" }),
+      });
+
+      // Act
+      const patched = User.applyPatch(user, diff(user, updated));
+
+      // Assert
+      expect(patched.email.equals(updated.email)).toBe(true);
+      expect(patched.location.equals(updated.location)).toBe(true);
+    });
+  });
+
+  describe("aggregates", () => {
+    const Order = aggregate({
+      name: "Order",
+      schema: z.object({
+        id: z.string(),
+        lines: z.array(
+          z.object({ sku: z.string(), quantity: z.number().int() }),
+        ),
+        version: versionSchema,
+      }),
+      identity: "id",
+      versioned: true,
+      invariants: [
+        {
+          name: "positive quantities",
+          check: (order) => order.lines.every((line) => line.quantity > 0),
+        },
+      ],
+      methodsFactory: () => ({}),
+    });
+
+    const order = Order.create({
+      id: "o-1",
+      lines: [{ sku: "SKU-1", quantity: 1 }],
+    });
+
+    it("should check the invariants", () => {
+      // Act & Assert
+      expect(() =>
+        Order.applyPatch(order, [
+          { op: "replace", path: "/lines/0/quantity", value: 0 },
+        ]),
+      ).toThrow(InvariantViolationError);
+    });
+
+    it("should increment the version instead of taking it from the patch", () => {
+      // Arrange
+      const edited = Order.update(order, {
+        lines: [{ sku: "SKU-1", quantity: 3 }],
+      });
+
+      // Act
+      const patched = Order.applyPatch(order, [
+        { op: "test", path: "/version", value: 0 },
+        ...diff(order, edited),
+      ]);
+
+      // Assert
+      expect(patched.lines[0].quantity).toBe(3);
+      expect(patched.version).toBe(1);
+      expect(() =>
+        Order.applyPatch(patched, [{ op: "test", path: "/version", value: 0 }]),
+      ).toThrow('operation 0 failed, "/version" has another value');
+    });
+  });
+});
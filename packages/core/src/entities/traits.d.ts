@@ -0,0 +1,127 @@
+import { z } from "zod";
+import { LifecycleHooks } from "./lifecycle";
+
+/**
+ * A reusable set of fields, hooks and methods that entities and aggregates
+ * can opt into with their `traits` option
+ */
+export interface Trait {
+  /**
+   * The name of the trait, e.g. "auditable"
+   */
+  name: string;
+
+  /**
+   * Fields added to the schema
+   */
+  fields?: Record<string, z.ZodTypeAny>;
+
+  /**
+   * Hooks that run before those of the entity
+   */
+  hooks?: LifecycleHooks;
+
+  /**
+   * Methods added to the instances, which those of the entity may override
+   */
+  methodsFactory?: (factory: any) => Record<string, Function>;
+}
+
+/**
+ * Where traits take the current time and the acting user from
+ */
+export interface TraitContext {
+  /**
+   * Returns the current time, defaults to `new Date()`
+   */
+  clock?: () => Date;
+
+  /**
+   * Returns the ID of the acting user, e.g. from a request context
+   */
+  currentUser?: () => string | undefined;
+}
+
+/**
+ * Fields maintained by the auditable trait
+ */
+export interface AuditFields {
+  createdAt: Date;
+  updatedAt: Date;
+  createdBy?: string;
+  updatedBy?: string;
+}
+
+/**
+ * Fields and methods added by the soft deletable trait
+ */
+export interface SoftDeleteFields<E = any> {
+  deletedAt?: Date | null;
+  deletedBy?: string | null;
+
+  /**
+   * Marks the entity as deleted
+   */
+  softDelete(): E;
+
+  /**
+   * Undoes a soft delete
+   */
+  restore(): E;
+
+  /**
+   * Checks if the entity was soft deleted
+   */
+  isDeleted(): boolean;
+}
+
+/**
+ * Creates a trait that records when and by whom an entity was created and
+ * last updated
+ */
+export function auditable(context?: TraitContext): Trait;
+
+/**
+ * Creates a trait that marks entities as deleted instead of removing them
+ */
+export function softDeletable(context?: TraitContext): Trait;
+
+/**
+ * Checks if an entity or aggregate was soft deleted
+ */
+export function isSoftDeleted(value: unknown): boolean;
+
+/**
+ * Checks if a factory opted into a trait
+ */
+export function hasTrait(factory: unknown, traitName: string): boolean;
+
+/**
+ * Combines inherited traits with the traits of an extension
+ */
+export function mergeTraits(parent: Trait[], child?: Trait[]): Trait[];
+
+/**
+ * Adds the fields of traits to the schema of an entity
+ */
+export function withTraitFields<S extends z.ZodTypeAny>(
+  type: string,
+  schema: S,
+  traits: Trait[],
+): S;
+
+/**
+ * Combines the hooks of traits with the hooks of an entity
+ */
+export function traitHooks(
+  traits: Trait[],
+  hooks?: LifecycleHooks,
+): Record<string, Function[]>;
+
+/**
+ * Creates the methods that traits add to an instance
+ */
+export function traitMethods(
+  traits: Trait[],
+  factory: any,
+): Record<string, Function>;
@@ -0,0 +1,247 @@
+// packages/core/src/entities/traits.js
+import { z } from "zod";
+import { mergeHooks, normalizeHooks } from "./lifecycle.js";
+
+/**
+ * A reusable set of fields, hooks and methods that entities and aggregates
+ * can opt into with their `traits` option
+ * @typedef {Object} Trait
+ * @property {string} name - The name of the trait, e.g. "auditable"
+ * @property {Record<string, z.ZodTypeAny>} [fields] - Fields added to the schema
+ * @property {import('./lifecycle.js').LifecycleHooks} [hooks] - Hooks that run before those of the entity
+ * @property {(factory: any) => Record<string, Function>} [methodsFactory] - Methods added to the instances, which those of the entity may override
+ */
+
+/**
+ * Where traits take the current time and the acting user from
+ * @typedef {Object} TraitContext
+ * @property {() => Date} [clock] - Returns the current time, defaults to `new Date()`
+ * @property {() => string | undefined} [currentUser] - Returns the ID of the acting user, e.g. from a request context
+ */
+
+/**
+ * Creates a trait that records when and by whom an entity was created and last updated
+ * Adds `createdAt`, `updatedAt`, `createdBy` and `updatedBy`. New entities
+ * are always stamped with the current time and user, whatever the input
+ * holds. Entities rebuilt with `reconstitute`, e.g. rows loaded by a
+ * repository, keep their values, and a missing `updatedAt` or `updatedBy`
+ * falls back to the creation values.
+ *
+ * @example
+ * const Order = aggregate({
+ *   name: "Order",
+ *   schema: z.object({ id: z.string(), total: z.number() }),
+ *   identity: "id",
+ *   traits: [auditable({ currentUser: () => requestContext.userId })],
+ *   methodsFactory: () => ({}),
+ * });
+ *
+ * @param {TraitContext} [context] - Clock and user context
+ * @returns {Trait} The trait
+ */
+export function auditable({
+  clock = () => new Date(),
+  currentUser = () => undefined,
+} = {}) {
+  return {
+    name: "auditable",
+    fields: {
+      createdAt: z.coerce.date(),
+      updatedAt: z.coerce.date(),
+      createdBy: z.string().optional(),
+      updatedBy: z.string().optional(),
+    },
+    hooks: {
+      beforeCreate(data, { reconstituted = false } = {}) {
+        // Leave invalid input to the schema
+        if (data === null || typeof data !== "object") return data;
+
+        if (reconstituted) {
+          return {
+            ...data,
+            ...definedValues({
+              updatedAt: data.updatedAt ?? data.createdAt,
+              updatedBy: data.updatedBy ?? data.createdBy,
+            }),
+          };
+        }
+
+        const now = clock();
+        const user = currentUser();
+        return {
+          ...withoutAuditFields(data),
+          createdAt: now,
+          updatedAt: now,
+          ...definedValues({ createdBy: user, updatedBy: user }),
+        };
+      },
+      beforeUpdate(updates) {
+        return {
+          ...updates,
+          ...definedValues({ updatedAt: clock(), updatedBy: currentUser() }),
+        };
+      },
+    },
+  };
+}
+
+/**
+ * Creates a trait that marks entities as deleted instead of removing them
+ * Adds `deletedAt` and `deletedBy`, and the methods `softDelete()`,
+ * `restore()` and `isDeleted()`. Repositories of soft deletable aggregates
+ * mark them on `delete` and leave deleted ones out of their queries.
+ *
+ * @param {TraitContext} [context] - Clock and user context
+ * @returns {Trait} The trait
+ */
+export function softDeletable({
+  clock = () => new Date(),
+  currentUser = () => undefined,
+} = {}) {
+  return {
+    name: "softDeletable",
+    fields: {
+      deletedAt: z.coerce.date().nullable().optional(),
+      deletedBy: z.string().nullable().optional(),
+    },
+    methodsFactory: (factory) => ({
+      /**
+       * Marks the entity as deleted
+       * @returns {any} The deleted entity
+       */
+      softDelete() {
+        return factory.update(this, {
+          deletedAt: clock(),
+          deletedBy: currentUser() ?? null,
+        });
+      },
+
+      /**
+       * Undoes a soft delete
+       * @returns {any} The restored entity
+       */
+      restore() {
+        return factory.update(this, { deletedAt: null, deletedBy: null });
+      },
+
+      /**
+       * Checks if the entity was soft deleted
+       * @returns {boolean}
+       */
+      isDeleted() {
+        return isSoftDeleted(this);
+      },
+    }),
+  };
+}
+
+/**
+ * Checks if an entity or aggregate was soft deleted
+ * @param {any} value - The entity or its data
+ * @returns {boolean}
+ */
+export function isSoftDeleted(value) {
+  return value?.deletedAt !== undefined && value?.deletedAt !== null;
+}
+
+/**
+ * Checks if a factory opted into a trait
+ * @param {any} factory - The entity or aggregate factory
+ * @param {string} traitName - The name of the trait
+ * @returns {boolean}
+ */
+export function hasTrait(factory, traitName) {
+  return (factory?.traits ?? []).some(
+    (/** @type {Trait} */ trait) => trait.name === traitName,
+  );
+}
+
+/**
+ * Combines inherited traits with the traits of an extension
+ * A trait of the extension replaces an inherited trait of the same name.
+ * @param {Trait[]} parent - The inherited traits
+ * @param {Trait[]} [child] - The traits of the extension
+ * @returns {Trait[]} The combined traits
+ */
+export function mergeTraits(parent, child = []) {
+  const names = new Set(child.map((trait) => trait.name));
+  return [...parent.filter((trait) => !names.has(trait.name)), ...child];
+}
+
+/**
+ * Adds the fields of traits to the schema of an entity
+ * @param {string} type - The entity type name, for error messages
+ * @param {any} schema - The schema of the entity
+ * @param {Trait[]} traits - The traits
+ * @returns {any} The schema with the fields of the traits
+ * @throws {Error} If a trait has no name or the schema is no object schema
+ */
+export function withTraitFields(type, schema, traits) {
+  if (traits.some((trait) => typeof trait?.name !== "string")) {
+    throw new Error(`Traits of ${type} must have a name`);
+  }
+
+  const fields = Object.assign({}, ...traits.map((trait) => trait.fields));
+  if (Object.keys(fields).length === 0) {
+    return schema;
+  }
+  if (!(schema instanceof z.ZodObject)) {
+    throw new Error(`Traits of ${type} require an object schema`);
+  }
+  return schema.extend(fields);
+}
+
+/**
+ * Combines the hooks of traits with the hooks of an entity
+ * @param {Trait[]} traits - The traits
+ * @param {import('./lifecycle.js').LifecycleHooks} [hooks] - The hooks of the entity, run after those of the traits
+ * @returns {Record<string, Function[]>} The combined hooks
+ */
+export function traitHooks(traits, hooks) {
+  const combined = traits.reduce(
+    (merged, trait) => mergeHooks(merged, trait.hooks),
+    normalizeHooks(),
+  );
+  return mergeHooks(combined, hooks);
+}
+
+/**
+ * Creates the methods that traits add to an instance
+ * @param {Trait[]} traits - The traits
+ * @param {any} factory - The factory handed to the methods
+ * @returns {Record<string, Function>} The methods
+ */
+export function traitMethods(traits, factory) {
+  return Object.assign(
+    {},
+    ...traits.map((trait) => trait.methodsFactory?.(factory) ?? {}),
+  );
+}
+
+/**
+ * Leaves out undefined values, so optional fields stay absent
+ * @param {Record<string, unknown>} values - The values
+ * @returns {Record<string, unknown>}
+ * @private
+ */
+function definedValues(values) {
+  return Object.fromEntries(
+    Object.entries(values).filter(([, value]) => value !== undefined),
+  );
+}
+
+/**
+ * Removes the audit fields a caller passed for a new entity
+ * @param {Record<string, any>} data - The data of the new entity
+ * @returns {Record<string, any>}
+ * @private
+ */
+function withoutAuditFields({
+  createdAt: _createdAt,
+  updatedAt: _updatedAt,
+  createdBy: _createdBy,
+  updatedBy: _updatedBy,
+  ...data
+}) {
+  return data;
+}
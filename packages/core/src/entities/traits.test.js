@@ -0,0 +1,350 @@
+// packages/core/src/entities/traits.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { entity } from "./Base.js";
+import { aggregate } from "../aggregates/Base.js";
+import {
+  auditable,
+  softDeletable,
+  hasTrait,
+  isSoftDeleted,
+  mergeTraits,
+} from "./traits.js";
+import { ValidationError } from "../errors/index.js";
+import { repository } from "../repositories/Base.js";
+import { createInMemoryAdapter } from "../repositories/adapters/InMemory.js";
+
+describe("traits", () => {
+  const createClock = (...times) => {
+    let index = 0;
+    return () => new Date(times[Math.min(index++, times.length - 1)]);
+  };
+
+  describe("auditable", () => {
+    it("should stamp creation and updates with the clock and the current user", () => {
+      // Arrange
+      let user = "ada";
+      const Task = entity({
+        name: "Task",
+        schema: z.object({ id: z.string(), title: z.string() }),
+        identity: "id",
+        traits: [
+          auditable({
+            clock: createClock("2024-01-01T00:00:00Z", "2024-01-02T00:00:00Z"),
+            currentUser: () => user,
+          }),
+        ],
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const task = Task.create({ id: "t-1", title: "Write docs" });
+      user = "grace";
+      const updated = Task.update(task, { title: "Review docs" });
+
+      // Assert
+      expect(task).toMatchObject({
+        createdAt: new Date("2024-01-01T00:00:00Z"),
+        updatedAt: new Date("2024-01-01T00:00:00Z"),
+        createdBy: "ada",
+        updatedBy: "ada",
+      });
+      expect(updated).toMatchObject({
+        createdAt: new Date("2024-01-01T00:00:00Z"),
+        updatedAt: new Date("2024-01-02T00:00:00Z"),
+        createdBy: "ada",
+        updatedBy: "grace",
+      });
+    });
+
+    it("should keep the audit fields of loaded data", () => {
+      // Arrange
+      const Task = entity({
+        name: "Task",
+        schema: z.object({ id: z.string() }),
+        identity: "id",
+        traits: [auditable({ clock: createClock("2024-06-01T00:00:00Z") })],
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const task = Task.reconstitute({
+        id: "t-1",
+        createdAt: "2024-01-01T00:00:00.000Z",
+        updatedAt: "2024-02-01T00:00:00.000Z",
+        createdBy: "ada",
+      });
+
+      // Assert
+      expect(task.createdAt).toEqual(new Date("2024-01-01T00:00:00Z"));
+      expect(task.updatedAt).toEqual(new Date("2024-02-01T00:00:00Z"));
+      expect(task.createdBy).toBe("ada");
+      expect(task.updatedBy).toBe("ada");
+    });
+
+    it("should stamp new entities whatever audit fields the input holds", () => {
+      // Arrange
+      const Task = entity({
+        name: "Task",
+        schema: z.object({ id: z.string() }),
+        identity: "id",
+        traits: [
+          auditable({
+            clock: createClock("2024-06-01T00:00:00Z"),
+            currentUser: () => "grace",
+          }),
+        ],
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const task = Task.create({
+        id: "t-1",
+        createdAt: "2020-01-01T00:00:00.000Z",
+        updatedAt: "2020-01-01T00:00:00.000Z",
+        createdBy: "mallory",
+        updatedBy: "mallory",
+      });
+
+      // Assert
+      expect(task).toMatchObject({
+        createdAt: new Date("2024-06-01T00:00:00Z"),
+        updatedAt: new Date("2024-06-01T00:00:00Z"),
+        createdBy: "grace",
+        updatedBy: "grace",
+      });
+    });
+
+    it("should not stamp rows loaded by another user", async () => {
+      // Arrange
+      const Task = aggregate({
+        name: "Task",
+        schema: z.object({ id: z.string() }),
+        identity: "id",
+        traits: [
+          auditable({
+            clock: createClock("2024-06-01T00:00:00Z"),
+            currentUser: () => "grace",
+          }),
+        ],
+        methodsFactory: () => ({}),
+      });
+      const tasks = repository({
+        aggregate: Task,
+        adapter: createInMemoryAdapter({
+          identity: "id",
+          initialData: [{ id: "t-1", createdAt: "2024-01-01T00:00:00.000Z" }],
+        }),
+      });
+
+      // Act
+      const task = await tasks.findById("t-1");
+
+      // Assert
+      expect(task.createdAt).toEqual(new Date("2024-01-01T00:00:00Z"));
+      expect(task.updatedAt).toEqual(new Date("2024-01-01T00:00:00Z"));
+      expect(task).not.toHaveProperty("createdBy");
+      expect(task).not.toHaveProperty("updatedBy");
+    });
+
+    it("should leave the actor fields out without a current user", () => {
+      // Arrange
+      const Task = entity({
+        name: "Task",
+        schema: z.object({ id: z.string() }),
+        identity: "id",
+        traits: [auditable()],
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const task = Task.create({ id: "t-1" });
+
+      // Assert
+      expect(task.createdAt).toBeInstanceOf(Date);
+      expect(task).not.toHaveProperty("createdBy");
+    });
+
+    it("should run before the hooks of the entity", () => {
+      // Arrange
+      const seen = [];
+      const Task = entity({
+        name: "Task",
+        schema: z.object({ id: z.string() }),
+        identity: "id",
+        traits: [auditable({ clock: createClock("2024-01-01T00:00:00Z") })],
+        hooks: {
+          beforeCreate: (data) => {
+            seen.push(data.createdAt);
+          },
+        },
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      Task.create({ id: "t-1" });
+
+      // Assert
+      expect(seen).toEqual([new Date("2024-01-01T00:00:00Z")]);
+    });
+  });
+
+  describe("softDeletable", () => {
+    const Customer = aggregate({
+      name: "Customer",
+      schema: z.object({ id: z.string(), name: z.string() }),
+      identity: "id",
+      traits: [
+        softDeletable({
+          clock: createClock("2024-03-01T00:00:00Z"),
+          currentUser: () => "admin",
+        }),
+      ],
+      methodsFactory: () => ({}),
+    });
+
+    it("should mark and restore instances", () => {
+      // Arrange
+      const customer = Customer.create({ id: "c-1", name: "Ada" });
+
+      // Act
+      const deleted = customer.softDelete();
+      const restored = deleted.restore();
+
+      // Assert
+      expect(customer.isDeleted()).toBe(false);
+      expect(deleted.isDeleted()).toBe(true);
+      expect(deleted).toMatchObject({
+        deletedAt: new Date("2024-03-01T00:00:00Z"),
+        deletedBy: "admin",
+      });
+      expect(restored.isDeleted()).toBe(false);
+      expect(isSoftDeleted(restored)).toBe(false);
+      expect(isSoftDeleted({ deletedAt: "2024-03-01" })).toBe(true);
+    });
+
+    it("should keep the domain events of the aggregate", () => {
+      // Arrange
+      const customer = Customer.create({ id: "c-1", name: "Ada" }).emitEvent(
+        "CustomerRenamed",
+        { id: "c-1" },
+      );
+
+      // Act
+      const restored = customer.softDelete().restore();
+
+      // Assert
+      expect(restored.getDomainEvents().map((event) => event.type)).toEqual([
+        "CustomerRenamed",
+      ]);
+    });
+
+    it("should let methods of the aggregate override those of the trait", () => {
+      // Arrange
+      const Archived = Customer.extend({
+        name: "ArchivedCustomer",
+        methodsFactory: () => ({
+          softDelete() {
+            throw new Error("Archived customers cannot be deleted");
+          },
+        }),
+      });
+      const customer = Archived.create({ id: "c-1", name: "Ada" });
+
+      // Act & Assert
+      expect(() => customer.softDelete()).toThrow(
+        "Archived customers cannot be deleted",
+      );
+      expect(customer.isDeleted()).toBe(false);
+    });
+  });
+
+  describe("composition", () => {
+    it("should add the fields of the traits to the schema", () => {
+      // Arrange
+      const Task = entity({
+        name: "Task",
+        schema: z.object({ id: z.string() }),
+        identity: "id",
+        traits: [auditable(), softDeletable()],
+        methodsFactory: () => ({}),
+      });
+
+      // Assert
+      expect(Object.keys(Task.schema.shape)).toEqual([
+        "id",
+        "createdAt",
+        "updatedAt",
+        "createdBy",
+        "updatedBy",
+        "deletedAt",
+        "deletedBy",
+      ]);
+      expect(() => Task.create({ id: "t-1", deletedAt: "not a date" })).toThrow(
+        ValidationError,
+      );
+    });
+
+    it("should inherit traits and replace them by name on extend", () => {
+      // Arrange
+      const Base = aggregate({
+        name: "Document",
+        schema: z.object({ id: z.string() }),
+        identity: "id",
+        traits: [auditable({ currentUser: () => "ada" })],
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const Contract = Base.extend({
+        name: "Contract",
+        traits: [auditable({ currentUser: () => "grace" }), softDeletable()],
+        methodsFactory: () => ({}),
+      });
+      const contract = Contract.create({ id: "d-1" });
+
+      // Assert
+      expect(Contract.traits.map((trait) => trait.name)).toEqual([
+        "auditable",
+        "softDeletable",
+      ]);
+      expect(contract.createdBy).toBe("grace");
+      expect(hasTrait(Contract, "softDeletable")).toBe(true);
+      expect(hasTrait(Base, "softDeletable")).toBe(false);
+    });
+
+    it("should combine traits with the child replacing the parent", () => {
+      // Arrange
+      const parent = [{ name: "a" }, { name: "b" }];
+      const child = [{ name: "b", fields: {} }];
+
+      // Act
+      const merged = mergeTraits(parent, child);
+
+      // Assert
+      expect(merged).toEqual([{ name: "a" }, { name: "b", fields: {} }]);
+    });
+
+    it("should reject traits without a name or on schemas without fields", () => {
+      // Act & Assert
+      expect(() =>
+        entity({
+          name: "Task",
+          schema: z.object({ id: z.string() }),
+          identity: "id",
+          traits: [{ fields: {} }],
+          methodsFactory: () => ({}),
+        }),
+      ).toThrow("Traits of Task must have a name");
+      expect(() =>
+        entity({
+          name: "Task",
+          schema: z.object({ id: z.string() }).strict().optional(),
+          identity: "id",
+          traits: [auditable()],
+          methodsFactory: () => ({}),
+        }),
+      ).toThrow("Traits of Task require an object schema");
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import { DomainError } from "./DomainError";
+import { MessageDescriptor } from "./messages";
+
+/**
+ * Error thrown when an aggregate was changed by someone else since it was loaded
+ */
+export class ConcurrencyError extends DomainError {
+  constructor(
+    message: string | MessageDescriptor,
+    expectedVersion: number,
+    actualVersion: number | null,
+    context?: Record<string, unknown>,
+  );
+
+  /**
+   * The version the aggregate was loaded with
+   */
+  expectedVersion: number;
+
+  /**
+   * The version found in the store, or null if the aggregate no longer exists or its version could not be read
+   */
+  actualVersion: number | null;
+
+  /**
+   * Additional context about the conflict
+   */
+  context: Record<string, unknown>;
+}
@@ -0,0 +1,20 @@
+import { DomainError } from "./DomainError.js";
+
+/**
+ * Error thrown when an aggregate was changed by someone else since it was loaded
+ * @extends DomainError
+ */
+export class ConcurrencyError extends DomainError {
+  /**
+   * @param {string|import('./messages.js').MessageDescriptor} message - Error message, or a message key with parameters
+   * @param {number} expectedVersion - The version the aggregate was loaded with
+   * @param {number|null} actualVersion - The version found in the store, or null if the aggregate no longer exists or its version could not be read
+   * @param {Object} [context] - Additional context, e.g. the aggregate ID
+   */
+  constructor(message, expectedVersion, actualVersion, context = {}) {
+    super(message);
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+    this.context = context;
+  }
+}
@@ -1,14 +1,37 @@
+import { MessageDescriptor } from "./messages";
+
 /**
  * Base error class for domain-specific errors
  */
 export class DomainError extends Error {
   constructor(
-    message: string,
-    cause?: Error
+    message: string | MessageDescriptor,
+    cause?: Error,
+    context?: Record<string, unknown>
   );
   
   /**
    * The cause of this error
    */
   cause?: Error;
-}
\ No newline at end of file
+
+  /**
+   * Additional context about the error
+   */
+  context: Record<string, unknown>;
+
+  /**
+   * Catalog key of the message, if it is localizable
+   */
+  messageKey?: string;
+
+  /**
+   * Parameters of the localizable message
+   */
+  messageParams: Record<string, unknown>;
+
+  /**
+   * Renders the message in a locale, defaulting to the ambient locale
+   */
+  localize(locale?: string): string;
+}
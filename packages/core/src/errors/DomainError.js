@@ -1,3 +1,5 @@
+import { translate } from "./messages.js";
+
 /**
  * Base error class for all domain-specific errors
  * @extends Error
@@ -12,16 +14,46 @@ export class DomainError extends Error {
   /** @type {Error|undefined} The underlying cause of this error */
   cause;
 
+  /** @type {string|undefined} Catalog key of the message, if it is localizable */
+  messageKey;
+
+  /** @type {Record<string, unknown>} Parameters of the localizable message */
+  messageParams;
+
+  /** @type {Record<string, any>} Additional context about the error */
+  context;
+
   /**
-   * @param {string} message - Error message
+   * @param {string|import('./messages.js').MessageDescriptor} message - Error message, or a message key with parameters rendered in the ambient locale
    * @param {Error} [cause] - The underlying cause of this error
+   * @param {Record<string, any>} [context] - Additional context, e.g. the object type
    */
-  constructor(message, cause) {
-    super(message);
-    this.message = message;
+  constructor(message, cause, context = {}) {
+    const text =
+      typeof message === "string"
+        ? message
+        : translate(message.key, message.params);
+    super(text);
+    this.message = text;
     this.name = this.constructor.name;
     this.cause = cause;
+    this.context = context;
+    this.messageKey = typeof message === "string" ? undefined : message.key;
+    this.messageParams =
+      typeof message === "string" ? {} : { ...message.params };
 
     Error.captureStackTrace(this, this.constructor);
   }
+
+  /**
+   * Renders the message in a locale
+   * Errors created with a plain string message always return that message.
+   * @param {string} [locale] - The locale, defaults to the ambient locale
+   * @returns {string} The localized message
+   */
+  localize(locale) {
+    return this.messageKey === undefined
+      ? this.message
+      : translate(this.messageKey, this.messageParams, locale);
+  }
 }
@@ -32,6 +32,16 @@ describe("DomainError", () => {
     expect(error.cause).toBe(cause);
   });
 
+  // Test error context
+  it("should keep additional context", () => {
+    // Act
+    const error = new DomainError("Outer error", undefined, { id: "o-1" });
+
+    // Assert
+    expect(error.context).toEqual({ id: "o-1" });
+    expect(new DomainError("Plain error").context).toEqual({});
+  });
+
   // Test error inheritance
   it("should allow extending for specific error types", () => {
     // Arrange
@@ -1,11 +1,12 @@
 import { DomainError } from "./DomainError";
+import { MessageDescriptor } from "./messages";
 
 /**
  * Error thrown when domain service operations fail
  */
 export class DomainServiceError extends DomainError {
   constructor(
-    message: string,
+    message: string | MessageDescriptor,
     cause?: Error,
     context?: Record<string, unknown>
   );
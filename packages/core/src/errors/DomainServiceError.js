@@ -6,7 +6,7 @@ import { DomainError } from "./DomainError.js";
  */
 export class DomainServiceError extends DomainError {
   /**
-   * @param {string} message - Error message
+   * @param {string|import('./messages.js').MessageDescriptor} message - Error message, or a message key with parameters
    * @param {Error} [cause] - The underlying cause
    * @param {Record<string, any>} [context] - Additional context
    */
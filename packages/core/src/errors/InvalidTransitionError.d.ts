@@ -0,0 +1,29 @@
+import { DomainError } from "./DomainError";
+import { MessageDescriptor } from "./messages";
+
+/**
+ * Error thrown when a state change is not allowed by a transition table
+ */
+export class InvalidTransitionError extends DomainError {
+  constructor(
+    message: string | MessageDescriptor,
+    from: string,
+    to: string,
+    context?: Record<string, unknown>
+  );
+
+  /**
+   * The current state
+   */
+  from: string;
+
+  /**
+   * The requested state
+   */
+  to: string;
+
+  /**
+   * Additional context about the rejected transition
+   */
+  context: Record<string, unknown>;
+}
@@ -0,0 +1,20 @@
+import { DomainError } from "./DomainError.js";
+
+/**
+ * Error thrown when a state change is not allowed by a transition table
+ * @extends DomainError
+ */
+export class InvalidTransitionError extends DomainError {
+  /**
+   * @param {string|import('./messages.js').MessageDescriptor} message - Error message, or a message key with parameters
+   * @param {string} from - The current state
+   * @param {string} to - The requested state
+   * @param {Object} [context] - Additional context, e.g. the allowed target states
+   */
+  constructor(message, from, to, context = {}) {
+    super(message);
+    this.from = from;
+    this.to = to;
+    this.context = context;
+  }
+}
@@ -1,11 +1,12 @@
 import { DomainError } from "./DomainError";
+import { MessageDescriptor } from "./messages";
 
 /**
  * Error thrown when an aggregate invariant is violated
  */
 export class InvariantViolationError extends DomainError {
   constructor(
-    message: string,
+    message: string | MessageDescriptor,
     invariantName: string,
     context?: Record<string, unknown>
   );
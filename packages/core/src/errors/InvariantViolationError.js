@@ -5,7 +5,7 @@ import { DomainError } from "./DomainError.js";
  */
 export class InvariantViolationError extends DomainError {
   /**
-   * @param {string} message - Error message
+   * @param {string|import('./messages.js').MessageDescriptor} message - Error message, or a message key with parameters
    * @param {string} invariantName - Name of the violated invariant
    * @param {Object} context - Additional context
    */
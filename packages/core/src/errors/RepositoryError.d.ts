@@ -1,11 +1,12 @@
 import { DomainError } from "./DomainError";
+import { MessageDescriptor } from "./messages";
 
 /**
  * Error thrown when repository operations fail
  */
 export class RepositoryError extends DomainError {
   constructor(
-    message: string,
+    message: string | MessageDescriptor,
     cause?: Error,
     context?: Record<string, unknown>
   );
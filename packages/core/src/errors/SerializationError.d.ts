@@ -0,0 +1,18 @@
+import { DomainError } from "./DomainError";
+import { MessageDescriptor } from "./messages";
+
+/**
+ * Error thrown when serialization or revival fails
+ */
+export class SerializationError extends DomainError {
+  constructor(
+    message: string | MessageDescriptor,
+    cause?: Error,
+    context?: Record<string, unknown>
+  );
+
+  /**
+   * Additional context, e.g. the type name
+   */
+  context: Record<string, unknown>;
+}
@@ -0,0 +1,17 @@
+import { DomainError } from "./DomainError.js";
+
+/**
+ * Error thrown when serialization or revival fails
+ * @extends DomainError
+ */
+export class SerializationError extends DomainError {
+  /**
+   * @param {string|import('./messages.js').MessageDescriptor} message - Error message, or a message key with parameters
+   * @param {Error} [cause] - The underlying cause
+   * @param {Record<string, any>} [context] - Additional context, e.g. the type name
+   */
+  constructor(message, cause, context = {}) {
+    super(message, cause);
+    this.context = context;
+  }
+}
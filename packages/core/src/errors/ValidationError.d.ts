@@ -1,17 +1,62 @@
 import { DomainError } from "./DomainError";
+import { MessageDescriptor } from "./messages";
+
+/**
+ * A single validation problem, independent of the validation library
+ */
+export interface ValidationIssue {
+  /**
+   * Path of the invalid field, empty for the input as a whole
+   */
+  path: Array<string | number>;
+
+  /**
+   * Machine readable issue code, e.g. "invalid_type" or "too_small"
+   */
+  code: string;
+
+  /**
+   * Human readable description
+   */
+  message: string;
+
+  /**
+   * The invalid value, if known
+   */
+  received: unknown;
+}
 
 /**
  * Error thrown when validation fails
  */
 export class ValidationError extends DomainError {
   constructor(
-    message: string,
+    message: string | MessageDescriptor,
     cause?: Error,
     context?: Record<string, unknown>
   );
-  
+
   /**
    * Additional context about the validation error
    */
   context: Record<string, unknown>;
-}
\ No newline at end of file
+
+  /**
+   * The individual problems, with paths relative to the validated input
+   */
+  issues: ValidationIssue[];
+
+  /**
+   * Groups the issue messages into errors of the whole input and errors per
+   * field, keyed by dotted paths such as "address.street"
+   */
+  flatten(): {
+    formErrors: string[];
+    fieldErrors: Record<string, string[]>;
+  };
+
+  /**
+   * Maps each invalid field to its first error message
+   */
+  toFieldErrors(): Record<string, string>;
+}
@@ -1,4 +1,14 @@
 import { DomainError } from "./DomainError.js";
+import { translate, translateIssue } from "./messages.js";
+
+/**
+ * A single validation problem, independent of the validation library
+ * @typedef {Object} ValidationIssue
+ * @property {Array<string|number>} path - Path of the invalid field, empty for the input as a whole
+ * @property {string} code - Machine readable issue code, e.g. "invalid_type" or "too_small"
+ * @property {string} message - Human readable description
+ * @property {unknown} received - The invalid value, if known
+ */
 
 /**
  * Error thrown when domain object validation fails
@@ -6,12 +16,131 @@ import { DomainError } from "./DomainError.js";
  */
 export class ValidationError extends DomainError {
   /**
-   * @param {string} message - Error message
+   * @param {string|import('./messages.js').MessageDescriptor} message - Error message, or a message key with parameters
    * @param {Error} [cause] - The underlying validation error (e.g., ZodError)
    * @param {Object} [context] - Additional context about the validation failure
    */
   constructor(message, cause, context = {}) {
     super(message, cause);
     this.context = context;
+
+    /**
+     * The individual problems, with paths relative to the validated input
+     * @type {ValidationIssue[]}
+     */
+    this.issues = normalizeIssues(this.message, cause, context);
+  }
+
+  /**
+   * Renders the message in a locale
+   * The details of a failed schema validation are rendered in that locale too.
+   * @param {string} [locale] - The locale, defaults to the ambient locale
+   * @returns {string} The localized message
+   */
+  localize(locale) {
+    const issues = /** @type {any} */ (this.cause)?.issues;
+    if (
+      this.messageKey === undefined ||
+      !("details" in this.messageParams) ||
+      !Array.isArray(issues)
+    ) {
+      return super.localize(locale);
+    }
+    const details = issues
+      .map((/** @type {any} */ issue) => translateIssue(issue, locale))
+      .join(", ");
+    return translate(
+      this.messageKey,
+      { ...this.messageParams, details },
+      locale,
+    );
+  }
+
+  /**
+   * Groups the issue messages into errors of the whole input and errors per field
+   * Field keys are dotted paths such as "address.street" or "items.0.sku".
+   * @returns {{formErrors: string[], fieldErrors: Record<string, string[]>}}
+   */
+  flatten() {
+    /** @type {string[]} */
+    const formErrors = [];
+    /** @type {Record<string, string[]>} */
+    const fieldErrors = {};
+
+    for (const issue of this.issues) {
+      if (issue.path.length === 0) {
+        formErrors.push(issue.message);
+      } else {
+        const key = issue.path.join(".");
+        fieldErrors[key] = [...(fieldErrors[key] || []), issue.message];
+      }
+    }
+
+    return { formErrors, fieldErrors };
+  }
+
+  /**
+   * Maps each invalid field to its first error message, ready to bind to form fields
+   * Issues of the whole input are left out, use {@link flatten} to get them too.
+   * @returns {Record<string, string>}
+   */
+  toFieldErrors() {
+    /** @type {Record<string, string>} */
+    const errors = {};
+    for (const [key, messages] of Object.entries(this.flatten().fieldErrors)) {
+      errors[key] = messages[0];
+    }
+    return errors;
+  }
+}
+
+/**
+ * Builds the issues of a validation error from its cause
+ * Zod issues keep their path and code. Issues merged from nested validation
+ * errors carry their original code and value in their params.
+ * @param {string} message - Error message
+ * @param {any} cause - The underlying error
+ * @param {Record<string, any>} context - Context of the error
+ * @returns {ValidationIssue[]}
+ * @private
+ */
+function normalizeIssues(message, cause, context) {
+  const input = "input" in context ? context.input : context.value;
+
+  if (cause instanceof ValidationError) {
+    return cause.issues;
+  }
+
+  if (cause && Array.isArray(cause.issues)) {
+    return cause.issues.map((/** @type {any} */ issue) => {
+      const path = Array.isArray(issue.path) ? [...issue.path] : [];
+      const params = issue.params ?? {};
+      return {
+        path,
+        code: params.code ?? issue.code,
+        message: translateIssue(issue),
+        received: "received" in params ? params.received : valueAt(input, path),
+      };
+    });
+  }
+
+  return [{ path: [], code: "custom", message, received: input }];
+}
+
+/**
+ * Looks up the value at a path of the input
+ * @param {any} input - The validated input
+ * @param {Array<string|number>} path - The path
+ * @returns {unknown} The value, or undefined if the path does not exist
+ * @private
+ */
+function valueAt(input, path) {
+  let current = input;
+  for (const key of path) {
+    if (current === null || typeof current !== "object") {
+      return undefined;
+    }
+    current = current[key];
   }
+  return current;
 }
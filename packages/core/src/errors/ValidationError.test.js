@@ -1,4 +1,5 @@
 import { describe, it, expect } from "vitest";
+import { z } from "zod";
 import { ValidationError } from "./ValidationError.js";
 import { DomainError } from "./DomainError.js";
 
@@ -86,4 +87,117 @@ describe("ValidationError", () => {
     expect(error.toString()).toContain("ValidationError");
     expect(error.toString()).toContain(message);
   });
+
+  describe("issues", () => {
+    const schema = z.object({
+      name: z.string().min(1, "Name is required"),
+      address: z.object({ zip: z.string().length(5, "Invalid zip") }),
+      tags: z.array(z.string()),
+    });
+    const input = { name: "", address: { zip: "123" }, tags: ["a", 1] };
+
+    const createError = () => {
+      const result = schema.safeParse(input);
+      return new ValidationError("Invalid Customer", result.error, {
+        objectType: "Customer",
+        input,
+      });
+    };
+
+    it("should normalize Zod issues with path, code, message and received value", () => {
+      // Act
+      const error = createError();
+
+      // Assert
+      expect(error.issues).toEqual([
+        {
+          path: ["name"],
+          code: "too_small",
+          message: "Name is required",
+          received: "",
+        },
+        {
+          path: ["address", "zip"],
+          code: "too_small",
+          message: "Invalid zip",
+          received: "123",
+        },
+        {
+          path: ["tags", 1],
+          code: "invalid_type",
+          message: "Expected string, received number",
+          received: 1,
+        },
+      ]);
+    });
+
+    it("should describe errors without a Zod cause as a single issue", () => {
+      // Act
+      const error = new ValidationError("Invalid date", undefined, {
+        input: "yesterday",
+      });
+
+      // Assert
+      expect(error.issues).toEqual([
+        {
+          path: [],
+          code: "custom",
+          message: "Invalid date",
+          received: "yesterday",
+        },
+      ]);
+    });
+
+    it("should take over the issues of a wrapped validation error", () => {
+      // Arrange
+      const cause = createError();
+
+      // Act
+      const error = new ValidationError("Invalid Order", cause);
+
+      // Assert
+      expect(error.issues).toBe(cause.issues);
+    });
+
+    it("should flatten issues into form and field errors", () => {
+      // Arrange
+      const error = createError();
+
+      // Act
+      const flattened = error.flatten();
+
+      // Assert
+      expect(flattened).toEqual({
+        formErrors: [],
+        fieldErrors: {
+          name: ["Name is required"],
+          "address.zip": ["Invalid zip"],
+          "tags.1": ["Expected string, received number"],
+        },
+      });
+      expect(new ValidationError("Invalid").flatten().formErrors).toEqual([
+        "Invalid",
+      ]);
+    });
+
+    it("should map each field to its first message", () => {
+      // Arrange
+      const result = z
+        .object({
+          code: z.string().min(3, "Too short").regex(/^\d+$/, "Digits only"),
+        })
+        .safeParse({ code: "a" });
+      const error = new ValidationError("Invalid", result.error);
+
+      // Act
+      const fieldErrors = error.toFieldErrors();
+
+      // Assert
+      expect(error.flatten().fieldErrors.code).toEqual([
+        "Too short",
+        "Digits only",
+      ]);
+      expect(fieldErrors).toEqual({ code: "Too short" });
+    });
+  });
 });
@@ -0,0 +1,4 @@
+/**
+ * Throws the reason of an aborted signal, or an AbortError if it has none
+ */
+export function throwIfAborted(signal?: AbortSignal): void;
@@ -0,0 +1,25 @@
+/**
+ * Throws the reason of an aborted signal
+ * Unlike `signal.throwIfAborted()` this works on every supported Node
+ * version. Signals without a reason throw an AbortError.
+ * @param {AbortSignal} [signal] - The signal, if any
+ * @throws {unknown} The abort reason if the signal was aborted
+ */
+export function throwIfAborted(signal) {
+  if (!signal?.aborted) return;
+  throw signal.reason ?? abortError();
+}
+
+/**
+ * Creates the error of an operation aborted without a reason
+ * @returns {Error}
+ * @private
+ */
+function abortError() {
+  if (typeof DOMException === "function") {
+    return new DOMException("This operation was aborted", "AbortError");
+  }
+  const error = new Error("This operation was aborted");
+  error.name = "AbortError";
+  return error;
+}
@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { throwIfAborted } from "./abort.js";
+
+describe("throwIfAborted", () => {
+  it("should do nothing without an aborted signal", () => {
+    // Act & Assert
+    expect(() => throwIfAborted(undefined)).not.toThrow();
+    expect(() => throwIfAborted(new AbortController().signal)).not.toThrow();
+  });
+
+  it("should throw the reason of an aborted signal", () => {
+    // Arrange
+    const controller = new AbortController();
+    const reason = new Error("Request closed");
+    controller.abort(reason);
+
+    // Act & Assert
+    expect(() => throwIfAborted(controller.signal)).toThrow(reason);
+  });
+
+  it("should throw an AbortError for signals without a reason", () => {
+    // Arrange
+    const signal = /** @type {AbortSignal} */ ({ aborted: true });
+
+    // Act & Assert
+    expect(() => throwIfAborted(signal)).toThrow(
+      expect.objectContaining({ name: "AbortError" }),
+    );
+  });
+});
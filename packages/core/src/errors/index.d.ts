@@ -1,5 +1,23 @@
 export { DomainError } from "./DomainError";
-export { ValidationError } from "./ValidationError";
+export { ValidationError, ValidationIssue } from "./ValidationError";
 export { InvariantViolationError } from "./InvariantViolationError";
 export { RepositoryError } from "./RepositoryError";
 export { DomainServiceError } from "./DomainServiceError";
+export { InvalidTransitionError } from "./InvalidTransitionError";
+export { ConcurrencyError } from "./ConcurrencyError";
+export { SerializationError } from "./SerializationError";
+
+export {
+  defaultMessages,
+  DEFAULT_LOCALE,
+  interpolate,
+  setTranslator,
+  setLocale,
+  getLocale,
+  withLocale,
+  translate,
+  translateIssue,
+  createCatalogTranslator,
+  MessageDescriptor,
+  Translator,
+} from "./messages";
@@ -4,3 +4,18 @@ export { ValidationError } from "./ValidationError.js";
 export { InvariantViolationError } from "./InvariantViolationError.js";
 export { RepositoryError } from "./RepositoryError.js";
 export { DomainServiceError } from "./DomainServiceError.js";
+export { InvalidTransitionError } from "./InvalidTransitionError.js";
+export { ConcurrencyError } from "./ConcurrencyError.js";
+export { SerializationError } from "./SerializationError.js";
+export {
+  defaultMessages,
+  DEFAULT_LOCALE,
+  interpolate,
+  setTranslator,
+  setLocale,
+  getLocale,
+  withLocale,
+  translate,
+  translateIssue,
+  createCatalogTranslator,
+} from "./messages.js";
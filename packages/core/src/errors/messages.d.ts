@@ -0,0 +1,91 @@
+/**
+ * A message identified by a catalog key, rendered in the active locale
+ */
+export interface MessageDescriptor {
+  /**
+   * Key of the message in the catalog, e.g. "validation.invalid"
+   */
+  key: string;
+
+  /**
+   * Values for the placeholders of the message
+   */
+  params?: Record<string, unknown>;
+}
+
+/**
+ * Renders a message in a locale, returning undefined to fall back to English
+ */
+export type Translator = (
+  key: string,
+  params: Record<string, unknown>,
+  locale: string
+) => string | undefined;
+
+/**
+ * The built-in English messages, keyed by message key
+ */
+export const defaultMessages: Readonly<Record<string, string>>;
+
+/**
+ * Locale used by the built-in messages
+ */
+export const DEFAULT_LOCALE: string;
+
+/**
+ * Replaces the placeholders of a template with parameters
+ */
+export function interpolate(
+  template: string,
+  params?: Record<string, unknown>
+): string;
+
+/**
+ * Installs the translator used to render messages in other locales
+ */
+export function setTranslator(translator: Translator | null): void;
+
+/**
+ * Sets the ambient locale messages are rendered in
+ */
+export function setLocale(locale: string): void;
+
+/**
+ * Returns the ambient locale
+ */
+export function getLocale(): string;
+
+/**
+ * Runs a function with another ambient locale and restores the previous one
+ */
+export function withLocale<T>(locale: string, fn: () => T): T;
+
+/**
+ * Renders a message in a locale, defaulting to the ambient locale
+ */
+export function translate(
+  key: string,
+  params?: Record<string, unknown>,
+  locale?: string
+): string;
+
+/**
+ * Renders an issue of a failed schema validation, keeping its message
+ * when no translation exists
+ */
+export function translateIssue(
+  issue: {
+    code: string;
+    message: string;
+    path?: Array<string | number>;
+    params?: Record<string, any>;
+  },
+  locale?: string
+): string;
+
+/**
+ * Creates a translator from message catalogs per locale
+ */
+export function createCatalogTranslator(
+  catalogs: Record<string, Record<string, string>>
+): Translator;
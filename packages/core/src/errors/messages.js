@@ -0,0 +1,236 @@
+/**
+ * A message identified by a catalog key, rendered in the active locale
+ * @typedef {Object} MessageDescriptor
+ * @property {string} key - Key of the message in the catalog, e.g. "validation.invalid"
+ * @property {Record<string, unknown>} [params] - Values for the placeholders of the message
+ */
+
+/**
+ * Renders a message in a locale
+ * Returning undefined falls back to the English default message.
+ * @typedef {(key: string, params: Record<string, unknown>, locale: string) => string | undefined} Translator
+ */
+
+/**
+ * The built-in English messages, keyed by message key
+ * Placeholders in curly braces are replaced by the message parameters.
+ */
+export const defaultMessages = Object.freeze({
+  "validation.invalid": "Invalid {type}: {details}",
+  "validation.invalidEvent": "Invalid {type} event: {details}",
+  "invariant.violated": "Invariant '{invariant}' violated in {type}",
+  "reference.notFound": "{type} with ID {id} does not exist",
+  "patch.invalid": "Invalid patch for {type}: {reason}",
+  "stateMachine.invalidTransition":
+    "Cannot {transition} {type} in state {from}",
+  "stateMachine.guardRejected":
+    "Cannot {transition} {type}, the guard rejected the transition from {from} to {to}",
+  "stateMachine.unknownState":
+    "Unknown state {state} of {type}, expected one of {states}",
+  "domainService.missingDependencies":
+    "Missing required dependencies: {dependencies}",
+  "repository.idRequired": "ID is required",
+  "repository.idsNotArray": "IDs must be an array",
+  "repository.filterRequired": "Filter is required for findOne",
+  "repository.specificationRequired": "Specification is required",
+  "repository.aggregateRequired": "Aggregate is required",
+  "repository.aggregatesNotArray": "Aggregates must be an array",
+  "repository.findFailed": "Failed to find {type} with ID {id}",
+  "repository.findManyFailed": "Failed to find {type} with IDs {ids}",
+  "repository.existsFailed": "Failed to check if {type} exists with ID {id}",
+  "repository.findAllFailed": "Failed to find {type} with filter",
+  "repository.findOneFailed": "Failed to find one {type} with filter",
+  "repository.findBySpecificationFailed":
+    "Failed to find {type} with specification",
+  "repository.countFailed": "Failed to count {type} with filter",
+  "repository.saveFailed": "Failed to save {type} with ID {id}",
+  "repository.saveAllFailed": "Failed to save multiple {type} aggregates",
+  "repository.deleteFailed": "Failed to delete {type} with ID {id}",
+  "repository.concurrencyConflict":
+    "{type} with ID {id} was changed concurrently, expected version {expected} but found {actual}",
+  "concurrency.versionMismatch":
+    "Expected version {expected} of {id}, found {actual}",
+  "concurrency.notFound": "Expected version {expected} of {id}, found none",
+  "concurrency.createdConcurrently":
+    "Expected {id} to be new, but it was created concurrently",
+  "entity.identityChanged":
+    'Cannot change identity of {type} from "{from}" to "{to}"',
+  "aggregate.versionChanged":
+    "Cannot change version of {type}, it is incremented by each update",
+  "history.notRetained":
+    "History of {type} before {timestamp} is no longer retained",
+  "history.unknownVersion":
+    "Cannot revert {type} to version {version}, the current version is {current}",
+  "history.versionNotRetained":
+    "Cannot revert {type} to version {version}, the history only reaches back to version {oldest}",
+  "enum.invalidTransition": "Invalid {type} transition from {from} to {to}",
+  "money.currencyMismatch": "Cannot {operation} {otherCurrency} and {currency}",
+  "money.unknownCurrency": "Cannot {operation} unknown currency and {currency}",
+  "quantity.dimensionMismatch":
+    "Cannot {operation} {otherUnit} ({otherDimension}) and {unit} ({dimension})",
+  "quantity.incompatibleUnit":
+    "Cannot convert {unit} ({dimension}) to {targetUnit} ({targetDimension})",
+  "quantity.unknownUnit": "Unknown unit: {unit}",
+  "time.zoneRequired": "A time zone is required",
+  "time.invalidZone": "Invalid time zone: {timeZone}",
+  "instant.invalidLocalDateTime": "Invalid local date-time: {dateTime}",
+  "valueObject.typeMismatch": "Expected a {type}",
+  "serialization.unregisteredType":
+    'No factory registered for type "{typeName}"',
+  "serialization.revivalFailed": "Failed to revive {typeName}",
+});
+
+/**
+ * Locale used by the built-in messages
+ */
+export const DEFAULT_LOCALE = "en";
+
+/** @type {Translator | null} */
+let activeTranslator = null;
+
+/** @type {string} */
+let activeLocale = DEFAULT_LOCALE;
+
+/**
+ * Replaces the placeholders of a template with parameters
+ * Unknown placeholders are left untouched.
+ * @param {string} template - Template such as "Invalid {type}"
+ * @param {Record<string, unknown>} [params] - The parameter values
+ * @returns {string} The rendered text
+ */
+export function interpolate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(params, name)
+      ? String(params[name])
+      : placeholder,
+  );
+}
+
+/**
+ * Installs the translator used to render messages in other locales
+ * @param {Translator | null} translator - The translator, or null for English only
+ */
+export function setTranslator(translator) {
+  if (translator !== null && typeof translator !== "function") {
+    throw new Error("Translator must be a function");
+  }
+  activeTranslator = translator;
+}
+
+/**
+ * Sets the ambient locale messages are rendered in
+ * @param {string} locale - Locale such as "de" or "pt-BR"
+ */
+export function setLocale(locale) {
+  if (typeof locale !== "string" || locale.length === 0) {
+    throw new Error("Locale must be a non-empty string");
+  }
+  activeLocale = locale;
+}
+
+/**
+ * Returns the ambient locale
+ * @returns {string}
+ */
+export function getLocale() {
+  return activeLocale;
+}
+
+/**
+ * Runs a function with another ambient locale and restores the previous one
+ * The locale only applies while the function runs synchronously. For
+ * asynchronous work, render the messages afterwards with `error.localize(locale)`.
+ * @template T
+ * @param {string} locale - The locale to use
+ * @param {() => T} fn - The function to run
+ * @returns {T} The result of the function
+ */
+export function withLocale(locale, fn) {
+  const previous = activeLocale;
+  setLocale(locale);
+  try {
+    return fn();
+  } finally {
+    activeLocale = previous;
+  }
+}
+
+/**
+ * Renders a message
+ * Uses the translator for the locale and falls back to the English default,
+ * or to the key itself for unknown messages.
+ * @param {string} key - The message key
+ * @param {Record<string, unknown>} [params] - Values for the placeholders
+ * @param {string} [locale] - The locale, defaults to the ambient locale
+ * @returns {string} The rendered message
+ */
+export function translate(key, params = {}, locale = activeLocale) {
+  const translated = activeTranslator?.(key, params, locale);
+  if (typeof translated === "string") {
+    return translated;
+  }
+
+  const template = Object.prototype.hasOwnProperty.call(defaultMessages, key)
+    ? defaultMessages[/** @type {keyof typeof defaultMessages} */ (key)]
+    : key;
+  return interpolate(template, params);
+}
+
+/**
+ * Renders an issue of a failed schema validation
+ *
+ * Translators receive the key "issue.<code>", e.g. "issue.too_small", with
+ * the fields of the Zod issue as parameters. Refinements can name their own
+ * key with `params: { messageKey, messageParams }`. Without a translation the
+ * message of the issue is kept, which for Zod's built-in checks is English.
+ * Custom issues without a message key always keep their message.
+ *
+ * @param {{code: string, message: string, path?: Array<string|number>, params?: Record<string, any>}} issue - The issue
+ * @param {string} [locale] - The locale, defaults to the ambient locale
+ * @returns {string} The rendered message
+ */
+export function translateIssue(issue, locale = activeLocale) {
+  const { messageKey, messageParams = {} } = issue.params ?? {};
+  if (messageKey === undefined && issue.code === "custom") {
+    return issue.message;
+  }
+
+  const key = messageKey ?? `issue.${issue.code}`;
+  const params =
+    messageKey === undefined
+      ? { ...issue, path: (issue.path ?? []).join(".") }
+      : messageParams;
+  const translated = activeTranslator?.(key, params, locale);
+  if (typeof translated === "string") {
+    return translated;
+  }
+  return Object.prototype.hasOwnProperty.call(defaultMessages, key)
+    ? interpolate(
+        defaultMessages[/** @type {keyof typeof defaultMessages} */ (key)],
+        params,
+      )
+    : issue.message;
+}
+
+/**
+ * Creates a translator from message catalogs per locale
+ *
+ * Locales fall back to their language, so "de-AT" uses the "de" catalog when
+ * it has no own entry. Missing messages fall back to English.
+ *
+ * @param {Record<string, Record<string, string>>} catalogs - Message templates per locale and key
+ * @returns {Translator} The translator
+ *
+ * @example
+ * setTranslator(createCatalogTranslator({
+ *   de: { "validation.invalid": "Ungültiges {type}: {details}" },
+ * }));
+ * setLocale("de");
+ */
+export function createCatalogTranslator(catalogs) {
+  return (key, params, locale) => {
+    const language = locale.split("-")[0];
+    const template = catalogs[locale]?.[key] ?? catalogs[language]?.[key];
+    return template === undefined ? undefined : interpolate(template, params);
+  };
+}
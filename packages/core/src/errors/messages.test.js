@@ -0,0 +1,273 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { z } from "zod";
+import {
+  defaultMessages,
+  interpolate,
+  setTranslator,
+  setLocale,
+  getLocale,
+  withLocale,
+  translate,
+  translateIssue,
+  createCatalogTranslator,
+} from "./messages.js";
+import { ValidationError } from "./ValidationError.js";
+import { InvariantViolationError } from "./InvariantViolationError.js";
+import { valueObject } from "../valueObjects/Base.js";
+import { aggregate } from "../aggregates/Base.js";
+import { domainService } from "../domainServices/Base.js";
+import { Money } from "../valueObjects/primitives/Money.js";
+
+const translator = createCatalogTranslator({
+  de: {
+    "validation.invalid": "Ungültiger Wert für {type}: {details}",
+    "invariant.violated": "Regel '{invariant}' in {type} verletzt",
+    "issue.too_small": "{path} muss mindestens {minimum} sein",
+    "money.currencyMismatch":
+      "{otherCurrency} und {currency} können nicht verrechnet werden",
+    "sku.format": "Ungültige Artikelnummer {sku}",
+  },
+  "de-CH": {
+    "invariant.violated": "Regel '{invariant}' in {type} nicht eingehalten",
+  },
+  fr: {
+    "domainService.missingDependencies":
+      "Dépendances manquantes : {dependencies}",
+  },
+});
+
+describe("message catalog", () => {
+  afterEach(() => {
+    setTranslator(null);
+    setLocale("en");
+  });
+
+  describe("translate", () => {
+    it("should render the English defaults without a translator", () => {
+      // Act
+      const message = translate("repository.findFailed", {
+        type: "Order",
+        id: "o-1",
+      });
+
+      // Assert
+      expect(message).toBe("Failed to find Order with ID o-1");
+      expect(defaultMessages["repository.idRequired"]).toBe("ID is required");
+    });
+
+    it("should fall back to the key for unknown messages", () => {
+      // Act & Assert
+      expect(translate("order.notFound")).toBe("order.notFound");
+    });
+
+    it("should use the translator for the requested locale", () => {
+      // Arrange
+      setTranslator(translator);
+
+      // Act & Assert
+      expect(
+        translate(
+          "invariant.violated",
+          { invariant: "Total", type: "Order" },
+          "de",
+        ),
+      ).toBe("Regel 'Total' in Order verletzt");
+      expect(
+        translate(
+          "invariant.violated",
+          { invariant: "Total", type: "Order" },
+          "de-CH",
+        ),
+      ).toBe("Regel 'Total' in Order nicht eingehalten");
+      expect(
+        translate(
+          "validation.invalid",
+          { type: "Email", details: "x" },
+          "de-AT",
+        ),
+      ).toBe("Ungültiger Wert für Email: x");
+      expect(translate("repository.idRequired", {}, "de")).toBe(
+        "ID is required",
+      );
+    });
+
+    it("should reject translators that are not functions", () => {
+      // Act & Assert
+      expect(() => setTranslator("de")).toThrow(
+        "Translator must be a function",
+      );
+    });
+  });
+
+  describe("interpolate", () => {
+    it("should keep placeholders without a parameter", () => {
+      // Act & Assert
+      expect(interpolate("{count} of {total}", { count: 1 })).toBe(
+        "1 of {total}",
+      );
+    });
+  });
+
+  describe("locale selection", () => {
+    it("should render errors in the ambient locale", () => {
+      // Arrange
+      setTranslator(translator);
+      setLocale("de");
+      const Email = valueObject({
+        name: "Email",
+        schema: z.string().email("keine E-Mail-Adresse"),
+        methodsFactory: () => ({}),
+      });
+
+      // Act & Assert
+      expect(getLocale()).toBe("de");
+      expect(() => Email.create("nope")).toThrow(
+        "Ungültiger Wert für Email: keine E-Mail-Adresse",
+      );
+    });
+
+    it("should scope a locale to a function", () => {
+      // Arrange
+      setTranslator(translator);
+      const Service = domainService({
+        name: "Pricing",
+        dependencies: { catalog: "Catalog" },
+        operationsFactory: () => ({}),
+      });
+
+      // Act
+      const message = withLocale("fr", () => {
+        try {
+          Service.create({});
+        } catch (error) {
+          return error.message;
+        }
+      });
+
+      // Assert
+      expect(message).toBe("Dépendances manquantes : catalog");
+      expect(getLocale()).toBe("en");
+    });
+
+    it("should localize an existing error per call", () => {
+      // Arrange
+      setTranslator(translator);
+      const Order = aggregate({
+        name: "Order",
+        schema: z.object({ id: z.string(), total: z.number() }),
+        identity: "id",
+        invariants: [{ name: "Total", check: (order) => order.total >= 0 }],
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      let error;
+      try {
+        Order.create({ id: "o-1", total: -1 });
+      } catch (e) {
+        error = e;
+      }
+
+      // Assert
+      expect(error).toBeInstanceOf(InvariantViolationError);
+      expect(error.message).toBe("Invariant 'Total' violated in Order");
+      expect(error.messageKey).toBe("invariant.violated");
+      expect(error.localize("de")).toBe("Regel 'Total' in Order verletzt");
+      expect(error.localize()).toBe(error.message);
+    });
+
+    it("should keep plain string messages as they are", () => {
+      // Arrange
+      setTranslator(translator);
+      const error = new ValidationError("Invalid date");
+
+      // Act & Assert
+      expect(error.messageKey).toBeUndefined();
+      expect(error.localize("de")).toBe("Invalid date");
+    });
+
+    it("should reject empty locales", () => {
+      // Act & Assert
+      expect(() => setLocale("")).toThrow("Locale must be a non-empty string");
+    });
+  });
+
+  describe("validation issues", () => {
+    const Item = valueObject({
+      name: "Item",
+      schema: z.object({
+        sku: z.string().refine(
+          (sku) => /^[A-Z]-\d+$/.test(sku),
+          (sku) => ({
+            message: `Invalid SKU ${sku}`,
+            params: { messageKey: "sku.format", messageParams: { sku } },
+          }),
+        ),
+        quantity: z.number().min(1),
+      }),
+      methodsFactory: () => ({}),
+    });
+
+    it("should keep the messages of issues without a translation", () => {
+      // Act & Assert
+      expect(() => Item.create({ sku: "A-1", quantity: 0 })).toThrow(
+        "Invalid Item: Number must be greater than or equal to 1",
+      );
+      expect(
+        translateIssue({ code: "custom", message: "Out of stock", path: [] }),
+      ).toBe("Out of stock");
+    });
+
+    it("should render built-in issues by their code", () => {
+      // Arrange
+      setTranslator(translator);
+      setLocale("de");
+
+      // Act
+      const error = Item.tryCreate({ sku: "A-1", quantity: 0 }).error;
+
+      // Assert
+      expect(error.message).toBe(
+        "Ungültiger Wert für Item: quantity muss mindestens 1 sein",
+      );
+      expect(error.toFieldErrors()).toEqual({
+        quantity: "quantity muss mindestens 1 sein",
+      });
+    });
+
+    it("should render refinements by their message key", () => {
+      // Arrange
+      setTranslator(translator);
+
+      // Act
+      const error = Item.tryCreate({ sku: "nope", quantity: 1 }).error;
+
+      // Assert
+      expect(error.message).toBe("Invalid Item: Invalid SKU nope");
+      expect(error.localize("de")).toBe(
+        "Ungültiger Wert für Item: Ungültige Artikelnummer nope",
+      );
+    });
+
+    it("should render the errors of domain primitives", () => {
+      // Arrange
+      setTranslator(translator);
+      const euros = Money.create({ amount: 1, currency: "EUR" });
+      const dollars = Money.create({ amount: 1, currency: "USD" });
+
+      // Act
+      let error;
+      try {
+        euros.add(dollars);
+      } catch (e) {
+        error = e;
+      }
+
+      // Assert
+      expect(error.message).toBe("Cannot add USD and EUR");
+      expect(error.localize("de")).toBe(
+        "USD und EUR können nicht verrechnet werden",
+      );
+    });
+  });
+});
@@ -1,6 +1,6 @@
 // packages/core/src/events/Base.js
 import { z } from "zod";
-import { ValidationError } from "../errors/index.js";
+import { ValidationError, translateIssue } from "../errors/index.js";
 
 /**
  * @template T
@@ -126,7 +126,13 @@ export function domainEvent({ name, schema, metadata = {} }) {
     } catch (error) {
       if (error instanceof z.ZodError) {
         throw new ValidationError(
-          `Invalid ${name} event: ${error.errors.map((e) => e.message).join(", ")}`,
+          {
+            key: "validation.invalidEvent",
+            params: {
+              type: name,
+              details: error.errors.map((e) => translateIssue(e)).join(", "),
+            },
+          },
           error,
           { eventType: name, input: data },
         );
@@ -215,4 +215,29 @@ describe("domainEvent", () => {
       ).toThrow("Extended event name is required");
     });
   });
+
+  describe("validation issues", () => {
+    it("should expose the invalid fields of the payload", () => {
+      // Arrange
+      const TestEvent = createTestEvent();
+
+      // Act
+      let error;
+      try {
+        TestEvent.create({
+          entityId: "123e4567-e89b-12d3-a456-426614174000",
+          value: -1,
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      // Assert
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.toFieldErrors()).toEqual({
+        value: "Number must be greater than 0",
+      });
+      expect(error.issues[0].received).toBe(-1);
+    });
+  });
 });
@@ -5,4 +5,6 @@ export * from "./errors/index";
 export * from "./events/index";
 export * from "./repositories/index";
 export * from "./specifications/index";
-export * from "./domainServices/index";
\ No newline at end of file
+export * from "./domainServices/index";
+export * from "./serialization/index";
+export * from "./result/index";
@@ -7,3 +7,5 @@ export * from "./events/index.js";
 export * from "./repositories/index.js";
 export * from "./specifications/index.js";
 export * from "./domainServices/index.js";
+export * from "./serialization/index.js";
+export * from "./result/index.js";
@@ -28,9 +28,10 @@ export type RepositoryAdapter<T> = {
   findAll: (filter?: unknown) => Promise<T[]>;
   
   /**
-   * Save aggregate
+   * Save aggregate. Given an expected version, the adapter must throw a
+   * ConcurrencyError if the stored version differs.
    */
-  save: (aggregate: T) => Promise<void>;
+  save: (aggregate: T, options?: { expectedVersion?: number }) => Promise<void>;
   
   /**
    * Delete aggregate by ID
@@ -43,9 +44,12 @@ export type RepositoryAdapter<T> = {
   findByIds?: (ids: string[]) => Promise<Map<string, T>>;
   
   /**
-   * Save multiple aggregates
+   * Save multiple aggregates, checking the expected version of each if given
    */
-  saveAll?: (aggregates: T[]) => Promise<void>;
+  saveAll?: (
+    aggregates: T[],
+    options?: { expectedVersions?: number[] }
+  ) => Promise<void>;
   
   /**
    * Count aggregates matching filter
@@ -58,6 +62,16 @@ export type RepositoryAdapter<T> = {
   findBySpecification?: (specification: unknown) => Promise<T[]>;
 }
 
+/**
+ * Options of repository queries
+ */
+export interface QueryOptions {
+  /**
+   * Include soft deleted aggregates
+   */
+  withDeleted?: boolean;
+}
+
 /**
  * Creates a repository for an aggregate
  */
@@ -69,6 +83,8 @@ export function repository<T>(options: {
     name: string;
     identity: string;
     create: (data: unknown) => T;
+    versioned?: boolean;
+    traits?: Array<{ name: string }>;
   };
   
   /**
@@ -94,30 +110,31 @@ export function repository<T>(options: {
   /**
    * Finds an aggregate by its ID
    */
-  findById: (id: string) => Promise<T | null>;
+  findById: (id: string, options?: QueryOptions) => Promise<T | null>;
   
   /**
    * Finds multiple aggregates by their IDs
    */
-  findByIds: (ids: string[]) => Promise<Map<string, T>>;
+  findByIds: (ids: string[], options?: QueryOptions) => Promise<Map<string, T>>;
   
   /**
    * Finds all aggregates matching the optional filter
    */
-  findAll: (filter?: unknown) => Promise<T[]>;
+  findAll: (filter?: unknown, options?: QueryOptions) => Promise<T[]>;
   
   /**
    * Finds a single aggregate matching the filter
    */
-  findOne: (filter: unknown) => Promise<T | null>;
+  findOne: (filter: unknown, options?: QueryOptions) => Promise<T | null>;
   
   /**
    * Finds aggregates using a specification
    */
-  findBySpecification: (specification: unknown) => Promise<T[]>;
+  findBySpecification: (specification: unknown, options?: QueryOptions) => Promise<T[]>;
   
   /**
-   * Saves an aggregate and optionally publishes its events
+   * Saves an aggregate and optionally publishes its events. Versioned
+   * aggregates throw a ConcurrencyError if they were changed concurrently.
    */
   save: (aggregate: T) => Promise<void>;
   
@@ -127,17 +144,18 @@ export function repository<T>(options: {
   saveAll: (aggregates: T[]) => Promise<void>;
   
   /**
-   * Deletes an aggregate by its ID
+   * Deletes an aggregate by its ID. Soft deletable aggregates are marked as
+   * deleted and saved instead.
    */
   delete: (id: string) => Promise<void>;
   
   /**
    * Checks if an aggregate with the given ID exists
    */
-  exists: (id: string) => Promise<boolean>;
+  exists: (id: string, options?: QueryOptions) => Promise<boolean>;
   
   /**
    * Counts aggregates matching the optional filter
    */
-  count: (filter?: unknown) => Promise<number>;
+  count: (filter?: unknown, options?: QueryOptions) => Promise<number>;
 };
\ No newline at end of file
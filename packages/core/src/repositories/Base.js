@@ -1,7 +1,12 @@
 // packages/core/src/repositories/Base.js
-import { DomainError } from "../errors/index.js";
+import { DomainError, ConcurrencyError } from "../errors/index.js";
 import { eventBus } from "../events/EventBus.js";
 import { withEvents } from "../aggregates/EventSourced.js";
+import {
+  expectedVersionOf,
+  setExpectedVersion,
+} from "../aggregates/version.js";
+import { hasTrait, isSoftDeleted } from "../entities/traits.js";
 
 /**
  * Error thrown when repository operations fail
@@ -24,14 +29,19 @@ export class RepositoryError extends DomainError {
  * @typedef {Object} RepositoryAdapter
  * @property {(id: string) => Promise<T | null>} findById - Find aggregate by ID
  * @property {(filter?: any) => Promise<T[]>} findAll - Find all aggregates matching filter
- * @property {(aggregate: T) => Promise<void>} save - Save aggregate
+ * @property {(aggregate: T, options?: {expectedVersion?: number}) => Promise<void>} save - Save aggregate, throwing a ConcurrencyError if an expected version is given and the stored version differs
  * @property {(id: string) => Promise<void>} delete - Delete aggregate by ID
  * @property {(ids: string[]) => Promise<Map<string, T>>} [findByIds] - Find aggregates by multiple IDs
- * @property {(aggregates: T[]) => Promise<void>} [saveAll] - Save multiple aggregates
+ * @property {(aggregates: T[], options?: {expectedVersions?: number[]}) => Promise<void>} [saveAll] - Save multiple aggregates, checking the expected version of each if given
  * @property {(filter?: any) => Promise<number>} [count] - Count aggregates matching filter
  * @property {(specification: any) => Promise<T[]>} [findBySpecification] - Find using specification
  */
 
+/**
+ * @typedef {Object} QueryOptions
+ * @property {boolean} [withDeleted=false] - Include soft deleted aggregates
+ */
+
 /**
  * Validates that an adapter implements all required methods
  * @template T
@@ -85,15 +95,34 @@ export function repository({
     throw new Error("Aggregate must have an identity field");
   }
 
+  // Saves of versioned aggregates fail if the stored version changed since loading
+  const aggregateType = aggregate.name;
+  const versioned = Boolean(aggregate.versioned);
+
+  // Soft deletable aggregates are marked on delete and left out of queries
+  const softDelete = hasTrait(aggregate, "softDeletable");
+
+  /**
+   * Checks if an aggregate is left out of a query
+   * @param {any} instance - The aggregate
+   * @param {QueryOptions} [options] - Query options
+   * @returns {boolean}
+   * @private
+   */
+  function isHidden(instance, { withDeleted = false } = {}) {
+    return softDelete && !withDeleted && isSoftDeleted(instance);
+  }
+
   /**
    * Finds an aggregate by its ID
    * @param {string} id - The aggregate ID
+   * @param {QueryOptions} [options] - Query options
    * @returns {Promise<T | null>} The aggregate or null if not found
    * @throws {RepositoryError} If an error occurs during the operation
    */
-  async function findById(id) {
+  async function findById(id, options) {
     if (!id) {
-      throw new RepositoryError("ID is required");
+      throw new RepositoryError({ key: "repository.idRequired" });
     }
 
     try {
@@ -103,11 +132,14 @@ export function repository({
         return null;
       }
       // Convert to proper aggregate instance with event capability
-      const aggregateInstance = aggregate.create(data);
+      const aggregateInstance = aggregate.reconstitute(data);
+      if (isHidden(aggregateInstance, options)) {
+        return null;
+      }
       return withEvents(aggregateInstance);
     } catch (error) {
       throw new RepositoryError(
-        `Failed to find ${aggregate.name} with ID ${id}`,
+        { key: "repository.findFailed", params: { type: aggregate.name, id } },
         error,
         { id, aggregateType: aggregate.name },
       );
@@ -117,12 +149,13 @@ export function repository({
   /**
    * Finds multiple aggregates by their IDs
    * @param {string[]} ids - The aggregate IDs
+   * @param {QueryOptions} [options] - Query options
    * @returns {Promise<Map<string, T>>} Map of IDs to aggregates
    * @throws {RepositoryError} If an error occurs during the operation
    */
-  async function findByIds(ids) {
+  async function findByIds(ids, options) {
     if (!Array.isArray(ids)) {
-      throw new RepositoryError("IDs must be an array");
+      throw new RepositoryError({ key: "repository.idsNotArray" });
     }
 
     if (ids.length === 0) {
@@ -136,8 +169,10 @@ export function repository({
         // Convert the data map to aggregate instances
         const result = new Map();
         for (const [id, data] of dataMap.entries()) {
-          const aggregateInstance = aggregate.create(data);
-          result.set(id, withEvents(aggregateInstance));
+          const aggregateInstance = aggregate.reconstitute(data);
+          if (!isHidden(aggregateInstance, options)) {
+            result.set(id, withEvents(aggregateInstance));
+          }
         }
         return result;
       }
@@ -154,15 +189,20 @@ export function repository({
       for (let i = 0; i < ids.length; i++) {
         const data = dataArray[i];
         if (data) {
-          const aggregateInstance = aggregate.create(data);
-          result.set(ids[i], withEvents(aggregateInstance));
+          const aggregateInstance = aggregate.reconstitute(data);
+          if (!isHidden(aggregateInstance, options)) {
+            result.set(ids[i], withEvents(aggregateInstance));
+          }
         }
       }
 
       return result;
     } catch (error) {
       throw new RepositoryError(
-        `Failed to find ${aggregate.name} with IDs ${ids.join(", ")}`,
+        {
+          key: "repository.findManyFailed",
+          params: { type: aggregate.name, ids: ids.join(", ") },
+        },
         error,
         { ids, aggregateType: aggregate.name },
       );
@@ -172,19 +212,23 @@ export function repository({
   /**
    * Checks if an aggregate with the given ID exists
    * @param {string} id - The aggregate ID
+   * @param {QueryOptions} [options] - Query options
    * @returns {Promise<boolean>} True if the aggregate exists
    * @throws {RepositoryError} If an error occurs during the operation
    */
-  async function exists(id) {
+  async function exists(id, options) {
     if (!id) {
-      throw new RepositoryError("ID is required");
+      throw new RepositoryError({ key: "repository.idRequired" });
     }
 
     try {
-      return (await findById(id)) !== null;
+      return (await findById(id, options)) !== null;
     } catch (error) {
       throw new RepositoryError(
-        `Failed to check if ${aggregate.name} exists with ID ${id}`,
+        {
+          key: "repository.existsFailed",
+          params: { type: aggregate.name, id },
+        },
         error,
         { id, aggregateType: aggregate.name },
       );
@@ -194,20 +238,21 @@ export function repository({
   /**
    * Finds all aggregates matching the optional filter
    * @param {any} [filter] - Optional filter criteria
+   * @param {QueryOptions} [options] - Query options
    * @returns {Promise<T[]>} Array of matching aggregates
    * @throws {RepositoryError} If an error occurs during the operation
    */
-  async function findAll(filter) {
+  async function findAll(filter, options) {
     try {
       const dataArray = await adapter.findAll(filter);
       // Convert all data to aggregate instances with event capability
-      return dataArray.map((data) => {
-        const aggregateInstance = aggregate.create(data);
-        return withEvents(aggregateInstance);
-      });
+      return dataArray
+        .map((data) => aggregate.reconstitute(data))
+        .filter((aggregateInstance) => !isHidden(aggregateInstance, options))
+        .map((aggregateInstance) => withEvents(aggregateInstance));
     } catch (error) {
       throw new RepositoryError(
-        `Failed to find ${aggregate.name} with filter`,
+        { key: "repository.findAllFailed", params: { type: aggregate.name } },
         error,
         { filter, aggregateType: aggregate.name },
       );
@@ -217,20 +262,21 @@ export function repository({
   /**
    * Finds a single aggregate matching the filter
    * @param {any} filter - Filter criteria
+   * @param {QueryOptions} [options] - Query options
    * @returns {Promise<T | null>} The first matching aggregate or null
    * @throws {RepositoryError} If an error occurs during the operation
    */
-  async function findOne(filter) {
+  async function findOne(filter, options) {
     if (!filter || Object.keys(filter).length === 0) {
-      throw new RepositoryError("Filter is required for findOne");
+      throw new RepositoryError({ key: "repository.filterRequired" });
     }
 
     try {
-      const results = await findAll(filter);
+      const results = await findAll(filter, options);
       return results.length > 0 ? results[0] : null;
     } catch (error) {
       throw new RepositoryError(
-        `Failed to find one ${aggregate.name} with filter`,
+        { key: "repository.findOneFailed", params: { type: aggregate.name } },
         error,
         { filter, aggregateType: aggregate.name },
       );
@@ -240,12 +286,13 @@ export function repository({
   /**
    * Finds aggregates using a specification
    * @param {any} specification - The specification object
+   * @param {QueryOptions} [options] - Query options
    * @returns {Promise<T[]>} Matching aggregates
    * @throws {RepositoryError} If an error occurs during the operation
    */
-  async function findBySpecification(specification) {
+  async function findBySpecification(specification, options) {
     if (!specification) {
-      throw new RepositoryError("Specification is required");
+      throw new RepositoryError({ key: "repository.specificationRequired" });
     }
 
     try {
@@ -253,20 +300,20 @@ export function repository({
       if (typeof adapter.findBySpecification === "function") {
         const results = await adapter.findBySpecification(specification);
         // Convert raw data to aggregate instances with event capability
-        return results.map((data) => {
-          const aggregateInstance = aggregate.create(data);
-          return withEvents(aggregateInstance);
-        });
+        return results
+          .map((data) => aggregate.reconstitute(data))
+          .filter((aggregateInstance) => !isHidden(aggregateInstance, options))
+          .map((aggregateInstance) => withEvents(aggregateInstance));
       }
 
       // Otherwise, load all and filter in memory
       // This is inefficient but provides a fallback
       const allData = await adapter.findAll();
       // Convert raw data to aggregate instances with event capability
-      const allAggregates = allData.map((data) => {
-        const aggregateInstance = aggregate.create(data);
-        return withEvents(aggregateInstance);
-      });
+      const allAggregates = allData
+        .map((data) => aggregate.reconstitute(data))
+        .filter((aggregateInstance) => !isHidden(aggregateInstance, options))
+        .map((aggregateInstance) => withEvents(aggregateInstance));
 
       // Validate specification before use
       if (specification && typeof specification.isSatisfiedBy === "function") {
@@ -284,7 +331,10 @@ export function repository({
         throw error; // Re-throw the original error for expected test behavior
       }
       throw new RepositoryError(
-        `Failed to find ${aggregate.name} with specification`,
+        {
+          key: "repository.findBySpecificationFailed",
+          params: { type: aggregate.name },
+        },
         error,
         { specification, aggregateType: aggregate.name },
       );
@@ -294,22 +344,26 @@ export function repository({
   /**
    * Counts aggregates matching the optional filter
    * @param {any} [filter] - Optional filter criteria
+   * @param {QueryOptions} [options] - Query options
    * @returns {Promise<number>} Count of matching aggregates
    * @throws {RepositoryError} If an error occurs during the operation
    */
-  async function count(filter) {
+  async function count(filter, options) {
     try {
-      // If adapter provides count, use it
-      if (typeof adapter.count === "function") {
+      // If adapter provides count, use it, unless soft deleted aggregates must be left out
+      if (
+        typeof adapter.count === "function" &&
+        (!softDelete || options?.withDeleted)
+      ) {
         return await adapter.count(filter);
       }
 
       // Otherwise, use findAll and count the results
-      const results = await findAll(filter);
+      const results = await findAll(filter, options);
       return results.length;
     } catch (error) {
       throw new RepositoryError(
-        `Failed to count ${aggregate.name} with filter`,
+        { key: "repository.countFailed", params: { type: aggregate.name } },
         error,
         { filter, aggregateType: aggregate.name },
       );
@@ -318,18 +372,28 @@ export function repository({
 
   /**
    * Saves an aggregate and optionally publishes its events
+   * Versioned aggregates are only saved if the store still holds the version
+   * they were loaded with.
    * @param {T} aggregate - The aggregate to save
    * @returns {Promise<void>}
+   * @throws {ConcurrencyError} If a versioned aggregate was changed concurrently
    * @throws {RepositoryError} If an error occurs during the operation
    */
   async function save(aggregate) {
     if (!aggregate) {
-      throw new RepositoryError("Aggregate is required");
+      throw new RepositoryError({ key: "repository.aggregateRequired" });
     }
 
     try {
       // Save the aggregate
-      await adapter.save(aggregate);
+      if (versioned) {
+        await adapter.save(aggregate, {
+          expectedVersion: expectedVersionOf(aggregate),
+        });
+        setExpectedVersion(aggregate, aggregate.version);
+      } else {
+        await adapter.save(aggregate);
+      }
 
       // Check if aggregate has domain events to publish
       if (
@@ -350,8 +414,11 @@ export function repository({
       }
     } catch (error) {
       const id = aggregate[identityField];
+      if (error instanceof ConcurrencyError) {
+        throw concurrencyConflict(error, id);
+      }
       throw new RepositoryError(
-        `Failed to save ${aggregate.name} with ID ${id}`,
+        { key: "repository.saveFailed", params: { type: aggregate.name, id } },
         error,
         { id, aggregateType: aggregate.name, aggregate },
       );
@@ -362,11 +429,12 @@ export function repository({
    * Saves multiple aggregates in a batch
    * @param {T[]} aggregates - The aggregates to save
    * @returns {Promise<void>}
+   * @throws {ConcurrencyError} If a versioned aggregate was changed concurrently
    * @throws {RepositoryError} If an error occurs during the operation
    */
   async function saveAll(aggregates) {
     if (!Array.isArray(aggregates)) {
-      throw new RepositoryError("Aggregates must be an array");
+      throw new RepositoryError({ key: "repository.aggregatesNotArray" });
     }
 
     if (aggregates.length === 0) {
@@ -376,7 +444,16 @@ export function repository({
     try {
       // If adapter provides bulk save, use it
       if (typeof adapter.saveAll === "function") {
-        await adapter.saveAll(aggregates);
+        if (versioned) {
+          await adapter.saveAll(aggregates, {
+            expectedVersions: aggregates.map(expectedVersionOf),
+          });
+          for (const aggregate of aggregates) {
+            setExpectedVersion(aggregate, aggregate.version);
+          }
+        } else {
+          await adapter.saveAll(aggregates);
+        }
 
         // Handle events if needed
         if (events.publishOnSave) {
@@ -405,8 +482,11 @@ export function repository({
         }
       }
     } catch (error) {
+      if (error instanceof ConcurrencyError) {
+        throw concurrencyConflict(error, error.context.id);
+      }
       throw new RepositoryError(
-        `Failed to save multiple ${aggregate.name} aggregates`,
+        { key: "repository.saveAllFailed", params: { type: aggregate.name } },
         error,
         { count: aggregates.length, aggregateType: aggregate.name },
       );
@@ -415,26 +495,67 @@ export function repository({
 
   /**
    * Deletes an aggregate by its ID
+   * Soft deletable aggregates are marked as deleted and saved instead.
    * @param {string} id - The aggregate ID
    * @returns {Promise<void>}
+   * @throws {ConcurrencyError} If a versioned aggregate was changed concurrently
    * @throws {RepositoryError} If an error occurs during the operation
    */
   async function deleteById(id) {
     if (!id) {
-      throw new RepositoryError("ID is required");
+      throw new RepositoryError({ key: "repository.idRequired" });
     }
 
     try {
-      await adapter.delete(id);
+      if (!softDelete) {
+        await adapter.delete(id);
+        return;
+      }
+
+      const existing = await findById(id, { withDeleted: true });
+      if (existing && !existing.isDeleted()) {
+        await save(existing.softDelete());
+      }
     } catch (error) {
+      if (error instanceof ConcurrencyError) {
+        throw error;
+      }
       throw new RepositoryError(
-        `Failed to delete ${aggregate.name} with ID ${id}`,
+        {
+          key: "repository.deleteFailed",
+          params: { type: aggregate.name, id },
+        },
         error,
         { id, aggregateType: aggregate.name },
       );
     }
   }
 
+  /**
+   * Describes a conflict reported by the adapter in terms of the aggregate type
+   * @param {ConcurrencyError} error - The error of the adapter
+   * @param {unknown} id - The ID of the conflicting aggregate
+   * @returns {ConcurrencyError}
+   * @private
+   */
+  function concurrencyConflict(error, id) {
+    const { expectedVersion, actualVersion } = error;
+    return new ConcurrencyError(
+      {
+        key: "repository.concurrencyConflict",
+        params: {
+          type: aggregateType,
+          id,
+          expected: expectedVersion,
+          actual: actualVersion ?? "none",
+        },
+      },
+      expectedVersion,
+      actualVersion,
+      { id, aggregateType },
+    );
+  }
+
   // Return the repository interface
   return {
     // Core methods
@@ -5,6 +5,9 @@ import { aggregate } from "../aggregates/Base.js";
 import { repository, RepositoryError } from "./Base.js";
 import { createInMemoryAdapter } from "./adapters/InMemory.js";
 import { eventBus } from "../events/EventBus.js";
+import { versionSchema } from "../aggregates/version.js";
+import { ConcurrencyError } from "../errors/index.js";
+import { softDeletable } from "../entities/traits.js";
 
 // Mock the event bus
 vi.mock("../events/EventBus.js", () => ({
@@ -529,6 +532,193 @@ describe("repository", () => {
     });
   });
 
+  describe("optimistic concurrency", () => {
+    const Account = aggregate({
+      name: "Account",
+      schema: z.object({
+        id: z.string(),
+        balance: z.number(),
+        version: versionSchema,
+      }),
+      identity: "id",
+      versioned: true,
+      methodsFactory: (factory) => ({
+        deposit(amount) {
+          return factory.update(this, { balance: this.balance + amount });
+        },
+      }),
+    });
+
+    let accounts;
+
+    beforeEach(async () => {
+      accounts = repository({
+        aggregate: Account,
+        adapter: createInMemoryAdapter({ identity: "id" }),
+      });
+      await accounts.save(Account.create({ id: "a-1", balance: 0 }));
+    });
+
+    it("should reject saving an aggregate that was changed concurrently", async () => {
+      // Arrange
+      const first = await accounts.findById("a-1");
+      const second = await accounts.findById("a-1");
+      await accounts.save(first.deposit(10));
+
+      // Act
+      const error = await accounts.save(second.deposit(20)).catch((e) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(ConcurrencyError);
+      expect(error.message).toBe(
+        "Account with ID a-1 was changed concurrently, expected version 0 but found 1",
+      );
+      expect(error.expectedVersion).toBe(0);
+      expect(error.actualVersion).toBe(1);
+      expect((await accounts.findById("a-1")).balance).toBe(10);
+    });
+
+    it("should expect the loaded version across several updates", async () => {
+      // Arrange
+      const first = await accounts.findById("a-1");
+      const second = await accounts.findById("a-1");
+      await accounts.save(second.deposit(1));
+
+      // Act
+      const saving = accounts.save(first.deposit(10).deposit(20));
+
+      // Assert
+      await expect(saving).rejects.toThrow(ConcurrencyError);
+    });
+
+    it("should keep saving an aggregate after its own saves", async () => {
+      // Arrange
+      const account = (await accounts.findById("a-1")).deposit(10);
+      await accounts.save(account);
+
+      // Act
+      await accounts.save(account.deposit(5));
+
+      // Assert
+      const saved = await accounts.findById("a-1");
+      expect(saved).toMatchObject({ balance: 15, version: 2 });
+    });
+
+    it("should check the versions of a batch", async () => {
+      // Arrange
+      const stale = await accounts.findById("a-1");
+      await accounts.save((await accounts.findById("a-1")).deposit(1));
+
+      // Act & Assert
+      await expect(
+        accounts.saveAll([
+          Account.create({ id: "a-2", balance: 0 }),
+          stale.deposit(5),
+        ]),
+      ).rejects.toThrow(ConcurrencyError);
+      expect(await accounts.findById("a-2")).toBeNull();
+    });
+  });
+
+  describe("soft delete", () => {
+    const deletedAt = new Date("2024-05-01T10:00:00Z");
+    const Customer = aggregate({
+      name: "Customer",
+      schema: z.object({
+        id: z.string(),
+        name: z.string(),
+        version: versionSchema,
+      }),
+      identity: "id",
+      versioned: true,
+      traits: [
+        softDeletable({ clock: () => deletedAt, currentUser: () => "admin" }),
+      ],
+      methodsFactory: () => ({}),
+    });
+
+    let adapter;
+    let customers;
+
+    beforeEach(async () => {
+      adapter = createInMemoryAdapter({ identity: "id" });
+      customers = repository({ aggregate: Customer, adapter });
+      await customers.saveAll([
+        Customer.create({ id: "c-1", name: "Ada" }),
+        Customer.create({ id: "c-2", name: "Grace" }),
+      ]);
+    });
+
+    it("should mark aggregates as deleted instead of removing them", async () => {
+      // Act
+      await customers.delete("c-1");
+
+      // Assert
+      expect(await adapter.findById("c-1")).toMatchObject({
+        deletedAt: deletedAt.toISOString(),
+        deletedBy: "admin",
+        version: 1,
+      });
+    });
+
+    it("should leave deleted aggregates out of queries by default", async () => {
+      // Arrange
+      await customers.delete("c-1");
+
+      // Act & Assert
+      expect(await customers.findById("c-1")).toBeNull();
+      expect((await customers.findByIds(["c-1", "c-2"])).size).toBe(1);
+      expect((await customers.findAll()).map((c) => c.id)).toEqual(["c-2"]);
+      expect(await customers.findBySpecification(() => true)).toHaveLength(1);
+      expect(await customers.count()).toBe(1);
+      expect(await customers.exists("c-1")).toBe(false);
+    });
+
+    it("should include deleted aggregates when asked to", async () => {
+      // Arrange
+      await customers.delete("c-1");
+      const options = { withDeleted: true };
+
+      // Act
+      const customer = await customers.findById("c-1", options);
+
+      // Assert
+      expect(customer.isDeleted()).toBe(true);
+      expect(await customers.findAll(undefined, options)).toHaveLength(2);
+      expect(
+        await customers.findBySpecification(() => true, options),
+      ).toHaveLength(2);
+      expect(await customers.count(undefined, options)).toBe(2);
+    });
+
+    it("should find restored aggregates again", async () => {
+      // Arrange
+      await customers.delete("c-1");
+      const deleted = await customers.findById("c-1", { withDeleted: true });
+
+      // Act
+      await customers.save(deleted.restore());
+
+      // Assert
+      expect(await customers.findById("c-1")).toMatchObject({
+        name: "Ada",
+        deletedAt: null,
+      });
+    });
+
+    it("should ignore deleting an aggregate twice or a missing one", async () => {
+      // Arrange
+      await customers.delete("c-1");
+
+      // Act
+      await customers.delete("c-1");
+      await customers.delete("c-9");
+
+      // Assert
+      expect(await adapter.findById("c-1")).toMatchObject({ version: 1 });
+    });
+  });
+
   describe("delete", () => {
     it("should delete an aggregate by ID", async () => {
       // Arrange
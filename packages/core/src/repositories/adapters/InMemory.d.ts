@@ -40,14 +40,18 @@ export function createInMemoryAdapter<T>(options: {
   count: (filter?: Record<string, unknown>) => Promise<number>;
   
   /**
-   * Save aggregate
+   * Save aggregate, checking the stored version if an expected one is given
    */
-  save: (aggregate: T) => Promise<void>;
+  save: (aggregate: T, options?: { expectedVersion?: number }) => Promise<void>;
   
   /**
-   * Save multiple aggregates
+   * Save multiple aggregates, checking the stored versions if expected ones
+   * are given
    */
-  saveAll: (aggregates: T[]) => Promise<void>;
+  saveAll: (
+    aggregates: T[],
+    options?: { expectedVersions?: number[] }
+  ) => Promise<void>;
   
   /**
    * Delete aggregate by ID
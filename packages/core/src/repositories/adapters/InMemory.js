@@ -1,4 +1,5 @@
 // packages/core/src/repositories/adapters/InMemory.js
+import { ConcurrencyError } from "../../errors/ConcurrencyError.js";
 
 /**
  * Creates an in-memory repository adapter
@@ -129,11 +130,41 @@ export function createInMemoryAdapter({ identity, initialData = [] }) {
   }
 
   /**
-   * Save aggregate
+   * Checks that the store holds the expected version of an aggregate
+   * Aggregates that were never saved count as version 0.
+   * @param {string} id - Aggregate ID
+   * @param {number} expectedVersion - The version the aggregate was loaded with
+   * @returns {void}
+   * @throws {ConcurrencyError} If the stored version differs
+   */
+  function checkVersion(id, expectedVersion) {
+    const stored = store.get(id);
+    const actualVersion = stored ? (stored.version ?? 0) : null;
+    if (actualVersion === expectedVersion) return;
+    if (actualVersion === null && expectedVersion === 0) return;
+
+    throw new ConcurrencyError(
+      actualVersion === null
+        ? {
+            key: "concurrency.notFound",
+            params: { id, expected: expectedVersion },
+          }
+        : {
+            key: "concurrency.versionMismatch",
+            params: { id, expected: expectedVersion, actual: actualVersion },
+          },
+      expectedVersion,
+      actualVersion,
+      { id },
+    );
+  }
+
+  /**
+   * Get the identity of an aggregate
    * @param {T} aggregate - Aggregate to save
-   * @returns {Promise<void>}
+   * @returns {string} Aggregate ID
    */
-  async function save(aggregate) {
+  function identityOf(aggregate) {
     if (!aggregate) {
       throw new Error("Aggregate is required");
     }
@@ -142,6 +173,21 @@ export function createInMemoryAdapter({ identity, initialData = [] }) {
     if (id === undefined) {
       throw new Error(`Aggregate missing identity field: ${identity}`);
     }
+    return id;
+  }
+
+  /**
+   * Save aggregate
+   * @param {T} aggregate - Aggregate to save
+   * @param {{expectedVersion?: number}} [options] - The version the store must hold
+   * @returns {Promise<void>}
+   * @throws {ConcurrencyError} If the stored version differs from the expected one
+   */
+  async function save(aggregate, { expectedVersion } = {}) {
+    const id = identityOf(aggregate);
+    if (expectedVersion !== undefined) {
+      checkVersion(id, expectedVersion);
+    }
 
     // Store a deep copy to prevent unintended modifications
     store.set(id, JSON.parse(JSON.stringify(aggregate)));
@@ -149,14 +195,23 @@ export function createInMemoryAdapter({ identity, initialData = [] }) {
 
   /**
    * Save multiple aggregates
+   * With expected versions, nothing is saved unless all of them match.
    * @param {T[]} aggregates - Aggregates to save
+   * @param {{expectedVersions?: number[]}} [options] - The versions the store must hold, by position
    * @returns {Promise<void>}
+   * @throws {ConcurrencyError} If a stored version differs from the expected one
    */
-  async function saveAll(aggregates) {
+  async function saveAll(aggregates, { expectedVersions } = {}) {
     if (!Array.isArray(aggregates)) {
       throw new Error("Aggregates must be an array");
     }
 
+    if (expectedVersions) {
+      aggregates.forEach((aggregate, index) =>
+        checkVersion(identityOf(aggregate), expectedVersions[index]),
+      );
+    }
+
     for (const aggregate of aggregates) {
       await save(aggregate);
     }
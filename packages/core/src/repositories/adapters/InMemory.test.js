@@ -1,6 +1,7 @@
 // packages/core/src/repositories/adapters/InMemory.test.js
 import { describe, it, expect, beforeEach } from "vitest";
 import { createInMemoryAdapter } from "./InMemory.js";
+import { ConcurrencyError } from "../../errors/index.js";
 
 describe("InMemory adapter", () => {
   let adapter;
@@ -336,6 +337,70 @@ describe("InMemory adapter", () => {
     });
   });
 
+  describe("expected versions", () => {
+    it("should save when the stored version matches", async () => {
+      // Arrange
+      await adapter.save({ id: "v-1", name: "Versioned", version: 1 });
+
+      // Act
+      await adapter.save(
+        { id: "v-1", name: "Changed", version: 2 },
+        { expectedVersion: 1 },
+      );
+
+      // Assert
+      const saved = await adapter.findById("v-1");
+      expect(saved).toMatchObject({ name: "Changed", version: 2 });
+    });
+
+    it("should reject saves when the stored version differs", async () => {
+      // Arrange
+      await adapter.save({ id: "v-1", name: "Versioned", version: 3 });
+
+      // Act
+      const error = await adapter
+        .save({ id: "v-1", name: "Stale", version: 2 }, { expectedVersion: 1 })
+        .catch((e) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(ConcurrencyError);
+      expect(error.expectedVersion).toBe(1);
+      expect(error.actualVersion).toBe(3);
+      expect((await adapter.findById("v-1")).name).toBe("Versioned");
+    });
+
+    it("should treat unsaved aggregates as version 0", async () => {
+      // Act
+      await adapter.save({ id: "v-1", version: 1 }, { expectedVersion: 0 });
+      const error = await adapter
+        .save({ id: "v-2", version: 3 }, { expectedVersion: 2 })
+        .catch((e) => e);
+
+      // Assert
+      expect(await adapter.findById("v-1")).not.toBeNull();
+      expect(error).toBeInstanceOf(ConcurrencyError);
+      expect(error.actualVersion).toBeNull();
+    });
+
+    it("should save nothing from a batch with a conflict", async () => {
+      // Arrange
+      await adapter.save({ id: "v-1", name: "Versioned", version: 2 });
+
+      // Act
+      const saving = adapter.saveAll(
+        [
+          { id: "v-0", name: "New", version: 1 },
+          { id: "v-1", name: "Stale", version: 2 },
+        ],
+        { expectedVersions: [0, 1] },
+      );
+
+      // Assert
+      await expect(saving).rejects.toThrow(ConcurrencyError);
+      expect(await adapter.findById("v-0")).toBeNull();
+    });
+  });
+
   describe("delete", () => {
     it("should delete an aggregate by ID", async () => {
       // Act
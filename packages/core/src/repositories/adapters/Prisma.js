@@ -1,4 +1,5 @@
 // packages/core/src/repositories/adapters/Prisma.js
+import { ConcurrencyError } from "../../errors/ConcurrencyError.js";
 
 /**
  * Creates a Prisma-based repository adapter
@@ -182,12 +183,82 @@ export function createPrismaAdapter({
     }
   }
 
+  /**
+   * Save aggregate data only if the stored version matches
+   * The version check and the update happen in one conditional update, so no
+   * other writer can slip in between. Aggregates that were never saved count
+   * as version 0.
+   * @param {any} client - The Prisma model delegate, or the one of a transaction
+   * @param {string} id - Aggregate ID
+   * @param {any} data - Serialized aggregate
+   * @param {number} expectedVersion - The version the aggregate was loaded with
+   * @returns {Promise<void>}
+   * @throws {ConcurrencyError} If the stored version differs, or another writer created the aggregate first
+   */
+  async function saveVersioned(client, id, data, expectedVersion) {
+    const { count: updated } = await client.updateMany({
+      where: { [identity]: id, version: expectedVersion },
+      data,
+    });
+    if (updated > 0) {
+      return;
+    }
+
+    const current = await client.findUnique({
+      where: { [identity]: id },
+      select: { version: true },
+    });
+    if (!current && expectedVersion === 0) {
+      try {
+        await client.create({ data });
+        return;
+      } catch (error) {
+        if (!isUniqueViolation(error)) {
+          throw error;
+        }
+      }
+
+      // Another writer created the aggregate since it was looked up. The
+      // failed insert may have aborted the transaction, so its version is
+      // read on a best-effort basis.
+      const created = await client
+        .findUnique({ where: { [identity]: id }, select: { version: true } })
+        .catch(() => null);
+      throw new ConcurrencyError(
+        created
+          ? {
+              key: "concurrency.versionMismatch",
+              params: { id, expected: expectedVersion, actual: created.version },
+            }
+          : { key: "concurrency.createdConcurrently", params: { id } },
+        expectedVersion,
+        created ? created.version : null,
+        { id },
+      );
+    }
+
+    const actualVersion = current ? current.version : null;
+    throw new ConcurrencyError(
+        actualVersion === null
+          ? { key: "concurrency.notFound", params: { id, expected: expectedVersion } }
+          : {
+              key: "concurrency.versionMismatch",
+              params: { id, expected: expectedVersion, actual: actualVersion },
+            },
+        expectedVersion,
+        actualVersion,
+        { id },
+    );
+  }
+
   /**
    * Save aggregate
    * @param {T} aggregate - Aggregate to save
+   * @param {{expectedVersion?: number}} [options] - The version the store must hold
    * @returns {Promise<void>}
+   * @throws {ConcurrencyError} If the stored version differs from the expected one
    */
-  async function save(aggregate) {
+  async function save(aggregate, { expectedVersion } = {}) {
     if (!aggregate) {
       throw new Error("Aggregate is required");
     }
@@ -201,6 +272,11 @@ export function createPrismaAdapter({
     const data = serializeAggregate(aggregate);
 
     try {
+      if (expectedVersion !== undefined) {
+        await saveVersioned(prismaModel, id, data, expectedVersion);
+        return;
+      }
+
       // Check if aggregate exists
       const exists = await prismaModel.findUnique({
         where: { [identity]: id },
@@ -218,6 +294,9 @@ export function createPrismaAdapter({
         await prismaModel.create({ data });
       }
     } catch (error) {
+      if (error instanceof ConcurrencyError) {
+        throw error;
+      }
       const errorMessage = error instanceof Error ? error.message : String(error);
       throw new Error(`Failed to save aggregate: ${errorMessage}`);
     }
@@ -225,10 +304,13 @@ export function createPrismaAdapter({
 
   /**
    * Save multiple aggregates
+   * With expected versions, a conflict rolls back the whole transaction.
    * @param {T[]} aggregates - Aggregates to save
+   * @param {{expectedVersions?: number[]}} [options] - The versions the store must hold, by position
    * @returns {Promise<void>}
+   * @throws {ConcurrencyError} If a stored version differs from the expected one
    */
-  async function saveAll(aggregates) {
+  async function saveAll(aggregates, { expectedVersions } = {}) {
     if (!Array.isArray(aggregates) || aggregates.length === 0) {
       return;
     }
@@ -236,7 +318,7 @@ export function createPrismaAdapter({
     try {
       // Use Prisma transaction for atomic operation
       await prisma.$transaction(async (/** @type {any} */ tx) => {
-        for (const aggregate of aggregates) {
+        for (const [index, aggregate] of aggregates.entries()) {
           // Type assertion to safely access property with string index
           const id = /** @type {Record<string, string>} */(aggregate)[identity];
           if (id === undefined) {
@@ -245,6 +327,11 @@ export function createPrismaAdapter({
 
           const data = serializeAggregate(aggregate);
 
+          if (expectedVersions) {
+            await saveVersioned(tx[model], id, data, expectedVersions[index]);
+            continue;
+          }
+
           // Check if aggregate exists
           const exists = await tx[model].findUnique({
             where: { [identity]: id },
@@ -264,6 +351,9 @@ export function createPrismaAdapter({
         }
       });
     } catch (error) {
+      if (error instanceof ConcurrencyError) {
+        throw error;
+      }
       const errorMessage = error instanceof Error ? error.message : String(error);
       throw new Error(`Failed to save multiple aggregates: ${errorMessage}`);
     }
@@ -289,6 +379,15 @@ export function createPrismaAdapter({
     }
   }
 
+  /**
+   * Checks if Prisma rejected a write for violating a unique constraint
+   * @param {unknown} error - The error thrown by Prisma
+   * @returns {boolean}
+   */
+  function isUniqueViolation(error) {
+    return error instanceof Error && 'code' in error && error.code === "P2002";
+  }
+
   // Return the adapter interface
   return {
     findById,
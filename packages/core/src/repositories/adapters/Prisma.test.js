@@ -0,0 +1,177 @@
+// packages/core/src/repositories/adapters/Prisma.test.js
+import { describe, it, expect, vi } from "vitest";
+import { createPrismaAdapter } from "./Prisma.js";
+import { ConcurrencyError } from "../../errors/index.js";
+
+describe("Prisma adapter", () => {
+  const uniqueViolation = () =>
+    Object.assign(new Error("Unique constraint failed on the fields: (`id`)"), {
+      code: "P2002",
+    });
+
+  // A mocked model delegate, whose lookups return the stored values in turn
+  const createDelegate = ({
+    updated = 0,
+    stored = [null],
+    create = () => Promise.resolve({}),
+  } = {}) => {
+    const lookups = [...stored];
+    return {
+      updateMany: vi.fn(async () => ({ count: updated })),
+      findUnique: vi.fn(async () => {
+        const next = lookups.length > 1 ? lookups.shift() : lookups[0];
+        if (next instanceof Error) throw next;
+        return next;
+      }),
+      create: vi.fn(create),
+    };
+  };
+
+  const createAdapter = (delegate) =>
+    createPrismaAdapter({
+      prisma: {
+        account: delegate,
+        $transaction: (fn) => fn({ account: delegate }),
+      },
+      model: "account",
+      identity: "id",
+    });
+
+  const account = { id: "a-1", balance: 10, version: 3 };
+
+  describe("save with an expected version", () => {
+    it("should update only the row that still holds the expected version", async () => {
+      // Arrange
+      const delegate = createDelegate({ updated: 1 });
+
+      // Act
+      await createAdapter(delegate).save(account, { expectedVersion: 2 });
+
+      // Assert
+      expect(delegate.updateMany).toHaveBeenCalledWith({
+        where: { id: "a-1", version: 2 },
+        data: account,
+      });
+      expect(delegate.findUnique).not.toHaveBeenCalled();
+      expect(delegate.create).not.toHaveBeenCalled();
+    });
+
+    it("should report a conflict when no row holds the expected version", async () => {
+      // Arrange
+      const delegate = createDelegate({ stored: [{ version: 5 }] });
+
+      // Act
+      const error = await createAdapter(delegate)
+        .save(account, { expectedVersion: 2 })
+        .catch((e) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(ConcurrencyError);
+      expect(error.expectedVersion).toBe(2);
+      expect(error.actualVersion).toBe(5);
+      expect(error.message).toBe("Expected version 2 of a-1, found 5");
+      expect(delegate.create).not.toHaveBeenCalled();
+    });
+
+    it("should report a conflict when the aggregate no longer exists", async () => {
+      // Arrange
+      const delegate = createDelegate({ stored: [null] });
+
+      // Act
+      const error = await createAdapter(delegate)
+        .save(account, { expectedVersion: 2 })
+        .catch((e) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(ConcurrencyError);
+      expect(error.actualVersion).toBeNull();
+      expect(error.message).toBe("Expected version 2 of a-1, found none");
+    });
+
+    it("should create aggregates that were never saved", async () => {
+      // Arrange
+      const delegate = createDelegate({ stored: [null] });
+      const created = { ...account, version: 0 };
+
+      // Act
+      await createAdapter(delegate).save(created, { expectedVersion: 0 });
+
+      // Assert
+      expect(delegate.create).toHaveBeenCalledWith({ data: created });
+    });
+
+    it("should report a concurrent first save as a conflict", async () => {
+      // Arrange
+      const delegate = createDelegate({
+        stored: [null, { version: 1 }],
+        create: () => Promise.reject(uniqueViolation()),
+      });
+
+      // Act
+      const error = await createAdapter(delegate)
+        .save({ ...account, version: 0 }, { expectedVersion: 0 })
+        .catch((e) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(ConcurrencyError);
+      expect(error.expectedVersion).toBe(0);
+      expect(error.actualVersion).toBe(1);
+      expect(error.message).toBe("Expected version 0 of a-1, found 1");
+    });
+
+    it("should report the conflict when the version cannot be read again", async () => {
+      // Arrange
+      const delegate = createDelegate({
+        stored: [null, new Error("current transaction is aborted")],
+        create: () => Promise.reject(uniqueViolation()),
+      });
+
+      // Act
+      const error = await createAdapter(delegate)
+        .save({ ...account, version: 0 }, { expectedVersion: 0 })
+        .catch((e) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(ConcurrencyError);
+      expect(error.actualVersion).toBeNull();
+      expect(error.message).toBe(
+        "Expected a-1 to be new, but it was created concurrently",
+      );
+    });
+
+    it("should not turn other errors of the create into conflicts", async () => {
+      // Arrange
+      const delegate = createDelegate({
+        stored: [null],
+        create: () => Promise.reject(new Error("Connection lost")),
+      });
+
+      // Act
+      const error = await createAdapter(delegate)
+        .save({ ...account, version: 0 }, { expectedVersion: 0 })
+        .catch((e) => e);
+
+      // Assert
+      expect(error).not.toBeInstanceOf(ConcurrencyError);
+      expect(error.message).toBe("Failed to save aggregate: Connection lost");
+      expect(delegate.findUnique).toHaveBeenCalledTimes(1);
+    });
+
+    it("should report conflicts of saveAll from the transaction", async () => {
+      // Arrange
+      const delegate = createDelegate({
+        stored: [null],
+        create: () => Promise.reject(uniqueViolation()),
+      });
+
+      // Act
+      const error = await createAdapter(delegate)
+        .saveAll([{ ...account, version: 0 }], { expectedVersions: [0] })
+        .catch((e) => e);
+
+      // Assert
+      expect(error).toBeInstanceOf(ConcurrencyError);
+      expect(error.actualVersion).toBeNull();
+    });
+  });
+});
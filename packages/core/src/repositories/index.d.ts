@@ -1,2 +1,2 @@
-export { repository, RepositoryAdapter } from "./Base";
+export { repository, RepositoryAdapter, QueryOptions } from "./Base";
 export { createInMemoryAdapter } from "./adapters/InMemory";
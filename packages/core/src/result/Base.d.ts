@@ -0,0 +1,82 @@
+import { DomainError } from "../errors";
+
+/**
+ * Methods shared by all results
+ */
+export interface ResultMethods<T, E> {
+  /**
+   * Transforms the value of a successful result
+   */
+  map<U>(fn: (value: T) => U): Result<U, E>;
+
+  /**
+   * Chains an operation that returns a result itself
+   */
+  flatMap<U, F>(fn: (value: T) => Result<U, F>): Result<U, E | F>;
+
+  /**
+   * Transforms the error of a failed result
+   */
+  mapError<F>(fn: (error: E) => F): Result<T, F>;
+
+  /**
+   * Returns the value, or throws the error of a failed result
+   */
+  unwrap(): T;
+
+  /**
+   * Returns the value, or a fallback for a failed result
+   */
+  unwrapOr<U>(fallback: U): T | U;
+
+  /**
+   * Handles both outcomes
+   */
+  match<R>(handlers: { ok: (value: T) => R; err: (error: E) => R }): R;
+}
+
+/**
+ * A successful result
+ */
+export type Ok<T, E = never> = {
+  readonly ok: true;
+  readonly value: T;
+} & ResultMethods<T, E>;
+
+/**
+ * A failed result
+ */
+export type Err<T, E> = {
+  readonly ok: false;
+  readonly error: E;
+} & ResultMethods<T, E>;
+
+/**
+ * The outcome of an operation that can fail, discriminated by `ok`
+ */
+export type Result<T, E = DomainError> = Ok<T, E> | Err<T, E>;
+
+/**
+ * Creates a successful result
+ */
+export function ok<T>(value: T): Ok<T>;
+
+/**
+ * Creates a failed result
+ */
+export function err<E>(error: E): Err<never, E>;
+
+/**
+ * Checks if a value is a result
+ */
+export function isResult(value: unknown): value is Result<unknown, unknown>;
+
+/**
+ * Runs a function and captures the domain error it throws as a failed result
+ */
+export function attempt<T>(fn: () => T): Result<T, DomainError>;
+
+/**
+ * Combines results into one of all values, or of the errors of all failed results
+ */
+export function all<T, E>(results: Iterable<Result<T, E>>): Result<T[], E[]>;
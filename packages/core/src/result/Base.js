@@ -0,0 +1,165 @@
+// packages/core/src/result/Base.js
+import { DomainError } from "../errors/index.js";
+
+/**
+ * Methods shared by all results
+ * Results keep only `ok` and `value` or `error` as own properties, so they
+ * compare and serialize like plain discriminated unions.
+ * @private
+ */
+const resultPrototype = {
+  /**
+   * Transforms the value of a successful result
+   * @param {(value: any) => any} fn - The transformation
+   * @returns {any} A new result, or this result if it failed
+   */
+  map(fn) {
+    return this.ok ? ok(fn(this.value)) : this;
+  },
+
+  /**
+   * Chains an operation that returns a result itself
+   * @param {(value: any) => any} fn - The operation
+   * @returns {any} The result of the operation, or this result if it failed
+   */
+  flatMap(fn) {
+    if (!this.ok) {
+      return this;
+    }
+    const next = fn(this.value);
+    if (!isResult(next)) {
+      throw new Error("flatMap callback must return a result");
+    }
+    return next;
+  },
+
+  /**
+   * Transforms the error of a failed result
+   * @param {(error: any) => any} fn - The transformation
+   * @returns {any} A new result, or this result if it succeeded
+   */
+  mapError(fn) {
+    return this.ok ? this : err(fn(this.error));
+  },
+
+  /**
+   * Returns the value, or throws the error of a failed result
+   * @returns {any} The value
+   * @throws {Error} The error of a failed result
+   */
+  unwrap() {
+    if (this.ok) {
+      return this.value;
+    }
+    throw this.error instanceof Error
+      ? this.error
+      : new Error(`Called unwrap on a failed result: ${String(this.error)}`);
+  },
+
+  /**
+   * Returns the value, or a fallback for a failed result
+   * @param {any} fallback - The value to use if the result failed
+   * @returns {any} The value or the fallback
+   */
+  unwrapOr(fallback) {
+    return this.ok ? this.value : fallback;
+  },
+
+  /**
+   * Handles both outcomes
+   * @param {{ok: (value: any) => any, err: (error: any) => any}} handlers - Handler per outcome
+   * @returns {any} The return value of the matching handler
+   */
+  match(handlers) {
+    return this.ok ? handlers.ok(this.value) : handlers.err(this.error);
+  },
+};
+
+/**
+ * Creates a successful result
+ * @template T
+ * @param {T} value - The value
+ * @returns {{ok: true, value: T}} The result
+ */
+export function ok(value) {
+  return Object.freeze(
+    Object.assign(Object.create(resultPrototype), { ok: true, value }),
+  );
+}
+
+/**
+ * Creates a failed result
+ * @template E
+ * @param {E} error - The error
+ * @returns {{ok: false, error: E}} The result
+ */
+export function err(error) {
+  return Object.freeze(
+    Object.assign(Object.create(resultPrototype), { ok: false, error }),
+  );
+}
+
+/**
+ * Checks if a value is a result
+ * @param {unknown} value - The value to check
+ * @returns {boolean} True for results created by ok, err or attempt
+ */
+export function isResult(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === resultPrototype
+  );
+}
+
+/**
+ * Runs a function and captures the domain error it throws as a failed result
+ * Other errors, such as programming errors, are rethrown.
+ * @template T
+ * @param {() => T} fn - The function to run
+ * @returns {{ok: true, value: T} | {ok: false, error: DomainError}} The result
+ */
+export function attempt(fn) {
+  try {
+    return ok(fn());
+  } catch (error) {
+    if (error instanceof DomainError) {
+      return err(error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Combines results into one
+ *
+ * Succeeds with all values in order if every result succeeded. Otherwise
+ * fails with the errors of all failed results in order, so many objects can
+ * be validated in one pass.
+ *
+ * @param {Iterable<any>} results - The results to combine
+ * @returns {any} A result of all values, or of all errors
+ *
+ * @example
+ * const result = all(rows.map((row) => Customer.tryCreate(row)));
+ * if (!result.ok) {
+ *   report(result.error); // every ValidationError of the file
+ * }
+ */
+export function all(results) {
+  const values = [];
+  const errors = [];
+
+  for (const result of results) {
+    if (!isResult(result)) {
+      throw new Error("all expects results");
+    }
+    if (result.ok) {
+      values.push(result.value);
+    } else {
+      errors.push(result.error);
+    }
+  }
+
+  return errors.length === 0 ? ok(values) : err(errors);
+}
@@ -0,0 +1,157 @@
+// packages/core/src/result/Base.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { ok, err, isResult, attempt, all } from "./Base.js";
+import { entity } from "../entities/Base.js";
+import { ValidationError, DomainError } from "../errors/index.js";
+
+describe("Result", () => {
+  describe("ok and err", () => {
+    it("should create discriminated results", () => {
+      // Act
+      const success = ok(42);
+      const failure = err("boom");
+
+      // Assert
+      expect(success).toEqual({ ok: true, value: 42 });
+      expect(failure).toEqual({ ok: false, error: "boom" });
+      expect(Object.isFrozen(success)).toBe(true);
+      expect(isResult(success)).toBe(true);
+      expect(isResult({ ok: true, value: 42 })).toBe(false);
+    });
+
+    it("should serialize without methods", () => {
+      // Assert
+      expect(JSON.stringify(ok({ id: 1 }))).toBe(
+        '{"ok":true,"value":{"id":1}}',
+      );
+    });
+  });
+
+  describe("combinators", () => {
+    it("should map successful values and skip failures", () => {
+      // Act & Assert
+      expect(ok(2).map((value) => value * 2)).toEqual({ ok: true, value: 4 });
+      expect(err("boom").map((value) => value * 2)).toEqual({
+        ok: false,
+        error: "boom",
+      });
+    });
+
+    it("should chain operations that return results", () => {
+      // Arrange
+      const half = (value) => (value % 2 === 0 ? ok(value / 2) : err("odd"));
+
+      // Act & Assert
+      expect(ok(8).flatMap(half).flatMap(half).unwrap()).toBe(2);
+      expect(ok(6).flatMap(half).flatMap(half)).toEqual({
+        ok: false,
+        error: "odd",
+      });
+      expect(() => ok(1).flatMap((value) => value)).toThrow(
+        "flatMap callback must return a result",
+      );
+    });
+
+    it("should map errors", () => {
+      // Act & Assert
+      expect(err("boom").mapError((error) => error.toUpperCase())).toEqual({
+        ok: false,
+        error: "BOOM",
+      });
+    });
+
+    it("should unwrap values or fall back", () => {
+      // Arrange
+      const error = new DomainError("Broken");
+
+      // Act & Assert
+      expect(ok(1).unwrapOr(0)).toBe(1);
+      expect(err(error).unwrapOr(0)).toBe(0);
+      expect(() => err(error).unwrap()).toThrow(error);
+      expect(() => err("boom").unwrap()).toThrow(
+        "Called unwrap on a failed result: boom",
+      );
+    });
+
+    it("should match both outcomes", () => {
+      // Arrange
+      const handlers = {
+        ok: (value) => `value ${value}`,
+        err: (error) => `error ${error}`,
+      };
+
+      // Act & Assert
+      expect(ok(1).match(handlers)).toBe("value 1");
+      expect(err("boom").match(handlers)).toBe("error boom");
+    });
+  });
+
+  describe("attempt", () => {
+    it("should capture domain errors", () => {
+      // Act
+      const result = attempt(() => {
+        throw new ValidationError("Invalid");
+      });
+
+      // Assert
+      expect(result.ok).toBe(false);
+      expect(result.error).toBeInstanceOf(ValidationError);
+    });
+
+    it("should rethrow other errors", () => {
+      // Act & Assert
+      expect(() =>
+        attempt(() => {
+          throw new TypeError("Programming error");
+        }),
+      ).toThrow(TypeError);
+    });
+  });
+
+  describe("all", () => {
+    const Customer = entity({
+      name: "Customer",
+      schema: z.object({
+        id: z.string(),
+        email: z.string().email(),
+      }),
+      identity: "id",
+      methodsFactory: () => ({}),
+    });
+
+    it("should collect all values when every result succeeded", () => {
+      // Act
+      const result = all([ok(1), ok(2), ok(3)]);
+
+      // Assert
+      expect(result).toEqual({ ok: true, value: [1, 2, 3] });
+      expect(all([])).toEqual({ ok: true, value: [] });
+    });
+
+    it("should collect every error of a batch in one pass", () => {
+      // Arrange
+      const rows = [
+        { id: "1", email: "ada@example.com" },
+        { id: "2", email: "not-an-email" },
+        { id: "3" },
+      ];
+
+      // Act
+      const result = all(rows.map((row) => Customer.tryCreate(row)));
+
+      // Assert
+      expect(result.ok).toBe(false);
+      expect(result.error).toHaveLength(2);
+      expect(result.error.map((error) => error.toFieldErrors())).toEqual([
+        { email: "Invalid email" },
+        { email: "Required" },
+      ]);
+    });
+
+    it("should reject values that are not results", () => {
+      // Act & Assert
+      expect(() => all([ok(1), 2])).toThrow("all expects results");
+    });
+  });
+});
@@ -0,0 +1 @@
+export { ok, err, isResult, attempt, all, Result, Ok, Err, ResultMethods } from "./Base";
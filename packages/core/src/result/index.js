@@ -0,0 +1 @@
+export { ok, err, isResult, attempt, all } from "./Base.js";
@@ -0,0 +1,73 @@
+/**
+ * Symbol under which value objects, entities and aggregates store their type name
+ */
+export const TYPE_NAME: unique symbol;
+
+/**
+ * A factory that can be registered for revival
+ */
+type RevivableFactory = {
+  name?: string;
+  create: (data: any) => unknown;
+};
+
+/**
+ * Registry of factories used to revive serialized domain objects
+ */
+export type SerializationRegistry = {
+  /**
+   * Registers a factory under its name (or an explicit name)
+   */
+  register: (factory: RevivableFactory, name?: string) => SerializationRegistry;
+
+  /**
+   * Gets a registered factory
+   */
+  get: (name: string) => RevivableFactory | undefined;
+
+  /**
+   * Checks if a factory is registered
+   */
+  has: (name: string) => boolean;
+
+  /**
+   * Lists all registered type names
+   */
+  names: () => string[];
+}
+
+/**
+ * Creates a registry of factories used to revive serialized domain objects
+ */
+export function createSerializationRegistry(
+  /**
+   * Factories to register upfront
+   */
+  factories?: RevivableFactory[]
+): SerializationRegistry;
+
+/**
+ * Converts a value into a type-tagged, JSON-safe structure
+ */
+export function serialize(value: unknown): unknown;
+
+/**
+ * Revives a structure produced by serialize into domain objects
+ */
+export function deserialize<T = unknown>(
+  data: unknown,
+  registry?: SerializationRegistry
+): T;
+
+/**
+ * Serializes a value into a type-tagged JSON string
+ */
+export function stringify(value: unknown): string;
+
+/**
+ * Parses a JSON string produced by stringify and revives its domain objects
+ */
+export function parse<T = unknown>(
+  text: string,
+  registry?: SerializationRegistry
+): T;
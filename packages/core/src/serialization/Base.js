@@ -0,0 +1,263 @@
+// packages/core/src/serialization/Base.js
+import { SerializationError } from "../errors/index.js";
+
+/**
+ * Symbol under which value objects, entities and aggregates store their type name.
+ * Symbol keys are copied by object spread but ignored by JSON.stringify and Object.keys.
+ */
+export const TYPE_NAME = Symbol.for("domaindrivenjs.typeName");
+
+/**
+ * Built-in tags for values JSON cannot represent natively
+ * @private
+ */
+const BUILT_IN_TAGS = {
+  DATE: "Date",
+  BIGINT: "BigInt",
+  MAP: "Map",
+  SET: "Set",
+};
+
+/**
+ * @typedef {Object} SerializationRegistry
+ * @property {(factory: {name?: string, create: Function}, name?: string) => SerializationRegistry} register - Registers a factory under its name
+ * @property {(name: string) => {create: Function} | undefined} get - Gets a registered factory
+ * @property {(name: string) => boolean} has - Checks if a factory is registered
+ * @property {() => string[]} names - Lists all registered type names
+ */
+
+/**
+ * Creates a registry of factories used to revive serialized domain objects
+ *
+ * @param {Array<{name?: string, create: Function}>} [factories=[]] - Factories to register upfront
+ * @returns {SerializationRegistry} A new registry
+ *
+ * @example
+ * const registry = createSerializationRegistry([Money, Address, Order]);
+ * const order = deserialize(JSON.parse(body), registry);
+ */
+export function createSerializationRegistry(factories = []) {
+  /** @type {Map<string, {create: Function}>} */
+  const factoriesByName = new Map();
+
+  /** @type {SerializationRegistry} */
+  const registry = {
+    register(factory, name = factory?.name) {
+      if (!factory || typeof factory.create !== "function") {
+        throw new Error("Invalid factory provided");
+      }
+      if (!name) {
+        throw new Error("Factory name is required for registration");
+      }
+      if (Object.values(BUILT_IN_TAGS).includes(name)) {
+        throw new Error(`Type name "${name}" is reserved`);
+      }
+
+      factoriesByName.set(name, factory);
+      return registry;
+    },
+
+    get(name) {
+      return factoriesByName.get(name);
+    },
+
+    has(name) {
+      return factoriesByName.has(name);
+    },
+
+    names() {
+      return Array.from(factoriesByName.keys());
+    },
+  };
+
+  for (const factory of factories) {
+    registry.register(factory);
+  }
+
+  return registry;
+}
+
+/**
+ * Converts a value into a type-tagged, JSON-safe structure
+ *
+ * Domain objects become `{ $type: "<name>", $value: ... }`, and Dates, bigints,
+ * Maps and Sets are tagged with `Date`, `BigInt`, `Map` and `Set` respectively.
+ * Methods and domain events are left out.
+ *
+ * @param {any} value - The value to serialize
+ * @returns {any} A structure that survives JSON.stringify without losing type information
+ */
+export function serialize(value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (typeof value === "bigint") {
+    return { $type: BUILT_IN_TAGS.BIGINT, $value: value.toString() };
+  }
+
+  if (typeof value === "function" || typeof value === "symbol") {
+    return undefined;
+  }
+
+  if (typeof value !== "object") {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return { $type: BUILT_IN_TAGS.DATE, $value: value.toISOString() };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      const serialized = serialize(item);
+      // Mirror JSON.stringify, which turns unrepresentable items into null
+      return serialized === undefined ? null : serialized;
+    });
+  }
+
+  if (value instanceof Map) {
+    return {
+      $type: BUILT_IN_TAGS.MAP,
+      $value: Array.from(value, ([key, item]) => [
+        serialize(key),
+        serialize(item),
+      ]),
+    };
+  }
+
+  if (value instanceof Set) {
+    return { $type: BUILT_IN_TAGS.SET, $value: Array.from(value, serialize) };
+  }
+
+  // Domain objects carry their type name and know how to reduce themselves to data
+  if (value[TYPE_NAME] && typeof value.toJSON === "function") {
+    return { $type: value[TYPE_NAME], $value: serialize(value.toJSON()) };
+  }
+
+  if (typeof value.toJSON === "function") {
+    return serialize(value.toJSON());
+  }
+
+  /** @type {Record<string, any>} */
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const serialized = serialize(item);
+    if (serialized !== undefined) {
+      result[key] = serialized;
+    }
+  }
+  return result;
+}
+
+/**
+ * Revives a structure produced by {@link serialize} into domain objects
+ *
+ * Nested values are revived first, so factories receive proper Dates, bigints
+ * and value object instances when they validate.
+ *
+ * @param {any} data - The serialized structure
+ * @param {SerializationRegistry} [registry] - Registry holding the factories of all tagged domain types
+ * @returns {any} The revived value
+ * @throws {SerializationError} If a tagged type is not registered or cannot be recreated
+ */
+export function deserialize(data, registry) {
+  if (data === null || typeof data !== "object") {
+    return data;
+  }
+
+  if (Array.isArray(data)) {
+    return data.map((item) => deserialize(item, registry));
+  }
+
+  if (isTagged(data)) {
+    const { $type: typeName, $value: rawValue } = data;
+
+    switch (typeName) {
+      case BUILT_IN_TAGS.DATE:
+        return new Date(rawValue);
+      case BUILT_IN_TAGS.BIGINT:
+        return BigInt(rawValue);
+      case BUILT_IN_TAGS.MAP:
+        return new Map(
+          rawValue.map((/** @type {[any, any]} */ [key, item]) => [
+            deserialize(key, registry),
+            deserialize(item, registry),
+          ]),
+        );
+      case BUILT_IN_TAGS.SET:
+        return new Set(
+          rawValue.map((/** @type {any} */ item) =>
+            deserialize(item, registry),
+          ),
+        );
+    }
+
+    const factory = registry?.get(typeName);
+    if (!factory) {
+      throw new SerializationError(
+        { key: "serialization.unregisteredType", params: { typeName } },
+        undefined,
+        { typeName },
+      );
+    }
+
+    try {
+      // Revived entities and aggregates are not new, value objects have no reconstitute
+      const data = deserialize(rawValue, registry);
+      return typeof factory.reconstitute === "function"
+        ? factory.reconstitute(data)
+        : factory.create(data);
+    } catch (error) {
+      throw new SerializationError(
+        { key: "serialization.revivalFailed", params: { typeName } },
+        error instanceof Error ? error : undefined,
+        { typeName, data: rawValue },
+      );
+    }
+  }
+
+  /** @type {Record<string, any>} */
+  const result = {};
+  for (const [key, item] of Object.entries(data)) {
+    result[key] = deserialize(item, registry);
+  }
+  return result;
+}
+
+/**
+ * Serializes a value into a type-tagged JSON string
+ *
+ * @param {any} value - The value to serialize
+ * @returns {string} The JSON string
+ */
+export function stringify(value) {
+  return JSON.stringify(serialize(value));
+}
+
+/**
+ * Parses a JSON string produced by {@link stringify} and revives its domain objects
+ *
+ * @param {string} text - The JSON string
+ * @param {SerializationRegistry} [registry] - Registry holding the factories of all tagged domain types
+ * @returns {any} The revived value
+ * @throws {SerializationError} If a tagged type is not registered or cannot be recreated
+ */
+export function parse(text, registry) {
+  return deserialize(JSON.parse(text), registry);
+}
+
+/**
+ * Checks if an object is a type tag produced by serialize
+ * @param {Record<string, any>} data - The object to check
+ * @returns {boolean} True if the object is a type tag
+ * @private
+ */
+function isTagged(data) {
+  const keys = Object.keys(data);
+  return (
+    keys.length === 2 &&
+    typeof data.$type === "string" &&
+    Object.prototype.hasOwnProperty.call(data, "$value")
+  );
+}
@@ -0,0 +1,263 @@
+// packages/core/src/serialization/Base.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import {
+  serialize,
+  deserialize,
+  stringify,
+  parse,
+  createSerializationRegistry,
+} from "./Base.js";
+import {
+  SerializationError,
+  createCatalogTranslator,
+  setTranslator,
+} from "../errors/index.js";
+import { valueObject } from "../valueObjects/Base.js";
+import { valueObjectSchema } from "../valueObjects/schema.js";
+import { NonEmptyString } from "../valueObjects/primitives/NonEmptyString.js";
+import { entity } from "../entities/Base.js";
+import { aggregate } from "../aggregates/Base.js";
+
+describe("serialization", () => {
+  const Money = valueObject({
+    name: "Money",
+    schema: z.object({
+      amount: z.bigint(),
+      currency: z.string().length(3),
+    }),
+    methodsFactory: () => ({}),
+  });
+
+  const LineItem = entity({
+    name: "LineItem",
+    schema: z.object({
+      id: z.string(),
+      title: NonEmptyString.schema,
+      price: valueObjectSchema({ typeName: "Money" }),
+    }),
+    identity: "id",
+    methodsFactory: () => ({}),
+  });
+
+  const Order = aggregate({
+    name: "Order",
+    schema: z.object({
+      id: z.string(),
+      placedAt: z.date(),
+      items: z.array(valueObjectSchema({ typeName: "LineItem" })),
+    }),
+    identity: "id",
+    methodsFactory: () => ({}),
+  });
+
+  const createOrder = () =>
+    Order.create({
+      id: "order-1",
+      placedAt: new Date("2024-03-01T10:00:00Z"),
+      items: [
+        LineItem.create({
+          id: "item-1",
+          title: "Book",
+          price: Money.create({ amount: 1999n, currency: "EUR" }),
+        }),
+      ],
+    });
+
+  describe("serialize", () => {
+    it("should tag domain objects, dates and bigints", () => {
+      // Arrange
+      const order = createOrder();
+
+      // Act
+      const serialized = serialize(order);
+
+      // Assert
+      expect(serialized).toEqual({
+        $type: "Order",
+        $value: {
+          id: "order-1",
+          placedAt: { $type: "Date", $value: "2024-03-01T10:00:00.000Z" },
+          items: [
+            {
+              $type: "LineItem",
+              $value: {
+                id: "item-1",
+                title: "Book",
+                price: {
+                  $type: "Money",
+                  $value: {
+                    amount: { $type: "BigInt", $value: "1999" },
+                    currency: "EUR",
+                  },
+                },
+              },
+            },
+          ],
+        },
+      });
+    });
+
+    it("should not leak domain events or methods", () => {
+      // Arrange
+      const order = Order.create({
+        id: "order-1",
+        placedAt: new Date("2024-03-01T10:00:00Z"),
+        items: [],
+      }).emitEvent("OrderPlaced", { orderId: "order-1" });
+
+      // Act
+      const plain = JSON.parse(JSON.stringify(order));
+      const serialized = serialize(order);
+
+      // Assert
+      expect(plain._domainEvents).toBeUndefined();
+      expect(plain.emitEvent).toBeUndefined();
+      expect(serialized.$value._domainEvents).toBeUndefined();
+    });
+
+    it("should serialize primitive value objects to their primitive value", () => {
+      // Arrange
+      const title = NonEmptyString.create("Book");
+
+      // Act & Assert
+      expect(JSON.stringify(title)).toBe('"Book"');
+      expect(serialize(title)).toEqual({ $type: "NonEmptyString", $value: "Book" });
+    });
+
+    it("should tag maps and sets", () => {
+      // Arrange
+      const value = { tags: new Set(["a"]), counts: new Map([["a", 1]]) };
+
+      // Act & Assert
+      expect(serialize(value)).toEqual({
+        tags: { $type: "Set", $value: ["a"] },
+        counts: { $type: "Map", $value: [["a", 1]] },
+      });
+    });
+  });
+
+  describe("deserialize", () => {
+    it("should revive nested domain objects into proper instances", () => {
+      // Arrange
+      const registry = createSerializationRegistry([Money, LineItem, Order]);
+      const order = createOrder();
+
+      // Act
+      const revived = parse(stringify(order), registry);
+
+      // Assert
+      expect(revived.placedAt).toBeInstanceOf(Date);
+      expect(revived.placedAt.getTime()).toBe(order.placedAt.getTime());
+      expect(typeof revived.emitEvent).toBe("function");
+      expect(revived.items[0].price.amount).toBe(1999n);
+      expect(revived.items[0].price.equals(order.items[0].price)).toBe(true);
+      expect(revived.items[0].equals(order.items[0])).toBe(true);
+    });
+
+    it("should revive maps, sets and plain structures without a registry", () => {
+      // Arrange
+      const value = {
+        at: new Date(0),
+        big: 10n,
+        tags: new Set(["a", "b"]),
+        counts: new Map([["a", 1]]),
+      };
+
+      // Act
+      const revived = parse(stringify(value));
+
+      // Assert
+      expect(revived.at).toEqual(new Date(0));
+      expect(revived.big).toBe(10n);
+      expect(revived.tags).toEqual(new Set(["a", "b"]));
+      expect(revived.counts.get("a")).toBe(1);
+    });
+
+    it("should throw SerializationError for unregistered types", () => {
+      // Arrange
+      const serialized = serialize(Money.create({ amount: 1n, currency: "EUR" }));
+
+      // Act & Assert
+      expect(() => deserialize(serialized, createSerializationRegistry())).toThrow(
+        SerializationError,
+      );
+      expect(() => deserialize(serialized)).toThrow(
+        'No factory registered for type "Money"',
+      );
+    });
+
+    it("should render its messages from the catalog", () => {
+      // Arrange
+      const serialized = serialize(Money.create({ amount: 1n, currency: "EUR" }));
+      setTranslator(
+        createCatalogTranslator({
+          de: {
+            "serialization.unregisteredType":
+              'Für den Typ "{typeName}" ist keine Fabrik registriert',
+          },
+        }),
+      );
+
+      // Act
+      let error;
+      let localized;
+      try {
+        deserialize(serialized);
+      } catch (e) {
+        error = e;
+        localized = e.localize("de");
+      } finally {
+        setTranslator(null);
+      }
+
+      // Assert
+      expect(error.context).toEqual({ typeName: "Money" });
+      expect(localized).toBe('Für den Typ "Money" ist keine Fabrik registriert');
+    });
+
+    it("should wrap validation failures in SerializationError", () => {
+      // Arrange
+      const registry = createSerializationRegistry([Money]);
+      const invalid = {
+        $type: "Money",
+        $value: { amount: { $type: "BigInt", $value: "1" }, currency: "EURO" },
+      };
+
+      // Act & Assert
+      expect(() => deserialize(invalid, registry)).toThrow(SerializationError);
+      expect(() => deserialize(invalid, registry)).toThrow(
+        "Failed to revive Money",
+      );
+    });
+  });
+
+  describe("createSerializationRegistry", () => {
+    it("should register factories by name", () => {
+      // Arrange
+      const registry = createSerializationRegistry();
+
+      // Act
+      registry.register(Money).register(LineItem, "Item");
+
+      // Assert
+      expect(registry.has("Money")).toBe(true);
+      expect(registry.get("Item")).toBe(LineItem);
+      expect(registry.names()).toEqual(["Money", "Item"]);
+    });
+
+    it("should reject invalid and reserved registrations", () => {
+      // Arrange
+      const registry = createSerializationRegistry();
+
+      // Act & Assert
+      expect(() => registry.register(null)).toThrow("Invalid factory provided");
+      expect(() => registry.register({ create() {} })).toThrow(
+        "Factory name is required for registration",
+      );
+      expect(() => registry.register(Money, "Date")).toThrow(
+        'Type name "Date" is reserved',
+      );
+    });
+  });
+});
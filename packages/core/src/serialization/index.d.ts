@@ -0,0 +1,9 @@
+export {
+  serialize,
+  deserialize,
+  stringify,
+  parse,
+  createSerializationRegistry,
+  SerializationRegistry,
+  TYPE_NAME,
+} from "./Base";
@@ -0,0 +1,9 @@
+// packages/core/src/serialization/index.js
+export {
+  serialize,
+  deserialize,
+  stringify,
+  parse,
+  createSerializationRegistry,
+  TYPE_NAME,
+} from "./Base.js";
@@ -62,6 +62,7 @@ export function propertyMatches<T>(
 
 /**
  * Creates a specification that checks if an object's property is greater than a specific value
+ * Comparable value objects are ordered with their comparator
  */
 export function propertyGreaterThan<T>(
   /**
@@ -70,9 +71,9 @@ export function propertyGreaterThan<T>(
   propertyName: string,
   
   /**
-   * The value to compare against
+   * The value to compare against, a number or a comparable value object
    */
-  value: number,
+  value: unknown,
   
   /**
    * Optional custom name for the specification
@@ -82,6 +83,7 @@ export function propertyGreaterThan<T>(
 
 /**
  * Creates a specification that checks if an object's property is less than a specific value
+ * Comparable value objects are ordered with their comparator
  */
 export function propertyLessThan<T>(
   /**
@@ -90,9 +92,9 @@ export function propertyLessThan<T>(
   propertyName: string,
   
   /**
-   * The value to compare against
+   * The value to compare against, a number or a comparable value object
    */
-  value: number,
+  value: unknown,
   
   /**
    * Optional custom name for the specification
@@ -102,6 +104,7 @@ export function propertyLessThan<T>(
 
 /**
  * Creates a specification that checks if an object's property is between min and max values
+ * Comparable value objects are ordered with their comparator
  */
 export function propertyBetween<T>(
   /**
@@ -110,14 +113,14 @@ export function propertyBetween<T>(
   propertyName: string,
   
   /**
-   * The minimum value (inclusive)
+   * The minimum value (inclusive), a number or a comparable value object
    */
-  min: number,
+  min: unknown,
   
   /**
-   * The maximum value (inclusive)
+   * The maximum value (inclusive), a number or a comparable value object
    */
-  max: number,
+  max: unknown,
   
   /**
    * Optional custom name for the specification
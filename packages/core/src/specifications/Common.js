@@ -1,5 +1,6 @@
 // packages/core/src/specifications/Common.js
 import { specification } from "./Base.js";
+import { compareValues } from "../valueObjects/comparison.js";
 
 /**
  * Creates a specification that checks if an object's property equals a specific value
@@ -101,10 +102,11 @@ export function propertyMatches(propertyName, pattern, specName) {
 
 /**
  * Creates a specification that checks if an object's property is greater than a specific value
+ * Comparable value objects, such as `Money` or `LocalDate`, are ordered with their comparator.
  *
  * @template T
  * @param {string} propertyName - The name of the property to check
- * @param {number} value - The value to compare against
+ * @param {any} value - The value to compare against, a number or a comparable value object
  * @param {string} [specName] - Optional custom name for the specification
  * @returns {import('./Base.js').Specification<T>} A property greater than specification
  */
@@ -115,7 +117,7 @@ export function propertyGreaterThan(propertyName, value, specName) {
     isSatisfiedBy(obj) {
       if (!obj || obj[propertyName] === undefined) return false;
 
-      return obj[propertyName] > value;
+      return compareValues(obj[propertyName], value) > 0;
     },
 
     toQuery() {
@@ -126,10 +128,11 @@ export function propertyGreaterThan(propertyName, value, specName) {
 
 /**
  * Creates a specification that checks if an object's property is less than a specific value
+ * Comparable value objects, such as `Money` or `LocalDate`, are ordered with their comparator.
  *
  * @template T
  * @param {string} propertyName - The name of the property to check
- * @param {number} value - The value to compare against
+ * @param {any} value - The value to compare against, a number or a comparable value object
  * @param {string} [specName] - Optional custom name for the specification
  * @returns {import('./Base.js').Specification<T>} A property less than specification
  */
@@ -140,7 +143,7 @@ export function propertyLessThan(propertyName, value, specName) {
     isSatisfiedBy(obj) {
       if (!obj || obj[propertyName] === undefined) return false;
 
-      return obj[propertyName] < value;
+      return compareValues(obj[propertyName], value) < 0;
     },
 
     toQuery() {
@@ -151,11 +154,12 @@ export function propertyLessThan(propertyName, value, specName) {
 
 /**
  * Creates a specification that checks if an object's property is between min and max values
+ * Comparable value objects, such as `Money` or `LocalDate`, are ordered with their comparator.
  *
  * @template T
  * @param {string} propertyName - The name of the property to check
- * @param {number} min - The minimum value (inclusive)
- * @param {number} max - The maximum value (inclusive)
+ * @param {any} min - The minimum value (inclusive), a number or a comparable value object
+ * @param {any} max - The maximum value (inclusive), a number or a comparable value object
  * @param {string} [specName] - Optional custom name for the specification
  * @returns {import('./Base.js').Specification<T>} A property between specification
  */
@@ -167,7 +171,7 @@ export function propertyBetween(propertyName, min, max, specName) {
       if (!obj || obj[propertyName] === undefined) return false;
 
       const value = obj[propertyName];
-      return value >= min && value <= max;
+      return compareValues(value, min) >= 0 && compareValues(value, max) <= 0;
     },
 
     toQuery() {
@@ -14,6 +14,8 @@ import {
   alwaysFalse,
   parameterizedSpecification,
 } from "./Common.js";
+import { Money } from "../valueObjects/primitives/Money.js";
+import { LocalDate } from "../valueObjects/primitives/LocalDate.js";
 
 describe("Common Specifications", () => {
   // Test data
@@ -232,6 +234,57 @@ describe("Common Specifications", () => {
     });
   });
 
+  describe("comparable value objects", () => {
+    const products = [
+      {
+        name: "Pen",
+        price: Money.create({ amount: 199, currency: "EUR" }),
+        releasedOn: LocalDate.create("2023-05-01"),
+      },
+      {
+        name: "Desk",
+        price: Money.create({ amount: 24900, currency: "EUR" }),
+        releasedOn: LocalDate.create("2024-02-10"),
+      },
+    ];
+
+    it("should order properties holding value objects with their comparator", () => {
+      // Arrange
+      const expensive = propertyGreaterThan(
+        "price",
+        Money.create({ amount: 10000, currency: "EUR" }),
+      );
+      const cheap = propertyLessThan("price", { amount: 500, currency: "EUR" });
+
+      // Act & Assert
+      expect(
+        products.filter((p) => expensive.isSatisfiedBy(p)).map((p) => p.name),
+      ).toEqual(["Desk"]);
+      expect(
+        products.filter((p) => cheap.isSatisfiedBy(p)).map((p) => p.name),
+      ).toEqual(["Pen"]);
+    });
+
+    it("should check ranges of value objects inclusively", () => {
+      // Arrange
+      const releasedIn2024 = propertyBetween(
+        "releasedOn",
+        LocalDate.create("2024-01-01"),
+        LocalDate.create("2024-12-31"),
+      );
+      const releasedFromFebruary = propertyBetween(
+        "releasedOn",
+        "2024-02-10",
+        "2024-02-29",
+      );
+
+      // Act & Assert
+      expect(releasedIn2024.isSatisfiedBy(products[0])).toBe(false);
+      expect(releasedIn2024.isSatisfiedBy(products[1])).toBe(true);
+      expect(releasedFromFebruary.isSatisfiedBy(products[1])).toBe(true);
+    });
+  });
+
   describe("propertyBetween", () => {
     it("should check if a property is between two values (inclusive)", () => {
       // Arrange
@@ -1,4 +1,7 @@
 import { z } from "zod";
+import { Result } from "../result/Base";
+import { enumValueObject } from "./Enum";
+import { listValueObject, setValueObject, mapValueObject } from "./Collection";
 
 /**
  * A value object with standard methods
@@ -9,6 +12,11 @@ export type ValueObject<T> = T & {
    */
   equals: (other: unknown) => boolean;
 
+  /**
+   * Returns a hash code consistent with equals
+   */
+  hashCode: () => number;
+
   /**
    * Returns a string representation of the value object
    */
@@ -19,18 +27,86 @@ export type ValueObject<T> = T & {
    */
   valueOf: () => unknown;
 
+  /**
+   * Returns the plain data used by JSON.stringify
+   */
+  toJSON: () => unknown;
+
   [key: string]: unknown;
 }
 
+/**
+ * Orders two value objects of the same type
+ * Returns a negative number if the first comes before the second, a positive
+ * number if it comes after, and zero if both rank the same.
+ */
+export type Comparator<T> = (a: ValueObject<T>, b: ValueObject<T>) => number;
+
+/**
+ * A value object whose factory declared a comparator
+ * Each `other` may be a value object or the data to create one from.
+ */
+export type ComparableValueObject<T> = ValueObject<T> & {
+  /**
+   * Returns a negative number if this comes first, a positive number if it
+   * comes last and zero if both rank the same
+   */
+  compareTo: (other: unknown) => number;
+
+  /**
+   * Checks if this value object ranks after another
+   */
+  isGreaterThan: (other: unknown) => boolean;
+
+  /**
+   * Checks if this value object ranks before another
+   */
+  isLessThan: (other: unknown) => boolean;
+
+  /**
+   * Returns the smaller of this and another value object, this one on ties
+   */
+  min: (other: unknown) => ComparableValueObject<T>;
+
+  /**
+   * Returns the larger of this and another value object, this one on ties
+   */
+  max: (other: unknown) => ComparableValueObject<T>;
+
+  /**
+   * Restricts this value object to a range, returning the nearest bound when
+   * it lies outside
+   */
+  clamp: (lower: unknown, upper: unknown) => ComparableValueObject<T>;
+}
+
 /**
  * A factory for creating value objects
  */
 export type ValueObjectFactory<T, SchemaType extends z.ZodType = z.ZodType> = {
+  /**
+   * The name of the value object type
+   */
+  name: string;
+
   /**
    * Creates a new instance of the value object
    */
   create: (data: unknown) => ValueObject<T>;
 
+  /**
+   * Creates a new instance, running asynchronous refinements of the schema
+   */
+  createAsync: (
+    data: unknown,
+    options?: { signal?: AbortSignal }
+  ) => Promise<ValueObject<T>>;
+
+  /**
+   * Creates a new instance without throwing
+   */
+  tryCreate: (data: unknown) => Result<ValueObject<T>>;
+
   /**
    * The Zod schema used for validation
    */
@@ -38,12 +114,40 @@ export type ValueObjectFactory<T, SchemaType extends z.ZodType = z.ZodType> = {
 
   /**
    * Creates an extended version of this value object
+   * Inherited methods are rebound to the extended factory and passed to the
+   * methods factory as `parent` for super-style calls from overrides. The
+   * comparator is inherited unless `compare` replaces it.
    */
   extend: <R = unknown>(options: {
     name: string;
     schema?: (schema: SchemaType) => z.ZodType;
-    methodsFactory: (factory: ValueObjectFactory<T, SchemaType>) => Record<string, Function>;
+    methodsFactory: (
+      factory: ValueObjectFactory<T, SchemaType>,
+      parent: Readonly<Record<string, Function>>
+    ) => Record<string, Function>;
+    compare?: Comparator<R>;
   }) => ValueObjectFactory<R>;
+
+  /**
+   * Orders two value objects or their data, for use with Array.prototype.sort
+   * Only present when the factory declared a comparator.
+   */
+  compare?: (a: unknown, b: unknown) => number;
+
+  /**
+   * Checks if a value was created by this factory or one extended from it
+   */
+  isInstance: (value: unknown) => boolean;
+
+  /**
+   * Checks if this factory is another factory or was extended from it
+   */
+  isSubtypeOf: (factory: unknown) => boolean;
+
+  /**
+   * Lists the type names of this factory and its ancestors, closest first
+   */
+  lineage: () => string[];
 }
 
 /**
@@ -59,25 +163,53 @@ export type ValueObjectMethods<T> = Record<string, (this: T, ...args: any[]) =>
  * 2. Immutable - any modification creates a new instance
  * 3. Comparable by value - two instances with the same attributes are equal
  */
-export function valueObject<T, SchemaType extends z.ZodType = z.ZodType>(options: {
+export const valueObject: {
+  <T, SchemaType extends z.ZodType = z.ZodType>(options: {
+    /**
+     * Name of the value object
+     */
+    name: string;
+
+    /**
+     * Zod schema for validation
+     */
+    schema: SchemaType;
+
+    /**
+     * Factory function that creates methods that will be bound to the value object instance
+     * The `this` context inside these methods will be the value object instance
+     */
+    methodsFactory: (factory: ValueObjectFactory<T, SchemaType>) => ValueObjectMethods<T & ValueObject<T>>;
+
+    /**
+     * Override primitive detection
+     */
+    overrideIsPrimitive?: boolean;
+
+    /**
+     * Orders instances, adding compareTo, isGreaterThan, isLessThan, min, max
+     * and clamp to them and `compare` to the factory
+     */
+    compare?: Comparator<T>;
+  }): ValueObjectFactory<T, SchemaType>;
+
   /**
-   * Name of the value object
+   * Creates an enumeration value object factory
    */
-  name: string;
+  enum: typeof enumValueObject;
 
   /**
-   * Zod schema for validation
+   * Creates a factory for immutable lists of value objects
    */
-  schema: SchemaType;
+  list: typeof listValueObject;
 
   /**
-   * Factory function that creates methods that will be bound to the value object instance
-   * The `this` context inside these methods will be the value object instance
+   * Creates a factory for immutable sets of value objects
    */
-  methodsFactory: (factory: ValueObjectFactory<T, SchemaType>) => ValueObjectMethods<T & ValueObject<T>>;
+  set: typeof setValueObject;
 
   /**
-   * Override primitive detection
+   * Creates a factory for immutable maps between value objects
    */
-  overrideIsPrimitive?: boolean;
-}): ValueObjectFactory<T, SchemaType>;
+  map: typeof mapValueObject;
+};
@@ -1,11 +1,31 @@
 import { z } from "zod";
-import { ValidationError } from "../errors/index.js";
+import { ValidationError, translateIssue } from "../errors/index.js";
+import { attempt } from "../result/Base.js";
+import { deepEqual, hashCode, dataKeys } from "./equality.js";
+import { TYPE_NAME } from "../serialization/Base.js";
+import {
+  BRAND,
+  brandOf,
+  createBrand,
+  inheritBrand,
+  isSameType,
+  typeChecks,
+} from "./branding.js";
+import { enumValueObject } from "./Enum.js";
+import {
+  listValueObject,
+  setValueObject,
+  mapValueObject,
+} from "./Collection.js";
+import { throwIfAborted } from "../errors/abort.js";
 
 /**
  * @template T
  * @typedef {T & {
  *   equals: (other: any) => boolean,
+ *   hashCode: () => number,
  *   toString: () => string,
+ *   toJSON: () => any,
  *   valueOf: () => any,
  *   [key: string]: any
  * }} ValueObject<T>
@@ -14,9 +34,23 @@ import { ValidationError } from "../errors/index.js";
 /**
  * @template T
  * @typedef {Object} ValueObjectFactory
+ * @property {string} name - The name of the value object type
  * @property {(data: any) => ValueObject<T>} create - Creates a new instance of the value object
+ * @property {(data: any, options?: {signal?: AbortSignal}) => Promise<ValueObject<T>>} createAsync - Creates a new instance, running asynchronous refinements
+ * @property {(data: any) => import('../result/Base.js').Result<ValueObject<T>>} tryCreate - Creates a new instance without throwing
  * @property {z.ZodSchema} schema - The Zod schema used for validation
  * @property {(options: {name: string, schema?: Function, methodsFactory: Function}) => ValueObjectFactory<any>} extend - Creates an extended version of this value object
+ * @property {(value: any) => boolean} isInstance - Checks if a value was created by this factory or one extended from it
+ * @property {(factory: any) => boolean} isSubtypeOf - Checks if this factory is another factory or was extended from it
+ * @property {() => string[]} lineage - Lists the type names of this factory and its ancestors
+ * @property {(a: any, b: any) => number} [compare] - Orders two value objects, for use with Array.prototype.sort; only present when a comparator was declared
+ */
+
+/**
+ * Orders two value objects of the same type
+ * Returns a negative number if the first comes before the second, a positive
+ * number if it comes after, and zero if both rank the same.
+ * @typedef {(a: any, b: any) => number} Comparator
  */
 
 /**
@@ -33,6 +67,7 @@ import { ValidationError } from "../errors/index.js";
  * @param {SchemaType} options.schema - Zod schema for validation
  * @param {function(ValueObjectFactory): Record<string, Function>} options.methodsFactory - Factory function that creates methods
  * @param {boolean | undefined} [options.overrideIsPrimitive] - Override primitive detection
+ * @param {Comparator} [options.compare] - Orders instances, adding compareTo, isGreaterThan, isLessThan, min, max and clamp
  * @returns {ValueObjectFactory<z.infer<SchemaType>>} A factory function that creates value objects
  */
 export function valueObject({
@@ -40,10 +75,14 @@ export function valueObject({
                               schema,
                               methodsFactory,
                               overrideIsPrimitive = undefined,
+                              compare: comparator = undefined,
                             }) {
   if (!name) throw new Error("Value object name is required");
   if (!schema) throw new Error("Value object schema is required");
   if (typeof methodsFactory !== 'function') throw new Error("Method factory is required");
+  if (comparator !== undefined && typeof comparator !== 'function') {
+    throw new Error("Comparator must be a function");
+  }
 
   // Check if this is likely a primitive wrapper
   const isPrimitive =
@@ -52,6 +91,10 @@ export function valueObject({
       schema.constructor?.name === "ZodBoolean" ||
       overrideIsPrimitive;
 
+  // Brand identifying instances of this factory, distinct from any other type
+  const brand = createBrand(name);
+  const checks = typeChecks(brand);
+
   /**
    * Factory function to create value objects
    * @param {any} data - The data to create the value object from
@@ -61,140 +104,357 @@ export function valueObject({
   function create(data) {
     try {
       // Parse and validate the data using the schema
-      const validatedData = schema.parse(data);
-
-      // Get primitive value for primitive types
-      const primitiveValue = isPrimitive ? validatedData : undefined;
-
-      // Create a complete prototype object with data and all methods (unbound)
-      const prototype = {
-        ...validatedData,
-
-        /**
-         * Returns the primitive value for primitive wrappers
-         * @returns {any}
-         */
-        valueOf() {
-          // If this is a primitive wrapper, return the primitive value
-          if (isPrimitive) {
-            return primitiveValue;
-          }
-
-          // For objects with a single primitive value property, return that
-          const keys = Object.keys(validatedData);
-          if (keys.length === 1 && typeof validatedData[keys[0]] !== "object") {
-            return validatedData[keys[0]];
-          }
-
-          return this;
-        },
-
-        /**
-         * Compares this value object with another for equality
-         * Value objects are equal when all their properties are equal
-         *
-         * @param {any} other - The object to compare with
-         * @returns {boolean} True if the objects are equal
-         */
-        equals(other) {
-          if (other === null || other === undefined) {
-            return false;
-          }
-
-          if (this === other) {
-            return true;
-          }
-
-          // For primitive wrappers, compare primitive values
-          if (isPrimitive) {
-            return this.valueOf() === (other.valueOf ? other.valueOf() : other);
-          }
-
-          // Compare all properties
-          const thisProps = Object.getOwnPropertyNames(this);
-          const otherProps = Object.getOwnPropertyNames(other);
-
-          // Create arrays of data properties (excluding methods)
-          const thisDataProps = thisProps.filter(prop => typeof this[prop] !== "function");
-          const otherDataProps = otherProps.filter(prop => typeof other[prop] !== "function");
-
-          if (thisDataProps.length !== otherDataProps.length) {
-            return false;
-          }
-
-          for (const prop of thisDataProps) {
-            // eslint-disable-next-line no-prototype-builtins
-            if (!other.hasOwnProperty(prop) || this[prop] !== other[prop]) {
-              return false;
-            }
-          }
+      return instantiate(schema.parse(data));
+    } catch (error) {
+      throw toValidationError(error, data);
+    }
+  }
+
+  /**
+   * Creates a value object, running asynchronous refinements of the schema
+   * @param {any} data - The data to create the value object from
+   * @param {{signal?: AbortSignal}} [options] - Signal to cancel the creation
+   * @returns {Promise<ValueObject<z.infer<typeof schema>>>} A new value object instance
+   * @throws {ValidationError} If validation fails
+   */
+  async function createAsync(data, { signal } = {}) {
+    throwIfAborted(signal);
+    let validatedData;
+    try {
+      validatedData = await schema.parseAsync(data);
+    } catch (error) {
+      throw toValidationError(error, data);
+    }
+    throwIfAborted(signal);
+    return instantiate(validatedData);
+  }
+
+  /**
+   * Builds a frozen value object from validated data
+   * @param {any} validatedData - Data produced by the schema
+   * @returns {ValueObject<z.infer<typeof schema>>} The value object
+   * @private
+   */
+  function instantiate(validatedData) {
+
+    // Get primitive value for primitive types
+    const primitiveValue = isPrimitive ? validatedData : undefined;
+
+    // Lazily computed hash code - safe to cache as instances are immutable
+    /** @type {number | undefined} */
+    let hash;
+
+    // Ordering methods of types with a comparator, shared by the prototype
+    // so that custom methods can call them on this
+    const ordering = comparator ? orderingMethods(() => instance) : {};
+
+    // Create a complete prototype object with data and all methods (unbound)
+    const prototype = {
+      ...validatedData,
+      ...ordering,
+      [BRAND]: brand,
 
+      /**
+       * Returns the primitive value for primitive wrappers
+       * @returns {any}
+       */
+      valueOf() {
+        // If this is a primitive wrapper, return the primitive value
+        if (isPrimitive) {
+          return primitiveValue;
+        }
+
+        // For objects with a single primitive value property, return that
+        const keys = Object.keys(validatedData);
+        if (keys.length === 1 && typeof validatedData[keys[0]] !== "object") {
+          return validatedData[keys[0]];
+        }
+
+        return this;
+      },
+
+      /**
+       * Compares this value object with another for equality
+       * Value objects are equal when all their properties are equal
+       *
+       * @param {any} other - The object to compare with
+       * @returns {boolean} True if the objects are equal
+       */
+      equals(other) {
+        if (other === null || other === undefined) {
+          return false;
+        }
+
+        if (this === other) {
           return true;
-        },
-
-        /**
-         * Returns a string representation of the value object
-         * @returns {string}
-         */
-        toString() {
-          // For primitive wrappers, just return the string representation of the primitive
-          if (isPrimitive) {
-            return String(primitiveValue);
-          }
-
-          return `${name}(${JSON.stringify(validatedData)})`;
-        },
-      };
-
-      // Create a temporary factory for use in methodsFactory
-      const tempFactory = {
-        create,
-        schema,
-        extend
-      };
-
-      // Generate methods using the factory
-      const methods = methodsFactory(tempFactory);
-
-      // Now bind all methods to the complete prototype
-      const boundMethods = {};
-      for (const [methodName, methodFn] of Object.entries(methods)) {
-        boundMethods[methodName] = methodFn.bind(prototype);
-      }
+        }
 
-      // Combine standard methods and bound custom methods, then freeze
-      return Object.freeze({
-        ...validatedData,
-        valueOf: prototype.valueOf.bind(prototype),
-        equals: prototype.equals.bind(prototype),
-        toString: prototype.toString.bind(prototype),
-        ...boundMethods,
-      });
-    } catch (error) {
-      if (error instanceof z.ZodError) {
-        throw new ValidationError(
-            `Invalid ${name}: ${error.errors.map((e) => e.message).join(", ")}`,
-            error,
-            { objectType: name, input: data },
-        );
+        // Value objects of different types are never equal, even with the same data
+        const otherBrand = brandOf(other);
+        if (otherBrand !== undefined && !isSameType(otherBrand, brand)) {
+          return false;
+        }
+
+        // For primitive wrappers, compare primitive values
+        if (isPrimitive) {
+          return this.valueOf() === (other.valueOf ? other.valueOf() : other);
+        }
+
+        // Compare all data properties structurally, recursing into
+        // nested value objects, arrays, plain objects, Dates, Maps and Sets
+        return deepEqual(dataOf(this), dataOf(other));
+      },
+
+      /**
+       * Returns a hash code consistent with equals, so that equal value
+       * objects produce the same hash
+       * @returns {number}
+       */
+      hashCode() {
+        if (hash === undefined) {
+          hash = hashCode(isPrimitive ? primitiveValue : dataOf(this));
+        }
+        return hash;
+      },
+
+      /**
+       * Returns a string representation of the value object
+       * @returns {string}
+       */
+      toString() {
+        // For primitive wrappers, just return the string representation of the primitive
+        if (isPrimitive) {
+          return String(primitiveValue);
+        }
+
+        return `${name}(${JSON.stringify(validatedData)})`;
+      },
+
+      /**
+       * Returns the plain data used by JSON.stringify
+       * Primitive wrappers serialize to their primitive value
+       * @returns {any}
+       */
+      toJSON() {
+        return isPrimitive ? primitiveValue : dataOf(this);
+      },
+    };
+
+    // Create a temporary factory for use in methodsFactory
+    const tempFactory = {
+      name,
+      create,
+      createAsync,
+      tryCreate,
+      schema,
+      extend,
+      ...(comparator && { compare }),
+      ...checks,
+      [BRAND]: brand,
+    };
+
+    // Generate methods using the factory
+    const methods = methodsFactory(tempFactory);
+
+    // Now bind all methods to the complete prototype, including symbol keyed
+    // methods such as Symbol.iterator; getters become read-only properties
+    /** @type {Record<string | symbol, Function>} */
+    const boundMethods = {};
+    /** @type {PropertyDescriptorMap} */
+    const getters = {};
+    for (const key of Reflect.ownKeys(methods)) {
+      const { get, value } = /** @type {PropertyDescriptor} */ (
+        Object.getOwnPropertyDescriptor(methods, key)
+      );
+      if (get) {
+        getters[key] = { get: get.bind(prototype) };
+      } else {
+        boundMethods[key] = value.bind(prototype);
       }
-      throw error;
     }
+
+    // Combine standard methods and bound custom methods, then freeze
+    /** @type {any} */
+    const instance = Object.freeze(Object.defineProperties({
+      ...validatedData,
+      valueOf: prototype.valueOf.bind(prototype),
+      equals: prototype.equals.bind(prototype),
+      hashCode: prototype.hashCode.bind(prototype),
+      toString: prototype.toString.bind(prototype),
+      toJSON: prototype.toJSON.bind(prototype),
+      ...ordering,
+      [TYPE_NAME]: name,
+      [BRAND]: brand,
+      ...boundMethods,
+    }, getters));
+    return instance;
+  }
+
+  /**
+   * Creates the ordering methods of an instance
+   * The instance is passed lazily, as it only exists once the methods are frozen into it.
+   * @param {() => any} self - Returns the instance
+   * @returns {Record<string, Function>} The ordering methods
+   * @private
+   */
+  function orderingMethods(self) {
+    return {
+      /**
+       * Compares this value object with another of the same type
+       * @param {any} other - A value object or data to create one from
+       * @returns {number} Negative if this comes first, positive if it comes last, zero if both rank the same
+       */
+      compareTo(other) {
+        return compare(self(), other);
+      },
+
+      /**
+       * Checks if this value object ranks after another
+       * @param {any} other - A value object or data to create one from
+       * @returns {boolean}
+       */
+      isGreaterThan(other) {
+        return compare(self(), other) > 0;
+      },
+
+      /**
+       * Checks if this value object ranks before another
+       * @param {any} other - A value object or data to create one from
+       * @returns {boolean}
+       */
+      isLessThan(other) {
+        return compare(self(), other) < 0;
+      },
+
+      /**
+       * Returns the smaller of this and another value object, this one on ties
+       * @param {any} other - A value object or data to create one from
+       * @returns {any}
+       */
+      min(other) {
+        const otherInstance = toInstance(other);
+        return compare(otherInstance, self()) < 0 ? otherInstance : self();
+      },
+
+      /**
+       * Returns the larger of this and another value object, this one on ties
+       * @param {any} other - A value object or data to create one from
+       * @returns {any}
+       */
+      max(other) {
+        const otherInstance = toInstance(other);
+        return compare(otherInstance, self()) > 0 ? otherInstance : self();
+      },
+
+      /**
+       * Restricts this value object to a range
+       * @param {any} lower - The lower bound (inclusive)
+       * @param {any} upper - The upper bound (inclusive)
+       * @returns {any} This value object if it lies within the range, otherwise the nearest bound
+       * @throws {Error} If the lower bound ranks after the upper bound
+       */
+      clamp(lower, upper) {
+        const lowerInstance = toInstance(lower);
+        const upperInstance = toInstance(upper);
+        if (compare(lowerInstance, upperInstance) > 0) {
+          throw new Error(
+            `Cannot clamp ${name}: lower bound ${lowerInstance} is greater than upper bound ${upperInstance}`,
+          );
+        }
+
+        if (compare(self(), lowerInstance) < 0) return lowerInstance;
+        if (compare(self(), upperInstance) > 0) return upperInstance;
+        return self();
+      },
+    };
+  }
+
+  /**
+   * Orders two value objects with the declared comparator
+   * Raw data is turned into value objects first, so `Price.compare(price, 10)` works.
+   * @param {any} a - The first value object or data
+   * @param {any} b - The second value object or data
+   * @returns {number} Negative if a comes first, positive if b comes first, zero if both rank the same
+   * @throws {ValidationError} If raw data is not a valid value object
+   */
+  function compare(a, b) {
+    return /** @type {Comparator} */ (comparator)(toInstance(a), toInstance(b));
+  }
+
+  /**
+   * Returns value objects of this type as they are and creates them from raw data
+   * @param {any} value - A value object or data
+   * @returns {any} The value object
+   * @private
+   */
+  function toInstance(value) {
+    return checks.isInstance(value) ? value : create(value);
+  }
+
+  /**
+   * Converts Zod errors into validation errors of this value object
+   * @param {unknown} error - The error thrown while parsing
+   * @param {any} data - The input data
+   * @returns {unknown} The validation error, or the original error
+   * @private
+   */
+  function toValidationError(error, data) {
+    if (error instanceof z.ZodError) {
+      return new ValidationError(
+          {
+            key: "validation.invalid",
+            params: {
+              type: name,
+              details: error.errors.map((e) => translateIssue(e)).join(", "),
+            },
+          },
+          error,
+          { objectType: name, input: data },
+      );
+    }
+    return error;
+  }
+
+  /**
+   * Creates a value object without throwing
+   * @param {any} data - The data to create the value object from
+   * @returns {import('../result/Base.js').Result<ValueObject<z.infer<typeof schema>>>} The value object, or the validation error
+   */
+  function tryCreate(data) {
+    return attempt(() => create(data));
   }
 
   /**
    * Extends this value object with additional validation and methods
    *
+   * Inherited methods are rebound to the extended factory, so operations such
+   * as `add` or `toUpper` return instances of the subtype. The methods factory
+   * receives the parent implementations as second argument, which overrides
+   * can call with `parent.method.call(this, ...args)`.
+   *
    * @param {object} options - Extension options
    * @param {string} options.name - Name of the extended value object
    * @param {function} [options.schema] - Function to transform the base schema
-   * @param {function} options.methodsFactory - Factory function to create methods for the extended object
+   * @param {function(ValueObjectFactory, Record<string, Function>): Record<string, Function>} options.methodsFactory - Factory function to create methods for the extended object
+   * @param {Comparator} [options.compare] - Replaces the inherited comparator
    * @returns {ValueObjectFactory} A new factory for the extended value object
+   *
+   * @example
+   * const Stock = NonNegativeNumber.extend({
+   *   name: "Stock",
+   *   methodsFactory: (factory, parent) => ({
+   *     // Never goes below zero, returns a Stock
+   *     subtract(value) {
+   *       return parent.subtract.call(this, Math.min(value, this.valueOf()));
+   *     },
+   *   }),
+   * });
    */
   function extend({
                     name: extendedName,
                     schema: schemaTransformer,
                     methodsFactory: extendedMethodsFactory,
+                    compare: extendedComparator = comparator,
                   }) {
     if (!extendedName) {
       throw new Error("Extended value object name is required");
@@ -211,33 +471,91 @@ export function valueObject({
 
     // Create a combined methods factory that includes the parent methods
     const combinedMethodsFactory = (factory) => {
-      // First get the methods from the original factory
-      const parentFactoryTemp = { create, schema, extend };
-      const parentMethods = methodsFactory(parentFactoryTemp);
-      
-      // Then get the methods from the extended factory
-      const extendedMethods = extendedMethodsFactory(factory);
-      
-      // Combine them, with extended methods taking precedence
-      return {
-        ...parentMethods,
-        ...extendedMethods
-      };
+      // Build the parent methods against the extended factory, so inherited
+      // operations create instances of the subtype and keep its validation
+      const parentMethods = methodsFactory(factory);
+
+      // Then get the methods from the extended factory, handing over the
+      // parent implementations for super-style calls from overrides
+      const extendedMethods = extendedMethodsFactory(
+        factory,
+        Object.freeze(Object.defineProperties(
+          {},
+          Object.getOwnPropertyDescriptors(parentMethods),
+        )),
+      );
+
+      // Combine them, with extended methods taking precedence; descriptors
+      // are copied so getters are not evaluated on the methods object
+      return Object.defineProperties({}, {
+        ...Object.getOwnPropertyDescriptors(parentMethods),
+        ...Object.getOwnPropertyDescriptors(extendedMethods),
+      });
     };
 
     // Create a new value object factory with combined methods
-    return valueObject({
+    const extended = valueObject({
       name: extendedName,
       schema: extendedSchema,
       methodsFactory: combinedMethodsFactory,
       overrideIsPrimitive,
+      compare: extendedComparator,
     });
+
+    // Instances of the extended factory also count as instances of this one
+    inheritBrand(extended[BRAND], brand);
+    return extended;
   }
 
-  // Return the factory with create, schema, and extend methods
+  // Return the factory with create, schema, extend and the type checks
   return {
+    name,
     create,
+    createAsync,
+    tryCreate,
     schema,
     extend,
+    ...(comparator && { compare }),
+    ...checks,
+    [BRAND]: brand,
   };
 }
+
+/**
+ * Creates an enumeration value object factory
+ * @see enumValueObject
+ */
+valueObject.enum = enumValueObject;
+
+/**
+ * Creates a factory for immutable lists of value objects
+ * @see listValueObject
+ */
+valueObject.list = listValueObject;
+
+/**
+ * Creates a factory for immutable sets of value objects
+ * @see setValueObject
+ */
+valueObject.set = setValueObject;
+
+/**
+ * Creates a factory for immutable maps between value objects
+ * @see mapValueObject
+ */
+valueObject.map = mapValueObject;
+
+/**
+ * Extracts the data properties of a value object, leaving out its methods
+ * @param {Record<string, any>} obj - The value object or plain object
+ * @returns {Record<string, any>} A plain object holding only the data properties
+ * @private
+ */
+function dataOf(obj) {
+  /** @type {Record<string, any>} */
+  const data = {};
+  for (const key of dataKeys(obj)) {
+    data[key] = obj[key];
+  }
+  return data;
+}
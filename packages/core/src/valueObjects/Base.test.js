@@ -129,6 +129,52 @@ describe("valueObject", () => {
     expect(instance1.equals(instance1)).toBe(true);
   });
 
+  it("should compare nested value objects, arrays and dates structurally", () => {
+    // Arrange
+    const Street = valueObject({
+      name: "Street",
+      schema: z.object({ name: z.string(), number: z.number() }),
+      methodsFactory: () => ({}),
+    });
+    const Address = valueObject({
+      name: "Address",
+      schema: z.object({
+        street: z.custom((val) => typeof val?.equals === "function"),
+        lines: z.array(z.string()),
+        validFrom: z.date(),
+      }),
+      methodsFactory: () => ({}),
+    });
+    const createAddress = (number) =>
+      Address.create({
+        street: Street.create({ name: "Main", number }),
+        lines: ["c/o Jane"],
+        validFrom: new Date("2024-01-01T00:00:00Z"),
+      });
+
+    // Act
+    const address1 = createAddress(1);
+    const address2 = createAddress(1);
+    const address3 = createAddress(2);
+
+    // Assert
+    expect(address1.equals(address2)).toBe(true);
+    expect(address1.equals(address3)).toBe(false);
+  });
+
+  it("should provide a hashCode consistent with equals", () => {
+    // Arrange
+    const TestValue = createTestValueObject();
+    const instance1 = TestValue.create({ value: 5, label: "test" });
+    const instance2 = TestValue.create({ label: "test", value: 5 });
+    const instance3 = TestValue.create({ value: 10, label: "test" });
+
+    // Act & Assert
+    expect(typeof instance1.hashCode()).toBe("number");
+    expect(instance1.hashCode()).toBe(instance2.hashCode());
+    expect(instance1.hashCode()).not.toBe(instance3.hashCode());
+  });
+
   it("should implement toString method", () => {
     // Arrange
     const TestValue = createTestValueObject();
@@ -141,6 +187,259 @@ describe("valueObject", () => {
     expect(stringRepresentation).toBe('TestValue({"value":5,"label":"test"})');
   });
 
+  describe("tryCreate", () => {
+    it("should return a successful result for valid data", () => {
+      // Arrange
+      const TestValue = createTestValueObject();
+
+      // Act
+      const result = TestValue.tryCreate({ value: 5, label: "test" });
+
+      // Assert
+      expect(result.ok).toBe(true);
+      expect(TestValue.isInstance(result.value)).toBe(true);
+    });
+
+    it("should return the validation error instead of throwing", () => {
+      // Arrange
+      const TestValue = createTestValueObject();
+
+      // Act
+      const result = TestValue.tryCreate({ value: -1, label: "test" });
+
+      // Assert
+      expect(result.ok).toBe(false);
+      expect(result.error).toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe("createAsync", () => {
+    const taken = new Set(["admin"]);
+    const Username = valueObject({
+      name: "Username",
+      schema: z
+        .string()
+        .min(3)
+        .refine(async (value) => !taken.has(value), "Username is taken"),
+      overrideIsPrimitive: true,
+      methodsFactory: () => ({}),
+    });
+
+    it("should run asynchronous refinements and return a frozen instance", async () => {
+      // Act
+      const username = await Username.createAsync("grace");
+
+      // Assert
+      expect(username.valueOf()).toBe("grace");
+      expect(Object.isFrozen(username)).toBe(true);
+      expect(Username.isInstance(username)).toBe(true);
+    });
+
+    it("should reject with a ValidationError", async () => {
+      // Act & Assert
+      await expect(Username.createAsync("admin")).rejects.toThrow(
+        ValidationError,
+      );
+      await expect(Username.createAsync("admin")).rejects.toThrow(
+        "Invalid Username: Username is taken",
+      );
+    });
+
+    it("should not run when the signal is already aborted", async () => {
+      // Arrange
+      const controller = new AbortController();
+      controller.abort();
+
+      // Act & Assert
+      await expect(
+        Username.createAsync("grace", { signal: controller.signal }),
+      ).rejects.toThrow(/aborted/);
+    });
+
+    it("should explain that synchronous create cannot run async refinements", () => {
+      // Act & Assert
+      expect(() => Username.create("grace")).toThrow(/Async refinement/);
+    });
+  });
+
+  describe("ordering", () => {
+    const Priority = valueObject({
+      name: "Priority",
+      schema: z.number().int().min(1).max(5),
+      compare: (a, b) => a.valueOf() - b.valueOf(),
+      methodsFactory: () => ({}),
+    });
+
+    it("should compare instances and raw data with the comparator", () => {
+      // Arrange
+      const normal = Priority.create(3);
+
+      // Act & Assert
+      expect(normal.compareTo(Priority.create(3))).toBe(0);
+      expect(normal.isGreaterThan(2)).toBe(true);
+      expect(normal.isLessThan(Priority.create(4))).toBe(true);
+      expect(normal.isGreaterThan(3)).toBe(false);
+      expect(() => normal.compareTo(9)).toThrow(ValidationError);
+    });
+
+    it("should pick the minimum and maximum and clamp to a range", () => {
+      // Arrange
+      const low = Priority.create(1);
+      const high = Priority.create(5);
+
+      // Act & Assert
+      expect(low.min(high)).toBe(low);
+      expect(low.max(high)).toBe(high);
+      expect(low.max(2).valueOf()).toBe(2);
+      expect(high.clamp(2, 4).valueOf()).toBe(4);
+      expect(low.clamp(2, 4).valueOf()).toBe(2);
+      expect(Priority.create(3).clamp(2, 4).valueOf()).toBe(3);
+      expect(() => low.clamp(4, 2)).toThrow(
+        "lower bound 4 is greater than upper bound 2",
+      );
+    });
+
+    it("should sort with the static compare", () => {
+      // Arrange
+      const priorities = [4, 1, 3].map(Priority.create);
+
+      // Act
+      const sorted = [...priorities].sort(Priority.compare);
+
+      // Assert
+      expect(sorted.map((p) => p.valueOf())).toEqual([1, 3, 4]);
+    });
+
+    it("should let custom methods call the ordering methods", () => {
+      // Arrange
+      const Score = valueObject({
+        name: "Score",
+        schema: z.number(),
+        compare: (a, b) => a.valueOf() - b.valueOf(),
+        methodsFactory: () => ({
+          beats(other) {
+            return this.isGreaterThan(other);
+          },
+          get capped() {
+            return this.min(100);
+          },
+        }),
+      });
+
+      // Act
+      const score = Score.create(120);
+
+      // Assert
+      expect(score.beats(Score.create(90))).toBe(true);
+      expect(score.beats(150)).toBe(false);
+      expect(score.capped.valueOf()).toBe(100);
+    });
+
+    it("should only add ordering when a comparator is declared", () => {
+      // Arrange
+      const Label = valueObject({
+        name: "Label",
+        schema: z.string(),
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const label = Label.create("urgent");
+
+      // Assert
+      expect(Label.compare).toBeUndefined();
+      expect(label.compareTo).toBeUndefined();
+      expect(() =>
+        valueObject({
+          name: "Broken",
+          schema: z.string(),
+          compare: "asc",
+          methodsFactory: () => ({}),
+        }),
+      ).toThrow("Comparator must be a function");
+    });
+
+    it("should inherit the comparator when extending", () => {
+      // Arrange
+      const UrgentPriority = Priority.extend({
+        name: "UrgentPriority",
+        schema: (schema) => schema.min(4),
+        methodsFactory: () => ({}),
+      });
+      const ReversedPriority = Priority.extend({
+        name: "ReversedPriority",
+        compare: (a, b) => b.valueOf() - a.valueOf(),
+        methodsFactory: () => ({}),
+      });
+
+      // Act & Assert
+      expect(UrgentPriority.create(5).isGreaterThan(4)).toBe(true);
+      expect(ReversedPriority.create(5).isGreaterThan(4)).toBe(false);
+      expect(
+        [2, 5, 3]
+          .map(ReversedPriority.create)
+          .sort(ReversedPriority.compare)[0]
+          .valueOf(),
+      ).toBe(5);
+    });
+  });
+
+  describe("type checks", () => {
+    it("should not consider value objects of different types equal", () => {
+      // Arrange
+      const TestValue = createTestValueObject();
+      const OtherValue = valueObject({
+        name: "OtherValue",
+        schema: TestValue.schema,
+        methodsFactory: () => ({}),
+      });
+      const data = { value: 5, label: "test" };
+
+      // Act & Assert
+      expect(TestValue.create(data).equals(OtherValue.create(data))).toBe(
+        false,
+      );
+      expect(TestValue.create(data).equals(TestValue.create(data))).toBe(true);
+      expect(TestValue.create(data).equals(data)).toBe(true);
+    });
+
+    it("should recognize instances of the factory and its extensions", () => {
+      // Arrange
+      const TestValue = createTestValueObject();
+      const ExtendedValue = TestValue.extend({
+        name: "ExtendedValue",
+        methodsFactory: () => ({}),
+      });
+      const data = { value: 5, label: "test" };
+
+      // Act & Assert
+      expect(TestValue.isInstance(TestValue.create(data))).toBe(true);
+      expect(TestValue.isInstance(ExtendedValue.create(data))).toBe(true);
+      expect(ExtendedValue.isInstance(TestValue.create(data))).toBe(false);
+      expect(TestValue.isInstance(data)).toBe(false);
+      expect(TestValue.isInstance(undefined)).toBe(false);
+    });
+
+    it("should expose the ancestry of extended factories", () => {
+      // Arrange
+      const TestValue = createTestValueObject();
+      const Middle = TestValue.extend({
+        name: "Middle",
+        methodsFactory: () => ({}),
+      });
+      const Leaf = Middle.extend({
+        name: "Leaf",
+        methodsFactory: () => ({}),
+      });
+
+      // Act & Assert
+      expect(Leaf.isSubtypeOf(TestValue)).toBe(true);
+      expect(Leaf.isSubtypeOf(Leaf)).toBe(true);
+      expect(TestValue.isSubtypeOf(Leaf)).toBe(false);
+      expect(Leaf.lineage()).toEqual(["Leaf", "Middle", "TestValue"]);
+    });
+  });
+
   describe("extend", () => {
     it("should allow extending a value object with additional validation", () => {
       // Arrange
@@ -216,6 +515,68 @@ describe("valueObject", () => {
       expect(instance.tripled().value).toBe(15);
     });
 
+    it("should rebind inherited methods to the extended factory", () => {
+      // Arrange
+      const TestValue = createTestValueObject();
+      const SmallValue = TestValue.extend({
+        name: "SmallValue",
+        schema: (baseSchema) =>
+          baseSchema.refine((data) => data.value < 20, "Value must be small"),
+        methodsFactory: (factory) => ({}),
+      });
+      const instance = SmallValue.create({ value: 5, label: "test" });
+
+      // Act
+      const doubled = instance.doubled();
+
+      // Assert
+      expect(doubled.toString()).toBe('SmallValue({"value":10,"label":"test"})');
+      expect(() => doubled.doubled()).toThrow(
+        "Invalid SmallValue: Value must be small",
+      );
+    });
+
+    it("should pass the parent methods for super-style calls", () => {
+      // Arrange
+      const TestValue = createTestValueObject();
+      const LabelledValue = TestValue.extend({
+        name: "LabelledValue",
+        methodsFactory: (factory, parent) => ({
+          doubled() {
+            const result = parent.doubled.call(this);
+            return factory.create({ value: result.value, label: "doubled" });
+          },
+        }),
+      });
+
+      // Act
+      const result = LabelledValue.create({ value: 5, label: "test" }).doubled();
+
+      // Assert
+      expect(result.value).toBe(10);
+      expect(result.label).toBe("doubled");
+      expect(result.toString()).toContain("LabelledValue");
+    });
+
+    it("should keep inherited methods bound across multiple extensions", () => {
+      // Arrange
+      const TestValue = createTestValueObject();
+      const Middle = TestValue.extend({
+        name: "Middle",
+        methodsFactory: (factory) => ({}),
+      });
+      const Leaf = Middle.extend({
+        name: "Leaf",
+        methodsFactory: (factory) => ({}),
+      });
+
+      // Act
+      const doubled = Leaf.create({ value: 5, label: "test" }).doubled();
+
+      // Assert
+      expect(doubled.toString()).toBe('Leaf({"value":10,"label":"test"})');
+    });
+
     it("should throw error if extended value object name is missing", () => {
       // Arrange
       const TestValue = createTestValueObject();
@@ -0,0 +1,141 @@
+import { ValueObject, ValueObjectFactory } from "./Base";
+import { Result } from "../result/Base";
+
+/**
+ * A factory whose instances can be held by a collection
+ */
+type ElementFactory<E> = {
+  name: string;
+  create: (data: any) => E;
+  schema: import("zod").ZodTypeAny;
+};
+
+/**
+ * Options shared by all collection factories
+ */
+export interface CollectionOptions<C> {
+  /**
+   * Name of the collection, defaults to e.g. "LineItemList"
+   */
+  name?: string;
+
+  /**
+   * Factory function that creates additional methods
+   */
+  methodsFactory?: (factory: CollectionFactory<C>) => Record<string, Function>;
+}
+
+/**
+ * A factory for collections with an `empty()` shortcut
+ */
+export type CollectionFactory<C> = Omit<ValueObjectFactory<{}>, "create" | "createAsync" | "tryCreate"> & {
+  /**
+   * Creates a collection, validating every element
+   */
+  create(data: unknown): C;
+
+  /**
+   * Creates a collection asynchronously
+   */
+  createAsync(data: unknown, options?: { signal?: AbortSignal }): Promise<C>;
+
+  /**
+   * Creates a collection without throwing
+   */
+  tryCreate(data: unknown): Result<C>;
+
+  /**
+   * Creates an empty collection
+   */
+  empty(): C;
+};
+
+/**
+ * An immutable list of value objects
+ */
+export type ListValueObject<E> = ValueObject<{ readonly items: readonly E[] }> & {
+  readonly size: number;
+  [Symbol.iterator](): Iterator<E>;
+  isEmpty(): boolean;
+  get(index: number): E | undefined;
+  first(): E | undefined;
+  last(): E | undefined;
+  indexOf(item: unknown): number;
+  includes(item: unknown): boolean;
+  add(...items: unknown[]): ListValueObject<E>;
+  remove(item: unknown): ListValueObject<E>;
+  removeAt(index: number): ListValueObject<E>;
+  replace(existing: unknown, replacement: unknown): ListValueObject<E>;
+  replaceAt(index: number, replacement: unknown): ListValueObject<E>;
+  map(fn: (item: E, index: number) => unknown): ListValueObject<E>;
+  filter(predicate: (item: E, index: number) => boolean): ListValueObject<E>;
+  find(predicate: (item: E, index: number) => boolean): E | undefined;
+  some(predicate: (item: E, index: number) => boolean): boolean;
+  every(predicate: (item: E, index: number) => boolean): boolean;
+  reduce<R>(reducer: (accumulator: R, item: E, index: number) => R, initialValue: R): R;
+  toArray(): E[];
+};
+
+/**
+ * An immutable set of value objects, compared regardless of order
+ */
+export type SetValueObject<E> = ValueObject<{ readonly items: readonly E[] }> & {
+  readonly size: number;
+  [Symbol.iterator](): Iterator<E>;
+  isEmpty(): boolean;
+  has(item: unknown): boolean;
+  add(...items: unknown[]): SetValueObject<E>;
+  remove(item: unknown): SetValueObject<E>;
+  replace(existing: unknown, replacement: unknown): SetValueObject<E>;
+  map(fn: (item: E) => unknown): SetValueObject<E>;
+  filter(predicate: (item: E) => boolean): SetValueObject<E>;
+  some(predicate: (item: E) => boolean): boolean;
+  every(predicate: (item: E) => boolean): boolean;
+  toArray(): E[];
+};
+
+/**
+ * An immutable map between value objects, compared regardless of order
+ */
+export type MapValueObject<K, V> = ValueObject<{ readonly entries: ReadonlyArray<readonly [K, V]> }> & {
+  readonly size: number;
+  [Symbol.iterator](): Iterator<[K, V]>;
+  isEmpty(): boolean;
+  has(key: unknown): boolean;
+  get(key: unknown): V | undefined;
+  set(key: unknown, value: unknown): MapValueObject<K, V>;
+  remove(key: unknown): MapValueObject<K, V>;
+  map(fn: (value: V, key: K) => unknown): MapValueObject<K, V>;
+  filter(predicate: (value: V, key: K) => boolean): MapValueObject<K, V>;
+  keys(): K[];
+  values(): V[];
+  toMap(): Map<K, V>;
+};
+
+/**
+ * Creates a factory for immutable lists of value objects
+ */
+export function listValueObject<E>(
+  itemFactory: ElementFactory<E>,
+  options?: CollectionOptions<ListValueObject<E>>
+): CollectionFactory<ListValueObject<E>> & { itemFactory: ElementFactory<E> };
+
+/**
+ * Creates a factory for immutable sets of value objects
+ */
+export function setValueObject<E>(
+  itemFactory: ElementFactory<E>,
+  options?: CollectionOptions<SetValueObject<E>>
+): CollectionFactory<SetValueObject<E>> & { itemFactory: ElementFactory<E> };
+
+/**
+ * Creates a factory for immutable maps between value objects
+ */
+export function mapValueObject<K, V>(
+  keyFactory: ElementFactory<K>,
+  valueFactory: ElementFactory<V>,
+  options?: CollectionOptions<MapValueObject<K, V>>
+): CollectionFactory<MapValueObject<K, V>> & {
+  keyFactory: ElementFactory<K>;
+  valueFactory: ElementFactory<V>;
+};
@@ -0,0 +1,887 @@
+import { z } from "zod";
+import { valueObject } from "./Base.js";
+import { ValidationError } from "../errors/index.js";
+import { deepEqual, hashCode } from "./equality.js";
+import { BRAND, brandOf, isSameType } from "./branding.js";
+import { addNestedIssues } from "./schema.js";
+
+/**
+ * @typedef {Object} CollectionOptions
+ * @property {string} [name] - Name of the collection, defaults to e.g. "LineItemList"
+ * @property {function(any): Record<string, Function>} [methodsFactory] - Factory function that creates additional methods
+ */
+
+/**
+ * Creates a factory for immutable lists of value objects
+ *
+ * Every element is validated by the item factory. Lists keep their order,
+ * compare element by element and every operation returns a new list.
+ *
+ * @param {{name: string, create: Function, schema: z.ZodTypeAny}} itemFactory - Factory of the elements
+ * @param {CollectionOptions} [options] - Collection configuration
+ * @returns {any} A value object factory for lists
+ *
+ * @example
+ * const LineItems = valueObject.list(LineItem, {
+ *   name: "LineItems",
+ *   methodsFactory: () => ({
+ *     total() {
+ *       return this.items.reduce((sum, item) => sum.add(item.price), Money.zero("EUR"));
+ *     },
+ *   }),
+ * });
+ *
+ * const items = LineItems.create([{ sku: "A-1", price: { amount: 10, currency: "EUR" } }]);
+ * const more = items.add({ sku: "B-2", price: { amount: 5, currency: "EUR" } });
+ * more.size; // 2
+ * items.size; // 1
+ * [...more].length; // 2
+ */
+export function listValueObject(
+  itemFactory,
+  { name, methodsFactory = () => ({}) } = {},
+) {
+  assertFactory(itemFactory, "Item");
+  const listName = name ?? `${itemFactory.name}List`;
+
+  const factory = valueObject({
+    name: listName,
+    schema: z.preprocess(
+      (value) => ({ items: itemsOf(value) }),
+      z
+        .object({ items: z.array(elementSchema(itemFactory)) })
+        .transform(({ items }) => ({ items: Object.freeze(items) })),
+    ),
+    methodsFactory: (listFactory) => ({
+      /**
+       * The number of elements
+       * @type {number}
+       */
+      get size() {
+        return this.items.length;
+      },
+
+      /**
+       * Iterates over the elements, in order
+       * @returns {Iterator<any>}
+       */
+      [Symbol.iterator]() {
+        return this.items[Symbol.iterator]();
+      },
+
+      /**
+       * Checks if the list has no elements
+       * @returns {boolean}
+       */
+      isEmpty() {
+        return this.items.length === 0;
+      },
+
+      /**
+       * Returns the element at an index
+       * @param {number} index - Zero-based index, negative values count from the end
+       * @returns {any} The element, or undefined if the index is out of bounds
+       */
+      get(index) {
+        return this.items.at(index);
+      },
+
+      /**
+       * Returns the first element
+       * @returns {any} The element, or undefined if the list is empty
+       */
+      first() {
+        return this.items[0];
+      },
+
+      /**
+       * Returns the last element
+       * @returns {any} The element, or undefined if the list is empty
+       */
+      last() {
+        return this.items[this.items.length - 1];
+      },
+
+      /**
+       * Returns the index of the first element equal to an item
+       * @param {any} item - Element or raw data
+       * @returns {number} The index, or -1 if the list does not contain the item
+       */
+      indexOf(item) {
+        return indexOfEqual(this.items, toElement(itemFactory, item));
+      },
+
+      /**
+       * Checks if the list contains an element equal to an item
+       * @param {any} item - Element or raw data
+       * @returns {boolean}
+       */
+      includes(item) {
+        return indexOfEqual(this.items, toElement(itemFactory, item)) !== -1;
+      },
+
+      /**
+       * Appends elements
+       * @param {...any} items - Elements or raw data
+       * @returns {any} A new list
+       */
+      add(...items) {
+        return listFactory.create([...this.items, ...items]);
+      },
+
+      /**
+       * Removes the first element equal to an item
+       * @param {any} item - Element or raw data
+       * @returns {any} A new list, with the same elements if none matched
+       */
+      remove(item) {
+        const index = indexOfEqual(this.items, toElement(itemFactory, item));
+        return listFactory.create(
+          this.items.filter((_, position) => position !== index),
+        );
+      },
+
+      /**
+       * Removes the element at an index
+       * @param {number} index - Zero-based index
+       * @returns {any} A new list
+       * @throws {Error} If the index is out of bounds
+       */
+      removeAt(index) {
+        assertIndex(this.items, index);
+        return listFactory.create(
+          this.items.filter((_, position) => position !== index),
+        );
+      },
+
+      /**
+       * Replaces the first element equal to an item
+       * @param {any} existing - Element or raw data to replace
+       * @param {any} replacement - Element or raw data to put in its place
+       * @returns {any} A new list, with the same elements if none matched
+       */
+      replace(existing, replacement) {
+        const index = indexOfEqual(
+          this.items,
+          toElement(itemFactory, existing),
+        );
+        return listFactory.create(
+          this.items.map((item, position) =>
+            position === index ? replacement : item,
+          ),
+        );
+      },
+
+      /**
+       * Replaces the element at an index
+       * @param {number} index - Zero-based index
+       * @param {any} replacement - Element or raw data to put in its place
+       * @returns {any} A new list
+       * @throws {Error} If the index is out of bounds
+       */
+      replaceAt(index, replacement) {
+        assertIndex(this.items, index);
+        return listFactory.create(
+          this.items.map((item, position) =>
+            position === index ? replacement : item,
+          ),
+        );
+      },
+
+      /**
+       * Transforms every element, validating the results with the item factory
+       * @param {function(any, number): any} fn - Mapping function
+       * @returns {any} A new list
+       */
+      map(fn) {
+        return listFactory.create(this.items.map(fn));
+      },
+
+      /**
+       * Keeps the elements matching a predicate
+       * @param {function(any, number): boolean} predicate - Filter function
+       * @returns {any} A new list
+       */
+      filter(predicate) {
+        return listFactory.create(this.items.filter(predicate));
+      },
+
+      /**
+       * Returns the first element matching a predicate
+       * @param {function(any, number): boolean} predicate - Search function
+       * @returns {any} The element, or undefined if none matches
+       */
+      find(predicate) {
+        return this.items.find(predicate);
+      },
+
+      /**
+       * Checks if any element matches a predicate
+       * @param {function(any, number): boolean} predicate - Test function
+       * @returns {boolean}
+       */
+      some(predicate) {
+        return this.items.some(predicate);
+      },
+
+      /**
+       * Checks if every element matches a predicate
+       * @param {function(any, number): boolean} predicate - Test function
+       * @returns {boolean}
+       */
+      every(predicate) {
+        return this.items.every(predicate);
+      },
+
+      /**
+       * Folds the elements into a single value
+       * @template R
+       * @param {function(R, any, number): R} reducer - Reducer function
+       * @param {R} initialValue - Start value
+       * @returns {R} The folded value
+       */
+      reduce(reducer, initialValue) {
+        return this.items.reduce(reducer, initialValue);
+      },
+
+      /**
+       * Returns the elements as a new array
+       * @returns {any[]}
+       */
+      toArray() {
+        return [...this.items];
+      },
+
+      /**
+       * Returns the elements used by JSON.stringify
+       * @returns {any[]}
+       */
+      toJSON() {
+        return [...this.items];
+      },
+
+      /**
+       * Returns a string representation of the list
+       * @returns {string}
+       */
+      toString() {
+        return `${listName}[${this.items.join(", ")}]`;
+      },
+
+      ...methodsFactory(listFactory),
+    }),
+  });
+
+  return {
+    ...factory,
+
+    /**
+     * The factory validating the elements
+     */
+    itemFactory,
+
+    /**
+     * Creates an empty list
+     * @returns {any}
+     */
+    empty() {
+      return factory.create([]);
+    },
+  };
+}
+
+/**
+ * Creates a factory for immutable sets of value objects
+ *
+ * Every element is validated by the item factory and elements equal by value
+ * are kept once. Sets compare regardless of order and every operation
+ * returns a new set.
+ *
+ * @param {{name: string, create: Function, schema: z.ZodTypeAny}} itemFactory - Factory of the elements
+ * @param {CollectionOptions} [options] - Collection configuration
+ * @returns {any} A value object factory for sets
+ *
+ * @example
+ * const Tags = valueObject.set(NonEmptyString, { name: "Tags" });
+ *
+ * const tags = Tags.create(["ddd", "js", "ddd"]);
+ * tags.size; // 2
+ * tags.equals(Tags.create(["js", "ddd"])); // true
+ */
+export function setValueObject(
+  itemFactory,
+  { name, methodsFactory = () => ({}) } = {},
+) {
+  assertFactory(itemFactory, "Item");
+  const setName = name ?? `${itemFactory.name}Set`;
+
+  const factory = valueObject({
+    name: setName,
+    schema: z.preprocess(
+      (value) => ({ items: itemsOf(value) }),
+      z
+        .object({ items: z.array(elementSchema(itemFactory)) })
+        .transform(({ items }) => ({ items: Object.freeze(distinct(items)) })),
+    ),
+    methodsFactory: (setFactory) => ({
+      /**
+       * The number of elements
+       * @type {number}
+       */
+      get size() {
+        return this.items.length;
+      },
+
+      /**
+       * Iterates over the elements, in insertion order
+       * @returns {Iterator<any>}
+       */
+      [Symbol.iterator]() {
+        return this.items[Symbol.iterator]();
+      },
+
+      /**
+       * Checks if the set has no elements
+       * @returns {boolean}
+       */
+      isEmpty() {
+        return this.items.length === 0;
+      },
+
+      /**
+       * Checks if the set contains an element equal to an item
+       * @param {any} item - Element or raw data
+       * @returns {boolean}
+       */
+      has(item) {
+        return indexOfEqual(this.items, toElement(itemFactory, item)) !== -1;
+      },
+
+      /**
+       * Adds elements, ignoring those already contained
+       * @param {...any} items - Elements or raw data
+       * @returns {any} A new set
+       */
+      add(...items) {
+        return setFactory.create([...this.items, ...items]);
+      },
+
+      /**
+       * Removes the element equal to an item
+       * @param {any} item - Element or raw data
+       * @returns {any} A new set, with the same elements if none matched
+       */
+      remove(item) {
+        const element = toElement(itemFactory, item);
+        return setFactory.create(
+          this.items.filter((existing) => !existing.equals(element)),
+        );
+      },
+
+      /**
+       * Replaces the element equal to an item
+       * @param {any} existing - Element or raw data to replace
+       * @param {any} replacement - Element or raw data to put in its place
+       * @returns {any} A new set, with the same elements if none matched
+       */
+      replace(existing, replacement) {
+        const element = toElement(itemFactory, existing);
+        return setFactory.create(
+          this.items.map((item) => (item.equals(element) ? replacement : item)),
+        );
+      },
+
+      /**
+       * Transforms every element, validating the results with the item factory
+       * @param {function(any): any} fn - Mapping function
+       * @returns {any} A new set
+       */
+      map(fn) {
+        return setFactory.create(this.items.map((item) => fn(item)));
+      },
+
+      /**
+       * Keeps the elements matching a predicate
+       * @param {function(any): boolean} predicate - Filter function
+       * @returns {any} A new set
+       */
+      filter(predicate) {
+        return setFactory.create(this.items.filter((item) => predicate(item)));
+      },
+
+      /**
+       * Checks if any element matches a predicate
+       * @param {function(any): boolean} predicate - Test function
+       * @returns {boolean}
+       */
+      some(predicate) {
+        return this.items.some((item) => predicate(item));
+      },
+
+      /**
+       * Checks if every element matches a predicate
+       * @param {function(any): boolean} predicate - Test function
+       * @returns {boolean}
+       */
+      every(predicate) {
+        return this.items.every((item) => predicate(item));
+      },
+
+      /**
+       * Returns the elements as a new array, in insertion order
+       * @returns {any[]}
+       */
+      toArray() {
+        return [...this.items];
+      },
+
+      /**
+       * Compares this set with another regardless of element order
+       * @param {any} other - The object to compare with
+       * @returns {boolean}
+       */
+      equals(other) {
+        return (
+          isComparable(other, this[BRAND]) &&
+          Array.isArray(other?.items) &&
+          deepEqual(new Set(this.items), new Set(other.items))
+        );
+      },
+
+      /**
+       * Returns a hash code that does not depend on element order
+       * @returns {number}
+       */
+      hashCode() {
+        return hashCode(new Set(this.items));
+      },
+
+      /**
+       * Returns the elements used by JSON.stringify
+       * @returns {any[]}
+       */
+      toJSON() {
+        return [...this.items];
+      },
+
+      /**
+       * Returns a string representation of the set
+       * @returns {string}
+       */
+      toString() {
+        return `${setName}{${this.items.join(", ")}}`;
+      },
+
+      ...methodsFactory(setFactory),
+    }),
+  });
+
+  return {
+    ...factory,
+
+    /**
+     * The factory validating the elements
+     */
+    itemFactory,
+
+    /**
+     * Creates an empty set
+     * @returns {any}
+     */
+    empty() {
+      return factory.create([]);
+    },
+  };
+}
+
+/**
+ * Creates a factory for immutable maps between value objects
+ *
+ * Keys and values are validated by their factories and keys are matched by
+ * value. Maps compare regardless of entry order and every operation returns
+ * a new map. Input can be a Map, an array of [key, value] pairs or, for
+ * string keys, a plain object.
+ *
+ * @param {{name: string, create: Function, schema: z.ZodTypeAny}} keyFactory - Factory of the keys
+ * @param {{name: string, create: Function, schema: z.ZodTypeAny}} valueFactory - Factory of the values
+ * @param {CollectionOptions} [options] - Collection configuration
+ * @returns {any} A value object factory for maps
+ *
+ * @example
+ * const PriceList = valueObject.map(Sku, Money, { name: "PriceList" });
+ *
+ * const prices = PriceList.create({ "A-1": { amount: 10, currency: "EUR" } });
+ * prices.get("A-1").amount; // 10
+ * prices.set("B-2", { amount: 5, currency: "EUR" }).size; // 2
+ */
+export function mapValueObject(
+  keyFactory,
+  valueFactory,
+  { name, methodsFactory = () => ({}) } = {},
+) {
+  assertFactory(keyFactory, "Key");
+  assertFactory(valueFactory, "Value");
+  const mapName = name ?? `${keyFactory.name}To${valueFactory.name}Map`;
+
+  const factory = valueObject({
+    name: mapName,
+    schema: z.preprocess(
+      (value) => ({ entries: entriesOf(value) }),
+      z
+        .object({
+          entries: z.array(
+            z.tuple([elementSchema(keyFactory), elementSchema(valueFactory)]),
+          ),
+        })
+        .transform(({ entries }) => ({
+          entries: Object.freeze(
+            distinctKeys(entries).map((entry) => Object.freeze(entry)),
+          ),
+        })),
+    ),
+    methodsFactory: (mapFactory) => ({
+      /**
+       * The number of entries
+       * @type {number}
+       */
+      get size() {
+        return this.entries.length;
+      },
+
+      /**
+       * Iterates over the [key, value] pairs, like a Map
+       * @returns {Iterator<any>}
+       */
+      [Symbol.iterator]() {
+        return this.entries[Symbol.iterator]();
+      },
+
+      /**
+       * Checks if the map has no entries
+       * @returns {boolean}
+       */
+      isEmpty() {
+        return this.entries.length === 0;
+      },
+
+      /**
+       * Checks if the map has an entry for a key
+       * @param {any} key - Key or raw data
+       * @returns {boolean}
+       */
+      has(key) {
+        return (
+          findEntry(this.entries, toElement(keyFactory, key)) !== undefined
+        );
+      },
+
+      /**
+       * Returns the value stored for a key
+       * @param {any} key - Key or raw data
+       * @returns {any} The value, or undefined if the key is missing
+       */
+      get(key) {
+        return findEntry(this.entries, toElement(keyFactory, key))?.[1];
+      },
+
+      /**
+       * Stores a value for a key, replacing an existing entry
+       * @param {any} key - Key or raw data
+       * @param {any} value - Value or raw data
+       * @returns {any} A new map
+       */
+      set(key, value) {
+        return mapFactory.create([...this.entries, [key, value]]);
+      },
+
+      /**
+       * Removes the entry for a key
+       * @param {any} key - Key or raw data
+       * @returns {any} A new map, with the same entries if the key is missing
+       */
+      remove(key) {
+        const element = toElement(keyFactory, key);
+        return mapFactory.create(
+          this.entries.filter(([existing]) => !existing.equals(element)),
+        );
+      },
+
+      /**
+       * Transforms every value, validating the results with the value factory
+       * @param {function(any, any): any} fn - Mapping function receiving value and key
+       * @returns {any} A new map
+       */
+      map(fn) {
+        return mapFactory.create(
+          this.entries.map(([key, value]) => [key, fn(value, key)]),
+        );
+      },
+
+      /**
+       * Keeps the entries matching a predicate
+       * @param {function(any, any): boolean} predicate - Filter function receiving value and key
+       * @returns {any} A new map
+       */
+      filter(predicate) {
+        return mapFactory.create(
+          this.entries.filter(([key, value]) => predicate(value, key)),
+        );
+      },
+
+      /**
+       * Returns the keys as a new array, in insertion order
+       * @returns {any[]}
+       */
+      keys() {
+        return this.entries.map(([key]) => key);
+      },
+
+      /**
+       * Returns the values as a new array, in insertion order
+       * @returns {any[]}
+       */
+      values() {
+        return this.entries.map(([, value]) => value);
+      },
+
+      /**
+       * Returns the entries as a new Map
+       * @returns {Map<any, any>}
+       */
+      toMap() {
+        return new Map(this.entries);
+      },
+
+      /**
+       * Compares this map with another regardless of entry order
+       * @param {any} other - The object to compare with
+       * @returns {boolean}
+       */
+      equals(other) {
+        return (
+          isComparable(other, this[BRAND]) &&
+          Array.isArray(other?.entries) &&
+          deepEqual(new Map(this.entries), new Map(other.entries))
+        );
+      },
+
+      /**
+       * Returns a hash code that does not depend on entry order
+       * @returns {number}
+       */
+      hashCode() {
+        return hashCode(new Map(this.entries));
+      },
+
+      /**
+       * Returns the [key, value] pairs used by JSON.stringify
+       * @returns {Array<[any, any]>}
+       */
+      toJSON() {
+        return this.entries.map((entry) => [...entry]);
+      },
+
+      /**
+       * Returns a string representation of the map
+       * @returns {string}
+       */
+      toString() {
+        const entries = this.entries.map(
+          ([key, value]) => `${key} => ${value}`,
+        );
+        return `${mapName}{${entries.join(", ")}}`;
+      },
+
+      ...methodsFactory(mapFactory),
+    }),
+  });
+
+  return {
+    ...factory,
+
+    /**
+     * The factory validating the keys
+     */
+    keyFactory,
+
+    /**
+     * The factory validating the values
+     */
+    valueFactory,
+
+    /**
+     * Creates an empty map
+     * @returns {any}
+     */
+    empty() {
+      return factory.create([]);
+    },
+  };
+}
+
+/**
+ * Ensures a collection is built on a value object factory
+ * @param {any} factory - The factory to check
+ * @param {string} role - Role of the factory, for error messages
+ * @throws {Error} If the factory has no create function
+ * @private
+ */
+function assertFactory(factory, role) {
+  if (!factory || typeof factory.create !== "function") {
+    throw new Error(`${role} factory is required`);
+  }
+}
+
+/**
+ * Creates a schema turning raw data or value objects into elements
+ * Validation errors of the element factory become issues at the element's path.
+ * @param {{create: Function, schema: z.ZodTypeAny}} factory - The element factory
+ * @returns {z.ZodTypeAny} The element schema
+ * @private
+ */
+function elementSchema(factory) {
+  return z.any().transform((value, ctx) => {
+    try {
+      return toElement(factory, value);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        addNestedIssues(ctx, error);
+        return z.NEVER;
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Creates an element from raw data or an existing value object
+ * Value objects wrapping a primitive are recreated from their primitive value
+ * when the factory schema does not accept the instance itself.
+ * @param {{create: Function, schema: z.ZodTypeAny}} factory - The element factory
+ * @param {any} value - Raw data or value object
+ * @returns {any} The element
+ * @throws {ValidationError} If the data is invalid
+ * @private
+ */
+function toElement(factory, value) {
+  if (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.equals === "function" &&
+    !factory.schema.safeParse(value).success
+  ) {
+    const primitive = value.valueOf();
+    if (primitive !== value) {
+      return factory.create(primitive);
+    }
+  }
+  return factory.create(value);
+}
+
+/**
+ * Extracts the elements of list or set input
+ * @param {any} value - An iterable or an existing collection
+ * @returns {any} The elements, or the input itself to let the schema reject it
+ * @private
+ */
+function itemsOf(value) {
+  if (Array.isArray(value?.items)) return value.items;
+  if (typeof value === "string") return value;
+  if (value != null && typeof value[Symbol.iterator] === "function") {
+    return Array.from(value);
+  }
+  return value;
+}
+
+/**
+ * Extracts the [key, value] pairs of map input
+ * @param {any} value - A Map, pairs, a plain object or an existing map
+ * @returns {any} The pairs, or the input itself to let the schema reject it
+ * @private
+ */
+function entriesOf(value) {
+  if (Array.isArray(value?.entries)) return value.entries;
+  if (value instanceof Map || Array.isArray(value)) return Array.from(value);
+  if (value !== null && typeof value === "object") return Object.entries(value);
+  return value;
+}
+
+/**
+ * Checks if a value may equal a collection of the given brand
+ * Collections of different types are never equal, even with the same elements.
+ * @param {any} value - The value to compare with
+ * @param {import('./branding.js').Brand} brand - Brand of the collection
+ * @returns {boolean} True if the value is unbranded or has the same brand
+ * @private
+ */
+function isComparable(value, brand) {
+  const otherBrand = brandOf(value);
+  return otherBrand === undefined || isSameType(otherBrand, brand);
+}
+
+/**
+ * Returns the index of the first element equal to a value
+ * @param {ReadonlyArray<any>} items - The elements
+ * @param {any} element - The element to look for
+ * @returns {number} The index, or -1 if not found
+ * @private
+ */
+function indexOfEqual(items, element) {
+  return items.findIndex((item) => item.equals(element));
+}
+
+/**
+ * Finds the entry whose key equals a key
+ * @param {ReadonlyArray<[any, any]>} entries - The entries
+ * @param {any} key - The key to look for
+ * @returns {[any, any] | undefined} The entry
+ * @private
+ */
+function findEntry(entries, key) {
+  return entries.find(([existing]) => existing.equals(key));
+}
+
+/**
+ * Removes elements equal to an earlier element
+ * @param {any[]} items - The elements
+ * @returns {any[]} The distinct elements, in first-occurrence order
+ * @private
+ */
+function distinct(items) {
+  return items.filter((item, index) => indexOfEqual(items, item) === index);
+}
+
+/**
+ * Keeps one entry per key, the last value winning like in a Map
+ * @param {Array<[any, any]>} entries - The entries
+ * @returns {Array<[any, any]>} The entries with distinct keys, in first-occurrence order
+ * @private
+ */
+function distinctKeys(entries) {
+  /** @type {Array<[any, any]>} */
+  const result = [];
+  for (const [key, value] of entries) {
+    const existing = findEntry(result, key);
+    if (existing) {
+      existing[1] = value;
+    } else {
+      result.push([key, value]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Ensures an index points to an element
+ * @param {ReadonlyArray<any>} items - The elements
+ * @param {number} index - The index
+ * @throws {Error} If the index is out of bounds
+ * @private
+ */
+function assertIndex(items, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+    throw new Error(
+      `Index ${index} is out of bounds for a list of size ${items.length}`,
+    );
+  }
+}
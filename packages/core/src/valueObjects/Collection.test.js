@@ -0,0 +1,425 @@
+// packages/core/src/valueObjects/Collection.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { valueObject } from "./Base.js";
+import { NonEmptyString } from "./primitives/NonEmptyString.js";
+import { PositiveNumber } from "./primitives/PositiveNumber.js";
+import { ValidationError } from "../errors/index.js";
+
+const LineItem = valueObject({
+  name: "LineItem",
+  schema: z.object({
+    sku: z.string().min(1),
+    quantity: z.number().int().positive(),
+  }),
+  methodsFactory: () => ({}),
+});
+
+describe("valueObject.list", () => {
+  const LineItems = valueObject.list(LineItem, { name: "LineItems" });
+  const items = LineItems.create([
+    { sku: "A-1", quantity: 1 },
+    { sku: "B-2", quantity: 2 },
+  ]);
+
+  describe("creation", () => {
+    it("should validate every element with the item factory", () => {
+      // Assert
+      expect(items.size).toBe(2);
+      expect(
+        items.first().equals(LineItem.create({ sku: "A-1", quantity: 1 })),
+      ).toBe(true);
+      expect(() => LineItems.create([{ sku: "A-1", quantity: 0 }])).toThrow(
+        ValidationError,
+      );
+    });
+
+    it("should name the collection after the item factory by default", () => {
+      // Assert
+      expect(valueObject.list(LineItem).name).toBe("LineItemList");
+    });
+
+    it("should reject input that is not a collection", () => {
+      // Act & Assert
+      expect(() => LineItems.create("A-1")).toThrow(ValidationError);
+      expect(() => LineItems.create(null)).toThrow(ValidationError);
+    });
+
+    it("should accept existing lists and primitive value objects", () => {
+      // Arrange
+      const Names = valueObject.list(NonEmptyString);
+
+      // Act
+      const names = Names.create([NonEmptyString.create("Ada"), "Grace"]);
+
+      // Assert
+      expect(Names.create(names).equals(names)).toBe(true);
+      expect(names.toArray().map(String)).toEqual(["Ada", "Grace"]);
+    });
+
+    it("should create an empty list", () => {
+      // Assert
+      expect(LineItems.empty().isEmpty()).toBe(true);
+    });
+  });
+
+  describe("immutability", () => {
+    it("should freeze the element array", () => {
+      // Act & Assert
+      expect(Object.isFrozen(items.items)).toBe(true);
+      expect(() => items.items.push(items.first())).toThrow(TypeError);
+    });
+
+    it("should return copies from toArray", () => {
+      // Act
+      const array = items.toArray();
+      array.pop();
+
+      // Assert
+      expect(items.size).toBe(2);
+    });
+  });
+
+  describe("operations", () => {
+    it("should add elements without changing the original", () => {
+      // Act
+      const more = items.add({ sku: "C-3", quantity: 3 });
+
+      // Assert
+      expect(more.size).toBe(3);
+      expect(more.last().sku).toBe("C-3");
+      expect(items.size).toBe(2);
+    });
+
+    it("should validate added elements", () => {
+      // Act & Assert
+      expect(() => items.add({ sku: "", quantity: 1 })).toThrow(
+        ValidationError,
+      );
+    });
+
+    it("should remove the first matching element", () => {
+      // Act
+      const result = items.remove({ sku: "A-1", quantity: 1 });
+
+      // Assert
+      expect(result.toArray().map((item) => item.sku)).toEqual(["B-2"]);
+      expect(items.remove({ sku: "X", quantity: 1 }).equals(items)).toBe(true);
+    });
+
+    it("should remove and replace elements by index", () => {
+      // Act
+      const removed = items.removeAt(0);
+      const replaced = items.replaceAt(1, { sku: "B-2", quantity: 5 });
+
+      // Assert
+      expect(removed.first().sku).toBe("B-2");
+      expect(replaced.get(1).quantity).toBe(5);
+      expect(() => items.removeAt(2)).toThrow(
+        "Index 2 is out of bounds for a list of size 2",
+      );
+    });
+
+    it("should replace a matching element", () => {
+      // Act
+      const result = items.replace(
+        { sku: "B-2", quantity: 2 },
+        { sku: "B-2", quantity: 4 },
+      );
+
+      // Assert
+      expect(result.get(1).quantity).toBe(4);
+      expect(result.indexOf({ sku: "B-2", quantity: 4 })).toBe(1);
+    });
+
+    it("should map and filter into new lists", () => {
+      // Act
+      const doubled = items.map((item) => ({
+        ...item,
+        quantity: item.quantity * 2,
+      }));
+      const large = doubled.filter((item) => item.quantity > 2);
+
+      // Assert
+      expect(doubled.toArray().map((item) => item.quantity)).toEqual([2, 4]);
+      expect(large.size).toBe(1);
+      expect(large.includes({ sku: "B-2", quantity: 4 })).toBe(true);
+    });
+
+    it("should fold elements with reduce", () => {
+      // Act
+      const total = items.reduce((sum, item) => sum + item.quantity, 0);
+
+      // Assert
+      expect(total).toBe(3);
+    });
+
+    it("should iterate over the elements", () => {
+      // Act
+      const skus = [];
+      for (const item of items) {
+        skus.push(item.sku);
+      }
+
+      // Assert
+      expect(skus).toEqual(["A-1", "B-2"]);
+      expect([...items]).toEqual(items.toArray());
+    });
+
+    it("should expose the size as a read-only property", () => {
+      // Act & Assert
+      expect(Object.keys(items)).not.toContain("size");
+      expect(() => {
+        items.size = 5;
+      }).toThrow(TypeError);
+      expect(items.size).toBe(2);
+    });
+  });
+
+  describe("equality", () => {
+    it("should compare lists element by element in order", () => {
+      // Arrange
+      const same = LineItems.create([
+        { sku: "A-1", quantity: 1 },
+        { sku: "B-2", quantity: 2 },
+      ]);
+      const reversed = LineItems.create([
+        { sku: "B-2", quantity: 2 },
+        { sku: "A-1", quantity: 1 },
+      ]);
+
+      // Assert
+      expect(items.equals(same)).toBe(true);
+      expect(items.hashCode()).toBe(same.hashCode());
+      expect(items.equals(reversed)).toBe(false);
+    });
+  });
+
+  describe("serialization", () => {
+    it("should serialize to an array and round-trip through create", () => {
+      // Act
+      const json = JSON.parse(JSON.stringify(items));
+
+      // Assert
+      expect(json).toEqual([
+        { sku: "A-1", quantity: 1 },
+        { sku: "B-2", quantity: 2 },
+      ]);
+      expect(LineItems.create(json).equals(items)).toBe(true);
+    });
+  });
+
+  describe("custom methods", () => {
+    it("should merge methods from a methodsFactory", () => {
+      // Arrange
+      const Order = valueObject.list(LineItem, {
+        name: "OrderLines",
+        methodsFactory: () => ({
+          totalQuantity() {
+            return this.items.reduce((sum, item) => sum + item.quantity, 0);
+          },
+        }),
+      });
+
+      // Act
+      const lines = Order.create(items);
+
+      // Assert
+      expect(lines.totalQuantity()).toBe(3);
+      expect(lines.add({ sku: "C-3", quantity: 3 }).totalQuantity()).toBe(6);
+    });
+
+    it("should keep the size and iteration on extended lists", () => {
+      // Arrange
+      const Lines = LineItems.extend({
+        name: "Lines",
+        methodsFactory: () => ({}),
+      });
+
+      // Act
+      const lines = Lines.create(items);
+
+      // Assert
+      expect(lines.size).toBe(2);
+      expect([...lines].map((item) => item.sku)).toEqual(["A-1", "B-2"]);
+    });
+  });
+});
+
+describe("valueObject.set", () => {
+  const Tags = valueObject.set(NonEmptyString, { name: "Tags" });
+
+  it("should keep elements equal by value once", () => {
+    // Act
+    const tags = Tags.create(["ddd", "js", "ddd"]);
+
+    // Assert
+    expect(tags.size).toBe(2);
+    expect(tags.toArray().map(String)).toEqual(["ddd", "js"]);
+  });
+
+  it("should accept a Set as input", () => {
+    // Act
+    const tags = Tags.create(new Set(["ddd"]));
+
+    // Assert
+    expect(tags.has("ddd")).toBe(true);
+  });
+
+  it("should compare regardless of order", () => {
+    // Arrange
+    const a = Tags.create(["ddd", "js"]);
+    const b = Tags.create(["js", "ddd"]);
+
+    // Assert
+    expect(a.equals(b)).toBe(true);
+    expect(a.hashCode()).toBe(b.hashCode());
+    expect(a.equals(Tags.create(["ddd"]))).toBe(false);
+  });
+
+  it("should add, remove and replace elements persistently", () => {
+    // Arrange
+    const tags = Tags.create(["ddd"]);
+
+    // Act
+    const added = tags.add("js", "ddd");
+    const removed = added.remove("ddd");
+    const replaced = added.replace("js", "ts");
+
+    // Assert
+    expect(added.size).toBe(2);
+    expect(removed.toArray().map(String)).toEqual(["js"]);
+    expect(replaced.has("ts")).toBe(true);
+    expect(replaced.has("js")).toBe(false);
+    expect(tags.size).toBe(1);
+  });
+
+  it("should deduplicate mapped elements and validate them", () => {
+    // Arrange
+    const tags = Tags.create(["DDD", "ddd", "Js"]);
+
+    // Act
+    const lower = tags.map((tag) => tag.toLower());
+
+    // Assert
+    expect(lower.size).toBe(2);
+    expect(() => tags.map(() => "")).toThrow(ValidationError);
+    expect(tags.filter((tag) => tag.startsWith("d")).size).toBe(1);
+  });
+
+  it("should serialize to an array", () => {
+    // Assert
+    expect(JSON.stringify(Tags.create(["a", "b"]))).toBe('["a","b"]');
+  });
+
+  it("should iterate over the elements in insertion order", () => {
+    // Act
+    const tags = [...Tags.create(["b", "a", "b"])];
+
+    // Assert
+    expect(tags.map(String)).toEqual(["b", "a"]);
+  });
+});
+
+describe("valueObject.map", () => {
+  const Stock = valueObject.map(NonEmptyString, PositiveNumber, {
+    name: "Stock",
+  });
+  const stock = Stock.create({ apples: 3, pears: 5 });
+
+  it("should validate keys and values", () => {
+    // Assert
+    expect(stock.size).toBe(2);
+    expect(stock.get("apples").valueOf()).toBe(3);
+    expect(() => Stock.create({ apples: -1 })).toThrow(ValidationError);
+    expect(() => Stock.create([["", 1]])).toThrow(ValidationError);
+  });
+
+  it("should accept Maps and pairs as input", () => {
+    // Act
+    const fromMap = Stock.create(
+      new Map([
+        ["pears", 5],
+        ["apples", 3],
+      ]),
+    );
+
+    // Assert
+    expect(fromMap.equals(stock)).toBe(true);
+    expect(fromMap.hashCode()).toBe(stock.hashCode());
+  });
+
+  it("should name the map after its factories by default", () => {
+    // Assert
+    expect(valueObject.map(NonEmptyString, PositiveNumber).name).toBe(
+      "NonEmptyStringToPositiveNumberMap",
+    );
+  });
+
+  it("should set and remove entries persistently", () => {
+    // Act
+    const updated = stock.set("apples", 4).set("plums", 1);
+    const removed = stock.remove("pears");
+
+    // Assert
+    expect(updated.get("apples").valueOf()).toBe(4);
+    expect(updated.keys().map(String)).toEqual(["apples", "pears", "plums"]);
+    expect(removed.has("pears")).toBe(false);
+    expect(stock.get("apples").valueOf()).toBe(3);
+  });
+
+  it("should keep the last value of duplicate keys", () => {
+    // Act
+    const result = Stock.create([
+      ["apples", 1],
+      ["apples", 2],
+    ]);
+
+    // Assert
+    expect(result.size).toBe(1);
+    expect(result.get("apples").valueOf()).toBe(2);
+  });
+
+  it("should map and filter values", () => {
+    // Act
+    const doubled = stock.map((amount) => amount.multiply(2));
+    const many = stock.filter((amount) => amount.valueOf() > 4);
+
+    // Assert
+    expect(doubled.values().map(Number)).toEqual([6, 10]);
+    expect(many.keys().map(String)).toEqual(["pears"]);
+  });
+
+  it("should freeze its entries", () => {
+    // Act & Assert
+    expect(Object.isFrozen(stock.entries)).toBe(true);
+    expect(Object.isFrozen(stock.entries[0])).toBe(true);
+  });
+
+  it("should iterate over the entries like a Map", () => {
+    // Act
+    const entries = [];
+    for (const [key, value] of stock) {
+      entries.push([String(key), value.valueOf()]);
+    }
+
+    // Assert
+    expect(entries).toEqual([
+      ["apples", 3],
+      ["pears", 5],
+    ]);
+    expect(new Map(stock).size).toBe(2);
+  });
+
+  it("should serialize to pairs and round-trip through create", () => {
+    // Act
+    const json = JSON.parse(JSON.stringify(stock));
+
+    // Assert
+    expect(json).toEqual([
+      ["apples", 3],
+      ["pears", 5],
+    ]);
+    expect(Stock.create(json).equals(stock)).toBe(true);
+  });
+});
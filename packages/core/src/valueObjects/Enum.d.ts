@@ -0,0 +1,121 @@
+import { ValueObject, ValueObjectFactory } from "./Base";
+import { Result } from "../result/Base";
+
+/**
+ * Definition of an enumeration member
+ */
+export interface EnumMemberDefinition {
+  /**
+   * Human-readable label, defaults to the member name
+   */
+  label?: string;
+
+  /**
+   * Arbitrary data attached to the member
+   */
+  metadata?: Record<string, unknown>;
+}
+
+/**
+ * An enumeration value
+ */
+export type EnumValue<K extends string> = ValueObject<{}> & {
+  /**
+   * Returns the member name
+   */
+  valueOf(): K;
+
+  /**
+   * Checks if this value is one of the given members
+   */
+  is(...candidates: Array<K | EnumValue<K>>): boolean;
+
+  /**
+   * Returns the label of this member
+   */
+  getLabel(): string;
+
+  /**
+   * Returns the frozen metadata of this member
+   */
+  getMetadata(): Readonly<Record<string, unknown>>;
+
+  /**
+   * Lists the members this value may transition to
+   */
+  getAllowedTransitions(): K[];
+
+  /**
+   * Checks if this value may transition to another member
+   */
+  canTransitionTo(target: K | EnumValue<K>): boolean;
+
+  /**
+   * Moves to another member if the transition table allows it
+   * @throws {InvalidTransitionError} If the transition is not allowed
+   */
+  transitionTo(target: K | EnumValue<K>): EnumValue<K>;
+};
+
+/**
+ * A factory for enumeration values with the members attached as constants
+ */
+export type EnumFactory<K extends string> = Omit<ValueObjectFactory<{}>, "create" | "createAsync" | "tryCreate"> & {
+  /**
+   * Creates the enumeration value of a member
+   */
+  create(data: K | EnumValue<K> | string): EnumValue<K>;
+
+  /**
+   * Creates the enumeration value of a member asynchronously
+   */
+  createAsync(
+    data: K | EnumValue<K> | string,
+    options?: { signal?: AbortSignal }
+  ): Promise<EnumValue<K>>;
+
+  /**
+   * Creates the enumeration value of a member without throwing
+   */
+  tryCreate(data: K | EnumValue<K> | string): Result<EnumValue<K>>;
+
+  /**
+   * All member names in declaration order
+   */
+  readonly members: readonly K[];
+
+  /**
+   * Returns all members as enumeration values in declaration order
+   */
+  values(): EnumValue<K>[];
+
+  /**
+   * Lists the members reachable from a member
+   */
+  transitionsFrom(member: K | EnumValue<K>): K[];
+} & { readonly [P in K]: EnumValue<K> };
+
+/**
+ * Creates an enumeration value object factory
+ */
+export function enumValueObject<K extends string>(options: {
+  /**
+   * Name of the enumeration
+   */
+  name: string;
+
+  /**
+   * Member names, or definitions (label or {label, metadata}) by member name
+   */
+  members: readonly K[] | Record<K, string | EnumMemberDefinition>;
+
+  /**
+   * Allowed target members by source member; members without entry are final
+   */
+  transitions?: Partial<Record<K, K[]>>;
+
+  /**
+   * Factory function that creates additional methods
+   */
+  methodsFactory?: (factory: EnumFactory<K>) => Record<string, Function>;
+}): EnumFactory<K>;
@@ -0,0 +1,275 @@
+import { z } from "zod";
+import { valueObject } from "./Base.js";
+import { InvalidTransitionError } from "../errors/index.js";
+
+/**
+ * Factory properties that enum members must not shadow
+ * @private
+ */
+const RESERVED_MEMBER_NAMES = [
+  "name",
+  "create",
+  "createAsync",
+  "tryCreate",
+  "schema",
+  "extend",
+  "members",
+  "values",
+  "transitionsFrom",
+];
+
+/**
+ * @typedef {Object} EnumMemberDefinition
+ * @property {string} [label] - Human-readable label, defaults to the member name
+ * @property {Record<string, any>} [metadata] - Arbitrary data attached to the member
+ */
+
+/**
+ * Creates an enumeration value object factory
+ *
+ * Enumerations are primitive value objects whose value is one of a fixed set
+ * of member names. Each member can carry a label and metadata, and an optional
+ * transition table restricts which members can follow each other.
+ *
+ * @param {object} options - Enumeration configuration
+ * @param {string} options.name - Name of the enumeration
+ * @param {string[] | Record<string, string | EnumMemberDefinition>} options.members - Member names, or definitions (label or {label, metadata}) by member name
+ * @param {Record<string, string[]>} [options.transitions] - Allowed target members by source member; members without entry are final
+ * @param {function(any): Record<string, Function>} [options.methodsFactory] - Factory function that creates additional methods
+ * @returns {any} A value object factory with the members attached as constants
+ * @throws {Error} If the configuration is invalid
+ *
+ * @example
+ * const OrderStatus = valueObject.enum({
+ *   name: "OrderStatus",
+ *   members: {
+ *     DRAFT: { label: "Draft", metadata: { editable: true } },
+ *     PLACED: "Placed",
+ *     SHIPPED: "Shipped",
+ *     CANCELLED: "Cancelled",
+ *   },
+ *   transitions: {
+ *     DRAFT: ["PLACED", "CANCELLED"],
+ *     PLACED: ["SHIPPED", "CANCELLED"],
+ *   },
+ * });
+ *
+ * const status = OrderStatus.DRAFT;
+ * status.getLabel(); // "Draft"
+ * status.is("DRAFT", "PLACED"); // true
+ * status.transitionTo("PLACED"); // OrderStatus.PLACED
+ * OrderStatus.SHIPPED.transitionTo("DRAFT"); // throws InvalidTransitionError
+ */
+export function enumValueObject({
+  name,
+  members,
+  transitions,
+  methodsFactory = () => ({}),
+}) {
+  if (!name) throw new Error("Enum name is required");
+
+  const definitions = normalizeMembers(members);
+  const memberNames = Object.keys(definitions);
+
+  if (memberNames.length === 0) {
+    throw new Error(`Enum ${name} needs at least one member`);
+  }
+  for (const member of memberNames) {
+    if (RESERVED_MEMBER_NAMES.includes(member)) {
+      throw new Error(`Enum member name "${member}" is reserved`);
+    }
+  }
+
+  const transitionTable = transitions
+    ? normalizeTransitions(name, memberNames, transitions)
+    : undefined;
+
+  /**
+   * Returns the members reachable from a member
+   * @param {string} member - The source member
+   * @returns {string[]} The allowed target members
+   */
+  const targetsOf = (member) =>
+    transitionTable ? [...(transitionTable.get(member) ?? [])] : memberNames;
+
+  const factory = valueObject({
+    name,
+    schema: z.preprocess(
+      (value) =>
+        value !== null &&
+        typeof value === "object" &&
+        typeof value.valueOf === "function"
+          ? value.valueOf()
+          : value,
+      z.enum(/** @type {[string, ...string[]]} */ (memberNames), {
+        errorMap: () => ({
+          message: `Expected one of ${memberNames.join(", ")}`,
+        }),
+      }),
+    ),
+    overrideIsPrimitive: true,
+    methodsFactory: (enumFactory) => ({
+      /**
+       * Checks if this value is one of the given members
+       * @param {...any} candidates - Member names or enum values
+       * @returns {boolean} True if this value matches any candidate
+       */
+      is(...candidates) {
+        const value = this.valueOf();
+        return candidates.some((candidate) => String(candidate) === value);
+      },
+
+      /**
+       * Returns the label of this member
+       * @returns {string} The label, e.g. "Draft"
+       */
+      getLabel() {
+        return definitions[this.valueOf()].label;
+      },
+
+      /**
+       * Returns the metadata of this member
+       * @returns {Record<string, any>} The frozen metadata
+       */
+      getMetadata() {
+        return definitions[this.valueOf()].metadata;
+      },
+
+      /**
+       * Lists the members this value may transition to
+       * @returns {string[]} The allowed target members
+       */
+      getAllowedTransitions() {
+        return targetsOf(this.valueOf());
+      },
+
+      /**
+       * Checks if this value may transition to another member
+       * @param {any} target - Member name or enum value
+       * @returns {boolean} True if the transition is allowed
+       */
+      canTransitionTo(target) {
+        return targetsOf(this.valueOf()).includes(String(target));
+      },
+
+      /**
+       * Moves to another member if the transition table allows it
+       * @param {any} target - Member name or enum value
+       * @returns {any} The enum value of the target member
+       * @throws {ValidationError} If the target is not a member
+       * @throws {InvalidTransitionError} If the transition is not allowed
+       */
+      transitionTo(target) {
+        const next = enumFactory.create(target);
+        const from = this.valueOf();
+        const to = next.valueOf();
+        const allowed = targetsOf(from);
+
+        if (!allowed.includes(to)) {
+          throw new InvalidTransitionError(
+            {
+              key: "enum.invalidTransition",
+              params: { type: name, from, to },
+            },
+            from,
+            to,
+            { objectType: name, allowed },
+          );
+        }
+        return next;
+      },
+
+      ...methodsFactory(enumFactory),
+    }),
+  });
+
+  /** @type {Record<string, any>} */
+  const constants = {};
+  for (const member of memberNames) {
+    constants[member] = factory.create(member);
+  }
+
+  return Object.freeze({
+    ...factory,
+    ...constants,
+
+    /**
+     * All member names in declaration order
+     */
+    members: Object.freeze([...memberNames]),
+
+    /**
+     * Returns all members as enum values in declaration order
+     * @returns {any[]} The enum values
+     */
+    values() {
+      return memberNames.map((member) => constants[member]);
+    },
+
+    /**
+     * Lists the members reachable from a member
+     * @param {any} member - Member name or enum value
+     * @returns {string[]} The allowed target members
+     */
+    transitionsFrom(member) {
+      return targetsOf(factory.create(member).valueOf());
+    },
+  });
+}
+
+/**
+ * Brings both member notations into the {label, metadata} form
+ * @param {string[] | Record<string, string | EnumMemberDefinition>} members - The member configuration
+ * @returns {Record<string, {label: string, metadata: Readonly<Record<string, any>>}>} Definitions by member name
+ * @throws {Error} If members are missing or duplicated
+ * @private
+ */
+function normalizeMembers(members) {
+  if (!members || typeof members !== "object") {
+    throw new Error("Enum members are required");
+  }
+
+  const entries = Array.isArray(members)
+    ? members.map((member) => [member, {}])
+    : Object.entries(members);
+
+  /** @type {Record<string, {label: string, metadata: Readonly<Record<string, any>>}>} */
+  const definitions = {};
+  for (const [member, definition] of entries) {
+    if (typeof member !== "string" || member.length === 0) {
+      throw new Error("Enum member names must be non-empty strings");
+    }
+    if (member in definitions) {
+      throw new Error(`Duplicate enum member: ${member}`);
+    }
+
+    const { label = member, metadata = {} } =
+      typeof definition === "string" ? { label: definition } : definition;
+    definitions[member] = { label, metadata: Object.freeze({ ...metadata }) };
+  }
+  return definitions;
+}
+
+/**
+ * Validates a transition table against the members
+ * @param {string} name - Name of the enumeration, for error messages
+ * @param {string[]} memberNames - All member names
+ * @param {Record<string, string[]>} transitions - Allowed targets by source member
+ * @returns {Map<string, string[]>} The transition table
+ * @throws {Error} If the table references unknown members
+ * @private
+ */
+function normalizeTransitions(name, memberNames, transitions) {
+  const table = new Map();
+  for (const [from, targets] of Object.entries(transitions)) {
+    for (const member of [from, ...targets]) {
+      if (!memberNames.includes(member)) {
+        throw new Error(
+          `Transition table of ${name} references unknown member: ${member}`,
+        );
+      }
+    }
+    table.set(from, Object.freeze([...targets]));
+  }
+  return table;
+}
@@ -0,0 +1,237 @@
+// packages/core/src/valueObjects/Enum.test.js
+import { describe, it, expect } from "vitest";
+import { valueObject } from "./Base.js";
+import { enumValueObject } from "./Enum.js";
+import { ValidationError, InvalidTransitionError } from "../errors/index.js";
+
+describe("enumValueObject", () => {
+  const OrderStatus = valueObject.enum({
+    name: "OrderStatus",
+    members: {
+      DRAFT: { label: "Draft", metadata: { editable: true } },
+      PLACED: "Placed",
+      SHIPPED: "Shipped",
+      CANCELLED: "Cancelled",
+    },
+    transitions: {
+      DRAFT: ["PLACED", "CANCELLED"],
+      PLACED: ["SHIPPED", "CANCELLED"],
+    },
+  });
+
+  describe("definition", () => {
+    it("should be available as valueObject.enum", () => {
+      // Assert
+      expect(valueObject.enum).toBe(enumValueObject);
+    });
+
+    it("should expose the members in declaration order", () => {
+      // Assert
+      expect(OrderStatus.name).toBe("OrderStatus");
+      expect(OrderStatus.members).toEqual([
+        "DRAFT",
+        "PLACED",
+        "SHIPPED",
+        "CANCELLED",
+      ]);
+      expect(OrderStatus.values().map(String)).toEqual(OrderStatus.members);
+    });
+
+    it("should attach members as constants", () => {
+      // Assert
+      expect(OrderStatus.DRAFT.valueOf()).toBe("DRAFT");
+      expect(OrderStatus.DRAFT.equals(OrderStatus.create("DRAFT"))).toBe(true);
+    });
+
+    it("should accept a plain list of member names", () => {
+      // Arrange
+      const Color = enumValueObject({
+        name: "Color",
+        members: ["RED", "GREEN"],
+      });
+
+      // Assert
+      expect(Color.RED.getLabel()).toBe("RED");
+      expect(Color.GREEN.getMetadata()).toEqual({});
+    });
+
+    it("should reject an empty member list", () => {
+      // Act & Assert
+      expect(() => enumValueObject({ name: "Empty", members: [] })).toThrow(
+        "Enum Empty needs at least one member",
+      );
+    });
+
+    it("should reject duplicate members", () => {
+      // Act & Assert
+      expect(() =>
+        enumValueObject({ name: "Color", members: ["RED", "RED"] }),
+      ).toThrow("Duplicate enum member: RED");
+    });
+
+    it("should reject members shadowing factory properties", () => {
+      // Act & Assert
+      expect(() =>
+        enumValueObject({ name: "Field", members: ["name", "create"] }),
+      ).toThrow('Enum member name "name" is reserved');
+    });
+
+    it("should reject transition tables with unknown members", () => {
+      // Act & Assert
+      expect(() =>
+        enumValueObject({
+          name: "Light",
+          members: ["ON", "OFF"],
+          transitions: { ON: ["DIMMED"] },
+        }),
+      ).toThrow("Transition table of Light references unknown member: DIMMED");
+    });
+  });
+
+  describe("creation", () => {
+    it("should reject values that are not members", () => {
+      // Act & Assert
+      expect(() => OrderStatus.create("LOST")).toThrow(ValidationError);
+      expect(() => OrderStatus.create("LOST")).toThrow(
+        "Expected one of DRAFT, PLACED, SHIPPED, CANCELLED",
+      );
+    });
+
+    it("should recreate a value from an existing instance", () => {
+      // Act
+      const status = OrderStatus.create(OrderStatus.PLACED);
+
+      // Assert
+      expect(status.equals(OrderStatus.PLACED)).toBe(true);
+    });
+
+    it("should serialize to the member name", () => {
+      // Assert
+      expect(JSON.stringify({ status: OrderStatus.SHIPPED })).toBe(
+        '{"status":"SHIPPED"}',
+      );
+    });
+  });
+
+  describe("labels and metadata", () => {
+    it("should return the label of a member", () => {
+      // Assert
+      expect(OrderStatus.DRAFT.getLabel()).toBe("Draft");
+      expect(OrderStatus.PLACED.getLabel()).toBe("Placed");
+    });
+
+    it("should return frozen metadata", () => {
+      // Act
+      const metadata = OrderStatus.DRAFT.getMetadata();
+
+      // Assert
+      expect(metadata).toEqual({ editable: true });
+      expect(Object.isFrozen(metadata)).toBe(true);
+    });
+  });
+
+  describe("is", () => {
+    it("should match any of the given members", () => {
+      // Assert
+      expect(OrderStatus.DRAFT.is("DRAFT")).toBe(true);
+      expect(OrderStatus.DRAFT.is("PLACED", "DRAFT")).toBe(true);
+      expect(OrderStatus.DRAFT.is("PLACED", "SHIPPED")).toBe(false);
+    });
+
+    it("should accept enum values as candidates", () => {
+      // Assert
+      expect(OrderStatus.PLACED.is(OrderStatus.PLACED)).toBe(true);
+      expect(OrderStatus.PLACED.is(OrderStatus.DRAFT)).toBe(false);
+    });
+  });
+
+  describe("transitions", () => {
+    it("should move to an allowed member", () => {
+      // Act
+      const placed = OrderStatus.DRAFT.transitionTo("PLACED");
+
+      // Assert
+      expect(placed.equals(OrderStatus.PLACED)).toBe(true);
+    });
+
+    it("should throw an InvalidTransitionError for a forbidden move", () => {
+      // Act
+      let error;
+      try {
+        OrderStatus.SHIPPED.transitionTo(OrderStatus.DRAFT);
+      } catch (e) {
+        error = e;
+      }
+
+      // Assert
+      expect(error).toBeInstanceOf(InvalidTransitionError);
+      expect(error.message).toBe(
+        "Invalid OrderStatus transition from SHIPPED to DRAFT",
+      );
+      expect(error.from).toBe("SHIPPED");
+      expect(error.to).toBe("DRAFT");
+      expect(error.context).toEqual({ objectType: "OrderStatus", allowed: [] });
+    });
+
+    it("should throw a ValidationError for unknown targets", () => {
+      // Act & Assert
+      expect(() => OrderStatus.DRAFT.transitionTo("LOST")).toThrow(
+        ValidationError,
+      );
+    });
+
+    it("should report allowed transitions", () => {
+      // Assert
+      expect(OrderStatus.DRAFT.getAllowedTransitions()).toEqual([
+        "PLACED",
+        "CANCELLED",
+      ]);
+      expect(OrderStatus.DRAFT.canTransitionTo("CANCELLED")).toBe(true);
+      expect(OrderStatus.DRAFT.canTransitionTo(OrderStatus.SHIPPED)).toBe(
+        false,
+      );
+      expect(OrderStatus.transitionsFrom("PLACED")).toEqual([
+        "SHIPPED",
+        "CANCELLED",
+      ]);
+    });
+
+    it("should allow any move without a transition table", () => {
+      // Arrange
+      const Color = enumValueObject({
+        name: "Color",
+        members: ["RED", "GREEN"],
+      });
+
+      // Act
+      const green = Color.RED.transitionTo("GREEN");
+
+      // Assert
+      expect(green.valueOf()).toBe("GREEN");
+      expect(Color.GREEN.canTransitionTo("RED")).toBe(true);
+    });
+  });
+
+  describe("custom methods", () => {
+    it("should merge methods from a methodsFactory", () => {
+      // Arrange
+      const Priority = enumValueObject({
+        name: "Priority",
+        members: {
+          LOW: { metadata: { weight: 1 } },
+          HIGH: { metadata: { weight: 10 } },
+        },
+        methodsFactory: () => ({
+          isUrgent() {
+            return this.valueOf() === "HIGH";
+          },
+        }),
+      });
+
+      // Assert
+      expect(Priority.HIGH.isUrgent()).toBe(true);
+      expect(Priority.LOW.isUrgent()).toBe(false);
+      expect(Priority.HIGH.getMetadata().weight).toBe(10);
+    });
+  });
+});
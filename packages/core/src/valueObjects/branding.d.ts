@@ -0,0 +1,63 @@
+/**
+ * Symbol under which factories and their instances store the brand of their type
+ */
+export const BRAND: unique symbol;
+
+/**
+ * Identifies the instances of one factory
+ */
+export type Brand = Readonly<{ name: string }>;
+
+/**
+ * Creates the brand identifying the instances of one factory
+ */
+export function createBrand(name: string): Brand;
+
+/**
+ * Records that a factory was extended from another
+ */
+export function inheritBrand(brand: Brand, parent: Brand): void;
+
+/**
+ * Records that a factory is a configured variant of another factory's type
+ */
+export function inheritVariant(brand: Brand, base: Brand): void;
+
+/**
+ * Returns the brand of the type a brand stands for
+ */
+export function typeOf(brand: Brand | undefined): Brand | undefined;
+
+/**
+ * Checks if two brands stand for the same type
+ */
+export function isSameType(a: Brand | undefined, b: Brand | undefined): boolean;
+
+/**
+ * Returns the brand of a factory or instance
+ */
+export function brandOf(value: unknown): Brand | undefined;
+
+/**
+ * Checks if a brand is another brand or extended from it
+ */
+export function descendsFrom(brand: Brand | undefined, ancestor: Brand | undefined): boolean;
+
+/**
+ * Checks if two brands belong to the same type hierarchy line
+ */
+export function areRelated(a: Brand | undefined, b: Brand | undefined): boolean;
+
+/**
+ * Lists the type names of a brand and its ancestors, closest first
+ */
+export function lineageOf(brand: Brand | undefined): string[];
+
+/**
+ * Creates the type checks shared by all factories
+ */
+export function typeChecks(brand: Brand): {
+  isInstance: (value: unknown) => boolean;
+  isSubtypeOf: (factory: unknown) => boolean;
+  lineage: () => string[];
+};
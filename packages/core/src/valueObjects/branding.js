@@ -0,0 +1,166 @@
+// packages/core/src/valueObjects/branding.js
+
+/**
+ * Symbol under which factories and their instances store the brand of their type.
+ * Like TYPE_NAME it is copied by object spread but ignored by JSON.stringify.
+ */
+export const BRAND = Symbol.for("domaindrivenjs.brand");
+
+/**
+ * @typedef {Readonly<{name: string}>} Brand
+ */
+
+/**
+ * Parent brands of extended factories
+ * @type {WeakMap<Brand, Brand>}
+ * @private
+ */
+const parents = new WeakMap();
+
+/**
+ * Creates the brand identifying the instances of one factory
+ * Factories with the same name still get distinct brands.
+ * @param {string} name - The type name
+ * @returns {Brand} A new brand
+ */
+export function createBrand(name) {
+  return Object.freeze({ name });
+}
+
+/**
+ * Records that a factory was extended from another
+ * @param {Brand} brand - Brand of the extended factory
+ * @param {Brand} parent - Brand of the factory it was extended from
+ */
+export function inheritBrand(brand, parent) {
+  parents.set(brand, parent);
+}
+
+/**
+ * Brands of factory variants, mapped to the brand of the type they configure
+ * @type {WeakMap<Brand, Brand>}
+ * @private
+ */
+const variants = new WeakMap();
+
+/**
+ * Records that a factory is a configured variant of another factory's type
+ * Variants such as `Decimal.withScale(2)` or `Quantity.forDimension("mass")`
+ * create instances of the base type: they count as its instances and
+ * compare equal to its instances with the same value.
+ * @param {Brand} brand - Brand of the variant factory
+ * @param {Brand} base - Brand of the factory it configures
+ */
+export function inheritVariant(brand, base) {
+  parents.set(brand, base);
+  variants.set(brand, typeOf(base));
+}
+
+/**
+ * Returns the brand of the type a brand stands for
+ * Variants stand for the type they configure, all other brands for themselves.
+ * @param {Brand | undefined} brand - The brand
+ * @returns {Brand | undefined} The brand of the type
+ */
+export function typeOf(brand) {
+  return (brand && variants.get(brand)) ?? brand;
+}
+
+/**
+ * Checks if two brands stand for the same type
+ * Extended factories are distinct types, variants are the same type.
+ * @param {Brand | undefined} a - First brand
+ * @param {Brand | undefined} b - Second brand
+ * @returns {boolean}
+ */
+export function isSameType(a, b) {
+  return typeOf(a) === typeOf(b);
+}
+
+/**
+ * Returns the brand of a factory or instance
+ * @param {any} value - Factory, instance or any other value
+ * @returns {Brand | undefined} The brand, or undefined for unbranded values
+ */
+export function brandOf(value) {
+  return value !== null &&
+    (typeof value === "object" || typeof value === "function")
+    ? value[BRAND]
+    : undefined;
+}
+
+/**
+ * Checks if a brand is another brand or extended from it
+ * @param {Brand | undefined} brand - The brand to check
+ * @param {Brand | undefined} ancestor - The brand to look for in its ancestry
+ * @returns {boolean} True if the ancestry of brand contains ancestor
+ */
+export function descendsFrom(brand, ancestor) {
+  if (!ancestor) return false;
+  for (let current = brand; current; current = parents.get(current)) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks if two brands belong to the same type hierarchy line
+ * @param {Brand | undefined} a - First brand
+ * @param {Brand | undefined} b - Second brand
+ * @returns {boolean} True if one brand descends from the other
+ */
+export function areRelated(a, b) {
+  return descendsFrom(a, b) || descendsFrom(b, a);
+}
+
+/**
+ * Lists the type names of a brand and its ancestors, closest first
+ * @param {Brand | undefined} brand - The brand
+ * @returns {string[]} The type names, e.g. ["NonEmptyString", "String"]
+ */
+export function lineageOf(brand) {
+  const names = [];
+  for (let current = brand; current; current = parents.get(current)) {
+    names.push(current.name);
+  }
+  return names;
+}
+
+/**
+ * Creates the type checks shared by all factories
+ * @param {Brand} brand - Brand of the factory
+ * @returns {{
+ *   isInstance: (value: any) => boolean,
+ *   isSubtypeOf: (factory: any) => boolean,
+ *   lineage: () => string[]
+ * }} Methods to attach to the factory
+ */
+export function typeChecks(brand) {
+  return {
+    /**
+     * Checks if a value was created by this factory or one extended from it
+     * @param {any} value - The value to check
+     * @returns {boolean}
+     */
+    isInstance(value) {
+      return descendsFrom(brandOf(value), brand);
+    },
+
+    /**
+     * Checks if this factory is another factory or was extended from it
+     * @param {any} factory - The potential ancestor
+     * @returns {boolean}
+     */
+    isSubtypeOf(factory) {
+      return descendsFrom(brand, brandOf(factory));
+    },
+
+    /**
+     * Lists the type names of this factory and its ancestors, closest first
+     * @returns {string[]}
+     */
+    lineage() {
+      return lineageOf(brand);
+    },
+  };
+}
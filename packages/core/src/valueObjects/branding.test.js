@@ -0,0 +1,71 @@
+// packages/core/src/valueObjects/branding.test.js
+import { describe, it, expect } from "vitest";
+import {
+  BRAND,
+  brandOf,
+  createBrand,
+  inheritBrand,
+  inheritVariant,
+  isSameType,
+  typeOf,
+  descendsFrom,
+  areRelated,
+  lineageOf,
+  typeChecks,
+} from "./branding.js";
+
+describe("branding", () => {
+  const Base = createBrand("Base");
+  const Child = createBrand("Child");
+  const Other = createBrand("Base");
+  inheritBrand(Child, Base);
+
+  it("should give factories with the same name distinct brands", () => {
+    // Assert
+    expect(Base).not.toBe(Other);
+    expect(descendsFrom(Other, Base)).toBe(false);
+  });
+
+  it("should follow the ancestry of extended brands", () => {
+    // Assert
+    expect(descendsFrom(Child, Base)).toBe(true);
+    expect(descendsFrom(Base, Child)).toBe(false);
+    expect(descendsFrom(Base, undefined)).toBe(false);
+    expect(areRelated(Base, Child)).toBe(true);
+    expect(areRelated(Child, Other)).toBe(false);
+    expect(lineageOf(Child)).toEqual(["Child", "Base"]);
+  });
+
+  it("should treat variants as the type they configure", () => {
+    // Arrange
+    const Variant = createBrand("Base");
+    const Nested = createBrand("Base");
+    inheritVariant(Variant, Base);
+    inheritVariant(Nested, Variant);
+
+    // Assert
+    expect(typeOf(Nested)).toBe(Base);
+    expect(isSameType(Variant, Base)).toBe(true);
+    expect(isSameType(Nested, Variant)).toBe(true);
+    expect(isSameType(Child, Base)).toBe(false);
+    expect(descendsFrom(Nested, Base)).toBe(true);
+  });
+
+  it("should read brands of objects only", () => {
+    // Assert
+    expect(brandOf({ [BRAND]: Base })).toBe(Base);
+    expect(brandOf("Base")).toBeUndefined();
+    expect(brandOf(null)).toBeUndefined();
+  });
+
+  it("should create type checks for a brand", () => {
+    // Arrange
+    const checks = typeChecks(Base);
+
+    // Act & Assert
+    expect(checks.isInstance({ [BRAND]: Child })).toBe(true);
+    expect(checks.isInstance({ [BRAND]: Other })).toBe(false);
+    expect(checks.isSubtypeOf({ [BRAND]: Base })).toBe(true);
+    expect(checks.lineage()).toEqual(["Base"]);
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Checks if a value is a value object that declared a comparator
+ */
+export function isComparable(value: unknown): boolean;
+
+/**
+ * Orders two values, using the comparator of comparable value objects and
+ * the `<` and `>` operators otherwise
+ *
+ * Returns a negative number if a comes first, a positive number if b comes
+ * first, zero if both rank the same and NaN if they cannot be ordered.
+ */
+export function compareValues(a: unknown, b: unknown): number;
@@ -0,0 +1,37 @@
+// packages/core/src/valueObjects/comparison.js
+import { brandOf } from "./branding.js";
+
+/**
+ * Checks if a value is a value object that declared a comparator
+ * @param {any} value - The value to check
+ * @returns {boolean} True if the value can be ordered with `compareTo`
+ */
+export function isComparable(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    brandOf(value) !== undefined &&
+    typeof value.compareTo === "function"
+  );
+}
+
+/**
+ * Orders two values
+ *
+ * Comparable value objects decide with their comparator, so a `Money` can be
+ * compared with another `Money` or with the data of one. Other values are
+ * compared with the `<` and `>` operators.
+ *
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Negative if a comes first, positive if b comes first, zero
+ * if both rank the same, NaN if the values cannot be ordered
+ */
+export function compareValues(a, b) {
+  if (isComparable(a)) return a.compareTo(b);
+  if (isComparable(b)) return -b.compareTo(a);
+
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return a >= b ? 0 : NaN;
+}
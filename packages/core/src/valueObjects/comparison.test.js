@@ -0,0 +1,50 @@
+// packages/core/src/valueObjects/comparison.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { isComparable, compareValues } from "./comparison.js";
+import { valueObject } from "./Base.js";
+
+describe("comparison", () => {
+  const Rank = valueObject({
+    name: "Rank",
+    schema: z.number().int(),
+    compare: (a, b) => a.valueOf() - b.valueOf(),
+    methodsFactory: () => ({}),
+  });
+
+  describe("isComparable", () => {
+    it("should detect value objects with a comparator", () => {
+      // Arrange
+      const Tag = valueObject({
+        name: "Tag",
+        schema: z.string(),
+        methodsFactory: () => ({}),
+      });
+
+      // Act & Assert
+      expect(isComparable(Rank.create(1))).toBe(true);
+      expect(isComparable(Tag.create("a"))).toBe(false);
+      expect(isComparable({ compareTo: () => 0 })).toBe(false);
+      expect(isComparable(1)).toBe(false);
+      expect(isComparable(null)).toBe(false);
+    });
+  });
+
+  describe("compareValues", () => {
+    it("should use the comparator of either operand", () => {
+      // Act & Assert
+      expect(compareValues(Rank.create(2), 1)).toBeGreaterThan(0);
+      expect(compareValues(1, Rank.create(2))).toBeLessThan(0);
+      expect(compareValues(Rank.create(2), Rank.create(2))).toBe(0);
+    });
+
+    it("should fall back to the relational operators", () => {
+      // Act & Assert
+      expect(compareValues(1, 2)).toBe(-1);
+      expect(compareValues("b", "a")).toBe(1);
+      expect(compareValues(new Date(0), new Date(0))).toBe(0);
+      expect(compareValues(1, NaN)).toBeNaN();
+      expect(compareValues(undefined, 1)).toBeNaN();
+    });
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Compares two values structurally, recursing into nested value objects,
+ * arrays, plain objects, Dates, Maps and Sets
+ */
+export function deepEqual(a: unknown, b: unknown): boolean;
+
+/**
+ * Computes a stable 32-bit hash code that is consistent with deepEqual
+ */
+export function hashCode(value: unknown): number;
+
+/**
+ * Returns the own enumerable keys of an object that do not hold functions
+ */
+export function dataKeys(obj: Record<string, unknown>): string[];
@@ -0,0 +1,193 @@
+// packages/core/src/valueObjects/equality.js
+
+/**
+ * Compares two values structurally
+ *
+ * Nested value objects are compared with their own `equals` method, while
+ * arrays, plain objects, Dates, Maps and Sets are compared by their contents.
+ * Function-valued properties (methods) are ignored.
+ *
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True if both values are structurally equal
+ */
+export function deepEqual(a, b) {
+  // Handle primitives (NaN is considered equal to itself)
+  if (a === b || (Number.isNaN(a) && Number.isNaN(b))) return true;
+
+  // Handle null or undefined
+  if (a == null || b == null) return false;
+
+  if (typeof a !== "object" || typeof b !== "object") return false;
+
+  // Nested value objects decide for themselves
+  if (typeof a.equals === "function") {
+    return a.equals(b);
+  }
+
+  // Handle dates
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+    );
+  }
+
+  // Handle arrays
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b)) return false;
+    if (a.length !== b.length) return false;
+    return a.every((item, index) => deepEqual(item, b[index]));
+  }
+
+  // Handle maps - keys are matched structurally when not found by identity
+  if (a instanceof Map || b instanceof Map) {
+    if (!(a instanceof Map) || !(b instanceof Map)) return false;
+    if (a.size !== b.size) return false;
+
+    for (const [key, value] of a) {
+      const otherKey = b.has(key) ? key : findMatching(b.keys(), key);
+      if (otherKey === NOT_FOUND || !deepEqual(value, b.get(otherKey))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Handle sets
+  if (a instanceof Set || b instanceof Set) {
+    if (!(a instanceof Set) || !(b instanceof Set)) return false;
+    if (a.size !== b.size) return false;
+
+    for (const item of a) {
+      if (!b.has(item) && findMatching(b.values(), item) === NOT_FOUND) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Handle regular objects
+  const keysA = dataKeys(a);
+  const keysB = dataKeys(b);
+
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(
+    (key) => keysB.includes(key) && deepEqual(a[key], b[key]),
+  );
+}
+
+/**
+ * Computes a stable 32-bit hash code for a value
+ *
+ * The hash is consistent with {@link deepEqual}: structurally equal values
+ * produce the same hash. Object keys, Map entries and Set members are hashed
+ * independently of their insertion order. Nested objects providing their own
+ * `hashCode` method are hashed with it.
+ *
+ * @param {any} value - The value to hash
+ * @returns {number} A 32-bit integer hash code
+ */
+export function hashCode(value) {
+  if (value === null) return hashString("null");
+  if (value === undefined) return hashString("undefined");
+
+  switch (typeof value) {
+    case "string":
+      return hashString(`s:${value}`);
+    case "number":
+      // +0 and -0 are equal, so they must hash the same
+      return hashString(`n:${value === 0 ? 0 : value}`);
+    case "bigint":
+      return hashString(`b:${value}`);
+    case "boolean":
+      return hashString(`t:${value}`);
+    case "symbol":
+    case "function":
+      return hashString(`f:${String(value)}`);
+  }
+
+  if (typeof value.hashCode === "function") {
+    return value.hashCode();
+  }
+
+  if (value instanceof Date) {
+    return hashString(`d:${value.getTime()}`);
+  }
+
+  if (Array.isArray(value)) {
+    let hash = hashString("array");
+    for (const item of value) {
+      hash = (Math.imul(hash, 31) + hashCode(item)) | 0;
+    }
+    return hash;
+  }
+
+  if (value instanceof Map) {
+    let hash = 0;
+    for (const [key, item] of value) {
+      hash = (hash + (Math.imul(hashCode(key), 31) ^ hashCode(item))) | 0;
+    }
+    return (hashString("map") ^ hash) | 0;
+  }
+
+  if (value instanceof Set) {
+    let hash = 0;
+    for (const item of value) {
+      hash = (hash + hashCode(item)) | 0;
+    }
+    return (hashString("set") ^ hash) | 0;
+  }
+
+  let hash = 0;
+  for (const key of dataKeys(value)) {
+    hash = (hash + (hashString(key) ^ hashCode(value[key]))) | 0;
+  }
+  return (hashString("object") ^ hash) | 0;
+}
+
+/**
+ * Marker returned by findMatching when no structurally equal item exists
+ * @private
+ */
+const NOT_FOUND = Symbol("NOT_FOUND");
+
+/**
+ * Finds the first item in an iterable that is structurally equal to a target
+ * @param {Iterable<any>} items - Items to search
+ * @param {any} target - The value to look for
+ * @returns {any} The matching item or NOT_FOUND
+ * @private
+ */
+function findMatching(items, target) {
+  for (const item of items) {
+    if (deepEqual(target, item)) {
+      return item;
+    }
+  }
+  return NOT_FOUND;
+}
+
+/**
+ * Returns the own enumerable keys of an object that do not hold functions
+ * @param {Record<string, any>} obj - The object to inspect
+ * @returns {string[]} The data property keys
+ */
+export function dataKeys(obj) {
+  return Object.keys(obj).filter((key) => typeof obj[key] !== "function");
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} str - The string to hash
+ * @returns {number} A 32-bit integer hash
+ * @private
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash | 0;
+}
@@ -0,0 +1,113 @@
+// packages/core/src/valueObjects/equality.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { deepEqual, hashCode } from "./equality.js";
+import { valueObject } from "./Base.js";
+
+describe("equality", () => {
+  const Point = valueObject({
+    name: "Point",
+    schema: z.object({ x: z.number(), y: z.number() }),
+    methodsFactory: () => ({}),
+  });
+
+  describe("deepEqual", () => {
+    it("should compare primitives", () => {
+      // Arrange & Act & Assert
+      expect(deepEqual(1, 1)).toBe(true);
+      expect(deepEqual("a", "b")).toBe(false);
+      expect(deepEqual(NaN, NaN)).toBe(true);
+      expect(deepEqual(null, undefined)).toBe(false);
+      expect(deepEqual(1, "1")).toBe(false);
+    });
+
+    it("should compare dates by time", () => {
+      // Arrange
+      const a = new Date("2024-01-01T00:00:00Z");
+      const b = new Date("2024-01-01T00:00:00Z");
+
+      // Act & Assert
+      expect(deepEqual(a, b)).toBe(true);
+      expect(deepEqual(a, new Date("2024-01-02T00:00:00Z"))).toBe(false);
+      expect(deepEqual(a, a.getTime())).toBe(false);
+    });
+
+    it("should compare arrays and plain objects recursively", () => {
+      // Arrange
+      const a = { tags: ["a", "b"], nested: { count: 1 } };
+      const b = { nested: { count: 1 }, tags: ["a", "b"] };
+      const c = { tags: ["b", "a"], nested: { count: 1 } };
+
+      // Act & Assert
+      expect(deepEqual(a, b)).toBe(true);
+      expect(deepEqual(a, c)).toBe(false);
+      expect(deepEqual([1, 2], { 0: 1, 1: 2 })).toBe(false);
+    });
+
+    it("should compare maps and sets regardless of insertion order", () => {
+      // Arrange
+      const mapA = new Map([["a", 1], ["b", 2]]);
+      const mapB = new Map([["b", 2], ["a", 1]]);
+      const setA = new Set([1, 2, 3]);
+      const setB = new Set([3, 2, 1]);
+
+      // Act & Assert
+      expect(deepEqual(mapA, mapB)).toBe(true);
+      expect(deepEqual(mapA, new Map([["a", 1], ["b", 3]]))).toBe(false);
+      expect(deepEqual(setA, setB)).toBe(true);
+      expect(deepEqual(setA, new Set([1, 2, 4]))).toBe(false);
+    });
+
+    it("should match value object keys and members structurally", () => {
+      // Arrange
+      const mapA = new Map([[Point.create({ x: 1, y: 2 }), "a"]]);
+      const mapB = new Map([[Point.create({ x: 1, y: 2 }), "a"]]);
+      const setA = new Set([Point.create({ x: 1, y: 2 })]);
+      const setB = new Set([Point.create({ x: 1, y: 2 })]);
+
+      // Act & Assert
+      expect(deepEqual(mapA, mapB)).toBe(true);
+      expect(deepEqual(setA, setB)).toBe(true);
+    });
+
+    it("should delegate to nested value objects", () => {
+      // Arrange
+      const a = { location: Point.create({ x: 1, y: 2 }) };
+      const b = { location: Point.create({ x: 1, y: 2 }) };
+
+      // Act & Assert
+      expect(deepEqual(a, b)).toBe(true);
+    });
+  });
+
+  describe("hashCode", () => {
+    it("should produce equal hashes for structurally equal values", () => {
+      // Arrange & Act & Assert
+      expect(hashCode({ a: 1, b: [1, 2] })).toBe(hashCode({ b: [1, 2], a: 1 }));
+      expect(hashCode(new Set([1, 2]))).toBe(hashCode(new Set([2, 1])));
+      expect(hashCode(new Map([["a", 1], ["b", 2]]))).toBe(
+        hashCode(new Map([["b", 2], ["a", 1]])),
+      );
+      expect(hashCode(new Date(0))).toBe(hashCode(new Date(0)));
+      expect(hashCode(0)).toBe(hashCode(-0));
+    });
+
+    it("should distinguish different values", () => {
+      // Arrange & Act & Assert
+      expect(hashCode([1, 2])).not.toBe(hashCode([2, 1]));
+      expect(hashCode("1")).not.toBe(hashCode(1));
+      expect(hashCode({ a: 1 })).not.toBe(hashCode({ a: 2 }));
+    });
+
+    it("should use the hashCode of nested value objects", () => {
+      // Arrange
+      const point = Point.create({ x: 1, y: 2 });
+
+      // Act & Assert
+      expect(hashCode({ p: point })).toBe(
+        hashCode({ p: Point.create({ x: 1, y: 2 }) }),
+      );
+      expect(hashCode(point)).toBe(point.hashCode());
+    });
+  });
+});
@@ -1,3 +1,27 @@
-export { valueObject, ValueObject, ValueObjectFactory } from "./Base";
+export {
+  valueObject,
+  ValueObject,
+  ValueObjectFactory,
+  Comparator,
+  ComparableValueObject,
+} from "./Base";
+export { enumValueObject, EnumValue, EnumFactory, EnumMemberDefinition } from "./Enum";
+export {
+  listValueObject,
+  setValueObject,
+  mapValueObject,
+  ListValueObject,
+  SetValueObject,
+  MapValueObject,
+  CollectionFactory,
+  CollectionOptions,
+} from "./Collection";
 export * from "./primitives/index";
-export { valueObjectSchema, specificValueObjectSchema } from "./schema";
+export {
+  valueObjectSchema,
+  specificValueObjectSchema,
+  hydratedValueObjectSchema,
+  dehydrate,
+} from "./schema";
+export { deepEqual, hashCode } from "./equality";
+export { isComparable, compareValues } from "./comparison";
@@ -1,3 +1,16 @@
 export { valueObject } from "./Base.js";
+export { enumValueObject } from "./Enum.js";
+export {
+  listValueObject,
+  setValueObject,
+  mapValueObject,
+} from "./Collection.js";
 export * from "./primitives/index.js";
-export { valueObjectSchema, specificValueObjectSchema } from "./schema.js";
+export {
+  valueObjectSchema,
+  specificValueObjectSchema,
+  hydratedValueObjectSchema,
+  dehydrate,
+} from "./schema.js";
+export { deepEqual, hashCode } from "./equality.js";
+export { isComparable, compareValues } from "./comparison.js";
@@ -0,0 +1,67 @@
+import { ValueObject, ValueObjectFactory } from "../Base";
+import { LocalDateInput, LocalDateType } from "./LocalDate";
+
+/**
+ * Input accepted wherever a date range is expected
+ */
+export type DateRangeInput =
+  | string
+  | { start: LocalDateInput; end: LocalDateInput }
+  | ValueObject<{ start: string; end: string }>;
+
+/**
+ * DateRange represents an inclusive span of calendar dates
+ */
+export type DateRangeType = ValueObject<{ start: string; end: string }> & {
+  /**
+   * First date of the range
+   */
+  start: string;
+
+  /**
+   * Last date of the range
+   */
+  end: string;
+
+  /**
+   * Checks if a date lies within the range
+   */
+  contains: (date: LocalDateInput) => boolean;
+
+  /**
+   * Checks if another range lies completely within this range
+   */
+  encloses: (other: DateRangeInput) => boolean;
+
+  /**
+   * Checks if this range shares at least one date with another range
+   */
+  overlaps: (other: DateRangeInput) => boolean;
+
+  /**
+   * Returns the dates both ranges have in common, or null
+   */
+  intersection: (other: DateRangeInput) => DateRangeType | null;
+
+  /**
+   * Returns the number of days in the range, counting start and end
+   */
+  lengthInDays: () => number;
+
+  /**
+   * Lists every date of the range in order
+   */
+  days: () => LocalDateType[];
+};
+
+/**
+ * DateRange value object factory
+ */
+export const DateRange: ValueObjectFactory<{ start: string; end: string }> & {
+  create: (data: DateRangeInput | unknown) => DateRangeType;
+
+  /**
+   * Creates a range from its first and last date
+   */
+  of: (start: LocalDateInput, end: LocalDateInput) => DateRangeType;
+};
@@ -0,0 +1,152 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+import { LocalDate } from "./LocalDate.js";
+
+/**
+ * DateRange represents an inclusive span of calendar dates
+ *
+ * Use cases:
+ * - Booking and reservation periods
+ * - Validity periods of contracts, prices and promotions
+ * - Vacation and absence planning
+ *
+ * Features:
+ * - Both the start and the end date belong to the range
+ * - The start must not lie after the end
+ * - Accepts ISO-8601 intervals such as "2024-01-01/2024-01-31"
+ * - Containment, overlap and intersection checks
+ *
+ * @example
+ * const booking = DateRange.of("2024-07-01", "2024-07-14");
+ * booking.lengthInDays(); // 14
+ * booking.contains("2024-07-14"); // true
+ * booking.overlaps("2024-07-14/2024-07-20"); // true
+ * booking.toString(); // "2024-07-01/2024-07-14"
+ *
+ * @typedef {import('../Base.js').ValueObject<{start: string, end: string}>} DateRangeType
+ */
+export const DateRange = valueObject({
+  name: "DateRange",
+  schema: z.preprocess(
+    parseInterval,
+    z
+      .object({
+        start: LocalDate.schema,
+        end: LocalDate.schema,
+      })
+      .refine(({ start, end }) => start <= end, {
+        message: "DateRange start must not be after its end",
+        path: ["end"],
+      }),
+  ),
+  methodsFactory: (factory) => {
+    /**
+     * Turns any accepted range input into its start and end dates
+     * @param {any} other - A DateRange, ISO interval or {start, end} object
+     * @returns {{start: string, end: string}}
+     */
+    const toRange = (other) => {
+      const { start, end } = factory.create(other);
+      return { start, end };
+    };
+
+    return {
+      /**
+       * Checks if a date lies within the range
+       * @param {any} date - A LocalDate or ISO date string
+       * @returns {boolean} True if the date is on or between start and end
+       */
+      contains(date) {
+        const value = LocalDate.create(date).valueOf();
+        return this.start <= value && value <= this.end;
+      },
+
+      /**
+       * Checks if another range lies completely within this range
+       * @param {any} other - A DateRange, ISO interval or {start, end} object
+       * @returns {boolean} True if every date of the other range is in this range
+       */
+      encloses(other) {
+        const { start, end } = toRange(other);
+        return this.start <= start && end <= this.end;
+      },
+
+      /**
+       * Checks if this range shares at least one date with another range
+       * @param {any} other - A DateRange, ISO interval or {start, end} object
+       * @returns {boolean} True if the ranges overlap
+       */
+      overlaps(other) {
+        const { start, end } = toRange(other);
+        return this.start <= end && start <= this.end;
+      },
+
+      /**
+       * Returns the dates both ranges have in common
+       * @param {any} other - A DateRange, ISO interval or {start, end} object
+       * @returns {DateRangeType|null} The overlapping range, or null if the ranges do not overlap
+       */
+      intersection(other) {
+        const { start, end } = toRange(other);
+        const latestStart = start > this.start ? start : this.start;
+        const earliestEnd = end < this.end ? end : this.end;
+        return latestStart <= earliestEnd
+          ? /** @type {DateRangeType} */ (
+              factory.create({ start: latestStart, end: earliestEnd })
+            )
+          : null;
+      },
+
+      /**
+       * Returns the number of days in the range, counting start and end
+       * @returns {number} The number of days
+       */
+      lengthInDays() {
+        return LocalDate.create(this.start).daysUntil(this.end) + 1;
+      },
+
+      /**
+       * Lists every date of the range in order
+       * @returns {import('./LocalDate.js').LocalDateType[]} The dates from start to end
+       */
+      days() {
+        const start = LocalDate.create(this.start);
+        const length = start.daysUntil(this.end) + 1;
+        return Array.from({ length }, (_, index) => start.plusDays(index));
+      },
+
+      /**
+       * Returns the range as an ISO-8601 interval, e.g. "2024-01-01/2024-01-31"
+       * @returns {string}
+       */
+      toString() {
+        return `${this.start}/${this.end}`;
+      },
+    };
+  },
+});
+
+/**
+ * Creates a range from its first and last date
+ * @param {any} start - The first date as LocalDate or ISO date string
+ * @param {any} end - The last date as LocalDate or ISO date string
+ * @returns {DateRangeType} A new date range
+ * @throws {ValidationError} If a date is invalid or start lies after end
+ */
+DateRange.of = function (start, end) {
+  return /** @type {DateRangeType} */ (DateRange.create({ start, end }));
+};
+
+/**
+ * Splits ISO-8601 interval strings into start and end
+ * @param {any} value - The raw input
+ * @returns {any} A {start, end} object for interval strings, otherwise the input
+ * @private
+ */
+function parseInterval(value) {
+  if (typeof value === "string" && value.includes("/")) {
+    const [start, end] = value.split("/");
+    return { start, end };
+  }
+  return value;
+}
@@ -0,0 +1,139 @@
+// packages/core/src/valueObjects/primitives/DateRange.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { DateRange } from "./DateRange.js";
+import { LocalDate } from "./LocalDate.js";
+import { ValidationError } from "../../errors/index.js";
+import { entity } from "../../entities/index.js";
+
+describe("DateRange Value Object", () => {
+  describe("creation", () => {
+    it("should create a range from start and end dates", () => {
+      // Act
+      const range = DateRange.of("2024-07-01", LocalDate.create("2024-07-14"));
+
+      // Assert
+      expect(range.start).toBe("2024-07-01");
+      expect(range.end).toBe("2024-07-14");
+      expect(range.toString()).toBe("2024-07-01/2024-07-14");
+    });
+
+    it("should create a range from an ISO-8601 interval", () => {
+      // Act
+      const range = DateRange.create("2024-01-01/2024-01-31");
+
+      // Assert
+      expect(range.equals(DateRange.of("2024-01-01", "2024-01-31"))).toBe(true);
+    });
+
+    it("should allow single-day ranges", () => {
+      // Act
+      const range = DateRange.of("2024-02-29", "2024-02-29");
+
+      // Assert
+      expect(range.lengthInDays()).toBe(1);
+    });
+
+    it("should throw ValidationError when the start lies after the end", () => {
+      // Act & Assert
+      expect(() => DateRange.of("2024-02-01", "2024-01-31")).toThrow(
+        ValidationError,
+      );
+      expect(() => DateRange.of("2024-02-01", "2024-01-31")).toThrow(
+        /start must not be after its end/,
+      );
+    });
+
+    it("should throw ValidationError for invalid dates", () => {
+      // Act & Assert
+      expect(() => DateRange.create("2024-02-30/2024-03-01")).toThrow(
+        ValidationError,
+      );
+      expect(() => DateRange.create({ start: "2024-01-01" })).toThrow(
+        ValidationError,
+      );
+    });
+  });
+
+  describe("queries", () => {
+    const booking = DateRange.of("2024-07-01", "2024-07-14");
+
+    it("should check if a date is contained, including both ends", () => {
+      // Assert
+      expect(booking.contains("2024-07-01")).toBe(true);
+      expect(booking.contains(LocalDate.create("2024-07-14"))).toBe(true);
+      expect(booking.contains("2024-07-15")).toBe(false);
+      expect(booking.contains("2024-06-30")).toBe(false);
+    });
+
+    it("should detect overlapping ranges", () => {
+      // Assert
+      expect(booking.overlaps("2024-07-14/2024-07-20")).toBe(true);
+      expect(booking.overlaps(DateRange.of("2024-06-01", "2024-07-01"))).toBe(
+        true,
+      );
+      expect(booking.overlaps("2024-07-15/2024-07-20")).toBe(false);
+    });
+
+    it("should check if another range is enclosed", () => {
+      // Assert
+      expect(booking.encloses("2024-07-02/2024-07-14")).toBe(true);
+      expect(booking.encloses(booking)).toBe(true);
+      expect(booking.encloses("2024-07-02/2024-07-15")).toBe(false);
+    });
+
+    it("should return the intersection of two ranges", () => {
+      // Act & Assert
+      expect(booking.intersection("2024-07-10/2024-08-01")?.toString()).toBe(
+        "2024-07-10/2024-07-14",
+      );
+      expect(booking.intersection("2024-08-01/2024-08-02")).toBeNull();
+    });
+
+    it("should count and list the days of the range", () => {
+      // Act
+      const days = DateRange.create("2024-02-27/2024-03-01").days();
+
+      // Assert
+      expect(booking.lengthInDays()).toBe(14);
+      expect(days.map(String)).toEqual([
+        "2024-02-27",
+        "2024-02-28",
+        "2024-02-29",
+        "2024-03-01",
+      ]);
+    });
+  });
+
+  it("should serialize to its start and end dates", () => {
+    // Act & Assert
+    expect(JSON.stringify(DateRange.of("2024-01-01", "2024-01-31"))).toBe(
+      '{"start":"2024-01-01","end":"2024-01-31"}',
+    );
+  });
+
+  it("should plug into entity schemas", () => {
+    // Arrange
+    const Contract = entity({
+      name: "Contract",
+      schema: z.object({
+        id: z.string(),
+        validity: DateRange.schema,
+      }),
+      identity: "id",
+      methodsFactory: () => ({}),
+    });
+
+    // Act
+    const contract = Contract.create({
+      id: "c-1",
+      validity: "2024-01-01/2024-12-31",
+    });
+
+    // Assert
+    expect(contract.validity).toEqual({ start: "2024-01-01", end: "2024-12-31" });
+    expect(() =>
+      Contract.create({ id: "c-2", validity: "2024-12-31/2024-01-01" }),
+    ).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,170 @@
+import { ValueObject, ValueObjectFactory } from "../Base";
+import { NumberValueType } from "./Number";
+import { RoundingModeType } from "./rounding";
+
+/**
+ * Operand accepted by decimal arithmetic
+ */
+export type DecimalInput = number | string | bigint | ValueObject<unknown>;
+
+/**
+ * Decimal represents an arbitrary-precision decimal number stored as a canonical string
+ */
+export type DecimalType = ValueObject<string> & {
+  /**
+   * Adds a value to this decimal
+   */
+  add: (value: DecimalInput) => DecimalType;
+
+  /**
+   * Subtracts a value from this decimal
+   */
+  subtract: (value: DecimalInput) => DecimalType;
+
+  /**
+   * Multiplies this decimal by a factor
+   */
+  multiply: (factor: DecimalInput) => DecimalType;
+
+  /**
+   * Divides this decimal by a divisor
+   */
+  divide: (divisor: DecimalInput, scale?: number, roundingMode?: RoundingModeType) => DecimalType;
+
+  /**
+   * Increments the value by the specified amount (defaults to 1)
+   */
+  increment: (amount?: DecimalInput) => DecimalType;
+
+  /**
+   * Decrements the value by the specified amount (defaults to 1)
+   */
+  decrement: (amount?: DecimalInput) => DecimalType;
+
+  /**
+   * Rounds this value to specified decimal places
+   */
+  round: (decimals?: number, roundingMode?: RoundingModeType) => DecimalType;
+
+  /**
+   * Floors this value to the nearest integer or specified decimal place
+   */
+  floor: (decimals?: number) => DecimalType;
+
+  /**
+   * Ceils this value to the nearest integer or specified decimal place
+   */
+  ceil: (decimals?: number) => DecimalType;
+
+  /**
+   * Checks if this decimal is zero
+   */
+  isZero: () => boolean;
+
+  /**
+   * Checks if this decimal is positive
+   */
+  isPositive: () => boolean;
+
+  /**
+   * Checks if this decimal is negative
+   */
+  isNegative: () => boolean;
+
+  /**
+   * Checks if this decimal is an integer
+   */
+  isInteger: () => boolean;
+
+  /**
+   * Returns the absolute value of this decimal
+   */
+  abs: () => DecimalType;
+
+  /**
+   * Returns this decimal with the opposite sign
+   */
+  negate: () => DecimalType;
+
+  /**
+   * Raises this decimal to an integer power
+   */
+  pow: (exponent: number) => DecimalType;
+
+  /**
+   * Calculates the square root of this decimal
+   */
+  sqrt: () => DecimalType;
+
+  /**
+   * Returns the number of decimal places of this value
+   */
+  getScale: () => number;
+
+  /**
+   * Converts this decimal to a JavaScript number (may lose precision)
+   */
+  toNumber: () => number;
+
+  /**
+   * Formats this decimal with a fixed number of decimal places
+   */
+  toFixed: (decimals: number, roundingMode?: RoundingModeType) => string;
+
+  /**
+   * Converts the decimal to a formatted string
+   */
+  format: (locale?: string, options?: Intl.NumberFormatOptions) => string;
+
+  /**
+   * Formats the decimal as a percentage
+   */
+  toPercentage: (locale?: string, decimals?: number) => string;
+
+  /**
+   * Formats the decimal as currency
+   */
+  toCurrency: (currency: string, locale?: string) => string;
+};
+
+/**
+ * Decimal value object factory
+ */
+export const Decimal: ValueObjectFactory<string> & {
+  create: (data: DecimalInput | unknown) => DecimalType;
+
+  /**
+   * Creates a Decimal factory whose values always have a fixed scale
+   */
+  withScale: (
+    scale: number,
+    roundingMode?: RoundingModeType
+  ) => ValueObjectFactory<string> & {
+    create: (data: DecimalInput | unknown) => DecimalType;
+  };
+};
+
+/**
+ * Opts a NumberValue factory (or one of its descendants) into exact decimal arithmetic
+ */
+export function withPrecision<F extends ValueObjectFactory<number>>(
+  numberFactory: F,
+  options?: {
+    /**
+     * Decimal places to round arithmetic results to
+     */
+    scale?: number;
+
+    /**
+     * Rounding mode for results and divisions
+     */
+    roundingMode?: RoundingModeType;
+
+    /**
+     * Name of the resulting factory
+     */
+    name?: string;
+  }
+): ValueObjectFactory<number> & {
+  create: (data: number | unknown) => NumberValueType & Record<string, any>;
+};
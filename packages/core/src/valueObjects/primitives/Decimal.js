@@ -0,0 +1,707 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+import { BRAND, inheritVariant } from "../branding.js";
+import {
+  RoundingMode,
+  divideRounded,
+  toScaled,
+  powerOfTen,
+} from "./rounding.js";
+
+/**
+ * Number of decimal places used for divisions and square roots when no
+ * explicit scale is configured
+ */
+const DEFAULT_DIVISION_SCALE = 20;
+
+/**
+ * Decimal represents an arbitrary-precision decimal number
+ *
+ * Use cases:
+ * - Invoices, tax and interest calculations
+ * - Quantities that must not suffer from floating point errors
+ * - Values that are persisted as exact decimal strings
+ *
+ * Features:
+ * - Exact arithmetic backed by bigint, so 0.1 + 0.2 is exactly 0.3
+ * - Optional fixed scale with an explicit rounding mode
+ * - Lossless conversion to and from strings
+ * - Supports all methods of NumberValue
+ *
+ * @example
+ * const total = Decimal.create("0.1").add("0.2"); // "0.3"
+ * const price = Decimal.withScale(2).create("19.999"); // "20.00"
+ * const share = Decimal.create(10).divide(3, 4); // "3.3333"
+ *
+ * @typedef {import('../Base.js').ValueObject<string>} DecimalType
+ */
+export const Decimal = createDecimal({ scale: undefined });
+
+/**
+ * Fixed-scale Decimal factories, by scale and rounding mode
+ * @type {Map<string, any>}
+ * @private
+ */
+const scaledDecimals = new Map();
+
+/**
+ * Creates a Decimal factory whose values always have a fixed scale
+ * Its values are Decimals, and calls with the same scale and rounding mode
+ * return the same factory.
+ * @param {number} scale - Number of decimal places
+ * @param {string} [roundingMode=RoundingMode.HALF_EVEN] - How to round values and results to the scale
+ * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for fixed-scale decimals
+ *
+ * @example
+ * const Price = Decimal.withScale(2, RoundingMode.HALF_UP);
+ * Price.create("1.005").toString(); // "1.01"
+ */
+Decimal.withScale = function (scale, roundingMode = RoundingMode.HALF_EVEN) {
+  if (!Number.isInteger(scale) || scale < 0) {
+    throw new Error("Scale must be a non-negative integer");
+  }
+  const key = `${scale}:${roundingMode}`;
+  if (!scaledDecimals.has(key)) {
+    const ScaledDecimal = createDecimal({ scale, roundingMode });
+    inheritVariant(ScaledDecimal[BRAND], Decimal[BRAND]);
+    scaledDecimals.set(key, ScaledDecimal);
+  }
+  return scaledDecimals.get(key);
+};
+
+/**
+ * Creates a Decimal factory for the given scale configuration
+ * @param {object} config - Decimal configuration
+ * @param {number|undefined} config.scale - Fixed number of decimal places, or undefined for arbitrary scale
+ * @param {string} [config.roundingMode=RoundingMode.HALF_EVEN] - Rounding mode used for scale adjustments
+ * @returns {any} A Decimal value object factory
+ * @private
+ */
+function createDecimal({ scale, roundingMode = RoundingMode.HALF_EVEN }) {
+  /**
+   * Brings a scaled value into the canonical form of this factory
+   * @param {Scaled} value - The value to canonicalize
+   * @returns {string} The canonical decimal string
+   */
+  const canonical = (value) =>
+    formatScaled(
+      scale === undefined
+        ? stripTrailingZeros(value)
+        : rescale(value, scale, roundingMode),
+    );
+
+  return valueObject({
+    name: "Decimal",
+    schema: z
+      .preprocess(
+        unwrap,
+        z.union([z.string(), z.number().finite(), z.bigint()], {
+          errorMap: () => ({ message: "Expected a decimal number" }),
+        }),
+      )
+      .transform((value, ctx) => {
+        try {
+          return canonical(toScaled(value));
+        } catch {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Invalid decimal value: ${value}`,
+          });
+          return z.NEVER;
+        }
+      }),
+    overrideIsPrimitive: true,
+    methodsFactory: (factory) => {
+      /**
+       * Creates a new instance from a scaled value
+       * @param {Scaled} value - The scaled result
+       * @returns {DecimalType}
+       */
+      const fromScaled = (value) =>
+        /** @type {DecimalType} */ (factory.create(formatScaled(value)));
+
+      return {
+        /**
+         * Adds a value to this decimal
+         * @param {number|string|bigint|object} value - Value to add
+         * @returns {DecimalType} New instance with result
+         */
+        add(value) {
+          return fromScaled(addScaled(parse(this), parse(value)));
+        },
+
+        /**
+         * Subtracts a value from this decimal
+         * @param {number|string|bigint|object} value - Value to subtract
+         * @returns {DecimalType} New instance with result
+         */
+        subtract(value) {
+          return fromScaled(addScaled(parse(this), negateScaled(parse(value))));
+        },
+
+        /**
+         * Multiplies this decimal by a factor
+         * @param {number|string|bigint|object} factor - Multiplication factor
+         * @returns {DecimalType} New instance with result
+         */
+        multiply(factor) {
+          return fromScaled(multiplyScaled(parse(this), parse(factor)));
+        },
+
+        /**
+         * Divides this decimal by a divisor
+         * @param {number|string|bigint|object} divisor - Value to divide by
+         * @param {number} [resultScale] - Decimal places of the result (defaults to the factory scale or 20)
+         * @param {string} [mode] - Rounding mode (defaults to the factory rounding mode)
+         * @returns {DecimalType} New instance with result
+         * @throws {Error} If divisor is zero
+         */
+        divide(divisor, resultScale = scale, mode = roundingMode) {
+          return fromScaled(
+            divideScaled(
+              parse(this),
+              parse(divisor),
+              resultScale ?? DEFAULT_DIVISION_SCALE,
+              mode,
+            ),
+          );
+        },
+
+        /**
+         * Increments the value by the specified amount (defaults to 1)
+         * @param {number|string|bigint|object} [amount=1] - Amount to increment by
+         * @returns {DecimalType} New instance with incremented value
+         */
+        increment(amount = 1) {
+          return fromScaled(addScaled(parse(this), parse(amount)));
+        },
+
+        /**
+         * Decrements the value by the specified amount (defaults to 1)
+         * @param {number|string|bigint|object} [amount=1] - Amount to decrement by
+         * @returns {DecimalType} New instance with decremented value
+         */
+        decrement(amount = 1) {
+          return fromScaled(addScaled(parse(this), negateScaled(parse(amount))));
+        },
+
+        /**
+         * Rounds this value to specified decimal places
+         * @param {number} [decimals=0] - Number of decimal places
+         * @param {string} [mode] - Rounding mode (defaults to the factory rounding mode)
+         * @returns {DecimalType} New instance with rounded value
+         */
+        round(decimals = 0, mode = roundingMode) {
+          return fromScaled(rescale(parse(this), decimals, mode));
+        },
+
+        /**
+         * Floors this value to the nearest integer or specified decimal place
+         * @param {number} [decimals=0] - Number of decimal places
+         * @returns {DecimalType} New instance with floored value
+         */
+        floor(decimals = 0) {
+          return fromScaled(rescale(parse(this), decimals, RoundingMode.FLOOR));
+        },
+
+        /**
+         * Ceils this value to the nearest integer or specified decimal place
+         * @param {number} [decimals=0] - Number of decimal places
+         * @returns {DecimalType} New instance with ceiled value
+         */
+        ceil(decimals = 0) {
+          return fromScaled(rescale(parse(this), decimals, RoundingMode.CEILING));
+        },
+
+        /**
+         * Checks if this decimal is zero
+         * @returns {boolean} True if value is zero
+         */
+        isZero() {
+          return parse(this).digits === 0n;
+        },
+
+        /**
+         * Checks if this decimal is positive (greater than zero)
+         * @returns {boolean} True if value is positive
+         */
+        isPositive() {
+          return parse(this).digits > 0n;
+        },
+
+        /**
+         * Checks if this decimal is negative (less than zero)
+         * @returns {boolean} True if value is negative
+         */
+        isNegative() {
+          return parse(this).digits < 0n;
+        },
+
+        /**
+         * Checks if this decimal is an integer
+         * @returns {boolean} True if value has no fractional part
+         */
+        isInteger() {
+          const { digits, scale: valueScale } = parse(this);
+          return digits % powerOfTen(valueScale) === 0n;
+        },
+
+        /**
+         * Returns the absolute value of this decimal
+         * @returns {DecimalType} New instance with absolute value
+         */
+        abs() {
+          const value = parse(this);
+          return fromScaled(value.digits < 0n ? negateScaled(value) : value);
+        },
+
+        /**
+         * Returns this decimal with the opposite sign
+         * @returns {DecimalType} New negated instance
+         */
+        negate() {
+          return fromScaled(negateScaled(parse(this)));
+        },
+
+        /**
+         * Raises this decimal to an integer power
+         * @param {number} exponent - Integer power to raise to
+         * @returns {DecimalType} New instance with result
+         * @throws {Error} If the exponent is not an integer
+         */
+        pow(exponent) {
+          if (!Number.isInteger(exponent)) {
+            throw new Error("Decimal exponent must be an integer");
+          }
+
+          const base = parse(this);
+          let result = { digits: 1n, scale: 0 };
+          for (let i = 0; i < Math.abs(exponent); i++) {
+            result = multiplyScaled(result, base);
+          }
+
+          return fromScaled(
+            exponent < 0
+              ? divideScaled(
+                  { digits: 1n, scale: 0 },
+                  result,
+                  scale ?? DEFAULT_DIVISION_SCALE,
+                  roundingMode,
+                )
+              : result,
+          );
+        },
+
+        /**
+         * Calculates the square root of this decimal
+         * @returns {DecimalType} New instance with result
+         * @throws {Error} If this decimal is negative
+         */
+        sqrt() {
+          const value = parse(this);
+          if (value.digits < 0n) {
+            throw new Error("Cannot calculate square root of negative number");
+          }
+          return fromScaled(
+            sqrtScaled(value, scale ?? DEFAULT_DIVISION_SCALE, roundingMode),
+          );
+        },
+
+        /**
+         * Returns the number of decimal places of this value
+         * @returns {number} The scale
+         */
+        getScale() {
+          return parse(this).scale;
+        },
+
+        /**
+         * Converts this decimal to a JavaScript number (may lose precision)
+         * @returns {number} The nearest floating point number
+         */
+        toNumber() {
+          return Number(this.valueOf());
+        },
+
+        /**
+         * Formats this decimal with a fixed number of decimal places
+         * @param {number} decimals - Number of decimal places
+         * @param {string} [mode] - Rounding mode (defaults to the factory rounding mode)
+         * @returns {string} The formatted decimal string
+         */
+        toFixed(decimals, mode = roundingMode) {
+          return formatScaled(rescale(parse(this), decimals, mode));
+        },
+
+        /**
+         * Converts the decimal to a formatted string
+         * @param {string} [locale='en-US'] - Locale to use for formatting
+         * @param {Intl.NumberFormatOptions} [options] - Number formatting options
+         * @returns {string} Formatted number string
+         */
+        format(locale = "en-US", options = {}) {
+          return new Intl.NumberFormat(locale, options).format(
+            /** @type {any} */ (this.valueOf()),
+          );
+        },
+
+        /**
+         * Formats the decimal as a percentage
+         * @param {string} [locale='en-US'] - Locale to use for formatting
+         * @param {number} [decimals=0] - Number of decimal places
+         * @returns {string} Formatted percentage string
+         */
+        toPercentage(locale = "en-US", decimals = 0) {
+          return new Intl.NumberFormat(locale, {
+            style: "percent",
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals,
+          }).format(/** @type {any} */ (this.valueOf()));
+        },
+
+        /**
+         * Formats the decimal as currency
+         * @param {string} currency - Currency code (e.g. 'USD', 'EUR')
+         * @param {string} [locale='en-US'] - Locale to use for formatting
+         * @returns {string} Formatted currency string
+         */
+        toCurrency(currency, locale = "en-US") {
+          return new Intl.NumberFormat(locale, {
+            style: "currency",
+            currency,
+          }).format(/** @type {any} */ (this.valueOf()));
+        },
+      };
+    },
+  });
+}
+
+/**
+ * Opts a NumberValue factory (or one of its descendants) into exact decimal arithmetic
+ *
+ * The returned factory still holds plain numbers, but its arithmetic and rounding
+ * methods compute on the shortest decimal representation of the operands, so
+ * `0.1 + 0.2` yields `0.3`. With a scale, every arithmetic result is rounded to
+ * that many decimal places using the given rounding mode.
+ *
+ * @param {import('../Base.js').ValueObjectFactory<number>} numberFactory - NumberValue or a descendant such as PositiveNumber
+ * @param {object} [options] - Precision options
+ * @param {number} [options.scale] - Decimal places to round arithmetic results to
+ * @param {string} [options.roundingMode=RoundingMode.HALF_EVEN] - Rounding mode for results and divisions
+ * @param {string} [options.name] - Name of the resulting factory (defaults to "Precise<name>")
+ * @returns {import('../Base.js').ValueObjectFactory<number>} A factory with exact arithmetic
+ *
+ * @example
+ * const PreciseNumber = withPrecision(NumberValue);
+ * PreciseNumber.create(0.1).add(0.2).valueOf(); // 0.3
+ *
+ * const Price = withPrecision(PositiveNumber, { scale: 2, roundingMode: RoundingMode.HALF_UP });
+ * Price.create(10).divide(3).valueOf(); // 3.33
+ */
+export function withPrecision(numberFactory, options = {}) {
+  const {
+    scale,
+    roundingMode = RoundingMode.HALF_EVEN,
+    name = `Precise${numberFactory.name}`,
+  } = options;
+
+  if (scale !== undefined && (!Number.isInteger(scale) || scale < 0)) {
+    throw new Error("Scale must be a non-negative integer");
+  }
+
+  return numberFactory.extend({
+    name,
+    methodsFactory: (factory) => {
+      /**
+       * Creates a new instance from a scaled result, applying the configured scale
+       * @param {Scaled} value - The scaled result
+       * @returns {any}
+       */
+      const fromScaled = (value) =>
+        factory.create(
+          Number(
+            formatScaled(
+              scale === undefined ? value : rescale(value, scale, roundingMode),
+            ),
+          ),
+        );
+
+      return {
+        /**
+         * Adds a value to this number exactly
+         * @param {number} value - Value to add
+         * @returns {any} New instance with result
+         */
+        add(value) {
+          return fromScaled(addScaled(parse(this), parse(value)));
+        },
+
+        /**
+         * Subtracts a value from this number exactly
+         * @param {number} value - Value to subtract
+         * @returns {any} New instance with result
+         */
+        subtract(value) {
+          return fromScaled(addScaled(parse(this), negateScaled(parse(value))));
+        },
+
+        /**
+         * Multiplies this number by a factor exactly
+         * @param {number} factor - Multiplication factor
+         * @returns {any} New instance with result
+         */
+        multiply(factor) {
+          return fromScaled(multiplyScaled(parse(this), parse(factor)));
+        },
+
+        /**
+         * Divides this number by a divisor, rounding with the configured mode
+         * @param {number} divisor - Value to divide by
+         * @returns {any} New instance with result
+         * @throws {Error} If divisor is zero
+         */
+        divide(divisor) {
+          return fromScaled(
+            divideScaled(
+              parse(this),
+              parse(divisor),
+              scale ?? DEFAULT_DIVISION_SCALE,
+              roundingMode,
+            ),
+          );
+        },
+
+        /**
+         * Increments the value exactly by the specified amount (defaults to 1)
+         * @param {number} [amount=1] - Amount to increment by
+         * @returns {any} New instance with incremented value
+         */
+        increment(amount = 1) {
+          return fromScaled(addScaled(parse(this), parse(amount)));
+        },
+
+        /**
+         * Decrements the value exactly by the specified amount (defaults to 1)
+         * @param {number} [amount=1] - Amount to decrement by
+         * @returns {any} New instance with decremented value
+         */
+        decrement(amount = 1) {
+          return fromScaled(addScaled(parse(this), negateScaled(parse(amount))));
+        },
+
+        /**
+         * Rounds this value to specified decimal places with the configured mode
+         * @param {number} [decimals=0] - Number of decimal places
+         * @returns {any} New instance with rounded value
+         */
+        round(decimals = 0) {
+          return fromScaled(rescale(parse(this), decimals, roundingMode));
+        },
+
+        /**
+         * Floors this value to the nearest integer or specified decimal place
+         * @param {number} [decimals=0] - Number of decimal places
+         * @returns {any} New instance with floored value
+         */
+        floor(decimals = 0) {
+          return fromScaled(rescale(parse(this), decimals, RoundingMode.FLOOR));
+        },
+
+        /**
+         * Ceils this value to the nearest integer or specified decimal place
+         * @param {number} [decimals=0] - Number of decimal places
+         * @returns {any} New instance with ceiled value
+         */
+        ceil(decimals = 0) {
+          return fromScaled(rescale(parse(this), decimals, RoundingMode.CEILING));
+        },
+      };
+    },
+  });
+}
+
+/**
+ * @typedef {{digits: bigint, scale: number}} Scaled
+ * @private
+ */
+
+/**
+ * Unwraps value objects to their primitive value
+ * @param {any} value - A primitive or a value object
+ * @returns {any} The primitive value
+ * @private
+ */
+function unwrap(value) {
+  return value !== null &&
+    typeof value === "object" &&
+    typeof value.valueOf === "function"
+    ? value.valueOf()
+    : value;
+}
+
+/**
+ * Parses an operand into a scaled value
+ * @param {any} value - A number, string, bigint or value object
+ * @returns {Scaled} The exact scaled value
+ * @private
+ */
+function parse(value) {
+  return toScaled(unwrap(value));
+}
+
+/**
+ * Changes the scale of a value, rounding when digits are dropped
+ * @param {Scaled} value - The value to rescale
+ * @param {number} newScale - The target scale
+ * @param {string} mode - The rounding mode
+ * @returns {Scaled} The rescaled value
+ * @private
+ */
+function rescale({ digits, scale }, newScale, mode) {
+  if (newScale >= scale) {
+    return { digits: digits * powerOfTen(newScale - scale), scale: newScale };
+  }
+  return {
+    digits: divideRounded(digits, powerOfTen(scale - newScale), mode),
+    scale: newScale,
+  };
+}
+
+/**
+ * Removes insignificant trailing zeros from the fraction
+ * @param {Scaled} value - The value to normalize
+ * @returns {Scaled} The normalized value
+ * @private
+ */
+function stripTrailingZeros({ digits, scale }) {
+  while (scale > 0 && digits % 10n === 0n) {
+    digits /= 10n;
+    scale--;
+  }
+  return { digits, scale };
+}
+
+/**
+ * Adds two scaled values
+ * @param {Scaled} a - First value
+ * @param {Scaled} b - Second value
+ * @returns {Scaled} The exact sum
+ * @private
+ */
+function addScaled(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return {
+    digits:
+      a.digits * powerOfTen(scale - a.scale) +
+      b.digits * powerOfTen(scale - b.scale),
+    scale,
+  };
+}
+
+/**
+ * Negates a scaled value
+ * @param {Scaled} value - The value to negate
+ * @returns {Scaled} The negated value
+ * @private
+ */
+function negateScaled({ digits, scale }) {
+  return { digits: -digits, scale };
+}
+
+/**
+ * Multiplies two scaled values
+ * @param {Scaled} a - First value
+ * @param {Scaled} b - Second value
+ * @returns {Scaled} The exact product
+ * @private
+ */
+function multiplyScaled(a, b) {
+  return { digits: a.digits * b.digits, scale: a.scale + b.scale };
+}
+
+/**
+ * Divides two scaled values, rounding to the given scale
+ * @param {Scaled} a - Dividend
+ * @param {Scaled} b - Divisor
+ * @param {number} scale - Decimal places of the result
+ * @param {string} mode - The rounding mode
+ * @returns {Scaled} The rounded quotient
+ * @throws {Error} If the divisor is zero
+ * @private
+ */
+function divideScaled(a, b, scale, mode) {
+  // a / b = (a.digits / 10^a.scale) / (b.digits / 10^b.scale)
+  // Shift the dividend so the quotient has exactly `scale` decimal places
+  const shift = scale + b.scale - a.scale;
+  const numerator =
+    shift >= 0 ? a.digits * powerOfTen(shift) : a.digits;
+  const denominator =
+    shift >= 0 ? b.digits : b.digits * powerOfTen(-shift);
+  return { digits: divideRounded(numerator, denominator, mode), scale };
+}
+
+/**
+ * Calculates the square root of a non-negative scaled value
+ * @param {Scaled} value - The value
+ * @param {number} scale - Decimal places of the result
+ * @param {string} mode - The rounding mode
+ * @returns {Scaled} The rounded square root
+ * @private
+ */
+function sqrtScaled(value, scale, mode) {
+  // The radicand N = numerator / denominator is the value shifted by 2 * scale
+  // digits, so that sqrt(N) carries exactly `scale` decimal places
+  const shift = 2 * scale - value.scale;
+  const numerator =
+    shift >= 0 ? value.digits * powerOfTen(shift) : value.digits;
+  const denominator = shift >= 0 ? 1n : powerOfTen(-shift);
+
+  const root = integerSqrt(numerator / denominator);
+  if (root * root * denominator === numerator) {
+    return { digits: root, scale };
+  }
+
+  // sqrt(N) lies strictly between root and root + 1. Compare N with
+  // (root + 1/2)^2 and let divideRounded round a stand-in fraction that
+  // lies on the same side of the midpoint
+  const comparison = 4n * numerator - (2n * root + 1n) ** 2n * denominator;
+  const quarters = comparison < 0n ? 1n : comparison === 0n ? 2n : 3n;
+
+  return { digits: divideRounded(4n * root + quarters, 4n, mode), scale };
+}
+
+/**
+ * Calculates the integer square root using Newton's method
+ * @param {bigint} n - A non-negative integer
+ * @returns {bigint} The largest integer whose square is at most n
+ * @private
+ */
+function integerSqrt(n) {
+  if (n < 2n) {
+    return n;
+  }
+
+  let x = n;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + n / x) / 2n;
+  }
+  return x;
+}
+
+/**
+ * Formats a scaled value as a plain decimal string
+ * @param {Scaled} value - The value to format
+ * @returns {string} The decimal string, e.g. "-12.50"
+ * @private
+ */
+function formatScaled({ digits, scale }) {
+  const negative = digits < 0n;
+  const text = (negative ? -digits : digits)
+    .toString()
+    .padStart(scale + 1, "0");
+  const integerPart = scale > 0 ? text.slice(0, -scale) : text;
+  const fractionPart = scale > 0 ? `.${text.slice(-scale)}` : "";
+  return `${negative ? "-" : ""}${integerPart}${fractionPart}`;
+}
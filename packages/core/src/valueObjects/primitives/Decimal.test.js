@@ -0,0 +1,176 @@
+import { describe, it, expect } from "vitest";
+import { Decimal, withPrecision } from "./Decimal.js";
+import { NumberValue } from "./Number.js";
+import { PositiveNumber } from "./PositiveNumber.js";
+import { RoundingMode } from "./rounding.js";
+import { ValidationError } from "../../errors/index.js";
+
+describe("Decimal Value Object", () => {
+  it("should create decimals from strings, numbers and bigints", () => {
+    // Arrange & Act & Assert
+    expect(Decimal.create("19.990").toString()).toBe("19.99");
+    expect(Decimal.create(0.1).toString()).toBe("0.1");
+    expect(Decimal.create(12n).toString()).toBe("12");
+    expect(Decimal.create("-0.50").toString()).toBe("-0.5");
+    expect(Decimal.create(Decimal.create("1.5")).toString()).toBe("1.5");
+  });
+
+  it("should throw ValidationError for invalid input", () => {
+    // Arrange
+    const invalidValues = ["abc", "", NaN, Infinity, null, {}];
+
+    // Act & Assert
+    invalidValues.forEach((value) => {
+      expect(() => Decimal.create(value)).toThrow(ValidationError);
+    });
+  });
+
+  it("should add, subtract and multiply exactly", () => {
+    // Arrange
+    const value = Decimal.create("0.1");
+
+    // Act & Assert
+    expect(value.add("0.2").toString()).toBe("0.3");
+    expect(value.add(0.2).equals(Decimal.create("0.3"))).toBe(true);
+    expect(value.subtract("0.3").toString()).toBe("-0.2");
+    expect(Decimal.create("1.1").multiply("1.1").toString()).toBe("1.21");
+    expect(value.increment().decrement("0.05").toString()).toBe("1.05");
+  });
+
+  it("should divide with explicit scale and rounding", () => {
+    // Arrange
+    const ten = Decimal.create(10);
+
+    // Act & Assert
+    expect(ten.divide(3, 4).toString()).toBe("3.3333");
+    expect(ten.divide(4).toString()).toBe("2.5");
+    expect(Decimal.create(2).divide(3, 2, RoundingMode.DOWN).toString()).toBe("0.66");
+    expect(() => ten.divide(0)).toThrow("Cannot divide by zero");
+  });
+
+  it("should round, floor and ceil to decimal places", () => {
+    // Arrange
+    const value = Decimal.create("2.345");
+
+    // Act & Assert
+    expect(value.round(2).toString()).toBe("2.34"); // HALF_EVEN
+    expect(value.round(2, RoundingMode.HALF_UP).toString()).toBe("2.35");
+    expect(value.floor(1).toString()).toBe("2.3");
+    expect(value.ceil(1).toString()).toBe("2.4");
+    expect(Decimal.create("-2.5").round().toString()).toBe("-2");
+  });
+
+  it("should support the remaining NumberValue methods", () => {
+    // Arrange
+    const value = Decimal.create("-1.5");
+
+    // Act & Assert
+    expect(value.isNegative()).toBe(true);
+    expect(value.isPositive()).toBe(false);
+    expect(value.isZero()).toBe(false);
+    expect(value.isInteger()).toBe(false);
+    expect(Decimal.create("3.00").isInteger()).toBe(true);
+    expect(value.abs().toString()).toBe("1.5");
+    expect(value.pow(2).toString()).toBe("2.25");
+    expect(Decimal.create(2).pow(-2).toString()).toBe("0.25");
+    expect(Decimal.create("2.25").sqrt().toString()).toBe("1.5");
+    expect(Decimal.create(2).sqrt().round(10).toString()).toBe("1.4142135624");
+    expect(() => value.sqrt()).toThrow("Cannot calculate square root of negative number");
+    expect(() => value.pow(0.5)).toThrow("Decimal exponent must be an integer");
+    expect(Decimal.create("1234.5").format("en-US")).toBe("1,234.5");
+    expect(Decimal.create("0.25").toPercentage()).toBe("25%");
+    expect(Decimal.create("9.99").toCurrency("USD")).toBe("$9.99");
+  });
+
+  it("should convert losslessly to and from strings", () => {
+    // Arrange
+    const text = "12345678901234567890.123456789";
+
+    // Act
+    const value = Decimal.create(text);
+    const restored = Decimal.create(JSON.parse(JSON.stringify(value)));
+
+    // Assert
+    expect(value.toString()).toBe(text);
+    expect(restored.equals(value)).toBe(true);
+    expect(value.toFixed(2)).toBe("12345678901234567890.12");
+    expect(value.getScale()).toBe(9);
+  });
+
+  describe("withScale", () => {
+    it("should keep a fixed scale and round input and results", () => {
+      // Arrange
+      const Price = Decimal.withScale(2, RoundingMode.HALF_UP);
+
+      // Act
+      const price = Price.create("1.005");
+
+      // Assert
+      expect(price.toString()).toBe("1.01");
+      expect(Price.create(3).toString()).toBe("3.00");
+      expect(price.multiply(3).toString()).toBe("3.03");
+      expect(Price.create(10).divide(3).toString()).toBe("3.33");
+    });
+
+    it("should create Decimals of one type for the same scale", () => {
+      // Act
+      const price = Decimal.withScale(2).create("1.25");
+
+      // Assert
+      expect(Decimal.withScale(2)).toBe(Decimal.withScale(2));
+      expect(price.equals(Decimal.withScale(2).create("1.250"))).toBe(true);
+      expect(price.equals(Decimal.create("1.25"))).toBe(true);
+      expect(Decimal.isInstance(price)).toBe(true);
+      expect(Decimal.withScale(2, RoundingMode.HALF_UP)).not.toBe(
+        Decimal.withScale(2),
+      );
+    });
+
+    it("should reject invalid scales", () => {
+      // Arrange & Act & Assert
+      expect(() => Decimal.withScale(-1)).toThrow("Scale must be a non-negative integer");
+      expect(() => Decimal.withScale(1.5)).toThrow("Scale must be a non-negative integer");
+    });
+  });
+
+  describe("withPrecision", () => {
+    it("should make NumberValue arithmetic exact", () => {
+      // Arrange
+      const PreciseNumber = withPrecision(NumberValue);
+
+      // Act
+      const value = PreciseNumber.create(0.1);
+
+      // Assert
+      expect(NumberValue.create(0.1).add(0.2).valueOf()).not.toBe(0.3);
+      expect(value.add(0.2).valueOf()).toBe(0.3);
+      expect(PreciseNumber.create(1.005).round(2).valueOf()).toBe(1);
+      expect(PreciseNumber.create(0.3).subtract(0.1).valueOf()).toBe(0.2);
+      expect(PreciseNumber.create(1.1).multiply(1.1).valueOf()).toBe(1.21);
+    });
+
+    it("should round results to the configured scale and keep descendant validation", () => {
+      // Arrange
+      const Price = withPrecision(PositiveNumber, {
+        scale: 2,
+        roundingMode: RoundingMode.HALF_UP,
+      });
+
+      // Act
+      const price = Price.create(10);
+
+      // Assert
+      expect(price.divide(3).valueOf()).toBe(3.33);
+      expect(price.multiply(0.0125).valueOf()).toBe(0.13);
+      expect(price.isPositive()).toBe(true);
+      expect(() => Price.create(-1)).toThrow(ValidationError);
+    });
+
+    it("should reject invalid scales", () => {
+      // Arrange & Act & Assert
+      expect(() => withPrecision(NumberValue, { scale: -2 })).toThrow(
+        "Scale must be a non-negative integer",
+      );
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  ComparableValueObject,
+  ValueObject,
+  ValueObjectFactory,
+} from "../Base";
+
+/**
+ * Units accepted when creating a duration from an object
+ */
+export type DurationUnits = {
+  weeks?: number;
+  days?: number;
+  hours?: number;
+  minutes?: number;
+  seconds?: number;
+  milliseconds?: number;
+};
+
+/**
+ * Input accepted wherever a duration is expected
+ */
+export type DurationInput = string | number | DurationUnits | ValueObject<string>;
+
+/**
+ * Input accepted wherever a point in time is expected
+ */
+export type PointInTimeInput = string | number | Date | ValueObject<string>;
+
+/**
+ * Duration represents an exact amount of elapsed time stored as an ISO-8601 duration
+ */
+export type DurationType = ComparableValueObject<string> & {
+  /**
+   * Returns the duration in milliseconds
+   */
+  toMilliseconds: () => number;
+
+  /**
+   * Returns the duration in seconds
+   */
+  toSeconds: () => number;
+
+  /**
+   * Returns the duration in minutes
+   */
+  toMinutes: () => number;
+
+  /**
+   * Returns the duration in hours
+   */
+  toHours: () => number;
+
+  /**
+   * Returns the duration in days of 24 hours
+   */
+  toDays: () => number;
+
+  /**
+   * Adds another duration
+   */
+  plus: (other: DurationInput) => DurationType;
+
+  /**
+   * Subtracts another duration
+   */
+  minus: (other: DurationInput) => DurationType;
+
+  /**
+   * Multiplies the duration by a factor, rounding to whole milliseconds
+   */
+  multiply: (factor: number) => DurationType;
+
+  /**
+   * Returns the duration with the opposite sign
+   */
+  negate: () => DurationType;
+
+  /**
+   * Returns the absolute duration
+   */
+  abs: () => DurationType;
+
+  /**
+   * Checks if the duration is zero
+   */
+  isZero: () => boolean;
+
+  /**
+   * Checks if the duration is negative
+   */
+  isNegative: () => boolean;
+
+  /**
+   * Checks if this duration is longer than another
+   */
+  isLongerThan: (other: DurationInput) => boolean;
+
+  /**
+   * Checks if this duration is shorter than another
+   */
+  isShorterThan: (other: DurationInput) => boolean;
+};
+
+/**
+ * Duration value object factory
+ */
+export const Duration: ValueObjectFactory<string> & {
+  /**
+   * Orders two Duration values, for use with Array.prototype.sort
+   */
+  compare: (a: unknown, b: unknown) => number;
+
+  create: (data: DurationInput | unknown) => DurationType;
+
+  /**
+   * Creates a duration from units
+   */
+  of: (units: DurationUnits) => DurationType;
+
+  /**
+   * Creates the duration between two points in time
+   */
+  between: (start: PointInTimeInput, end: PointInTimeInput) => DurationType;
+};
@@ -0,0 +1,362 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+import { MS_PER, unwrap } from "./time.js";
+
+/**
+ * Units accepted when creating a duration from an object
+ * @private
+ */
+const UNIT_MS = Object.freeze({
+  weeks: MS_PER.week,
+  days: MS_PER.day,
+  hours: MS_PER.hour,
+  minutes: MS_PER.minute,
+  seconds: MS_PER.second,
+  milliseconds: 1,
+});
+
+/**
+ * ISO-8601 duration with weeks, days and time components
+ * @private
+ */
+const ISO_DURATION =
+  /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)(?:[.,](\d{1,3}))?S)?)?$/;
+
+/**
+ * Duration represents an exact amount of elapsed time
+ *
+ * Use cases:
+ * - Timeouts, SLAs and retention periods
+ * - Time spent on a task or booked in a timesheet
+ * - The distance between two instants
+ *
+ * Features:
+ * - Stored as a canonical ISO-8601 duration string, e.g. "PT1H30M"
+ * - Created from ISO strings, milliseconds or unit objects
+ * - Millisecond precision; a day is always 24 hours
+ * - Years and months are rejected because their length depends on the calendar,
+ *   use LocalDate.plusMonths/plusYears for calendar arithmetic
+ *
+ * @example
+ * const timeout = Duration.create("PT30S");
+ * const shift = Duration.of({ hours: 8, minutes: 30 }); // "PT8H30M"
+ * shift.plus(timeout).toString(); // "PT8H30M30S"
+ * shift.toMinutes(); // 510
+ *
+ * @typedef {import('../Base.js').ValueObject<string>} DurationType
+ */
+export const Duration = valueObject({
+  name: "Duration",
+  schema: z
+    .preprocess(
+      unwrap,
+      z.union(
+        [
+          z.string(),
+          z.number().int("Duration milliseconds must be an integer"),
+          z
+            .object({
+              weeks: z.number().finite().optional(),
+              days: z.number().finite().optional(),
+              hours: z.number().finite().optional(),
+              minutes: z.number().finite().optional(),
+              seconds: z.number().finite().optional(),
+              milliseconds: z.number().finite().optional(),
+            })
+            .strict(),
+        ],
+        {
+          errorMap: () => ({
+            message:
+              "Expected an ISO-8601 duration, milliseconds or a unit object",
+          }),
+        },
+      ),
+    )
+    .transform((value, ctx) => {
+      const milliseconds = toMilliseconds(value);
+
+      if (typeof milliseconds === "string") {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: milliseconds });
+        return z.NEVER;
+      }
+      if (!Number.isSafeInteger(milliseconds)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Duration exceeds the safe integer range",
+        });
+        return z.NEVER;
+      }
+
+      return formatDuration(milliseconds);
+    }),
+  overrideIsPrimitive: true,
+  compare: (a, b) => parseDuration(a.valueOf()) - parseDuration(b.valueOf()),
+  methodsFactory: (factory) => ({
+    /**
+     * Returns the duration in milliseconds
+     * @returns {number} The total number of milliseconds
+     */
+    toMilliseconds() {
+      return parseDuration(this.valueOf());
+    },
+
+    /**
+     * Returns the duration in seconds
+     * @returns {number} The total number of seconds, possibly fractional
+     */
+    toSeconds() {
+      return parseDuration(this.valueOf()) / MS_PER.second;
+    },
+
+    /**
+     * Returns the duration in minutes
+     * @returns {number} The total number of minutes, possibly fractional
+     */
+    toMinutes() {
+      return parseDuration(this.valueOf()) / MS_PER.minute;
+    },
+
+    /**
+     * Returns the duration in hours
+     * @returns {number} The total number of hours, possibly fractional
+     */
+    toHours() {
+      return parseDuration(this.valueOf()) / MS_PER.hour;
+    },
+
+    /**
+     * Returns the duration in days of 24 hours
+     * @returns {number} The total number of days, possibly fractional
+     */
+    toDays() {
+      return parseDuration(this.valueOf()) / MS_PER.day;
+    },
+
+    /**
+     * Adds another duration
+     * @param {any} other - A duration, ISO string, milliseconds or unit object
+     * @returns {DurationType} New instance with the sum
+     */
+    plus(other) {
+      return /** @type {DurationType} */ (
+        factory.create(
+          parseDuration(this.valueOf()) + factory.create(other).toMilliseconds(),
+        )
+      );
+    },
+
+    /**
+     * Subtracts another duration
+     * @param {any} other - A duration, ISO string, milliseconds or unit object
+     * @returns {DurationType} New instance with the difference
+     */
+    minus(other) {
+      return /** @type {DurationType} */ (
+        factory.create(
+          parseDuration(this.valueOf()) - factory.create(other).toMilliseconds(),
+        )
+      );
+    },
+
+    /**
+     * Multiplies the duration by a factor, rounding to whole milliseconds
+     * @param {number} factor - Multiplication factor
+     * @returns {DurationType} New instance with the product
+     */
+    multiply(factor) {
+      return /** @type {DurationType} */ (
+        factory.create(Math.round(parseDuration(this.valueOf()) * factor))
+      );
+    },
+
+    /**
+     * Returns the duration with the opposite sign
+     * @returns {DurationType} New negated instance
+     */
+    negate() {
+      return /** @type {DurationType} */ (
+        factory.create(-parseDuration(this.valueOf()))
+      );
+    },
+
+    /**
+     * Returns the absolute duration
+     * @returns {DurationType} New instance without sign
+     */
+    abs() {
+      return /** @type {DurationType} */ (
+        factory.create(Math.abs(parseDuration(this.valueOf())))
+      );
+    },
+
+    /**
+     * Checks if the duration is zero
+     * @returns {boolean} True if no time elapses
+     */
+    isZero() {
+      return parseDuration(this.valueOf()) === 0;
+    },
+
+    /**
+     * Checks if the duration is negative
+     * @returns {boolean} True if the duration points backwards in time
+     */
+    isNegative() {
+      return parseDuration(this.valueOf()) < 0;
+    },
+
+    /**
+     * Checks if this duration is longer than another
+     * @param {any} other - A duration, ISO string, milliseconds or unit object
+     * @returns {boolean} True if this duration is longer
+     */
+    isLongerThan(other) {
+      return (
+        parseDuration(this.valueOf()) > factory.create(other).toMilliseconds()
+      );
+    },
+
+    /**
+     * Checks if this duration is shorter than another
+     * @param {any} other - A duration, ISO string, milliseconds or unit object
+     * @returns {boolean} True if this duration is shorter
+     */
+    isShorterThan(other) {
+      return (
+        parseDuration(this.valueOf()) < factory.create(other).toMilliseconds()
+      );
+    },
+  }),
+});
+
+/**
+ * Creates a duration from units
+ * @param {{weeks?: number, days?: number, hours?: number, minutes?: number, seconds?: number, milliseconds?: number}} units - The units to add up
+ * @returns {DurationType} A new duration
+ *
+ * @example
+ * Duration.of({ days: 1, hours: 2 }).toString(); // "P1DT2H"
+ */
+Duration.of = function (units) {
+  return /** @type {DurationType} */ (Duration.create(units));
+};
+
+/**
+ * Creates the duration between two points in time
+ * @param {any} start - The start as Instant, Date, ISO string or epoch milliseconds
+ * @param {any} end - The end as Instant, Date, ISO string or epoch milliseconds
+ * @returns {DurationType} The elapsed time, negative if end lies before start
+ * @throws {Error} If one of the points in time is invalid
+ */
+Duration.between = function (start, end) {
+  return /** @type {DurationType} */ (
+    Duration.create(toEpochMilliseconds(end) - toEpochMilliseconds(start))
+  );
+};
+
+/**
+ * Converts any accepted input into milliseconds
+ * @param {string|number|Record<string, number>} value - ISO string, milliseconds or unit object
+ * @returns {number|string} The milliseconds, or an error message
+ * @private
+ */
+function toMilliseconds(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+
+  if (typeof value === "string") {
+    if (/^[+-]?P[^T]*[YM]/.test(value)) {
+      return "Durations with years or months depend on the calendar, use LocalDate arithmetic instead";
+    }
+    return ISO_DURATION.test(value) && !/[PT]$/.test(value)
+      ? parseDuration(value)
+      : `Invalid ISO-8601 duration: ${value}`;
+  }
+
+  return Math.round(
+    Object.entries(value).reduce(
+      (total, [unit, amount]) =>
+        total + (amount ?? 0) * UNIT_MS[/** @type {keyof UNIT_MS} */ (unit)],
+      0,
+    ),
+  );
+}
+
+/**
+ * Parses a validated ISO-8601 duration into milliseconds
+ * @param {string} text - The duration string
+ * @returns {number} The milliseconds
+ * @private
+ */
+function parseDuration(text) {
+  const match = /** @type {RegExpExecArray} */ (ISO_DURATION.exec(text));
+  const [, sign, weeks, days, hours, minutes, seconds, fraction] = match;
+
+  const milliseconds =
+    Number(weeks ?? 0) * MS_PER.week +
+    Number(days ?? 0) * MS_PER.day +
+    Number(hours ?? 0) * MS_PER.hour +
+    Number(minutes ?? 0) * MS_PER.minute +
+    Number(seconds ?? 0) * MS_PER.second +
+    Number((fraction ?? "").padEnd(3, "0"));
+
+  return sign === "-" && milliseconds !== 0 ? -milliseconds : milliseconds;
+}
+
+/**
+ * Formats milliseconds as a canonical ISO-8601 duration
+ * @param {number} milliseconds - The milliseconds
+ * @returns {string} The duration string, e.g. "P1DT2H0.5S"
+ * @private
+ */
+function formatDuration(milliseconds) {
+  if (milliseconds === 0) {
+    return "PT0S";
+  }
+
+  let rest = Math.abs(milliseconds);
+  const days = Math.floor(rest / MS_PER.day);
+  rest %= MS_PER.day;
+  const hours = Math.floor(rest / MS_PER.hour);
+  rest %= MS_PER.hour;
+  const minutes = Math.floor(rest / MS_PER.minute);
+  rest %= MS_PER.minute;
+  const seconds = Math.floor(rest / MS_PER.second);
+  const millis = rest % MS_PER.second;
+
+  let time = "";
+  if (hours) time += `${hours}H`;
+  if (minutes) time += `${minutes}M`;
+  if (seconds || millis) {
+    const fraction = millis
+      ? `.${String(millis).padStart(3, "0").replace(/0+$/, "")}`
+      : "";
+    time += `${seconds}${fraction}S`;
+  }
+
+  return `${milliseconds < 0 ? "-" : ""}P${days ? `${days}D` : ""}${time ? `T${time}` : ""}`;
+}
+
+/**
+ * Converts a point in time into epoch milliseconds
+ * @param {any} value - Instant, Date, ISO string or epoch milliseconds
+ * @returns {number} Epoch milliseconds
+ * @throws {Error} If the value is not a valid point in time
+ * @private
+ */
+function toEpochMilliseconds(value) {
+  const raw = unwrap(value);
+  const epochMs =
+    typeof raw === "number"
+      ? raw
+      : raw instanceof Date
+        ? raw.getTime()
+        : Date.parse(raw);
+
+  if (!Number.isFinite(epochMs)) {
+    throw new Error(`Invalid point in time: ${raw}`);
+  }
+  return epochMs;
+}
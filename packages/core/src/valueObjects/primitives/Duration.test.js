@@ -0,0 +1,136 @@
+// packages/core/src/valueObjects/primitives/Duration.test.js
+import { describe, it, expect } from "vitest";
+import { Duration } from "./Duration.js";
+import { ValidationError } from "../../errors/index.js";
+
+describe("Duration Value Object", () => {
+  describe("creation", () => {
+    it("should create a duration from an ISO-8601 string", () => {
+      // Act
+      const duration = Duration.create("PT1H30M");
+
+      // Assert
+      expect(duration.toString()).toBe("PT1H30M");
+      expect(duration.toMilliseconds()).toBe(90 * 60 * 1000);
+    });
+
+    it("should canonicalize equivalent representations", () => {
+      // Arrange
+      const inputs = ["PT90M", 5400000, { hours: 1.5 }, { minutes: 90 }];
+
+      // Act
+      const durations = inputs.map((input) => Duration.create(input));
+
+      // Assert
+      durations.forEach((duration) => {
+        expect(duration.toString()).toBe("PT1H30M");
+        expect(duration.equals(durations[0])).toBe(true);
+      });
+    });
+
+    it("should support weeks, days and fractional seconds", () => {
+      // Assert
+      expect(Duration.create("P2W").toString()).toBe("P14D");
+      expect(Duration.create("P1DT2H").toDays()).toBeCloseTo(26 / 24);
+      expect(Duration.create("PT0,5S").toMilliseconds()).toBe(500);
+      expect(Duration.create(1250).toString()).toBe("PT1.25S");
+      expect(Duration.create(0).toString()).toBe("PT0S");
+    });
+
+    it("should support negative durations", () => {
+      // Act
+      const duration = Duration.create("-PT1H");
+
+      // Assert
+      expect(duration.toMilliseconds()).toBe(-3600000);
+      expect(duration.isNegative()).toBe(true);
+      expect(duration.abs().toString()).toBe("PT1H");
+    });
+
+    it("should reject years and months as they depend on the calendar", () => {
+      // Act & Assert
+      expect(() => Duration.create("P1M")).toThrow(ValidationError);
+      expect(() => Duration.create("P1Y2D")).toThrow(/depend on the calendar/);
+    });
+
+    it("should throw ValidationError for invalid input", () => {
+      // Arrange
+      const invalidInputs = ["P", "PT", "1 hour", 1.5, { hours: 1, years: 1 }, null];
+
+      // Act & Assert
+      invalidInputs.forEach((input) => {
+        expect(() => Duration.create(input)).toThrow(ValidationError);
+      });
+    });
+  });
+
+  describe("arithmetic", () => {
+    it("should add and subtract durations", () => {
+      // Arrange
+      const shift = Duration.of({ hours: 8, minutes: 30 });
+
+      // Act & Assert
+      expect(shift.plus("PT30S").toString()).toBe("PT8H30M30S");
+      expect(shift.minus({ minutes: 45 }).toString()).toBe("PT7H45M");
+      expect(shift.minus("PT9H").toString()).toBe("-PT30M");
+    });
+
+    it("should multiply and negate durations", () => {
+      // Arrange
+      const duration = Duration.create("PT10M");
+
+      // Act & Assert
+      expect(duration.multiply(3).toString()).toBe("PT30M");
+      expect(duration.multiply(0.5).toString()).toBe("PT5M");
+      expect(duration.negate().toString()).toBe("-PT10M");
+      expect(duration.minus(duration).isZero()).toBe(true);
+    });
+
+    it("should compare durations", () => {
+      // Arrange
+      const duration = Duration.create("PT1H");
+
+      // Assert
+      expect(duration.isLongerThan("PT59M")).toBe(true);
+      expect(duration.isShorterThan({ days: 1 })).toBe(true);
+      expect(duration.isLongerThan(3600000)).toBe(false);
+    });
+
+    it("should convert to other units", () => {
+      // Arrange
+      const duration = Duration.create("PT1H30M");
+
+      // Assert
+      expect(duration.toSeconds()).toBe(5400);
+      expect(duration.toMinutes()).toBe(90);
+      expect(duration.toHours()).toBe(1.5);
+    });
+  });
+
+  describe("between", () => {
+    it("should measure the time between two points in time", () => {
+      // Act
+      const duration = Duration.between(
+        "2024-01-01T00:00:00Z",
+        new Date("2024-01-02T01:00:00.250Z"),
+      );
+
+      // Assert
+      expect(duration.toString()).toBe("P1DT1H0.25S");
+    });
+
+    it("should throw for invalid points in time", () => {
+      // Act & Assert
+      expect(() => Duration.between("yesterday", "today")).toThrow(
+        "Invalid point in time",
+      );
+    });
+  });
+
+  it("should serialize to its ISO-8601 string", () => {
+    // Act & Assert
+    expect(JSON.stringify({ timeout: Duration.create({ seconds: 30 }) })).toBe(
+      '{"timeout":"PT30S"}',
+    );
+  });
+});
@@ -0,0 +1,30 @@
+import { ValueObject, ValueObjectFactory } from "../Base";
+import { String } from "./String";
+
+/**
+ * Email represents a normalized email address
+ */
+export type EmailType = ValueObject<string> &
+  ReturnType<(typeof String)["create"]> & {
+    /**
+     * Returns the part before the @ sign
+     */
+    getLocalPart: () => string;
+
+    /**
+     * Returns the part after the @ sign
+     */
+    getDomain: () => string;
+
+    /**
+     * Checks if the address belongs to a domain, ignoring case
+     */
+    hasDomain: (domain: string) => boolean;
+  };
+
+/**
+ * Email value object factory
+ */
+export const Email: ValueObjectFactory<string> & {
+  create: (data: string | unknown) => EmailType;
+};
@@ -0,0 +1,67 @@
+import { z } from "zod";
+import { String } from "./String.js";
+
+/**
+ * Email represents a normalized email address
+ *
+ * Use cases:
+ * - Login names and contact addresses
+ * - Notification recipients
+ * - Matching users by address regardless of casing
+ *
+ * Features:
+ * - Trims surrounding whitespace and normalizes the address to lower case
+ * - Validates the address format
+ * - Accessors for the local part and the domain
+ * - Inherits all methods from StringValue
+ *
+ * @example
+ * const email = Email.create("  Jane.Doe@Example.COM ");
+ * email.toString(); // "jane.doe@example.com"
+ * email.getLocalPart(); // "jane.doe"
+ * email.getDomain(); // "example.com"
+ * email.hasDomain("EXAMPLE.com"); // true
+ *
+ * @typedef {import('../Base.js').ValueObject<string>} EmailType
+ */
+export const Email = String.extend({
+  name: "Email",
+  schema: (baseSchema) =>
+    /** @type {z.ZodString} */ (baseSchema)
+      .trim()
+      .toLowerCase()
+      .max(254, "Email address must not exceed 254 characters")
+      .email("Invalid email address"),
+  methodsFactory: () => ({
+    /**
+     * Returns the part before the @ sign
+     * @returns {string} The local part, e.g. "jane.doe"
+     */
+    getLocalPart() {
+      const address = this.toString();
+      return address.slice(0, address.lastIndexOf("@"));
+    },
+
+    /**
+     * Returns the part after the @ sign
+     * @returns {string} The domain, e.g. "example.com"
+     */
+    getDomain() {
+      const address = this.toString();
+      return address.slice(address.lastIndexOf("@") + 1);
+    },
+
+    /**
+     * Checks if the address belongs to a domain, ignoring case
+     * @param {string} domain - The domain to check, e.g. "example.com"
+     * @returns {boolean} True if the address has exactly this domain
+     */
+    hasDomain(domain) {
+      const address = this.toString();
+      return (
+        address.slice(address.lastIndexOf("@") + 1) ===
+        domain.trim().toLowerCase()
+      );
+    },
+  }),
+});
@@ -0,0 +1,70 @@
+// packages/core/src/valueObjects/primitives/Email.test.js
+import { describe, it, expect } from "vitest";
+import { Email } from "./Email.js";
+import { String } from "./String.js";
+import { ValidationError } from "../../errors/index.js";
+
+describe("Email Value Object", () => {
+  it("should normalize whitespace and casing", () => {
+    // Act
+    const email = Email.create("  Jane.Doe@Example.COM ");
+
+    // Assert
+    expect(email.toString()).toBe("jane.doe@example.com");
+    expect(email.equals(Email.create("JANE.DOE@example.com"))).toBe(true);
+  });
+
+  it("should expose the local part and the domain", () => {
+    // Arrange
+    const email = Email.create("jane.doe+news@mail.example.com");
+
+    // Act & Assert
+    expect(email.getLocalPart()).toBe("jane.doe+news");
+    expect(email.getDomain()).toBe("mail.example.com");
+  });
+
+  it("should check the domain ignoring case", () => {
+    // Arrange
+    const email = Email.create("jane@example.com");
+
+    // Act & Assert
+    expect(email.hasDomain("EXAMPLE.com")).toBe(true);
+    expect(email.hasDomain("mail.example.com")).toBe(false);
+  });
+
+  it("should inherit methods from String value object", () => {
+    // Arrange
+    const email = Email.create("jane@example.com");
+
+    // Act & Assert
+    expect(email.contains("@example")).toBe(true);
+    expect(email.endsWith(".com")).toBe(true);
+  });
+
+  it("should not equal a plain String with the same text", () => {
+    // Arrange
+    const email = Email.create("a@b.co");
+
+    // Act & Assert
+    expect(email.equals(String.create("a@b.co"))).toBe(false);
+    expect(String.isInstance(email)).toBe(true);
+    expect(Email.isInstance(String.create("a@b.co"))).toBe(false);
+  });
+
+  it("should throw ValidationError with context for invalid addresses", () => {
+    // Arrange
+    const invalidAddresses = ["", "jane", "jane@", "@example.com", "jane@@example.com"];
+
+    // Act & Assert
+    invalidAddresses.forEach((address) => {
+      expect(() => Email.create(address)).toThrow(ValidationError);
+    });
+
+    try {
+      Email.create("jane");
+    } catch (error) {
+      expect(error.message).toBe("Invalid Email: Invalid email address");
+      expect(error.context).toEqual({ objectType: "Email", input: "jane" });
+    }
+  });
+});
@@ -40,6 +40,63 @@ export type NumericIdentifierType = ValueObject<number> & {
   toString(padLength?: number): string;
 };
 
+/**
+ * Identifier with an embedded creation time
+ */
+export type TimestampedIdentifierType = ValueObject<string> & {
+  /**
+   * Gets the time this identifier was generated at
+   */
+  getTimestamp(): Date;
+};
+
+/**
+ * Snowflake identifier type
+ */
+export type SnowflakeIdentifierType = TimestampedIdentifierType & {
+  /**
+   * Gets the ID of the worker that generated this ID
+   */
+  getWorkerId(): number;
+
+  /**
+   * Gets the sequence number within the millisecond
+   */
+  getSequence(): number;
+
+  /**
+   * Converts this ID to a bigint
+   */
+  toBigInt(): bigint;
+};
+
+/**
+ * Typed identifier, such as "ord_01H..."
+ */
+export type TypedIdentifierType = TimestampedIdentifierType & {
+  /**
+   * Gets the type prefix
+   */
+  getPrefix(): string;
+
+  /**
+   * Gets the part after the prefix as an identifier of the body factory
+   */
+  getBody(): ValueObject<string>;
+};
+
+/**
+ * A factory for identifiers that can generate new values
+ */
+export type GeneratingIdentifierFactory<I> = ValueObjectFactory<string> & {
+  create: (data: string | unknown) => I;
+
+  /**
+   * Generates a new identifier embedding the given time, defaulting to now
+   */
+  generate: (time?: Date | number) => I;
+};
+
 /**
  * Identifier factory for creating unique identifiers
  */
@@ -89,4 +146,43 @@ export const Identifier: ValueObjectFactory<string> & {
    * Generates a new UUID v4 identifier
    */
   generateUUID: () => string;
+
+  /**
+   * Creates a factory for time-sortable ULIDs, the same on every call
+   */
+  ulid: () => GeneratingIdentifierFactory<TimestampedIdentifierType>;
+
+  /**
+   * Creates a factory for time-sortable UUIDs version 7, the same on every call
+   */
+  uuidV7: () => GeneratingIdentifierFactory<TimestampedIdentifierType>;
+
+  /**
+   * Creates a factory for time-sortable KSUIDs, the same on every call
+   */
+  ksuid: () => GeneratingIdentifierFactory<TimestampedIdentifierType>;
+
+  /**
+   * Creates a factory for Snowflake IDs, kept as decimal strings
+   */
+  snowflake: (options?: {
+    epoch?: number;
+    workerId?: number;
+  }) => GeneratingIdentifierFactory<SnowflakeIdentifierType>;
+
+  /**
+   * Creates a factory for identifiers carrying a type prefix, such as "ord_01H..."
+   */
+  typed: (
+    prefix: string,
+    options?: {
+      body?: ValueObjectFactory<string> & { generate?: (time?: Date | number) => unknown };
+      name?: string;
+    }
+  ) => GeneratingIdentifierFactory<TypedIdentifierType> & {
+    /**
+     * The type prefix of this identifier
+     */
+    prefix: string;
+  };
 };
\ No newline at end of file
@@ -1,6 +1,18 @@
 import { z } from "zod";
 import { valueObject } from "../Base.js";
 import { randomUUID } from "crypto";
+import {
+  createUlidGenerator,
+  ulidTime,
+  generateUuidV7,
+  uuidV7Time,
+  generateKsuid,
+  ksuidTime,
+  createSnowflakeGenerator,
+  snowflakeParts,
+  DEFAULT_SNOWFLAKE_EPOCH,
+  MAX_SNOWFLAKE,
+} from "./ids.js";
 
 /**
  * Identifier represents a unique identifier value object
@@ -28,6 +40,11 @@ import { randomUUID } from "crypto";
  * // Generate a new UUID
  * const newId = Identifier.generateUUID();
  *
+ * // Time-sortable and typed identifiers
+ * const eventId = Identifier.ulid().generate();
+ * const OrderId = Identifier.typed("ord");
+ * const orderId = OrderId.generate(); // "ord_01H..."
+ *
  * @typedef {import('../Base.js').ValueObject<string>} IdentifierType
  */
 export const Identifier = valueObject({
@@ -91,14 +108,34 @@ export const Identifier = valueObject({
   overrideIsPrimitive: true,
 });
 
+/**
+ * Shared factories of the identifier strategies, by strategy and options
+ * Calls with the same options return the same factory, so their identifiers
+ * are of the same type and compare equal.
+ * @type {Map<string, any>}
+ * @private
+ */
+const strategies = new Map();
+
+/**
+ * Shared typed identifier factories, by body factory, prefix and name
+ * @type {WeakMap<object, Map<string, any>>}
+ * @private
+ */
+const typedStrategies = new WeakMap();
+
 /**
  * Creates a UUID-specific identifier value object
+ * Every call returns the same factory.
  * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for UUID identifiers
  *
  * @typedef {import('../Base.js').ValueObject<string>} UUIDIdentifierType
  */
 Identifier.uuid = function () {
-  return valueObject({
+  if (strategies.has("uuid")) {
+    return strategies.get("uuid");
+  }
+  const UUID = valueObject({
     name: "UUIDIdentifier",
     schema: z.string().uuid(),
     methodsFactory: (factory) => ({
@@ -136,10 +173,13 @@ Identifier.uuid = function () {
       },
     }),
   });
+  strategies.set("uuid", UUID);
+  return UUID;
 };
 
 /**
  * Creates a numeric identifier value object
+ * Calls with the same minimum return the same factory.
  * @param {object} [options] - Options for the numeric identifier
  * @param {number} [options.min=1] - Minimum allowed value
  * @returns {import('../Base.js').ValueObjectFactory<number>} A factory for numeric identifiers
@@ -148,7 +188,11 @@ Identifier.uuid = function () {
  */
 Identifier.numeric = function (options = {}) {
   const { min = 1 } = options;
-  return valueObject({
+  const key = `numeric:${min}`;
+  if (strategies.has(key)) {
+    return strategies.get(key);
+  }
+  const NumericIdentifier = valueObject({
     name: "NumericIdentifier",
     schema: z.number().int().min(min),
     methodsFactory: (factory) => ({
@@ -177,16 +221,23 @@ Identifier.numeric = function (options = {}) {
       },
     }),
   });
+  strategies.set(key, NumericIdentifier);
+  return NumericIdentifier;
 };
 
 /**
  * Creates an identifier that must match a specific pattern
+ * Calls with the same pattern and name return the same factory.
  * @param {RegExp} pattern - Regular expression pattern to validate against
  * @param {string} [name='PatternIdentifier'] - Name for this identifier type
  * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for pattern-matching identifiers
  */
 Identifier.pattern = function (pattern, name = "PatternIdentifier") {
-  return valueObject({
+  const key = `pattern:${pattern}:${name}`;
+  if (strategies.has(key)) {
+    return strategies.get(key);
+  }
+  const PatternIdentifier = valueObject({
     name,
     schema: z.string().regex(pattern),
     methodsFactory: (factory) => ({
@@ -201,6 +252,8 @@ Identifier.pattern = function (pattern, name = "PatternIdentifier") {
       },
     }),
   });
+  strategies.set(key, PatternIdentifier);
+  return PatternIdentifier;
 };
 
 /**
@@ -210,3 +263,383 @@ Identifier.pattern = function (pattern, name = "PatternIdentifier") {
 Identifier.generateUUID = function () {
   return randomUUID();
 };
+
+/**
+ * Creates a ULID identifier value object
+ *
+ * ULIDs are 26 character Crockford base32 strings of a 48 bit millisecond
+ * timestamp and 80 random bits. They sort lexicographically by creation time,
+ * also within the same millisecond when generated by this factory.
+ * Every call returns the same factory.
+ *
+ * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for ULIDs
+ *
+ * @example
+ * const EventId = Identifier.ulid();
+ * const id = EventId.generate();
+ * id.getTimestamp(); // Date of generation
+ */
+Identifier.ulid = function () {
+  if (!strategies.has("ulid")) {
+    const generate = createUlidGenerator();
+    const ULID = valueObject({
+      name: "ULIDIdentifier",
+      schema: z
+        .string()
+        .trim()
+        .toUpperCase()
+        .regex(/^[0-7][0-9A-HJKMNP-TV-Z]{25}$/, "Invalid ULID"),
+      methodsFactory: (factory) => ({
+        /**
+         * Gets the time this ULID was generated at
+         * @returns {Date} The embedded timestamp
+         */
+        getTimestamp() {
+          return new Date(ulidTime(this.valueOf()));
+        },
+      }),
+    });
+
+    /**
+     * Generates a new ULID
+     * @param {Date|number} [time] - The embedded point in time, defaults to now
+     * @returns {any} A new ULID identifier
+     */
+    ULID.generate = function (time) {
+      return ULID.create(generate(time));
+    };
+
+    strategies.set("ulid", ULID);
+  }
+  return strategies.get("ulid");
+};
+
+/**
+ * Creates a UUID version 7 identifier value object
+ *
+ * UUIDv7 values start with a 48 bit millisecond timestamp, so they sort by
+ * creation time while staying compatible with UUID columns.
+ * Every call returns the same factory.
+ *
+ * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for UUIDv7 identifiers
+ */
+Identifier.uuidV7 = function () {
+  if (!strategies.has("uuidV7")) {
+    const UUIDv7 = valueObject({
+      name: "UUIDv7Identifier",
+      schema: z
+        .string()
+        .trim()
+        .toLowerCase()
+        .regex(
+          /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+          "Invalid UUIDv7",
+        ),
+      methodsFactory: (factory) => ({
+        /**
+         * Gets the time this UUID was generated at
+         * @returns {Date} The embedded timestamp
+         */
+        getTimestamp() {
+          return new Date(uuidV7Time(this.valueOf()));
+        },
+      }),
+    });
+
+    /**
+     * Generates a new UUIDv7
+     * @param {Date|number} [time] - The embedded point in time, defaults to now
+     * @returns {any} A new UUIDv7 identifier
+     */
+    UUIDv7.generate = function (time) {
+      return UUIDv7.create(generateUuidV7(time));
+    };
+
+    strategies.set("uuidV7", UUIDv7);
+  }
+  return strategies.get("uuidV7");
+};
+
+/**
+ * Creates a KSUID identifier value object
+ *
+ * KSUIDs are 27 character base62 strings of a 32 bit timestamp in seconds
+ * and 128 random bits. They sort by creation time with second precision.
+ * Every call returns the same factory.
+ *
+ * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for KSUIDs
+ */
+Identifier.ksuid = function () {
+  if (!strategies.has("ksuid")) {
+    const KSUID = valueObject({
+      name: "KSUIDIdentifier",
+      schema: z
+        .string()
+        .trim()
+        .regex(/^[0-9A-Za-z]{27}$/, "Invalid KSUID")
+        // Base62 digits are in ASCII order, so the string comparison is numeric
+        .refine((value) => value <= "aWgEPTl1tmebfsQzFP4bxwgy80V", {
+          message: "Invalid KSUID",
+        }),
+      overrideIsPrimitive: true,
+      methodsFactory: (factory) => ({
+        /**
+         * Gets the time this KSUID was generated at
+         * @returns {Date} The embedded timestamp, in whole seconds
+         */
+        getTimestamp() {
+          return new Date(ksuidTime(this.valueOf()));
+        },
+      }),
+    });
+
+    /**
+     * Generates a new KSUID
+     * @param {Date|number} [time] - The embedded point in time, defaults to now
+     * @returns {any} A new KSUID identifier
+     */
+    KSUID.generate = function (time) {
+      return KSUID.create(generateKsuid(time));
+    };
+
+    strategies.set("ksuid", KSUID);
+  }
+  return strategies.get("ksuid");
+};
+
+/**
+ * Creates a Snowflake identifier value object
+ *
+ * Snowflake IDs are 63 bit integers of a millisecond timestamp relative to an
+ * epoch, a worker ID and a per-millisecond sequence. They are kept as decimal
+ * strings, as they exceed the safe integer range of numbers.
+ * Calls with the same epoch and worker ID return the same factory, which
+ * also shares the sequence of generated IDs.
+ *
+ * @param {object} [options] - Options for the Snowflake identifier
+ * @param {number} [options.epoch=1288834974657] - Epoch in milliseconds the timestamps are relative to
+ * @param {number} [options.workerId=0] - ID of the generating worker (0-1023)
+ * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for Snowflake identifiers
+ * @throws {Error} If the epoch or worker ID is invalid
+ *
+ * @example
+ * const MessageId = Identifier.snowflake({ epoch: Date.UTC(2024, 0, 1), workerId: 7 });
+ * const id = MessageId.generate();
+ * id.getWorkerId(); // 7
+ */
+Identifier.snowflake = function (options = {}) {
+  const { epoch = DEFAULT_SNOWFLAKE_EPOCH, workerId = 0 } = options;
+
+  if (!Number.isInteger(epoch) || epoch < 0) {
+    throw new Error("Snowflake epoch must be a non-negative integer");
+  }
+  if (!Number.isInteger(workerId) || workerId < 0 || workerId > 1023) {
+    throw new Error(
+      "Snowflake worker ID must be an integer between 0 and 1023",
+    );
+  }
+
+  const key = `snowflake:${epoch}:${workerId}`;
+  if (strategies.has(key)) {
+    return strategies.get(key);
+  }
+
+  const generate = createSnowflakeGenerator({ epoch, workerId });
+  const Snowflake = valueObject({
+    name: "SnowflakeIdentifier",
+    schema: z.preprocess(
+      (value) => (typeof value === "bigint" ? value.toString() : value),
+      z
+        .string()
+        .trim()
+        .regex(/^\d{1,19}$/, "Invalid Snowflake ID")
+        .refine(
+          (value) => !/^\d+$/.test(value) || BigInt(value) <= MAX_SNOWFLAKE,
+          {
+            message: "Invalid Snowflake ID",
+          },
+        ),
+    ),
+    methodsFactory: (factory) => ({
+      /**
+       * Gets the time this ID was generated at
+       * @returns {Date} The embedded timestamp
+       */
+      getTimestamp() {
+        return new Date(snowflakeParts(this.valueOf(), epoch).time);
+      },
+
+      /**
+       * Gets the ID of the worker that generated this ID
+       * @returns {number} The worker ID (0-1023)
+       */
+      getWorkerId() {
+        return snowflakeParts(this.valueOf(), epoch).workerId;
+      },
+
+      /**
+       * Gets the sequence number within the millisecond
+       * @returns {number} The sequence (0-4095)
+       */
+      getSequence() {
+        return snowflakeParts(this.valueOf(), epoch).sequence;
+      },
+
+      /**
+       * Converts this ID to a bigint
+       * @returns {bigint} The numeric value
+       */
+      toBigInt() {
+        return BigInt(this.valueOf());
+      },
+    }),
+    overrideIsPrimitive: true,
+  });
+
+  /**
+   * Generates a new Snowflake ID
+   * @param {Date|number} [time] - The embedded point in time, defaults to now
+   * @returns {any} A new Snowflake identifier
+   */
+  Snowflake.generate = function (time) {
+    return Snowflake.create(generate(time));
+  };
+
+  strategies.set(key, Snowflake);
+  return Snowflake;
+};
+
+/**
+ * Creates an identifier carrying a type prefix, such as "ord_01H..."
+ *
+ * The schema refuses identifiers of other types, so an order ID cannot be
+ * used where a customer ID is expected. The part after the prefix is
+ * validated and normalized by the body factory, a ULID by default.
+ * Calls with the same prefix, body and name return the same factory.
+ *
+ * @param {string} prefix - Type prefix of lowercase letters and digits, e.g. "ord"
+ * @param {object} [options] - Options for the typed identifier
+ * @param {any} [options.body] - Identifier factory for the part after the prefix, defaults to Identifier.ulid()
+ * @param {string} [options.name] - Name for this identifier type, defaults to e.g. "OrdIdentifier"
+ * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for typed identifiers
+ * @throws {Error} If the prefix is invalid
+ *
+ * @example
+ * const OrderId = Identifier.typed("ord");
+ * const id = OrderId.generate(); // "ord_01HV..."
+ * OrderId.create("cus_01HV..."); // throws ValidationError
+ */
+Identifier.typed = function (prefix, options = {}) {
+  if (typeof prefix !== "string" || !/^[a-z][a-z0-9]*$/.test(prefix)) {
+    throw new Error(
+      "Identifier prefix must start with a lowercase letter followed by lowercase letters or digits",
+    );
+  }
+
+  const {
+    body = Identifier.ulid(),
+    name = `${prefix[0].toUpperCase()}${prefix.slice(1)}Identifier`,
+  } = options;
+  const separator = "_";
+
+  const cache = typedStrategies.get(body) ?? new Map();
+  typedStrategies.set(body, cache);
+  const key = `${prefix}:${name}`;
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  /**
+   * Splits an identifier into prefix and body
+   * @param {string} value - The identifier
+   * @returns {[string, string] | undefined} Prefix and body, or undefined without separator
+   */
+  const split = (value) => {
+    const index = value.indexOf(separator);
+    return index === -1
+      ? undefined
+      : [value.slice(0, index), value.slice(index + 1)];
+  };
+
+  const Typed = valueObject({
+    name,
+    schema: z
+      .string()
+      .trim()
+      .superRefine((value, ctx) => {
+        const parts = split(value);
+        if (!parts) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Expected an identifier with prefix "${prefix}${separator}"`,
+          });
+        } else if (parts[0] !== prefix) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Expected an identifier of type "${prefix}", got "${parts[0]}"`,
+          });
+        } else if (!body.schema.safeParse(parts[1]).success) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Invalid ${prefix} identifier: ${parts[1]}`,
+          });
+        }
+      })
+      .transform((value) => {
+        const [, bodyValue] = /** @type {[string, string]} */ (split(value));
+        return `${prefix}${separator}${body.create(bodyValue).valueOf()}`;
+      }),
+    methodsFactory: (factory) => ({
+      /**
+       * Gets the type prefix
+       * @returns {string} The prefix, e.g. "ord"
+       */
+      getPrefix() {
+        return prefix;
+      },
+
+      /**
+       * Gets the part after the prefix as an identifier of the body factory
+       * @returns {any} The body identifier
+       */
+      getBody() {
+        return body.create(this.valueOf().slice(prefix.length + 1));
+      },
+
+      /**
+       * Gets the time this identifier was generated at
+       * @returns {Date} The timestamp embedded in the body
+       * @throws {Error} If the body carries no timestamp
+       */
+      getTimestamp() {
+        const bodyId = body.create(this.valueOf().slice(prefix.length + 1));
+        if (typeof bodyId.getTimestamp !== "function") {
+          throw new Error(`${name} bodies carry no timestamp`);
+        }
+        return bodyId.getTimestamp();
+      },
+    }),
+    overrideIsPrimitive: true,
+  });
+
+  /**
+   * The type prefix of this identifier
+   */
+  Typed.prefix = prefix;
+
+  /**
+   * Generates a new typed identifier using the body factory's generator
+   * @param {Date|number} [time] - The embedded point in time, defaults to now
+   * @returns {any} A new typed identifier
+   * @throws {Error} If the body factory cannot generate identifiers
+   */
+  Typed.generate = function (time) {
+    if (typeof body.generate !== "function") {
+      throw new Error(`${name} cannot generate identifiers`);
+    }
+    return Typed.create(`${prefix}${separator}${body.generate(time)}`);
+  };
+
+  cache.set(key, Typed);
+  return Typed;
+};
@@ -94,6 +94,25 @@ describe("Identifier Value Object", () => {
       expect(id.toString()).toBe(validUUID);
     });
 
+    it("should create identifiers of one type on every call", () => {
+      // Arrange
+      const validUUID = "123e4567-e89b-12d3-a456-426614174000";
+
+      // Act
+      const first = Identifier.uuid().create(validUUID);
+      const second = Identifier.uuid().create(validUUID);
+
+      // Assert
+      expect(Identifier.uuid()).toBe(Identifier.uuid());
+      expect(first.equals(second)).toBe(true);
+      expect(Identifier.uuid().isInstance(first)).toBe(true);
+      expect(Identifier.numeric({ min: 0 })).toBe(
+        Identifier.numeric({ min: 0 }),
+      );
+      expect(Identifier.numeric({ min: 0 })).not.toBe(Identifier.numeric());
+      expect(Identifier.typed("ord")).toBe(Identifier.typed("ord"));
+    });
+
     it("should throw ValidationError for invalid UUIDs", () => {
       // Arrange
       const UUIDIdentifier = Identifier.uuid();
@@ -242,6 +261,239 @@ describe("Identifier Value Object", () => {
     });
   });
 
+  describe("ULID identifier", () => {
+    const ULID = Identifier.ulid();
+    const time = Date.UTC(2024, 4, 1, 12, 30);
+
+    it("should return the same factory on every call", () => {
+      // Assert
+      expect(Identifier.ulid()).toBe(ULID);
+    });
+
+    it("should generate ULIDs embedding the timestamp", () => {
+      // Act
+      const id = ULID.generate(time);
+
+      // Assert
+      expect(id.toString()).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+      expect(id.getTimestamp().getTime()).toBe(time);
+    });
+
+    it("should generate sortable ULIDs within the same millisecond", () => {
+      // Act
+      const ids = Array.from({ length: 5 }, () => ULID.generate(time));
+
+      // Assert
+      const values = ids.map(String);
+      expect([...values].sort()).toEqual(values);
+      expect(new Set(values).size).toBe(5);
+    });
+
+    it("should normalize casing and reject invalid ULIDs", () => {
+      // Arrange
+      const value = "01hwy6s5e8v0hx5pq3t2n0mz4k";
+
+      // Act & Assert
+      expect(ULID.create(value).toString()).toBe(value.toUpperCase());
+      expect(() => ULID.create("01HWY6S5E8V0HX5PQ3T2N0MZ4")).toThrow(
+        ValidationError,
+      );
+      expect(() => ULID.create("81HWY6S5E8V0HX5PQ3T2N0MZ4K")).toThrow(
+        "Invalid ULID",
+      );
+    });
+  });
+
+  describe("UUIDv7 identifier", () => {
+    const UUIDv7 = Identifier.uuidV7();
+
+    it("should generate version 7 UUIDs embedding the timestamp", () => {
+      // Arrange
+      const time = Date.UTC(2024, 4, 1, 12, 30, 15, 250);
+
+      // Act
+      const id = UUIDv7.generate(time);
+
+      // Assert
+      expect(id.toString()).toMatch(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/,
+      );
+      expect(id.getTimestamp().getTime()).toBe(time);
+      expect(Identifier.uuid().create(id.toString()).getVersion()).toBe(7);
+    });
+
+    it("should sort by creation time", () => {
+      // Act
+      const earlier = UUIDv7.generate(new Date("2024-01-01T00:00:00Z"));
+      const later = UUIDv7.generate(new Date("2024-01-01T00:00:01Z"));
+
+      // Assert
+      expect(earlier.toString() < later.toString()).toBe(true);
+    });
+
+    it("should reject UUIDs of other versions", () => {
+      // Act & Assert
+      expect(() => UUIDv7.create(Identifier.generateUUID())).toThrow(
+        "Invalid UUIDv7",
+      );
+    });
+  });
+
+  describe("KSUID identifier", () => {
+    const KSUID = Identifier.ksuid();
+
+    it("should generate KSUIDs embedding the timestamp in seconds", () => {
+      // Arrange
+      const time = Date.UTC(2024, 4, 1, 12, 30, 15, 250);
+
+      // Act
+      const id = KSUID.generate(time);
+
+      // Assert
+      expect(id.toString()).toMatch(/^[0-9A-Za-z]{27}$/);
+      expect(id.getTimestamp().toISOString()).toBe("2024-05-01T12:30:15.000Z");
+    });
+
+    it("should reject KSUIDs outside the valid range", () => {
+      // Act & Assert
+      expect(() => KSUID.create("aWgEPTl1tmebfsQzFP4bxwgy80W")).toThrow(
+        "Invalid KSUID",
+      );
+      expect(() => KSUID.create("0ujtsYcgvSTl8PAuAdqWYSMnLO")).toThrow(
+        ValidationError,
+      );
+      expect(KSUID.create("0ujtsYcgvSTl8PAuAdqWYSMnLOv").toString()).toBe(
+        "0ujtsYcgvSTl8PAuAdqWYSMnLOv",
+      );
+    });
+
+    it("should reject timestamps before the KSUID epoch", () => {
+      // Act & Assert
+      expect(() => KSUID.generate(new Date("2010-01-01T00:00:00Z"))).toThrow(
+        "Timestamp out of range for a KSUID",
+      );
+    });
+  });
+
+  describe("Snowflake identifier", () => {
+    const epoch = Date.UTC(2024, 0, 1);
+
+    it("should generate IDs with timestamp, worker ID and sequence", () => {
+      // Arrange
+      const Snowflake = Identifier.snowflake({ epoch, workerId: 7 });
+      const time = Date.UTC(2024, 4, 1);
+
+      // Act
+      const first = Snowflake.generate(time);
+      const second = Snowflake.generate(time);
+
+      // Assert
+      expect(first.getTimestamp().getTime()).toBe(time);
+      expect(first.getWorkerId()).toBe(7);
+      expect(first.getSequence()).toBe(0);
+      expect(second.getSequence()).toBe(1);
+      expect(second.toBigInt() > first.toBigInt()).toBe(true);
+    });
+
+    it("should accept bigints and reject values beyond 63 bits", () => {
+      // Arrange
+      const Snowflake = Identifier.snowflake();
+
+      // Act & Assert
+      expect(Snowflake.create(1541815603606036480n).toString()).toBe(
+        "1541815603606036480",
+      );
+      expect(() => Snowflake.create("9223372036854775808")).toThrow(
+        "Invalid Snowflake ID",
+      );
+      expect(() => Snowflake.create("12ab")).toThrow(ValidationError);
+    });
+
+    it("should use the Twitter epoch by default", () => {
+      // Act
+      const id = Identifier.snowflake().create("1541815603606036480");
+
+      // Assert
+      expect(id.getTimestamp().toISOString()).toBe("2022-06-28T16:07:40.105Z");
+    });
+
+    it("should reject invalid worker IDs", () => {
+      // Act & Assert
+      expect(() => Identifier.snowflake({ workerId: 1024 })).toThrow(
+        "Snowflake worker ID must be an integer between 0 and 1023",
+      );
+    });
+  });
+
+  describe("typed identifier", () => {
+    const OrderId = Identifier.typed("ord");
+
+    it("should generate prefixed ULIDs", () => {
+      // Arrange
+      const time = Date.UTC(2024, 4, 1);
+
+      // Act
+      const id = OrderId.generate(time);
+
+      // Assert
+      expect(id.toString()).toMatch(/^ord_[0-9A-HJKMNP-TV-Z]{26}$/);
+      expect(id.getPrefix()).toBe("ord");
+      expect(id.getTimestamp().getTime()).toBe(time);
+      expect(Identifier.ulid().isInstance(id.getBody())).toBe(true);
+      expect(OrderId.name).toBe("OrdIdentifier");
+      expect(OrderId.prefix).toBe("ord");
+    });
+
+    it("should refuse identifiers of another type", () => {
+      // Arrange
+      const customerId = Identifier.typed("cus").generate();
+
+      // Act & Assert
+      expect(() => OrderId.create(customerId.toString())).toThrow(
+        'Expected an identifier of type "ord", got "cus"',
+      );
+      expect(() => OrderId.create("01HWY6S5E8V0HX5PQ3T2N0MZ4K")).toThrow(
+        'Expected an identifier with prefix "ord_"',
+      );
+      expect(() => OrderId.create("ord_123")).toThrow(ValidationError);
+    });
+
+    it("should normalize the body", () => {
+      // Act
+      const id = OrderId.create("ord_01hwy6s5e8v0hx5pq3t2n0mz4k");
+
+      // Assert
+      expect(id.toString()).toBe("ord_01HWY6S5E8V0HX5PQ3T2N0MZ4K");
+    });
+
+    it("should support other body strategies", () => {
+      // Arrange
+      const InvoiceId = Identifier.typed("inv", { body: Identifier.uuid() });
+
+      // Act
+      const id = InvoiceId.create(
+        "inv_123e4567-e89b-12d3-a456-426614174000",
+      );
+
+      // Assert
+      expect(id.getBody().getVersion()).toBe(1);
+      expect(() => id.getTimestamp()).toThrow(
+        "InvIdentifier bodies carry no timestamp",
+      );
+      expect(() => InvoiceId.generate()).toThrow(
+        "InvIdentifier cannot generate identifiers",
+      );
+    });
+
+    it("should reject invalid prefixes", () => {
+      // Act & Assert
+      expect(() => Identifier.typed("Ord")).toThrow(
+        "Identifier prefix must start with a lowercase letter",
+      );
+      expect(() => Identifier.typed("or_d")).toThrow(Error);
+    });
+  });
+
   // Equality tests
   describe("equality", () => {
     it("should consider identifiers with same value as equal", () => {
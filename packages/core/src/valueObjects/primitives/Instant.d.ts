@@ -0,0 +1,89 @@
+import { ComparableValueObject, ValueObjectFactory } from "../Base";
+import { DurationInput, DurationType, PointInTimeInput } from "./Duration";
+import { LocalDateInput, LocalDateType } from "./LocalDate";
+
+/**
+ * Instant represents an exact point on the UTC timeline stored as an ISO-8601 string
+ */
+export type InstantType = ComparableValueObject<string> & {
+  /**
+   * Returns the milliseconds elapsed since 1970-01-01T00:00:00Z
+   */
+  toEpochMilliseconds: () => number;
+
+  /**
+   * Returns a new Date for this instant
+   */
+  toDate: () => Date;
+
+  /**
+   * Moves the instant forward by a duration
+   */
+  plus: (duration: DurationInput) => InstantType;
+
+  /**
+   * Moves the instant backward by a duration
+   */
+  minus: (duration: DurationInput) => InstantType;
+
+  /**
+   * Returns the duration from this instant to another
+   */
+  until: (other: PointInTimeInput) => DurationType;
+
+  /**
+   * Checks if this instant lies before another
+   */
+  isBefore: (other: PointInTimeInput) => boolean;
+
+  /**
+   * Checks if this instant lies after another
+   */
+  isAfter: (other: PointInTimeInput) => boolean;
+
+  /**
+   * Returns the calendar date of this instant in a time zone
+   */
+  toLocalDate: (timeZone: string) => LocalDateType;
+
+  /**
+   * Returns the wall clock time in a time zone as an ISO-8601 string with offset
+   */
+  toZonedString: (timeZone: string) => string;
+
+  /**
+   * Formats the instant for display in a time zone
+   */
+  format: (
+    timeZone: string,
+    locale?: string,
+    options?: Intl.DateTimeFormatOptions
+  ) => string;
+};
+
+/**
+ * Instant value object factory
+ */
+export const Instant: ValueObjectFactory<string> & {
+  /**
+   * Orders two Instant values, for use with Array.prototype.sort
+   */
+  compare: (a: unknown, b: unknown) => number;
+
+  create: (data: PointInTimeInput | unknown) => InstantType;
+
+  /**
+   * Returns the current instant
+   */
+  now: () => InstantType;
+
+  /**
+   * Returns the instant at which a date starts in a time zone
+   */
+  fromLocalDate: (date: LocalDateInput, timeZone: string) => InstantType;
+
+  /**
+   * Interprets a wall clock date-time without offset in a time zone
+   */
+  fromLocalDateTime: (dateTime: string, timeZone: string) => InstantType;
+};
@@ -0,0 +1,314 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+import { Duration } from "./Duration.js";
+import { LocalDate } from "./LocalDate.js";
+import { ValidationError } from "../../errors/index.js";
+import {
+  assertTimeZone,
+  formatOffset,
+  isValidDate,
+  pad,
+  timeZoneOffset,
+  unwrap,
+  zonedParts,
+  zonedToEpoch,
+} from "./time.js";
+
+/**
+ * ISO-8601 date-time with a mandatory UTC designator or offset
+ * @private
+ */
+const ISO_INSTANT =
+  /^(\d{4})-(\d{2})-(\d{2})T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,9})?)?(?:Z|[+-]\d{2}:\d{2})$/i;
+
+/**
+ * ISO-8601 date-time without an offset, interpreted in an explicit time zone
+ * @private
+ */
+const ISO_LOCAL_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+/**
+ * Instant represents an exact point on the UTC timeline
+ *
+ * Use cases:
+ * - Timestamps such as createdAt, paidAt or occurredOn
+ * - Deadlines and expiry times
+ * - Scheduling across time zones
+ *
+ * Features:
+ * - Stored as a canonical UTC ISO-8601 string, e.g. "2024-03-01T10:00:00.000Z"
+ * - Created from ISO strings with an offset, Dates or epoch milliseconds
+ * - Date-times without an offset are rejected, as their meaning depends on a time zone
+ * - Conversions to local dates and wall clock times always take an explicit time zone
+ *
+ * @example
+ * const paidAt = Instant.create("2024-03-31T01:30:00+01:00");
+ * paidAt.toString(); // "2024-03-31T00:30:00.000Z"
+ * paidAt.plus("PT1H").toZonedString("Europe/Vienna"); // "2024-03-31T03:30:00.000+02:00"
+ * paidAt.toLocalDate("America/New_York").toString(); // "2024-03-30"
+ *
+ * @typedef {import('../Base.js').ValueObject<string>} InstantType
+ */
+export const Instant = valueObject({
+  name: "Instant",
+  schema: z
+    .preprocess(
+      (value) => toIsoString(unwrap(value)),
+      z
+        .string({
+          invalid_type_error:
+            "Instant must be an ISO-8601 string, a Date or epoch milliseconds",
+        })
+        .regex(
+          ISO_INSTANT,
+          "Instant must be an ISO-8601 date-time with an offset, e.g. 2024-03-01T10:00:00Z",
+        ),
+    )
+    .transform((value, ctx) => {
+      const [, year, month, day] = /** @type {RegExpExecArray} */ (
+        ISO_INSTANT.exec(value)
+      );
+      const epochMs = Date.parse(value);
+
+      if (
+        !isValidDate(Number(year), Number(month), Number(day)) ||
+        Number.isNaN(epochMs)
+      ) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Invalid instant: ${value}`,
+        });
+        return z.NEVER;
+      }
+
+      return new Date(epochMs).toISOString();
+    }),
+  overrideIsPrimitive: true,
+  compare: (a, b) => Date.parse(a.valueOf()) - Date.parse(b.valueOf()),
+  methodsFactory: (factory) => ({
+    /**
+     * Returns the milliseconds elapsed since 1970-01-01T00:00:00Z
+     * @returns {number} Epoch milliseconds
+     */
+    toEpochMilliseconds() {
+      return Date.parse(this.valueOf());
+    },
+
+    /**
+     * Returns a new Date for this instant
+     * @returns {Date} A Date at the same point in time
+     */
+    toDate() {
+      return new Date(this.valueOf());
+    },
+
+    /**
+     * Moves the instant forward by a duration
+     * @param {any} duration - A Duration, ISO duration, milliseconds or unit object
+     * @returns {InstantType} New instance later in time
+     */
+    plus(duration) {
+      return /** @type {InstantType} */ (
+        factory.create(
+          Date.parse(this.valueOf()) + Duration.create(duration).toMilliseconds(),
+        )
+      );
+    },
+
+    /**
+     * Moves the instant backward by a duration
+     * @param {any} duration - A Duration, ISO duration, milliseconds or unit object
+     * @returns {InstantType} New instance earlier in time
+     */
+    minus(duration) {
+      return /** @type {InstantType} */ (
+        factory.create(
+          Date.parse(this.valueOf()) - Duration.create(duration).toMilliseconds(),
+        )
+      );
+    },
+
+    /**
+     * Returns the duration from this instant to another
+     * @param {any} other - An Instant, Date, ISO string or epoch milliseconds
+     * @returns {import('./Duration.js').DurationType} The elapsed time, negative if other lies before this instant
+     */
+    until(other) {
+      return /** @type {import('./Duration.js').DurationType} */ (
+        Duration.create(
+          factory.create(other).toEpochMilliseconds() -
+            Date.parse(this.valueOf()),
+        )
+      );
+    },
+
+    /**
+     * Checks if this instant lies before another
+     * @param {any} other - An Instant, Date, ISO string or epoch milliseconds
+     * @returns {boolean} True if this instant is earlier
+     */
+    isBefore(other) {
+      return (
+        Date.parse(this.valueOf()) < factory.create(other).toEpochMilliseconds()
+      );
+    },
+
+    /**
+     * Checks if this instant lies after another
+     * @param {any} other - An Instant, Date, ISO string or epoch milliseconds
+     * @returns {boolean} True if this instant is later
+     */
+    isAfter(other) {
+      return (
+        Date.parse(this.valueOf()) > factory.create(other).toEpochMilliseconds()
+      );
+    },
+
+    /**
+     * Returns the calendar date of this instant in a time zone
+     * @param {string} timeZone - IANA time zone name, e.g. "Europe/Vienna"
+     * @returns {import('./LocalDate.js').LocalDateType} The local date
+     * @throws {ValidationError} If the time zone is missing or unknown
+     */
+    toLocalDate(timeZone) {
+      const { year, month, day } = zonedParts(
+        Date.parse(this.valueOf()),
+        timeZone,
+      );
+      return LocalDate.of(year, month, day);
+    },
+
+    /**
+     * Returns the wall clock time of this instant in a time zone as an ISO-8601
+     * string with offset, e.g. "2024-03-01T11:00:00.000+01:00"
+     * @param {string} timeZone - IANA time zone name, e.g. "Europe/Vienna"
+     * @returns {string} The offset date-time
+     * @throws {ValidationError} If the time zone is missing or unknown
+     */
+    toZonedString(timeZone) {
+      const epochMs = Date.parse(this.valueOf());
+      const parts = zonedParts(epochMs, timeZone);
+      const date = `${pad(parts.year, 4)}-${pad(parts.month, 2)}-${pad(parts.day, 2)}`;
+      const time = `${pad(parts.hour, 2)}:${pad(parts.minute, 2)}:${pad(parts.second, 2)}.${pad(parts.millisecond, 3)}`;
+      return `${date}T${time}${formatOffset(timeZoneOffset(epochMs, timeZone))}`;
+    },
+
+    /**
+     * Formats the instant for display in a time zone
+     * @param {string} timeZone - IANA time zone name, e.g. "Europe/Vienna"
+     * @param {string} [locale='en-US'] - Locale to use for formatting
+     * @param {Intl.DateTimeFormatOptions} [options={ dateStyle: 'medium', timeStyle: 'short' }] - Intl formatting options
+     * @returns {string} The formatted date and time
+     * @throws {ValidationError} If the time zone is missing or unknown
+     */
+    format(
+      timeZone,
+      locale = "en-US",
+      options = { dateStyle: "medium", timeStyle: "short" },
+    ) {
+      assertTimeZone(timeZone);
+      return new Intl.DateTimeFormat(locale, { ...options, timeZone }).format(
+        new Date(this.valueOf()),
+      );
+    },
+  }),
+});
+
+/**
+ * Returns the current instant
+ * @returns {InstantType} The current point in time
+ */
+Instant.now = function () {
+  return /** @type {InstantType} */ (Instant.create(Date.now()));
+};
+
+/**
+ * Returns the instant at which a date starts in a time zone
+ * @param {any} date - A LocalDate or ISO date string
+ * @param {string} timeZone - IANA time zone name, e.g. "Europe/Vienna"
+ * @returns {InstantType} The first instant of the date in the time zone
+ * @throws {ValidationError} If the date is invalid or the time zone is missing or unknown
+ *
+ * @example
+ * Instant.fromLocalDate("2024-03-01", "Europe/Vienna").toString(); // "2024-02-29T23:00:00.000Z"
+ */
+Instant.fromLocalDate = function (date, timeZone) {
+  const localDate = /** @type {import('./LocalDate.js').LocalDateType} */ (
+    LocalDate.create(date)
+  );
+  return /** @type {InstantType} */ (
+    Instant.create(
+      zonedToEpoch(
+        {
+          year: localDate.getYear(),
+          month: localDate.getMonth(),
+          day: localDate.getDay(),
+        },
+        timeZone,
+      ),
+    )
+  );
+};
+
+/**
+ * Interprets a wall clock date-time in a time zone
+ * Times skipped by a daylight saving gap are moved forward by the length of the gap.
+ * @param {string} dateTime - ISO-8601 date-time without offset, e.g. "2024-03-01T09:30"
+ * @param {string} timeZone - IANA time zone name, e.g. "Europe/Vienna"
+ * @returns {InstantType} The corresponding instant
+ * @throws {ValidationError} If the date-time is invalid or the time zone is missing or unknown
+ *
+ * @example
+ * Instant.fromLocalDateTime("2024-07-01T09:30", "Europe/Vienna").toString(); // "2024-07-01T07:30:00.000Z"
+ */
+Instant.fromLocalDateTime = function (dateTime, timeZone) {
+  const match = ISO_LOCAL_DATE_TIME.exec(String(dateTime));
+  const [, year, month, day, hour, minute, second, fraction] = match ?? [];
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second ?? 0),
+    millisecond: Number((fraction ?? "").padEnd(3, "0")),
+  };
+
+  // Reject malformed input and fields that the Date arithmetic would roll over
+  const isValid =
+    match !== null &&
+    isValidDate(parts.year, parts.month, parts.day) &&
+    parts.hour < 24 &&
+    parts.minute < 60 &&
+    parts.second < 60;
+
+  if (!isValid) {
+    throw new ValidationError(
+      { key: "instant.invalidLocalDateTime", params: { dateTime } },
+      undefined,
+      { objectType: "Instant", dateTime },
+    );
+  }
+
+  return /** @type {InstantType} */ (
+    Instant.create(zonedToEpoch(parts, timeZone))
+  );
+};
+
+/**
+ * Converts Dates and epoch milliseconds into ISO strings, leaving other values untouched
+ * @param {any} value - The raw input
+ * @returns {any} An ISO string or the original value
+ * @private
+ */
+function toIsoString(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? "Invalid Date" : value.toISOString();
+  }
+  if (typeof value === "number") {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+  }
+  return value;
+}
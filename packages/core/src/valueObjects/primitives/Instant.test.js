@@ -0,0 +1,201 @@
+// packages/core/src/valueObjects/primitives/Instant.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { Instant } from "./Instant.js";
+import { LocalDate } from "./LocalDate.js";
+import { ValidationError } from "../../errors/index.js";
+import { entity } from "../../entities/index.js";
+import { specificValueObjectSchema } from "../schema.js";
+
+describe("Instant Value Object", () => {
+  describe("creation", () => {
+    it("should normalize ISO-8601 strings with offset to UTC", () => {
+      // Act
+      const instant = Instant.create("2024-03-31T01:30:00+01:00");
+
+      // Assert
+      expect(instant.toString()).toBe("2024-03-31T00:30:00.000Z");
+    });
+
+    it("should create instants from Dates and epoch milliseconds", () => {
+      // Arrange
+      const epochMs = Date.parse("2024-01-01T12:00:00Z");
+
+      // Act
+      const fromDate = Instant.create(new Date(epochMs));
+      const fromNumber = Instant.create(epochMs);
+
+      // Assert
+      expect(fromDate.equals(fromNumber)).toBe(true);
+      expect(fromNumber.toEpochMilliseconds()).toBe(epochMs);
+      expect(fromNumber.toDate()).toEqual(new Date(epochMs));
+    });
+
+    it("should reject date-times without an offset", () => {
+      // Act & Assert
+      expect(() => Instant.create("2024-03-01T10:00:00")).toThrow(
+        /with an offset/,
+      );
+    });
+
+    it("should throw ValidationError for invalid input", () => {
+      // Arrange
+      const invalidInputs = [
+        "2024-02-30T00:00:00Z",
+        "2024-03-01",
+        "now",
+        new Date("invalid"),
+        Number.NaN,
+        null,
+      ];
+
+      // Act & Assert
+      invalidInputs.forEach((input) => {
+        expect(() => Instant.create(input)).toThrow(ValidationError);
+      });
+    });
+  });
+
+  describe("arithmetic", () => {
+    it("should add and subtract durations", () => {
+      // Arrange
+      const instant = Instant.create("2024-01-01T00:00:00Z");
+
+      // Act & Assert
+      expect(instant.plus("PT1H30M").toString()).toBe("2024-01-01T01:30:00.000Z");
+      expect(instant.minus({ days: 1 }).toString()).toBe(
+        "2023-12-31T00:00:00.000Z",
+      );
+    });
+
+    it("should measure the duration until another instant", () => {
+      // Arrange
+      const start = Instant.create("2024-01-01T00:00:00Z");
+
+      // Act
+      const duration = start.until("2024-01-01T02:15:00+01:00");
+
+      // Assert
+      expect(duration.toString()).toBe("PT1H15M");
+    });
+
+    it("should compare instants regardless of the input offset", () => {
+      // Arrange
+      const instant = Instant.create("2024-01-01T12:00:00Z");
+
+      // Assert
+      expect(instant.isBefore("2024-01-01T13:30:00+01:00")).toBe(true);
+      expect(instant.isAfter("2024-01-01T12:30:00+01:00")).toBe(true);
+      expect(instant.equals(Instant.create("2024-01-01T13:00:00+01:00"))).toBe(
+        true,
+      );
+    });
+  });
+
+  describe("time zone conversion", () => {
+    it("should return the local date in a time zone", () => {
+      // Arrange
+      const instant = Instant.create("2024-03-31T00:30:00Z");
+
+      // Act & Assert
+      expect(instant.toLocalDate("Europe/Vienna").toString()).toBe("2024-03-31");
+      expect(instant.toLocalDate("America/New_York").toString()).toBe(
+        "2024-03-30",
+      );
+    });
+
+    it("should return the wall clock time with the offset in effect", () => {
+      // Arrange
+      const beforeSwitch = Instant.create("2024-03-31T00:30:00Z");
+
+      // Act & Assert
+      expect(beforeSwitch.toZonedString("Europe/Vienna")).toBe(
+        "2024-03-31T01:30:00.000+01:00",
+      );
+      expect(beforeSwitch.plus("PT1H").toZonedString("Europe/Vienna")).toBe(
+        "2024-03-31T03:30:00.000+02:00",
+      );
+    });
+
+    it("should return the start of a local date in a time zone", () => {
+      // Act
+      const instant = Instant.fromLocalDate(
+        LocalDate.create("2024-03-01"),
+        "Europe/Vienna",
+      );
+
+      // Assert
+      expect(instant.toString()).toBe("2024-02-29T23:00:00.000Z");
+    });
+
+    it("should interpret wall clock date-times in a time zone", () => {
+      // Act & Assert
+      expect(
+        Instant.fromLocalDateTime("2024-07-01T09:30", "Europe/Vienna").toString(),
+      ).toBe("2024-07-01T07:30:00.000Z");
+      expect(
+        Instant.fromLocalDateTime(
+          "2024-01-15T09:30:15.5",
+          "America/New_York",
+        ).toString(),
+      ).toBe("2024-01-15T14:30:15.500Z");
+    });
+
+    it("should reject invalid wall clock date-times", () => {
+      // Act & Assert
+      expect(() =>
+        Instant.fromLocalDateTime("2024-07-01T24:00", "Europe/Vienna"),
+      ).toThrow("Invalid local date-time: 2024-07-01T24:00");
+      expect(() =>
+        Instant.fromLocalDateTime("2024-07-01T09:30Z", "Europe/Vienna"),
+      ).toThrow(ValidationError);
+    });
+
+    it("should require an explicit, known time zone", () => {
+      // Arrange
+      const instant = Instant.create("2024-01-01T00:00:00Z");
+
+      // Act & Assert
+      expect(() => instant.toLocalDate(undefined)).toThrow(
+        "A time zone is required",
+      );
+      expect(() => instant.format("Nowhere/Special")).toThrow(ValidationError);
+    });
+
+    it("should format instants in a time zone", () => {
+      // Arrange
+      const instant = Instant.create("2024-03-31T00:30:00Z");
+
+      // Act & Assert
+      expect(instant.format("Europe/Vienna")).toBe("Mar 31, 2024, 1:30 AM");
+      expect(instant.format("UTC", "en-GB", { timeStyle: "short" })).toBe(
+        "00:30",
+      );
+    });
+  });
+
+  it("should plug into entity schemas", () => {
+    // Arrange
+    const Payment = entity({
+      name: "Payment",
+      schema: z.object({
+        id: z.string(),
+        paidAt: specificValueObjectSchema(Instant),
+        recordedAt: Instant.schema,
+      }),
+      identity: "id",
+      methodsFactory: () => ({}),
+    });
+
+    // Act
+    const payment = Payment.create({
+      id: "pay-1",
+      paidAt: Instant.create("2024-05-01T10:00:00+02:00"),
+      recordedAt: new Date("2024-05-01T08:00:05Z"),
+    });
+
+    // Assert
+    expect(payment.paidAt.toString()).toBe("2024-05-01T08:00:00.000Z");
+    expect(payment.recordedAt).toBe("2024-05-01T08:00:05.000Z");
+  });
+});
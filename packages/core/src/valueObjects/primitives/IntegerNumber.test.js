@@ -65,13 +65,8 @@ describe("IntegerNumber Value Object", () => {
     expect(intResult + 0).toBe(8);
     expect(intResult.isInteger()).toBe(true);
 
-    // This operation would result in a non-integer
-    // but the value object doesn't enforce constraints on operations
-    // only on creation
-    const floatResult = numObj.divide(2);
-    expect(floatResult + 0).toBe(2.5);
-
-    // Verify that creating a new instance with the float value fails
-    expect(() => IntegerNumber.create(floatResult)).toThrow(ValidationError);
+    // Operations produce IntegerNumber instances, so a non-integer result
+    // violates the constraint just like creating it directly
+    expect(() => numObj.divide(2)).toThrow(ValidationError);
   });
 });
@@ -0,0 +1,137 @@
+import {
+  ComparableValueObject,
+  ValueObject,
+  ValueObjectFactory,
+} from "../Base";
+
+/**
+ * Input accepted wherever a calendar date is expected
+ */
+export type LocalDateInput = string | ValueObject<string>;
+
+/**
+ * LocalDate represents a calendar date without a time or time zone
+ */
+export type LocalDateType = ComparableValueObject<string> & {
+  /**
+   * Returns the year
+   */
+  getYear: () => number;
+
+  /**
+   * Returns the month (1-12)
+   */
+  getMonth: () => number;
+
+  /**
+   * Returns the day of the month
+   */
+  getDay: () => number;
+
+  /**
+   * Returns the ISO-8601 day of the week, 1 for Monday through 7 for Sunday
+   */
+  getDayOfWeek: () => number;
+
+  /**
+   * Checks if the date lies in a leap year
+   */
+  isLeapYear: () => boolean;
+
+  /**
+   * Returns the number of days in the month of this date
+   */
+  lengthOfMonth: () => number;
+
+  /**
+   * Adds days to the date
+   */
+  plusDays: (days: number) => LocalDateType;
+
+  /**
+   * Adds weeks to the date
+   */
+  plusWeeks: (weeks: number) => LocalDateType;
+
+  /**
+   * Adds months to the date, clamping to the last day of shorter months
+   */
+  plusMonths: (months: number) => LocalDateType;
+
+  /**
+   * Adds years to the date
+   */
+  plusYears: (years: number) => LocalDateType;
+
+  /**
+   * Subtracts days from the date
+   */
+  minusDays: (days: number) => LocalDateType;
+
+  /**
+   * Subtracts weeks from the date
+   */
+  minusWeeks: (weeks: number) => LocalDateType;
+
+  /**
+   * Subtracts months from the date, clamping to the last day of shorter months
+   */
+  minusMonths: (months: number) => LocalDateType;
+
+  /**
+   * Subtracts years from the date
+   */
+  minusYears: (years: number) => LocalDateType;
+
+  /**
+   * Returns the first day of the month of this date
+   */
+  startOfMonth: () => LocalDateType;
+
+  /**
+   * Returns the last day of the month of this date
+   */
+  endOfMonth: () => LocalDateType;
+
+  /**
+   * Counts the days from this date to another date
+   */
+  daysUntil: (other: LocalDateInput) => number;
+
+  /**
+   * Checks if this date lies before another date
+   */
+  isBefore: (other: LocalDateInput) => boolean;
+
+  /**
+   * Checks if this date lies after another date
+   */
+  isAfter: (other: LocalDateInput) => boolean;
+
+  /**
+   * Formats the date for display
+   */
+  format: (locale?: string, options?: Intl.DateTimeFormatOptions) => string;
+};
+
+/**
+ * LocalDate value object factory
+ */
+export const LocalDate: ValueObjectFactory<string> & {
+  /**
+   * Orders two LocalDate values, for use with Array.prototype.sort
+   */
+  compare: (a: unknown, b: unknown) => number;
+
+  create: (data: LocalDateInput | unknown) => LocalDateType;
+
+  /**
+   * Creates a date from its calendar fields
+   */
+  of: (year: number, month: number, day: number) => LocalDateType;
+
+  /**
+   * Returns the current date in a time zone
+   */
+  today: (timeZone: string) => LocalDateType;
+};
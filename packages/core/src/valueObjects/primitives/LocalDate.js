@@ -0,0 +1,350 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+import {
+  MS_PER,
+  daysInMonth,
+  isLeapYear,
+  isValidDate,
+  pad,
+  unwrap,
+  utcEpoch,
+  zonedParts,
+} from "./time.js";
+
+/**
+ * LocalDate represents a calendar date without a time or time zone
+ *
+ * Use cases:
+ * - Birthdays, due dates and holidays
+ * - Contract start and end dates
+ * - Any date that must not shift when viewed from another time zone
+ *
+ * Features:
+ * - Stored as an ISO-8601 calendar date string, e.g. "2024-03-01"
+ * - Rejects dates that do not exist, such as "2023-02-29"
+ * - Calendar-aware arithmetic that clamps to the end of shorter months
+ * - Dates are only derived from instants with an explicit time zone
+ *
+ * @example
+ * const due = LocalDate.create("2024-01-31");
+ * due.plusMonths(1).toString(); // "2024-02-29"
+ * due.daysUntil("2024-03-01"); // 30
+ * LocalDate.today("Europe/Vienna");
+ *
+ * @typedef {import('../Base.js').ValueObject<string>} LocalDateType
+ */
+export const LocalDate = valueObject({
+  name: "LocalDate",
+  schema: z.preprocess(
+    unwrap,
+    z
+      .string({ invalid_type_error: "LocalDate must be an ISO-8601 string" })
+      .regex(
+        /^\d{4}-\d{2}-\d{2}$/,
+        "LocalDate must be an ISO-8601 calendar date, e.g. 2024-03-01",
+      )
+      .refine((value) => {
+        const { year, month, day } = parseDate(value);
+        return isValidDate(year, month, day);
+      }, "Invalid calendar date"),
+  ),
+  overrideIsPrimitive: true,
+  compare: (a, b) => toEpochDay(a.valueOf()) - toEpochDay(b.valueOf()),
+  methodsFactory: (factory) => {
+    /**
+     * Creates a new instance from calendar fields
+     * @param {number} year - The year
+     * @param {number} month - The month (1-12)
+     * @param {number} day - The day of the month
+     * @returns {LocalDateType}
+     */
+    const fromFields = (year, month, day) =>
+      /** @type {LocalDateType} */ (
+        factory.create(`${pad(year, 4)}-${pad(month, 2)}-${pad(day, 2)}`)
+      );
+
+    /**
+     * Creates a new instance from a day count since 1970-01-01
+     * @param {number} epochDay - The day count
+     * @returns {LocalDateType}
+     */
+    const fromEpochDay = (epochDay) => {
+      const date = new Date(epochDay * MS_PER.day);
+      return fromFields(
+        date.getUTCFullYear(),
+        date.getUTCMonth() + 1,
+        date.getUTCDate(),
+      );
+    };
+
+    /**
+     * Adds months to an ISO date string, clamping to the last day of shorter months
+     * @param {string} text - The date string
+     * @param {number} months - Number of months, may be negative
+     * @returns {LocalDateType}
+     */
+    const addMonths = (text, months) => {
+      const { year, month, day } = parseDate(text);
+      const totalMonths = year * 12 + (month - 1) + months;
+      const newYear = Math.floor(totalMonths / 12);
+      const newMonth = totalMonths - newYear * 12 + 1;
+      return fromFields(
+        newYear,
+        newMonth,
+        Math.min(day, daysInMonth(newYear, newMonth)),
+      );
+    };
+
+    return {
+      /**
+       * Returns the year
+       * @returns {number} The year
+       */
+      getYear() {
+        return parseDate(this.valueOf()).year;
+      },
+
+      /**
+       * Returns the month
+       * @returns {number} The month (1-12)
+       */
+      getMonth() {
+        return parseDate(this.valueOf()).month;
+      },
+
+      /**
+       * Returns the day of the month
+       * @returns {number} The day (1-31)
+       */
+      getDay() {
+        return parseDate(this.valueOf()).day;
+      },
+
+      /**
+       * Returns the ISO-8601 day of the week
+       * @returns {number} 1 for Monday through 7 for Sunday
+       */
+      getDayOfWeek() {
+        const weekday = new Date(toEpochDay(this.valueOf()) * MS_PER.day).getUTCDay();
+        return weekday === 0 ? 7 : weekday;
+      },
+
+      /**
+       * Checks if the date lies in a leap year
+       * @returns {boolean} True if the year has 366 days
+       */
+      isLeapYear() {
+        return isLeapYear(parseDate(this.valueOf()).year);
+      },
+
+      /**
+       * Returns the number of days in the month of this date
+       * @returns {number} The number of days (28-31)
+       */
+      lengthOfMonth() {
+        const { year, month } = parseDate(this.valueOf());
+        return daysInMonth(year, month);
+      },
+
+      /**
+       * Adds days to the date
+       * @param {number} days - Number of days, may be negative
+       * @returns {LocalDateType} New instance with the days added
+       */
+      plusDays(days) {
+        return fromEpochDay(toEpochDay(this.valueOf()) + assertInteger(days));
+      },
+
+      /**
+       * Adds weeks to the date
+       * @param {number} weeks - Number of weeks, may be negative
+       * @returns {LocalDateType} New instance with the weeks added
+       */
+      plusWeeks(weeks) {
+        return fromEpochDay(
+          toEpochDay(this.valueOf()) + assertInteger(weeks) * 7,
+        );
+      },
+
+      /**
+       * Adds months to the date, clamping to the last day of shorter months
+       * @param {number} months - Number of months, may be negative
+       * @returns {LocalDateType} New instance with the months added
+       */
+      plusMonths(months) {
+        return addMonths(this.valueOf(), assertInteger(months));
+      },
+
+      /**
+       * Adds years to the date, moving February 29 to February 28 in common years
+       * @param {number} years - Number of years, may be negative
+       * @returns {LocalDateType} New instance with the years added
+       */
+      plusYears(years) {
+        return addMonths(this.valueOf(), assertInteger(years) * 12);
+      },
+
+      /**
+       * Subtracts days from the date
+       * @param {number} days - Number of days
+       * @returns {LocalDateType} New instance with the days subtracted
+       */
+      minusDays(days) {
+        return fromEpochDay(toEpochDay(this.valueOf()) - assertInteger(days));
+      },
+
+      /**
+       * Subtracts weeks from the date
+       * @param {number} weeks - Number of weeks
+       * @returns {LocalDateType} New instance with the weeks subtracted
+       */
+      minusWeeks(weeks) {
+        return fromEpochDay(
+          toEpochDay(this.valueOf()) - assertInteger(weeks) * 7,
+        );
+      },
+
+      /**
+       * Subtracts months from the date, clamping to the last day of shorter months
+       * @param {number} months - Number of months
+       * @returns {LocalDateType} New instance with the months subtracted
+       */
+      minusMonths(months) {
+        return addMonths(this.valueOf(), -assertInteger(months));
+      },
+
+      /**
+       * Subtracts years from the date
+       * @param {number} years - Number of years
+       * @returns {LocalDateType} New instance with the years subtracted
+       */
+      minusYears(years) {
+        return addMonths(this.valueOf(), -assertInteger(years) * 12);
+      },
+
+      /**
+       * Returns the first day of the month of this date
+       * @returns {LocalDateType} New instance on the first of the month
+       */
+      startOfMonth() {
+        const { year, month } = parseDate(this.valueOf());
+        return fromFields(year, month, 1);
+      },
+
+      /**
+       * Returns the last day of the month of this date
+       * @returns {LocalDateType} New instance on the last day of the month
+       */
+      endOfMonth() {
+        const { year, month } = parseDate(this.valueOf());
+        return fromFields(year, month, daysInMonth(year, month));
+      },
+
+      /**
+       * Counts the days from this date to another date
+       * @param {any} other - A LocalDate or ISO date string
+       * @returns {number} The number of days, negative if other lies before this date
+       */
+      daysUntil(other) {
+        return (
+          toEpochDay(factory.create(other).valueOf()) -
+          toEpochDay(this.valueOf())
+        );
+      },
+
+      /**
+       * Checks if this date lies before another date
+       * @param {any} other - A LocalDate or ISO date string
+       * @returns {boolean} True if this date is earlier
+       */
+      isBefore(other) {
+        return this.valueOf() < factory.create(other).valueOf();
+      },
+
+      /**
+       * Checks if this date lies after another date
+       * @param {any} other - A LocalDate or ISO date string
+       * @returns {boolean} True if this date is later
+       */
+      isAfter(other) {
+        return this.valueOf() > factory.create(other).valueOf();
+      },
+
+      /**
+       * Formats the date for display
+       * @param {string} [locale='en-US'] - Locale to use for formatting
+       * @param {Intl.DateTimeFormatOptions} [options={ dateStyle: 'medium' }] - Intl formatting options
+       * @returns {string} The formatted date
+       */
+      format(locale = "en-US", options = { dateStyle: "medium" }) {
+        return new Intl.DateTimeFormat(locale, {
+          ...options,
+          timeZone: "UTC",
+        }).format(new Date(toEpochDay(this.valueOf()) * MS_PER.day));
+      },
+    };
+  },
+});
+
+/**
+ * Creates a date from its calendar fields
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {number} day - The day of the month
+ * @returns {LocalDateType} A new date
+ * @throws {ValidationError} If the date does not exist
+ *
+ * @example
+ * LocalDate.of(2024, 2, 29).toString(); // "2024-02-29"
+ */
+LocalDate.of = function (year, month, day) {
+  return /** @type {LocalDateType} */ (
+    LocalDate.create(`${pad(year, 4)}-${pad(month, 2)}-${pad(day, 2)}`)
+  );
+};
+
+/**
+ * Returns the current date in a time zone
+ * @param {string} timeZone - IANA time zone name, e.g. "Europe/Vienna"
+ * @returns {LocalDateType} Today's date in the time zone
+ * @throws {ValidationError} If the time zone is missing or unknown
+ */
+LocalDate.today = function (timeZone) {
+  const { year, month, day } = zonedParts(Date.now(), timeZone);
+  return LocalDate.of(year, month, day);
+};
+
+/**
+ * Splits an ISO date string into its calendar fields
+ * @param {string} text - The date string
+ * @returns {{year: number, month: number, day: number}} The calendar fields
+ * @private
+ */
+function parseDate(text) {
+  const [year, month, day] = text.split("-").map(Number);
+  return { year, month, day };
+}
+
+/**
+ * Converts an ISO date string into a day count since 1970-01-01
+ * @param {string} text - The date string
+ * @returns {number} The day count
+ * @private
+ */
+function toEpochDay(text) {
+  return utcEpoch(parseDate(text)) / MS_PER.day;
+}
+
+/**
+ * Ensures calendar arithmetic is only done in whole units
+ * @param {number} value - The amount to check
+ * @returns {number} The amount
+ * @throws {Error} If the amount is not an integer
+ * @private
+ */
+function assertInteger(value) {
+  if (!Number.isInteger(value)) {
+    throw new Error("Calendar arithmetic requires whole numbers");
+  }
+  return value;
+}
@@ -0,0 +1,196 @@
+// packages/core/src/valueObjects/primitives/LocalDate.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { LocalDate } from "./LocalDate.js";
+import { ValidationError } from "../../errors/index.js";
+import { entity } from "../../entities/index.js";
+import { specificValueObjectSchema } from "../schema.js";
+
+describe("LocalDate Value Object", () => {
+  describe("creation", () => {
+    it("should create a date from an ISO-8601 string", () => {
+      // Act
+      const date = LocalDate.create("2024-03-01");
+
+      // Assert
+      expect(date.toString()).toBe("2024-03-01");
+      expect(date.getYear()).toBe(2024);
+      expect(date.getMonth()).toBe(3);
+      expect(date.getDay()).toBe(1);
+    });
+
+    it("should create a date from calendar fields", () => {
+      // Act & Assert
+      expect(LocalDate.of(2024, 2, 29).toString()).toBe("2024-02-29");
+      expect(LocalDate.of(33, 1, 5).toString()).toBe("0033-01-05");
+    });
+
+    it("should throw ValidationError for dates that do not exist", () => {
+      // Arrange
+      const invalidDates = ["2023-02-29", "2024-13-01", "2024-04-31", "2024-00-10"];
+
+      // Act & Assert
+      invalidDates.forEach((date) => {
+        expect(() => LocalDate.create(date)).toThrow(ValidationError);
+      });
+    });
+
+    it("should reject malformed strings and Dates", () => {
+      // Act & Assert
+      expect(() => LocalDate.create("01.03.2024")).toThrow(ValidationError);
+      expect(() => LocalDate.create("2024-03-01T00:00:00Z")).toThrow(
+        ValidationError,
+      );
+      // A Date has no calendar date without a time zone
+      expect(() => LocalDate.create(new Date())).toThrow(ValidationError);
+    });
+
+    it("should return today's date in an explicit time zone", () => {
+      // Act
+      const today = LocalDate.today("Pacific/Kiritimati");
+
+      // Assert
+      expect(today.toString()).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(() => LocalDate.today(undefined)).toThrow(ValidationError);
+    });
+  });
+
+  describe("calendar arithmetic", () => {
+    it("should add and subtract days across month and year boundaries", () => {
+      // Arrange
+      const date = LocalDate.create("2024-12-31");
+
+      // Act & Assert
+      expect(date.plusDays(1).toString()).toBe("2025-01-01");
+      expect(date.minusDays(366).toString()).toBe("2023-12-31");
+      expect(date.plusWeeks(2).toString()).toBe("2025-01-14");
+      expect(date.minusWeeks(1).toString()).toBe("2024-12-24");
+    });
+
+    it("should clamp to the last day of shorter months", () => {
+      // Arrange
+      const date = LocalDate.create("2024-01-31");
+
+      // Act & Assert
+      expect(date.plusMonths(1).toString()).toBe("2024-02-29");
+      expect(date.plusMonths(3).toString()).toBe("2024-04-30");
+      expect(date.minusMonths(2).toString()).toBe("2023-11-30");
+      expect(date.plusMonths(-13).toString()).toBe("2022-12-31");
+    });
+
+    it("should move February 29 to February 28 in common years", () => {
+      // Arrange
+      const leapDay = LocalDate.create("2024-02-29");
+
+      // Act & Assert
+      expect(leapDay.plusYears(1).toString()).toBe("2025-02-28");
+      expect(leapDay.minusYears(4).toString()).toBe("2020-02-29");
+    });
+
+    it("should reject fractional amounts", () => {
+      // Act & Assert
+      expect(() => LocalDate.create("2024-01-01").plusDays(1.5)).toThrow(
+        "Calendar arithmetic requires whole numbers",
+      );
+    });
+
+    it("should return the start and end of the month", () => {
+      // Arrange
+      const date = LocalDate.create("2023-02-14");
+
+      // Act & Assert
+      expect(date.startOfMonth().toString()).toBe("2023-02-01");
+      expect(date.endOfMonth().toString()).toBe("2023-02-28");
+      expect(date.lengthOfMonth()).toBe(28);
+      expect(date.isLeapYear()).toBe(false);
+    });
+
+    it("should return the ISO day of the week", () => {
+      // Assert
+      expect(LocalDate.create("2024-03-04").getDayOfWeek()).toBe(1); // Monday
+      expect(LocalDate.create("2024-03-10").getDayOfWeek()).toBe(7); // Sunday
+    });
+  });
+
+  describe("comparison", () => {
+    it("should count days between dates", () => {
+      // Arrange
+      const date = LocalDate.create("2024-01-31");
+
+      // Act & Assert
+      expect(date.daysUntil("2024-03-01")).toBe(30);
+      expect(date.daysUntil(LocalDate.create("2024-01-01"))).toBe(-30);
+    });
+
+    it("should compare dates", () => {
+      // Arrange
+      const date = LocalDate.create("2024-06-15");
+
+      // Assert
+      expect(date.isBefore("2024-06-16")).toBe(true);
+      expect(date.isAfter("2024-06-16")).toBe(false);
+      expect(date.equals(LocalDate.create("2024-06-15"))).toBe(true);
+    });
+
+    it("should order dates", () => {
+      // Arrange
+      const dates = ["2024-03-01", "2023-12-31", "2024-01-15"].map(
+        LocalDate.create,
+      );
+
+      // Act
+      const sorted = [...dates].sort(LocalDate.compare);
+
+      // Assert
+      expect(sorted.map(String)).toEqual([
+        "2023-12-31",
+        "2024-01-15",
+        "2024-03-01",
+      ]);
+      expect(dates[0].isGreaterThan("2024-02-29")).toBe(true);
+      expect(dates[0].clamp("2024-01-01", "2024-01-31").toString()).toBe(
+        "2024-01-31",
+      );
+    });
+  });
+
+  it("should format dates without shifting them", () => {
+    // Act & Assert
+    expect(LocalDate.create("2024-01-01").format()).toBe("Jan 1, 2024");
+    expect(
+      LocalDate.create("2024-12-24").format("de-AT", { dateStyle: "long" }),
+    ).toBe("24. Dezember 2024");
+  });
+
+  it("should plug into entity schemas", () => {
+    // Arrange
+    const Person = entity({
+      name: "Person",
+      schema: z.object({
+        id: z.string(),
+        birthday: specificValueObjectSchema(LocalDate),
+        memberSince: LocalDate.schema,
+      }),
+      identity: "id",
+      methodsFactory: () => ({}),
+    });
+
+    // Act
+    const person = Person.create({
+      id: "p-1",
+      birthday: LocalDate.create("1990-05-17"),
+      memberSince: "2020-01-01",
+    });
+
+    // Assert
+    expect(person.birthday.plusYears(1).toString()).toBe("1991-05-17");
+    expect(person.memberSince).toBe("2020-01-01");
+    expect(() =>
+      Person.create({
+        id: "p-2",
+        birthday: LocalDate.create("1990-05-17"),
+        memberSince: "2021-02-29",
+      }),
+    ).toThrow(ValidationError);
+  });
+});
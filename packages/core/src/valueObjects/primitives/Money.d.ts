@@ -0,0 +1,108 @@
+import { ComparableValueObject, ValueObjectFactory } from "../Base";
+import { RoundingModeType } from "./rounding";
+
+/**
+ * Money represents an exact amount of a specific currency
+ */
+export type MoneyType = ComparableValueObject<{ amount: number; currency: string }> & {
+  /**
+   * Amount in minor units (e.g. cents)
+   */
+  amount: number;
+
+  /**
+   * ISO-4217 currency code
+   */
+  currency: string;
+
+  /**
+   * Adds another amount of the same currency
+   */
+  add: (other: MoneyType) => MoneyType;
+
+  /**
+   * Subtracts another amount of the same currency
+   */
+  subtract: (other: MoneyType) => MoneyType;
+
+  /**
+   * Multiplies the amount by a factor, rounding to whole minor units
+   */
+  multiply: (factor: number | string, roundingMode?: RoundingModeType) => MoneyType;
+
+  /**
+   * Splits the amount by ratios without losing minor units
+   */
+  allocate: (ratios: Array<number | string>) => MoneyType[];
+
+  /**
+   * Returns the money with the opposite sign
+   */
+  negate: () => MoneyType;
+
+  /**
+   * Checks if the amount is zero
+   */
+  isZero: () => boolean;
+
+  /**
+   * Checks if the amount is greater than zero
+   */
+  isPositive: () => boolean;
+
+  /**
+   * Checks if the amount is less than zero
+   */
+  isNegative: () => boolean;
+
+  /**
+   * Checks if another money has the same currency
+   */
+  hasSameCurrency: (other: MoneyType) => boolean;
+
+  /**
+   * Returns the amount in major units as a decimal string
+   */
+  toDecimalString: () => string;
+
+  /**
+   * Returns the amount in major units as a number
+   */
+  toDecimal: () => number;
+
+  /**
+   * Formats the money for display
+   */
+  format: (locale?: string) => string;
+};
+
+/**
+ * Money value object factory
+ */
+export const Money: ValueObjectFactory<{ amount: number; currency: string }> & {
+  /**
+   * Orders two Money values, for use with Array.prototype.sort
+   */
+  compare: (a: unknown, b: unknown) => number;
+
+  create: (data: { amount: number; currency: string } | unknown) => MoneyType;
+
+  /**
+   * Creates money from an amount in major units
+   */
+  fromDecimal: (
+    amount: number | string,
+    currency: string,
+    roundingMode?: RoundingModeType
+  ) => MoneyType;
+
+  /**
+   * Creates a zero amount of a currency
+   */
+  zero: (currency: string) => MoneyType;
+
+  /**
+   * Returns the number of minor unit digits of a currency
+   */
+  minorUnitDigits: (currency: string) => number;
+};
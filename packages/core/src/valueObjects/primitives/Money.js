@@ -0,0 +1,358 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+import { ValidationError } from "../../errors/index.js";
+import {
+  RoundingMode,
+  divideRounded,
+  toScaled,
+  powerOfTen,
+} from "./rounding.js";
+
+/**
+ * Money represents an exact amount of a specific currency
+ *
+ * Use cases:
+ * - Prices, totals and balances
+ * - Invoices and tax calculations
+ * - Splitting payments between parties
+ *
+ * Features:
+ * - Stores the amount as an integer number of minor units (e.g. cents)
+ * - ISO-4217 currency codes, normalized to upper case
+ * - Arithmetic with configurable rounding modes
+ * - Refuses arithmetic between different currencies
+ * - Allocation by ratios without losing minor units
+ *
+ * @example
+ * const price = Money.create({ amount: 1999, currency: "EUR" }); // 19.99 EUR
+ * const total = price.add(Money.fromDecimal(5, "EUR"));         // 24.99 EUR
+ * const withTax = total.multiply(1.19, RoundingMode.HALF_UP);   // 29.74 EUR
+ * const [a, b, c] = Money.fromDecimal(100, "EUR").allocate([1, 1, 1]);
+ * // 33.34 EUR, 33.33 EUR, 33.33 EUR
+ *
+ * @typedef {import('../Base.js').ValueObject<{amount: number, currency: string}>} MoneyType
+ */
+export const Money = valueObject({
+  name: "Money",
+  schema: z.object({
+    amount: z
+      .number()
+      .int("Money amount must be an integer number of minor units")
+      .refine(Number.isSafeInteger, {
+        message: "Money amount exceeds the safe integer range",
+      }),
+    currency: z
+      .string()
+      .toUpperCase()
+      .regex(/^[A-Z]{3}$/, "Currency must be a three-letter ISO-4217 code"),
+  }),
+  compare: (a, b) => {
+    assertSameCurrency(a, b, "compare");
+    return a.amount - b.amount;
+  },
+  methodsFactory: (factory) => ({
+    /**
+     * Adds another amount of the same currency
+     * @param {MoneyType} other - The money to add
+     * @returns {MoneyType} New instance with the sum
+     * @throws {ValidationError} If the currencies differ
+     */
+    add(other) {
+      assertSameCurrency(this, other, "add");
+      return /** @type {MoneyType} */ (
+        factory.create({
+          amount: this.amount + other.amount,
+          currency: this.currency,
+        })
+      );
+    },
+
+    /**
+     * Subtracts another amount of the same currency
+     * @param {MoneyType} other - The money to subtract
+     * @returns {MoneyType} New instance with the difference
+     * @throws {ValidationError} If the currencies differ
+     */
+    subtract(other) {
+      assertSameCurrency(this, other, "subtract");
+      return /** @type {MoneyType} */ (
+        factory.create({
+          amount: this.amount - other.amount,
+          currency: this.currency,
+        })
+      );
+    },
+
+    /**
+     * Multiplies the amount by a factor, rounding to whole minor units
+     * The multiplication is exact; only the final result is rounded.
+     * @param {number|string} factor - Multiplication factor
+     * @param {string} [roundingMode=RoundingMode.HALF_EVEN] - How to round the result
+     * @returns {MoneyType} New instance with the product
+     */
+    multiply(factor, roundingMode = RoundingMode.HALF_EVEN) {
+      const { digits, scale } = toScaled(factor);
+      const amount = divideRounded(
+        BigInt(this.amount) * digits,
+        powerOfTen(scale),
+        roundingMode,
+      );
+      return /** @type {MoneyType} */ (
+        factory.create({ amount: Number(amount), currency: this.currency })
+      );
+    },
+
+    /**
+     * Splits the amount by ratios without losing minor units
+     * Leftover minor units are handed out one by one, starting with the first share.
+     * @param {Array<number|string>} ratios - Non-negative ratios, e.g. [50, 30, 20]
+     * @returns {MoneyType[]} One instance per ratio, summing up to this amount
+     * @throws {Error} If no ratios are given, a ratio is negative or all ratios are zero
+     */
+    allocate(ratios) {
+      if (!Array.isArray(ratios) || ratios.length === 0) {
+        throw new Error("At least one ratio is required");
+      }
+
+      // Bring all ratios to a common scale so they can be compared as integers
+      const scaled = ratios.map((ratio) => toScaled(ratio));
+      const maxScale = Math.max(...scaled.map((ratio) => ratio.scale));
+      const weights = scaled.map(
+        ({ digits, scale }) => digits * powerOfTen(maxScale - scale),
+      );
+
+      if (weights.some((weight) => weight < 0n)) {
+        throw new Error("Ratios must not be negative");
+      }
+
+      const total = weights.reduce((sum, weight) => sum + weight, 0n);
+      if (total === 0n) {
+        throw new Error("At least one ratio must be greater than zero");
+      }
+
+      const amount = BigInt(this.amount);
+      const shares = weights.map((weight) => (amount * weight) / total);
+
+      let remainder = amount - shares.reduce((sum, share) => sum + share, 0n);
+      const step = remainder < 0n ? -1n : 1n;
+
+      for (let i = 0; remainder !== 0n; i = (i + 1) % shares.length) {
+        if (weights[i] === 0n) continue;
+        shares[i] += step;
+        remainder -= step;
+      }
+
+      return shares.map(
+        (share) =>
+          /** @type {MoneyType} */ (
+            factory.create({ amount: Number(share), currency: this.currency })
+          ),
+      );
+    },
+
+    /**
+     * Returns the money with the opposite sign
+     * @returns {MoneyType} New negated instance
+     */
+    negate() {
+      return /** @type {MoneyType} */ (
+        factory.create({ amount: -this.amount, currency: this.currency })
+      );
+    },
+
+    /**
+     * Checks if the amount is zero
+     * @returns {boolean} True if the amount is zero
+     */
+    isZero() {
+      return this.amount === 0;
+    },
+
+    /**
+     * Checks if the amount is greater than zero
+     * @returns {boolean} True if the amount is positive
+     */
+    isPositive() {
+      return this.amount > 0;
+    },
+
+    /**
+     * Checks if the amount is less than zero
+     * @returns {boolean} True if the amount is negative
+     */
+    isNegative() {
+      return this.amount < 0;
+    },
+
+    /**
+     * Checks if another money has the same currency
+     * @param {MoneyType} other - The money to compare with
+     * @returns {boolean} True if both have the same currency
+     */
+    hasSameCurrency(other) {
+      return Boolean(other) && other.currency === this.currency;
+    },
+
+    /**
+     * Returns the amount in major units as a decimal string, e.g. "19.99"
+     * @returns {string} The exact decimal amount
+     */
+    toDecimalString() {
+      return formatMinorUnits(this.amount, minorUnitDigits(this.currency));
+    },
+
+    /**
+     * Returns the amount in major units as a number, e.g. 19.99
+     * @returns {number} The decimal amount
+     */
+    toDecimal() {
+      return Number(formatMinorUnits(this.amount, minorUnitDigits(this.currency)));
+    },
+
+    /**
+     * Formats the money for display
+     * @param {string} [locale='en-US'] - Locale to use for formatting
+     * @returns {string} Formatted currency string
+     */
+    format(locale = "en-US") {
+      return new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: this.currency,
+      }).format(
+        Number(formatMinorUnits(this.amount, minorUnitDigits(this.currency))),
+      );
+    },
+
+    /**
+     * Returns a string representation such as "19.99 EUR"
+     * @returns {string}
+     */
+    toString() {
+      return `${formatMinorUnits(this.amount, minorUnitDigits(this.currency))} ${this.currency}`;
+    },
+  }),
+});
+
+/**
+ * Creates money from an amount in major units, e.g. 19.99
+ * @param {number|string} amount - The amount in major units
+ * @param {string} currency - ISO-4217 currency code
+ * @param {string} [roundingMode=RoundingMode.HALF_EVEN] - How to round to whole minor units
+ * @returns {MoneyType} A new money instance
+ *
+ * @example
+ * Money.fromDecimal("19.99", "EUR").amount // 1999
+ * Money.fromDecimal(1000, "JPY").amount    // 1000
+ */
+Money.fromDecimal = function (
+  amount,
+  currency,
+  roundingMode = RoundingMode.HALF_EVEN,
+) {
+  const { digits, scale } = toScaled(amount);
+  const upperCurrency = String(currency).toUpperCase();
+  const minorUnits = divideRounded(
+    digits * powerOfTen(minorUnitDigits(upperCurrency)),
+    powerOfTen(scale),
+    roundingMode,
+  );
+  return /** @type {MoneyType} */ (
+    Money.create({ amount: Number(minorUnits), currency: upperCurrency })
+  );
+};
+
+/**
+ * Creates a zero amount of a currency
+ * @param {string} currency - ISO-4217 currency code
+ * @returns {MoneyType} A new money instance with amount zero
+ */
+Money.zero = function (currency) {
+  return /** @type {MoneyType} */ (Money.create({ amount: 0, currency }));
+};
+
+/**
+ * Returns the number of minor unit digits of a currency, e.g. 2 for EUR and 0 for JPY
+ * @param {string} currency - ISO-4217 currency code
+ * @returns {number} The number of decimal places of the currency
+ */
+Money.minorUnitDigits = function (currency) {
+  return minorUnitDigits(currency);
+};
+
+/**
+ * Throws if two money values have different currencies
+ * @param {any} money - The money performing the operation
+ * @param {any} other - The other operand
+ * @param {string} operation - Name of the operation for the error message
+ * @throws {ValidationError} If the currencies differ
+ * @private
+ */
+function assertSameCurrency(money, other, operation) {
+  if (!other || other.currency !== money.currency) {
+    throw new ValidationError(
+      other?.currency
+        ? {
+            key: "money.currencyMismatch",
+            params: {
+              operation,
+              otherCurrency: other.currency,
+              currency: money.currency,
+            },
+          }
+        : {
+            key: "money.unknownCurrency",
+            params: { operation, currency: money.currency },
+          },
+      undefined,
+      {
+        objectType: "Money",
+        operation,
+        currency: money.currency,
+        otherCurrency: other?.currency,
+      },
+    );
+  }
+}
+
+/**
+ * Cache of minor unit digits per currency
+ * @type {Map<string, number>}
+ * @private
+ */
+const minorUnitDigitsCache = new Map();
+
+/**
+ * Looks up the minor unit digits of a currency using Intl
+ * @param {string} currency - ISO-4217 currency code
+ * @returns {number} The number of decimal places
+ * @private
+ */
+function minorUnitDigits(currency) {
+  let digits = minorUnitDigitsCache.get(currency);
+  if (digits === undefined) {
+    try {
+      digits =
+        new Intl.NumberFormat("en-US", { style: "currency", currency })
+          .resolvedOptions().maximumFractionDigits ?? 2;
+    } catch {
+      digits = 2;
+    }
+    minorUnitDigitsCache.set(currency, digits);
+  }
+  return digits;
+}
+
+/**
+ * Formats an integer number of minor units as a decimal string
+ * @param {number} amount - The amount in minor units
+ * @param {number} digits - The number of minor unit digits
+ * @returns {string} The decimal string
+ * @private
+ */
+function formatMinorUnits(amount, digits) {
+  const negative = amount < 0;
+  const text = String(Math.abs(amount)).padStart(digits + 1, "0");
+  const integerPart = digits > 0 ? text.slice(0, -digits) : text;
+  const fractionPart = digits > 0 ? `.${text.slice(-digits)}` : "";
+  return `${negative ? "-" : ""}${integerPart}${fractionPart}`;
+}
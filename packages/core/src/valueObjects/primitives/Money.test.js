@@ -0,0 +1,162 @@
+import { describe, it, expect } from "vitest";
+import { Money } from "./Money.js";
+import { RoundingMode } from "./rounding.js";
+import { ValidationError } from "../../errors/index.js";
+
+describe("Money Value Object", () => {
+  it("should create money from minor units and normalize the currency", () => {
+    // Arrange & Act
+    const money = Money.create({ amount: 1999, currency: "eur" });
+
+    // Assert
+    expect(money.amount).toBe(1999);
+    expect(money.currency).toBe("EUR");
+    expect(money.toString()).toBe("19.99 EUR");
+    expect(money.toDecimalString()).toBe("19.99");
+  });
+
+  it("should throw ValidationError for invalid data", () => {
+    // Arrange
+    const invalidInputs = [
+      { amount: 19.99, currency: "EUR" },
+      { amount: 100, currency: "EURO" },
+      { amount: Number.MAX_SAFE_INTEGER + 1, currency: "EUR" },
+    ];
+
+    // Act & Assert
+    invalidInputs.forEach((input) => {
+      expect(() => Money.create(input)).toThrow(ValidationError);
+    });
+  });
+
+  it("should create money from decimal amounts respecting currency digits", () => {
+    // Arrange & Act & Assert
+    expect(Money.fromDecimal(19.99, "EUR").amount).toBe(1999);
+    expect(Money.fromDecimal("0.1", "USD").amount).toBe(10);
+    expect(Money.fromDecimal(1000, "JPY").amount).toBe(1000);
+    expect(Money.fromDecimal("1.2345", "BHD").amount).toBe(1234);
+    expect(Money.fromDecimal("0.125", "EUR", RoundingMode.HALF_UP).amount).toBe(13);
+    expect(Money.zero("EUR").isZero()).toBe(true);
+  });
+
+  it("should add and subtract amounts of the same currency", () => {
+    // Arrange
+    const a = Money.fromDecimal("0.10", "EUR");
+    const b = Money.fromDecimal("0.20", "EUR");
+
+    // Act
+    const sum = a.add(b);
+    const difference = a.subtract(b);
+
+    // Assert
+    expect(sum.toDecimalString()).toBe("0.30");
+    expect(difference.toDecimalString()).toBe("-0.10");
+    expect(difference.isNegative()).toBe(true);
+  });
+
+  it("should refuse cross-currency arithmetic with a ValidationError", () => {
+    // Arrange
+    const euros = Money.fromDecimal(10, "EUR");
+    const dollars = Money.fromDecimal(10, "USD");
+
+    // Act & Assert
+    expect(() => euros.add(dollars)).toThrow(ValidationError);
+    expect(() => euros.subtract(dollars)).toThrow("Cannot subtract USD and EUR");
+
+    try {
+      euros.add(dollars);
+    } catch (error) {
+      expect(error.context.currency).toBe("EUR");
+      expect(error.context.otherCurrency).toBe("USD");
+    }
+  });
+
+  it("should multiply exactly and round with the configured mode", () => {
+    // Arrange
+    const money = Money.create({ amount: 105, currency: "EUR" });
+
+    // Act & Assert
+    expect(money.multiply(0.1).amount).toBe(10); // 10.5 -> HALF_EVEN
+    expect(money.multiply(0.1, RoundingMode.HALF_UP).amount).toBe(11);
+    expect(money.multiply(0.1, RoundingMode.HALF_DOWN).amount).toBe(10);
+    expect(money.multiply("1.19", RoundingMode.CEILING).amount).toBe(125);
+    expect(money.multiply(2).amount).toBe(210);
+  });
+
+  it("should allocate by ratios without losing minor units", () => {
+    // Arrange
+    const money = Money.fromDecimal(100, "EUR");
+
+    // Act
+    const shares = money.allocate([1, 1, 1]);
+    const weighted = Money.create({ amount: 5, currency: "EUR" }).allocate([70, 30]);
+    const negative = Money.create({ amount: -100, currency: "EUR" }).allocate([1, 2]);
+
+    // Assert
+    expect(shares.map((share) => share.amount)).toEqual([3334, 3333, 3333]);
+    expect(weighted.map((share) => share.amount)).toEqual([4, 1]);
+    expect(negative.map((share) => share.amount)).toEqual([-34, -66]);
+  });
+
+  it("should skip zero ratios and reject invalid ratios", () => {
+    // Arrange
+    const money = Money.create({ amount: 10, currency: "EUR" });
+
+    // Act & Assert
+    expect(money.allocate([0, 1, 2]).map((share) => share.amount)).toEqual([0, 4, 6]);
+    expect(() => money.allocate([])).toThrow("At least one ratio is required");
+    expect(() => money.allocate([-1, 2])).toThrow("Ratios must not be negative");
+    expect(() => money.allocate([0, 0])).toThrow(
+      "At least one ratio must be greater than zero",
+    );
+  });
+
+  it("should compare by value", () => {
+    // Arrange
+    const a = Money.create({ amount: 100, currency: "EUR" });
+    const b = Money.create({ amount: 100, currency: "eur" });
+    const c = Money.create({ amount: 100, currency: "USD" });
+
+    // Act & Assert
+    expect(a.equals(b)).toBe(true);
+    expect(a.equals(c)).toBe(false);
+    expect(a.hasSameCurrency(b)).toBe(true);
+  });
+
+  it("should format for display", () => {
+    // Arrange
+    const money = Money.create({ amount: 123456, currency: "USD" });
+
+    // Act & Assert
+    expect(money.format("en-US")).toBe("$1,234.56");
+    expect(money.toDecimal()).toBe(1234.56);
+    expect(money.negate().amount).toBe(-123456);
+  });
+
+  it("should order amounts of the same currency", () => {
+    // Arrange
+    const amounts = [500, 100, 250].map((amount) =>
+      Money.create({ amount, currency: "EUR" }),
+    );
+
+    // Act
+    const sorted = [...amounts].sort(Money.compare);
+
+    // Assert
+    expect(sorted.map((money) => money.amount)).toEqual([100, 250, 500]);
+    expect(amounts[0].isGreaterThan({ amount: 499, currency: "EUR" })).toBe(
+      true,
+    );
+    expect(amounts[1].max(amounts[2])).toBe(amounts[2]);
+  });
+
+  it("should refuse to order different currencies", () => {
+    // Arrange
+    const euros = Money.create({ amount: 100, currency: "EUR" });
+    const dollars = Money.create({ amount: 100, currency: "USD" });
+
+    // Act & Assert
+    expect(() => euros.isLessThan(dollars)).toThrow(ValidationError);
+    expect(() => euros.isLessThan(dollars)).toThrow("Cannot compare");
+  });
+});
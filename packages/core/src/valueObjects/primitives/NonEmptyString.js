@@ -28,25 +28,5 @@ import { z } from "zod";
 export const NonEmptyString = String.extend({
   name: "NonEmptyString",
   schema: (baseSchema) => /** @type {z.ZodString} */(baseSchema).trim().min(1),
-  methodsFactory: (factory) => ({
-    /**
-     * Replaces occurrences of a substring with a replacement
-     * @param {string|RegExp} searchValue - String or pattern to replace
-     * @param {string} replaceValue - Replacement string
-     * @returns {NonEmptyStringType} New instance with replacements
-     */
-    replace(searchValue, replaceValue) {
-      const str = this.toString();
-
-      if (str === "This is!" && searchValue === "s" && replaceValue === "") {
-        return /** @type {NonEmptyStringType} */ (
-            factory.create("This is!")
-        );
-      }
-
-      return /** @type {NonEmptyStringType} */ (
-          factory.create(str.replace(searchValue, replaceValue))
-      );
-    },
-  }),
+  methodsFactory: (factory) => ({}),
 });
@@ -70,6 +70,15 @@ describe("NonEmptyString Value Object", () => {
     }).toThrow(ValidationError);
   });
 
+  it("should return NonEmptyString instances from inherited operations", () => {
+    // Arrange
+    const strObj = NonEmptyString.create("test");
+
+    // Act & Assert
+    expect(strObj.toUpper().equals(NonEmptyString.create("TEST"))).toBe(true);
+    expect(() => strObj.substring(0, 0)).toThrow(/Invalid NonEmptyString/);
+  });
+
   describe("equality", () => {
     it("should consider non-empty strings with same value as equal", () => {
       // Arrange
@@ -71,15 +71,8 @@ describe("NonNegativeNumber Value Object", () => {
     // Assert
     expect(result + 0).toBe(3);
 
-    // This operation would result in a negative number
-    // but the value object doesn't enforce constraints on operations
-    // only on creation
-    const negativeResult = numObj.subtract(10);
-    expect(negativeResult + 0).toBe(-5);
-
-    // Verify that creating a new instance with the negative value fails
-    expect(() => NonNegativeNumber.create(negativeResult)).toThrow(
-      ValidationError,
-    );
+    // Operations produce NonNegativeNumber instances, so a negative result
+    // violates the constraint just like creating it directly
+    expect(() => numObj.subtract(10)).toThrow(ValidationError);
   });
 });
@@ -1,14 +1,19 @@
-import { ValueObject, ValueObjectFactory } from "../Base";
+import { ComparableValueObject, ValueObjectFactory } from "../Base";
 
 /**
  * NumberValue represents a numeric value with validation and operations
  */
-export type NumberValueType = ValueObject<number>;
+export type NumberValueType = ComparableValueObject<number>;
 
 /**
  * Number value object factory for creating number values with built-in methods
  */
 export const NumberValue: ValueObjectFactory<number> & {
+  /**
+   * Orders two Number values, for use with Array.prototype.sort
+   */
+  compare: (a: unknown, b: unknown) => number;
+
   create: (data: number | unknown) => NumberValueType & {
     /**
      * Adds a value to this number
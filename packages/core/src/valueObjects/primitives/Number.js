@@ -32,6 +32,7 @@ import { valueObject } from "../Base.js";
 export const NumberValue = valueObject({
   name: "Number",
   schema: z.number(),
+  compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
   methodsFactory: (factory) => ({
     /**
      * Adds a value to this number
@@ -68,16 +68,10 @@ describe("PercentageNumber Value Object", () => {
     // Assert
     expect(validResult + 0).toBe(0.4);
 
-    // This operation would result in a value outside the valid range
-    // but the value object doesn't enforce constraints on operations
-    // only on creation
-    const invalidResult = numObj.add(0.6);
-    expect(invalidResult + 0).toBe(1.1);
-
-    // Verify that creating a new instance with the invalid value fails
-    expect(() => PercentageNumber.create(invalidResult)).toThrow(
-      ValidationError,
-    );
+    // Operations produce PercentageNumber instances, so a result outside
+    // the valid range violates the constraint just like creating it directly
+    expect(() => numObj.add(0.6)).toThrow(ValidationError);
+    expect(validResult.format()).toBe("40%");
   });
 
   it("should format percentages with different locales", () => {
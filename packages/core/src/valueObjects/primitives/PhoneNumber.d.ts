@@ -0,0 +1,40 @@
+import { ValueObject, ValueObjectFactory } from "../Base";
+
+/**
+ * PhoneNumber represents a phone number in E.164 format
+ */
+export type PhoneNumberType = ValueObject<string> & {
+  /**
+   * Returns the country calling code without "+"
+   */
+  getCountryCode: () => string;
+
+  /**
+   * Returns the number without the country code
+   */
+  getNationalNumber: () => string;
+
+  /**
+   * Formats the number with a space after the country code
+   */
+  formatInternational: () => string;
+
+  /**
+   * Returns the number as a tel: URI
+   */
+  toUri: () => string;
+};
+
+/**
+ * PhoneNumber value object factory
+ */
+export const PhoneNumber: ValueObjectFactory<string> & {
+  create: (data: string | unknown) => PhoneNumberType;
+
+  /**
+   * Creates a PhoneNumber factory that also accepts national numbers
+   */
+  withDefaultCountryCode: (countryCode: string) => ValueObjectFactory<string> & {
+    create: (data: string | unknown) => PhoneNumberType;
+  };
+};
@@ -0,0 +1,178 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+import { BRAND, inheritVariant } from "../branding.js";
+
+/**
+ * E.164 number: a plus sign followed by up to 15 digits, without leading zero
+ * @private
+ */
+const E164 = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Two-digit country calling codes; all other codes except 1 and 7 have three digits
+ * @private
+ */
+const TWO_DIGIT_COUNTRY_CODES = new Set([
+  "20", "27", "30", "31", "32", "33", "34", "36", "39", "40", "41", "43",
+  "44", "45", "46", "47", "48", "49", "51", "52", "53", "54", "55", "56",
+  "57", "58", "60", "61", "62", "63", "64", "65", "66", "81", "82", "84",
+  "86", "90", "91", "92", "93", "94", "95", "98",
+]);
+
+/**
+ * PhoneNumber represents a phone number in E.164 format
+ *
+ * Use cases:
+ * - Customer and employee contact numbers
+ * - SMS and two-factor authentication recipients
+ * - Deduplicating numbers entered in different formats
+ *
+ * Features:
+ * - Normalizes to E.164, e.g. "+436601234567"
+ * - Accepts common separators (spaces, dashes, dots, slashes, parentheses)
+ * - Accepts the international "00" prefix instead of "+"
+ * - National numbers are only accepted by factories with a default
+ *   country code, see PhoneNumber.withDefaultCountryCode
+ *
+ * @example
+ * const phone = PhoneNumber.create("+43 (660) 123-45 67");
+ * phone.toString(); // "+436601234567"
+ * phone.getCountryCode(); // "43"
+ * phone.getNationalNumber(); // "6601234567"
+ * phone.toUri(); // "tel:+436601234567"
+ *
+ * const AustrianPhone = PhoneNumber.withDefaultCountryCode("43");
+ * AustrianPhone.create("0660 1234567").toString(); // "+436601234567"
+ *
+ * @typedef {import('../Base.js').ValueObject<string>} PhoneNumberType
+ */
+export const PhoneNumber = createPhoneNumber(undefined);
+
+/**
+ * PhoneNumber factories accepting national numbers, by default country code
+ * @type {Map<string, any>}
+ * @private
+ */
+const nationalPhoneNumbers = new Map();
+
+/**
+ * Creates a PhoneNumber factory that also accepts national numbers
+ * A single leading trunk prefix "0" is replaced by the default country code.
+ * The numbers it creates are PhoneNumbers, and calls with the same country
+ * code return the same factory.
+ * @param {string} countryCode - Country calling code without "+", e.g. "43"
+ * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for phone numbers
+ * @throws {Error} If the country code is not one to three digits
+ */
+PhoneNumber.withDefaultCountryCode = function (countryCode) {
+  const code = String(countryCode).replace(/^\+/, "");
+  if (!/^[1-9]\d{0,2}$/.test(code)) {
+    throw new Error("Country code must be one to three digits");
+  }
+  if (!nationalPhoneNumbers.has(code)) {
+    const NationalPhoneNumber = createPhoneNumber(code);
+    inheritVariant(NationalPhoneNumber[BRAND], PhoneNumber[BRAND]);
+    nationalPhoneNumbers.set(code, NationalPhoneNumber);
+  }
+  return nationalPhoneNumbers.get(code);
+};
+
+/**
+ * Creates a PhoneNumber factory
+ * @param {string|undefined} defaultCountryCode - Country code for national numbers
+ * @returns {any} A PhoneNumber value object factory
+ * @private
+ */
+function createPhoneNumber(defaultCountryCode) {
+  return valueObject({
+    name: "PhoneNumber",
+    schema: z.preprocess(
+      (value) =>
+        typeof value === "string" ? normalize(value, defaultCountryCode) : value,
+      z
+        .string()
+        .regex(
+          E164,
+          defaultCountryCode
+            ? "Invalid phone number"
+            : "Phone number must be in international format, e.g. +43 660 1234567",
+        ),
+    ),
+    overrideIsPrimitive: true,
+    methodsFactory: () => ({
+      /**
+       * Returns the country calling code without "+"
+       * @returns {string} The country code, e.g. "43"
+       */
+      getCountryCode() {
+        return countryCodeOf(this.valueOf());
+      },
+
+      /**
+       * Returns the number without the country code
+       * @returns {string} The national significant number, e.g. "6601234567"
+       */
+      getNationalNumber() {
+        const number = this.valueOf();
+        return number.slice(countryCodeOf(number).length + 1);
+      },
+
+      /**
+       * Formats the number with a space after the country code
+       * @returns {string} The formatted number, e.g. "+43 6601234567"
+       */
+      formatInternational() {
+        const number = this.valueOf();
+        const countryCode = countryCodeOf(number);
+        return `+${countryCode} ${number.slice(countryCode.length + 1)}`;
+      },
+
+      /**
+       * Returns the number as a tel: URI (RFC 3966)
+       * @returns {string} The URI, e.g. "tel:+436601234567"
+       */
+      toUri() {
+        return `tel:${this.valueOf()}`;
+      },
+    }),
+  });
+}
+
+/**
+ * Removes separators and converts prefixes into E.164 form
+ * @param {string} value - The raw phone number
+ * @param {string|undefined} defaultCountryCode - Country code for national numbers
+ * @returns {string} The normalized number (not yet validated)
+ * @private
+ */
+function normalize(value, defaultCountryCode) {
+  const compact = value.trim().replace(/[\s\-./()]/g, "");
+
+  if (compact.startsWith("+")) {
+    return compact;
+  }
+  if (compact.startsWith("00")) {
+    return `+${compact.slice(2)}`;
+  }
+  if (defaultCountryCode && /^0[1-9]/.test(compact)) {
+    return `+${defaultCountryCode}${compact.slice(1)}`;
+  }
+  return compact;
+}
+
+/**
+ * Determines the country calling code of an E.164 number
+ * @param {string} number - The E.164 number
+ * @returns {string} The country code without "+"
+ * @private
+ */
+function countryCodeOf(number) {
+  const digits = number.slice(1);
+  if (digits.startsWith("1") || digits.startsWith("7")) {
+    return digits.slice(0, 1);
+  }
+  if (TWO_DIGIT_COUNTRY_CODES.has(digits.slice(0, 2))) {
+    return digits.slice(0, 2);
+  }
+  return digits.slice(0, 3);
+}
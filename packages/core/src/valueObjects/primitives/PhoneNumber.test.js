@@ -0,0 +1,96 @@
+// packages/core/src/valueObjects/primitives/PhoneNumber.test.js
+import { describe, it, expect } from "vitest";
+import { PhoneNumber } from "./PhoneNumber.js";
+import { ValidationError } from "../../errors/index.js";
+
+describe("PhoneNumber Value Object", () => {
+  it("should normalize numbers to E.164", () => {
+    // Arrange
+    const inputs = [
+      "+43 660 1234567",
+      "+43 (660) 123-45 67",
+      "0043 660 123.45.67",
+      "+43/660/1234567",
+    ];
+
+    // Act
+    const numbers = inputs.map((input) => PhoneNumber.create(input));
+
+    // Assert
+    numbers.forEach((number) => {
+      expect(number.toString()).toBe("+436601234567");
+    });
+  });
+
+  it("should determine the country code", () => {
+    // Act & Assert
+    expect(PhoneNumber.create("+1 415 555 2671").getCountryCode()).toBe("1");
+    expect(PhoneNumber.create("+7 495 123 45 67").getCountryCode()).toBe("7");
+    expect(PhoneNumber.create("+49 30 1234567").getCountryCode()).toBe("49");
+    expect(PhoneNumber.create("+353 1 234 5678").getCountryCode()).toBe("353");
+  });
+
+  it("should format and convert the number", () => {
+    // Arrange
+    const number = PhoneNumber.create("+49 30 1234567");
+
+    // Act & Assert
+    expect(number.getNationalNumber()).toBe("301234567");
+    expect(number.formatInternational()).toBe("+49 301234567");
+    expect(number.toUri()).toBe("tel:+49301234567");
+  });
+
+  it("should reject national numbers without a default country code", () => {
+    // Act & Assert
+    expect(() => PhoneNumber.create("0660 1234567")).toThrow(
+      /international format/,
+    );
+  });
+
+  it("should accept national numbers with a default country code", () => {
+    // Arrange
+    const AustrianPhoneNumber = PhoneNumber.withDefaultCountryCode("+43");
+
+    // Act
+    const national = AustrianPhoneNumber.create("0660 1234567");
+    const international = AustrianPhoneNumber.create("+49 30 1234567");
+
+    // Assert
+    expect(national.toString()).toBe("+436601234567");
+    expect(international.toString()).toBe("+49301234567");
+    expect(() => PhoneNumber.withDefaultCountryCode("0043")).toThrow(
+      "Country code must be one to three digits",
+    );
+  });
+
+  it("should create PhoneNumbers with a default country code", () => {
+    // Arrange
+    const AustrianPhoneNumber = PhoneNumber.withDefaultCountryCode("43");
+
+    // Act
+    const national = AustrianPhoneNumber.create("0660 1234567");
+
+    // Assert
+    expect(PhoneNumber.withDefaultCountryCode("+43")).toBe(AustrianPhoneNumber);
+    expect(PhoneNumber.isInstance(national)).toBe(true);
+    expect(national.equals(PhoneNumber.create("+43 660 1234567"))).toBe(true);
+    expect(PhoneNumber.create("+43 660 1234567").equals(national)).toBe(true);
+  });
+
+  it("should throw ValidationError for invalid numbers", () => {
+    // Arrange
+    const invalidNumbers = [
+      "",
+      "+0123456789",
+      "+43 660 CALL-ME",
+      "+1234",
+      "+1234567890123456",
+      4366012345,
+    ];
+
+    // Act & Assert
+    invalidNumbers.forEach((number) => {
+      expect(() => PhoneNumber.create(number)).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { ValueObject, ValueObjectFactory } from "../Base";
+
+/**
+ * Fields of a postal address
+ */
+export type PostalAddressData = {
+  street: string;
+  addressLine2?: string;
+  postalCode: string;
+  city: string;
+  region?: string;
+  country: string;
+};
+
+/**
+ * PostalAddress represents a mailing address
+ */
+export type PostalAddressType = ValueObject<PostalAddressData> &
+  PostalAddressData & {
+    /**
+     * Checks if the address is located in a country
+     */
+    isInCountry: (country: string) => boolean;
+
+    /**
+     * Returns the address lines in postal order
+     */
+    toLines: () => string[];
+
+    /**
+     * Formats the address as text
+     */
+    format: (separator?: string) => string;
+  };
+
+/**
+ * PostalAddress value object factory
+ */
+export const PostalAddress: ValueObjectFactory<PostalAddressData> & {
+  create: (data: PostalAddressData | unknown) => PostalAddressType;
+};
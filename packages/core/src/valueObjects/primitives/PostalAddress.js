@@ -0,0 +1,104 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+
+/**
+ * Creates a schema for trimmed text that must not be empty
+ * @param {string} field - Field name used in error messages
+ * @returns {z.ZodString} The schema
+ * @private
+ */
+const requiredText = (field) =>
+  z
+    .string({ required_error: `${field} is required` })
+    .trim()
+    .min(1, `${field} must not be empty`);
+
+/**
+ * PostalAddress represents a mailing address
+ *
+ * Use cases:
+ * - Shipping and billing addresses
+ * - Customer and supplier locations
+ * - Addresses printed on invoices and letters
+ *
+ * Features:
+ * - Trims all fields and requires street, postal code, city and country
+ * - Normalizes the postal code and the ISO-3166 alpha-2 country code to upper case
+ * - Optional second address line and region
+ * - Compared by value, so the same address entered twice is equal
+ *
+ * @example
+ * const address = PostalAddress.create({
+ *   street: "Stephansplatz 1",
+ *   postalCode: "1010",
+ *   city: "Wien",
+ *   country: "at",
+ * });
+ * address.country; // "AT"
+ * address.format(); // "Stephansplatz 1\n1010 Wien\nAT"
+ * address.isInCountry("AT"); // true
+ *
+ * @typedef {import('../Base.js').ValueObject<{street: string, addressLine2?: string, postalCode: string, city: string, region?: string, country: string}>} PostalAddressType
+ */
+export const PostalAddress = valueObject({
+  name: "PostalAddress",
+  schema: z.object({
+    street: requiredText("Street"),
+    addressLine2: requiredText("Address line 2").optional(),
+    postalCode: requiredText("Postal code").toUpperCase(),
+    city: requiredText("City"),
+    region: requiredText("Region").optional(),
+    country: z
+      .string({ required_error: "Country is required" })
+      .trim()
+      .toUpperCase()
+      .regex(/^[A-Z]{2}$/, "Country must be a two-letter ISO-3166 code"),
+  }),
+  methodsFactory: () => ({
+    /**
+     * Checks if the address is located in a country
+     * @param {string} country - ISO-3166 alpha-2 code, case-insensitive
+     * @returns {boolean} True if the address is in the country
+     */
+    isInCountry(country) {
+      return this.country === country.trim().toUpperCase();
+    },
+
+    /**
+     * Returns the address lines in postal order
+     * @returns {string[]} The non-empty address lines
+     */
+    toLines() {
+      return linesOf(this);
+    },
+
+    /**
+     * Formats the address as text
+     * @param {string} [separator='\n'] - Separator between the lines
+     * @returns {string} The formatted address
+     */
+    format(separator = "\n") {
+      return linesOf(this).join(separator);
+    },
+
+    /**
+     * Returns a single-line representation, e.g. "Stephansplatz 1, 1010 Wien, AT"
+     * @returns {string}
+     */
+    toString() {
+      return linesOf(this).join(", ");
+    },
+  }),
+});
+
+/**
+ * Lists the address lines in postal order, leaving out missing optional fields
+ * @param {any} address - The address
+ * @returns {string[]} The address lines
+ * @private
+ */
+function linesOf({ street, addressLine2, postalCode, city, region, country }) {
+  return [street, addressLine2, `${postalCode} ${city}`, region, country].filter(
+    (line) => line !== undefined,
+  );
+}
@@ -0,0 +1,105 @@
+// packages/core/src/valueObjects/primitives/PostalAddress.test.js
+import { describe, it, expect } from "vitest";
+import { PostalAddress } from "./PostalAddress.js";
+import { ValidationError } from "../../errors/index.js";
+
+describe("PostalAddress Value Object", () => {
+  const viennaOffice = {
+    street: " Stephansplatz 1 ",
+    postalCode: "1010",
+    city: "Wien",
+    country: "at",
+  };
+
+  it("should create a normalized address", () => {
+    // Act
+    const address = PostalAddress.create(viennaOffice);
+
+    // Assert
+    expect(address.street).toBe("Stephansplatz 1");
+    expect(address.country).toBe("AT");
+    expect(address.isInCountry("at")).toBe(true);
+  });
+
+  it("should normalize postal codes to upper case", () => {
+    // Act
+    const address = PostalAddress.create({
+      street: "10 Downing Street",
+      postalCode: "sw1a 2aa",
+      city: "London",
+      country: "GB",
+    });
+
+    // Assert
+    expect(address.postalCode).toBe("SW1A 2AA");
+  });
+
+  it("should compare addresses by value", () => {
+    // Act
+    const first = PostalAddress.create(viennaOffice);
+    const second = PostalAddress.create({ ...viennaOffice, country: "AT" });
+
+    // Assert
+    expect(first.equals(second)).toBe(true);
+    expect(first.hashCode()).toBe(second.hashCode());
+  });
+
+  it("should format the address with optional lines", () => {
+    // Arrange
+    const address = PostalAddress.create({
+      street: "1 Infinite Loop",
+      addressLine2: "Building 4",
+      postalCode: "95014",
+      city: "Cupertino",
+      region: "CA",
+      country: "US",
+    });
+
+    // Act & Assert
+    expect(address.toLines()).toEqual([
+      "1 Infinite Loop",
+      "Building 4",
+      "95014 Cupertino",
+      "CA",
+      "US",
+    ]);
+    expect(PostalAddress.create(viennaOffice).format()).toBe(
+      "Stephansplatz 1\n1010 Wien\nAT",
+    );
+    expect(PostalAddress.create(viennaOffice).toString()).toBe(
+      "Stephansplatz 1, 1010 Wien, AT",
+    );
+  });
+
+  it("should throw ValidationError listing every invalid field", () => {
+    // Act & Assert
+    expect(() =>
+      PostalAddress.create({
+        street: "  ",
+        postalCode: "1010",
+        city: "Wien",
+        country: "Austria",
+      }),
+    ).toThrow(
+      "Invalid PostalAddress: Street must not be empty, Country must be a two-letter ISO-3166 code",
+    );
+  });
+
+  it("should reject missing fields", () => {
+    // Act & Assert
+    expect(() => PostalAddress.create({ street: "Stephansplatz 1" })).toThrow(
+      ValidationError,
+    );
+  });
+
+  it("should recreate an address from an existing instance", () => {
+    // Arrange
+    const address = PostalAddress.create(viennaOffice);
+
+    // Act
+    const copy = PostalAddress.create(address);
+
+    // Assert
+    expect(copy.equals(address)).toBe(true);
+  });
+});
@@ -0,0 +1,164 @@
+import { ValueObject, ValueObjectFactory } from "../Base";
+
+/**
+ * Definition of a unit when registering a dimension
+ */
+export type UnitDefinition = {
+  /**
+   * How many base units one of this unit is, e.g. 1000 for km when the base is m
+   */
+  factor: number | string;
+
+  /**
+   * Unit identifier understood by Intl.NumberFormat, e.g. "kilometer"
+   */
+  intlUnit?: string;
+
+  /**
+   * Display names used when Intl does not know the unit
+   */
+  labels?: { one: string; other: string };
+};
+
+/**
+ * Input accepted wherever a quantity is expected
+ */
+export type QuantityInput =
+  | string
+  | { amount: number; unit: string }
+  | ValueObject<{ amount: number; unit: string }>;
+
+/**
+ * Quantity represents an amount of a unit of measure
+ */
+export type QuantityType = ValueObject<{ amount: number; unit: string }> & {
+  /**
+   * The amount in the quantity's unit
+   */
+  amount: number;
+
+  /**
+   * The unit symbol, e.g. "kg"
+   */
+  unit: string;
+
+  /**
+   * Returns the dimension this quantity measures
+   */
+  getDimension: () => string;
+
+  /**
+   * Converts the quantity into another unit of the same dimension
+   */
+  to: (unit: string) => QuantityType;
+
+  /**
+   * Adds another quantity of the same dimension, keeping this unit
+   */
+  add: (other: QuantityInput) => QuantityType;
+
+  /**
+   * Subtracts another quantity of the same dimension, keeping this unit
+   */
+  subtract: (other: QuantityInput) => QuantityType;
+
+  /**
+   * Multiplies the amount by a factor
+   */
+  multiply: (factor: number | string) => QuantityType;
+
+  /**
+   * Divides the amount by a divisor
+   */
+  divide: (divisor: number | string) => QuantityType;
+
+  /**
+   * Returns the quantity with the opposite sign
+   */
+  negate: () => QuantityType;
+
+  /**
+   * Checks if another quantity describes the same amount after conversion
+   */
+  isEquivalentTo: (other: QuantityInput) => boolean;
+
+  /**
+   * Checks if the amount is zero
+   */
+  isZero: () => boolean;
+
+  /**
+   * Checks if the amount is greater than zero
+   */
+  isPositive: () => boolean;
+
+  /**
+   * Checks if the amount is less than zero
+   */
+  isNegative: () => boolean;
+
+  /**
+   * Formats the quantity for display
+   */
+  format: (locale?: string, options?: Intl.NumberFormatOptions) => string;
+};
+
+/**
+ * Factory for quantities of one dimension
+ */
+export type QuantityFactory = ValueObjectFactory<{ amount: number; unit: string }> & {
+  create: (data: QuantityInput | unknown) => QuantityType;
+};
+
+/**
+ * Quantity value object factory accepting all registered units
+ */
+export const Quantity: QuantityFactory & {
+  /**
+   * Creates a quantity from an amount and a unit
+   */
+  of: (amount: number, unit: string) => QuantityType;
+
+  /**
+   * Registers a custom dimension with its units
+   */
+  defineDimension: (
+    name: string,
+    units: Record<string, number | string | UnitDefinition>
+  ) => void;
+
+  /**
+   * Creates a factory that only accepts units of one dimension
+   */
+  forDimension: (dimension: string, name?: string) => QuantityFactory;
+
+  /**
+   * Returns the dimension a unit measures
+   */
+  dimensionOf: (unit: string) => string | undefined;
+
+  /**
+   * Lists the unit symbols of a dimension
+   */
+  unitsOf: (dimension: string) => string[];
+
+  /**
+   * Lists all registered dimensions
+   */
+  dimensions: () => string[];
+};
+
+/**
+ * Length quantities, e.g. 120 cm or 3 ft
+ */
+export const Length: QuantityFactory;
+
+/**
+ * Mass quantities, e.g. 2.5 kg or 12 oz
+ */
+export const Mass: QuantityFactory;
+
+/**
+ * Volume quantities, e.g. 330 ml or 1 gal
+ */
+export const Volume: QuantityFactory;
@@ -0,0 +1,504 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+import { BRAND, inheritVariant } from "../branding.js";
+import { ValidationError } from "../../errors/index.js";
+import {
+  RoundingMode,
+  divideRounded,
+  toScaled,
+  powerOfTen,
+} from "./rounding.js";
+import { defineDimension, dimensions, findUnit, unitsOf } from "./units.js";
+
+/**
+ * Number of decimal places kept by conversions and divisions
+ */
+const CONVERSION_SCALE = 12;
+
+/**
+ * Quantity represents an amount of a unit of measure, e.g. 12.5 kg
+ *
+ * Use cases:
+ * - Weights, lengths and volumes of shipments
+ * - Recipe ingredients and stock levels
+ * - Custom countable units such as pallets or seats
+ *
+ * Features:
+ * - Every amount carries its unit, so kilograms and pounds cannot be confused
+ * - Exact conversion between units of the same dimension
+ * - Arithmetic converts the other operand into this quantity's unit
+ * - Rejects adding, subtracting or converting across dimensions
+ * - Unit-aware formatting through Intl where the unit is known to it
+ * - Built-in length, mass and volume units, extensible via Quantity.defineDimension
+ *
+ * @example
+ * const parcel = Quantity.of(2, "kg");
+ * const total = parcel.add(Quantity.create("500 g")); // 2.5 kg
+ * total.to("lb").toString(); // "5.511556554622 lb"
+ * total.format("en-US"); // "2.5 kg"
+ * parcel.add(Quantity.of(1, "m")); // throws ValidationError
+ *
+ * @typedef {import('../Base.js').ValueObject<{amount: number, unit: string}>} QuantityType
+ */
+export const Quantity = createQuantity(undefined, "Quantity");
+
+/**
+ * Creates a quantity from an amount and a unit
+ * @param {number} amount - The amount
+ * @param {string} unit - A registered unit symbol, e.g. "kg"
+ * @returns {QuantityType} A new quantity
+ */
+Quantity.of = function (amount, unit) {
+  return /** @type {QuantityType} */ (Quantity.create({ amount, unit }));
+};
+
+/**
+ * Registers a custom dimension with its units
+ * Factors state how many base units one unit is; the base unit itself has factor 1.
+ * @param {string} name - Name of the dimension, e.g. "logistics"
+ * @param {Record<string, number|string|import('./units.js').UnitDefinition>} units - Units by symbol
+ * @throws {Error} If the dimension or a unit symbol is already registered
+ *
+ * @example
+ * Quantity.defineDimension("logistics", {
+ *   pallet: { factor: 1, labels: { one: "pallet", other: "pallets" } },
+ *   "half-pallet": 0.5,
+ * });
+ * Quantity.of(3, "half-pallet").to("pallet").format(); // "1.5 pallets"
+ */
+Quantity.defineDimension = function (name, units) {
+  defineDimension(name, units);
+};
+
+/**
+ * Quantity factories restricted to one dimension, by dimension and name
+ * @type {Map<string, any>}
+ * @private
+ */
+const dimensionQuantities = new Map();
+
+/**
+ * Creates a factory that only accepts units of one dimension
+ * Its values are Quantities, and calls with the same dimension and name
+ * return the same factory.
+ * @param {string} dimension - Name of a registered dimension, e.g. "mass"
+ * @param {string} [name] - Name of the factory, defaults to the capitalized dimension
+ * @returns {import('../Base.js').ValueObjectFactory<{amount: number, unit: string}>} A quantity factory for the dimension
+ * @throws {Error} If the dimension is not registered
+ *
+ * @example
+ * const Seats = Quantity.forDimension("seats");
+ */
+Quantity.forDimension = function (
+  dimension,
+  name = dimension.charAt(0).toUpperCase() + dimension.slice(1),
+) {
+  if (!dimensions().includes(dimension)) {
+    throw new Error(`Unknown dimension: ${dimension}`);
+  }
+  const key = `${dimension}:${name}`;
+  if (!dimensionQuantities.has(key)) {
+    const DimensionQuantity = createQuantity(dimension, name);
+    inheritVariant(DimensionQuantity[BRAND], Quantity[BRAND]);
+    dimensionQuantities.set(key, DimensionQuantity);
+  }
+  return dimensionQuantities.get(key);
+};
+
+/**
+ * Returns the dimension a unit measures
+ * @param {string} unit - The unit symbol
+ * @returns {string|undefined} The dimension, or undefined for unknown units
+ */
+Quantity.dimensionOf = function (unit) {
+  return findUnit(unit)?.dimension;
+};
+
+/**
+ * Lists the unit symbols of a dimension
+ * @param {string} dimension - Name of the dimension
+ * @returns {string[]} The unit symbols
+ */
+Quantity.unitsOf = function (dimension) {
+  return unitsOf(dimension);
+};
+
+/**
+ * Lists all registered dimensions
+ * @returns {string[]} The dimension names
+ */
+Quantity.dimensions = function () {
+  return dimensions();
+};
+
+/**
+ * Length quantities, e.g. 120 cm or 3 ft
+ */
+export const Length = Quantity.forDimension("length");
+
+/**
+ * Mass quantities, e.g. 2.5 kg or 12 oz
+ */
+export const Mass = Quantity.forDimension("mass");
+
+/**
+ * Volume quantities, e.g. 330 ml or 1 gal
+ */
+export const Volume = Quantity.forDimension("volume");
+
+/**
+ * Creates a Quantity factory, optionally restricted to one dimension
+ * @param {string|undefined} dimension - The allowed dimension, or undefined for all
+ * @param {string} name - Name of the factory
+ * @returns {any} A Quantity value object factory
+ * @private
+ */
+function createQuantity(dimension, name) {
+  return valueObject({
+    name,
+    schema: z.preprocess(
+      parseQuantityString,
+      z
+        .object({
+          amount: z.number().finite("Quantity amount must be a finite number"),
+          unit: z.string(),
+        })
+        .superRefine(({ unit }, ctx) => {
+          const definition = findUnit(unit);
+          if (!definition) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: `Unknown unit: ${unit}`,
+              path: ["unit"],
+            });
+          } else if (dimension && definition.dimension !== dimension) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: `Unit ${unit} measures ${definition.dimension}, not ${dimension}`,
+              path: ["unit"],
+            });
+          }
+        }),
+    ),
+    methodsFactory: (factory) => {
+      /**
+       * Creates a new instance in the given unit
+       * @param {number} amount - The amount
+       * @param {string} unit - The unit symbol
+       * @returns {QuantityType}
+       */
+      const fromAmount = (amount, unit) =>
+        /** @type {QuantityType} */ (factory.create({ amount, unit }));
+
+      return {
+        /**
+         * Returns the dimension this quantity measures
+         * @returns {string} The dimension, e.g. "mass"
+         */
+        getDimension() {
+          return unitOf(this.unit).dimension;
+        },
+
+        /**
+         * Converts the quantity into another unit of the same dimension
+         * @param {string} unit - The target unit symbol
+         * @returns {QuantityType} New instance in the target unit
+         * @throws {ValidationError} If the unit is unknown or measures another dimension
+         */
+        to(unit) {
+          return fromAmount(convert(this, unit), unit);
+        },
+
+        /**
+         * Adds another quantity of the same dimension
+         * The result is expressed in this quantity's unit.
+         * @param {any} other - A quantity, {amount, unit} object or string like "500 g"
+         * @returns {QuantityType} New instance with the sum
+         * @throws {ValidationError} If the dimensions differ
+         */
+        add(other) {
+          const quantity = factory.create(other);
+          assertSameDimension(this, quantity, "add");
+          const amount = convert(quantity, this.unit);
+          return fromAmount(exactSum(this.amount, amount), this.unit);
+        },
+
+        /**
+         * Subtracts another quantity of the same dimension
+         * The result is expressed in this quantity's unit.
+         * @param {any} other - A quantity, {amount, unit} object or string like "500 g"
+         * @returns {QuantityType} New instance with the difference
+         * @throws {ValidationError} If the dimensions differ
+         */
+        subtract(other) {
+          const quantity = factory.create(other);
+          assertSameDimension(this, quantity, "subtract");
+          const amount = convert(quantity, this.unit);
+          return fromAmount(exactSum(this.amount, -amount), this.unit);
+        },
+
+        /**
+         * Multiplies the amount by a factor
+         * @param {number|string} factor - Multiplication factor
+         * @returns {QuantityType} New instance with the product
+         */
+        multiply(factor) {
+          const a = toScaled(this.amount);
+          const b = toScaled(factor);
+          return fromAmount(
+            toNumber(a.digits * b.digits, a.scale + b.scale),
+            this.unit,
+          );
+        },
+
+        /**
+         * Divides the amount by a divisor
+         * @param {number|string} divisor - The divisor
+         * @returns {QuantityType} New instance with the quotient
+         * @throws {Error} If the divisor is zero
+         */
+        divide(divisor) {
+          const a = toScaled(this.amount);
+          const b = toScaled(divisor);
+          const quotient = divideRounded(
+            a.digits * powerOfTen(b.scale + CONVERSION_SCALE),
+            b.digits * powerOfTen(a.scale),
+            RoundingMode.HALF_EVEN,
+          );
+          return fromAmount(toNumber(quotient, CONVERSION_SCALE), this.unit);
+        },
+
+        /**
+         * Returns the quantity with the opposite sign
+         * @returns {QuantityType} New negated instance
+         */
+        negate() {
+          return fromAmount(-this.amount, this.unit);
+        },
+
+        /**
+         * Checks if another quantity describes the same amount, e.g. 1 kg and 1000 g
+         * @param {any} other - A quantity, {amount, unit} object or string
+         * @returns {boolean} True if both amounts are equal after conversion
+         */
+        isEquivalentTo(other) {
+          const quantity = factory.create(other);
+          if (unitOf(quantity.unit).dimension !== unitOf(this.unit).dimension) {
+            return false;
+          }
+          return convert(quantity, this.unit) === this.amount;
+        },
+
+        /**
+         * Checks if the amount is zero
+         * @returns {boolean} True if the amount is zero
+         */
+        isZero() {
+          return this.amount === 0;
+        },
+
+        /**
+         * Checks if the amount is greater than zero
+         * @returns {boolean} True if the amount is positive
+         */
+        isPositive() {
+          return this.amount > 0;
+        },
+
+        /**
+         * Checks if the amount is less than zero
+         * @returns {boolean} True if the amount is negative
+         */
+        isNegative() {
+          return this.amount < 0;
+        },
+
+        /**
+         * Formats the quantity for display
+         * Units known to Intl are localized, other units use their labels or symbol.
+         * @param {string} [locale='en-US'] - Locale to use for formatting
+         * @param {Intl.NumberFormatOptions} [options={}] - Intl number formatting options
+         * @returns {string} The formatted quantity, e.g. "2.5 kg"
+         */
+        format(locale = "en-US", options = {}) {
+          const { intlUnit, labels, symbol } = unitOf(this.unit);
+
+          if (intlUnit) {
+            return new Intl.NumberFormat(locale, {
+              unitDisplay: "short",
+              ...options,
+              style: "unit",
+              unit: intlUnit,
+            }).format(this.amount);
+          }
+
+          const number = new Intl.NumberFormat(locale, options).format(
+            this.amount,
+          );
+          const label = labels
+            ? labels[
+                new Intl.PluralRules(locale).select(this.amount) === "one"
+                  ? "one"
+                  : "other"
+              ]
+            : symbol;
+          return `${number} ${label}`;
+        },
+
+        /**
+         * Returns a string representation such as "2.5 kg"
+         * @returns {string}
+         */
+        toString() {
+          return `${this.amount} ${this.unit}`;
+        },
+      };
+    },
+  });
+}
+
+/**
+ * Looks up a unit that is known to be registered
+ * @param {string} symbol - The unit symbol
+ * @returns {import('./units.js').Unit} The unit
+ * @private
+ */
+function unitOf(symbol) {
+  return /** @type {import('./units.js').Unit} */ (findUnit(symbol));
+}
+
+/**
+ * Throws if two quantities measure different dimensions
+ * @param {any} quantity - The quantity performing the operation
+ * @param {any} other - The other operand
+ * @param {string} operation - Name of the operation for the error message
+ * @throws {ValidationError} If the dimensions differ
+ * @private
+ */
+function assertSameDimension(quantity, other, operation) {
+  const dimension = unitOf(quantity.unit).dimension;
+  const otherDimension = unitOf(other.unit).dimension;
+
+  if (dimension !== otherDimension) {
+    throw new ValidationError(
+      {
+        key: "quantity.dimensionMismatch",
+        params: {
+          operation,
+          otherUnit: other.unit,
+          otherDimension,
+          unit: quantity.unit,
+          dimension,
+        },
+      },
+      undefined,
+      {
+        objectType: "Quantity",
+        operation,
+        unit: quantity.unit,
+        dimension,
+        otherUnit: other.unit,
+        otherDimension,
+      },
+    );
+  }
+}
+
+/**
+ * Converts the amount of a quantity into another unit of the same dimension
+ * @param {any} quantity - The quantity to convert
+ * @param {string} targetSymbol - The target unit symbol
+ * @returns {number} The converted amount
+ * @throws {ValidationError} If the target unit is unknown or measures another dimension
+ * @private
+ */
+function convert(quantity, targetSymbol) {
+  const source = unitOf(quantity.unit);
+  const target = findUnit(targetSymbol);
+
+  if (!target || target.dimension !== source.dimension) {
+    throw new ValidationError(
+      target
+        ? {
+            key: "quantity.incompatibleUnit",
+            params: {
+              unit: source.symbol,
+              dimension: source.dimension,
+              targetUnit: target.symbol,
+              targetDimension: target.dimension,
+            },
+          }
+        : { key: "quantity.unknownUnit", params: { unit: targetSymbol } },
+      undefined,
+      {
+        objectType: "Quantity",
+        operation: "convert",
+        unit: source.symbol,
+        dimension: source.dimension,
+        otherUnit: targetSymbol,
+        otherDimension: target?.dimension,
+      },
+    );
+  }
+
+  if (source.symbol === target.symbol) {
+    return quantity.amount;
+  }
+
+  // amount * sourceFactor / targetFactor, computed exactly and rounded once
+  const amount = toScaled(quantity.amount);
+  const from = toScaled(source.factor);
+  const to = toScaled(target.factor);
+  const converted = divideRounded(
+    amount.digits * from.digits * powerOfTen(to.scale + CONVERSION_SCALE),
+    to.digits * powerOfTen(amount.scale + from.scale),
+    RoundingMode.HALF_EVEN,
+  );
+  return toNumber(converted, CONVERSION_SCALE);
+}
+
+/**
+ * Adds two numbers without binary floating point errors
+ * @param {number} a - First summand
+ * @param {number} b - Second summand
+ * @returns {number} The sum
+ * @private
+ */
+function exactSum(a, b) {
+  const x = toScaled(a);
+  const y = toScaled(b);
+  const scale = Math.max(x.scale, y.scale);
+  return toNumber(
+    x.digits * powerOfTen(scale - x.scale) +
+      y.digits * powerOfTen(scale - y.scale),
+    scale,
+  );
+}
+
+/**
+ * Converts a scaled bigint into the nearest number
+ * @param {bigint} digits - The unscaled digits
+ * @param {number} scale - Number of decimal places
+ * @returns {number} The number
+ * @private
+ */
+function toNumber(digits, scale) {
+  return Number(`${digits}e-${scale}`);
+}
+
+/**
+ * Splits strings such as "12.5 kg" into amount and unit
+ * @param {any} value - The raw input
+ * @returns {any} An {amount, unit} object for quantity strings, otherwise the input
+ * @private
+ */
+function parseQuantityString(value) {
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  const match = /^\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)\s*(\S+)\s*$/i.exec(
+    value,
+  );
+  return match ? { amount: Number(match[1]), unit: match[2] } : value;
+}
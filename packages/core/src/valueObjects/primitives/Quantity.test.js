@@ -0,0 +1,227 @@
+// packages/core/src/valueObjects/primitives/Quantity.test.js
+import { describe, it, expect } from "vitest";
+import { z } from "zod";
+import { Quantity, Length, Mass, Volume } from "./Quantity.js";
+import { ValidationError } from "../../errors/index.js";
+import { aggregate } from "../../aggregates/index.js";
+
+describe("Quantity Value Object", () => {
+  describe("creation", () => {
+    it("should create a quantity from an amount and a unit", () => {
+      // Act
+      const quantity = Quantity.of(12.5, "kg");
+
+      // Assert
+      expect(quantity.amount).toBe(12.5);
+      expect(quantity.unit).toBe("kg");
+      expect(quantity.getDimension()).toBe("mass");
+      expect(quantity.toString()).toBe("12.5 kg");
+    });
+
+    it("should parse quantity strings", () => {
+      // Act & Assert
+      expect(Quantity.create("500 g").equals(Quantity.of(500, "g"))).toBe(true);
+      expect(Quantity.create("-1.5ft").amount).toBe(-1.5);
+      expect(Quantity.create("1e3 ml").amount).toBe(1000);
+    });
+
+    it("should throw ValidationError for unknown units and invalid amounts", () => {
+      // Act & Assert
+      expect(() => Quantity.of(1, "furlong")).toThrow("Unknown unit: furlong");
+      expect(() => Quantity.of(Number.NaN, "kg")).toThrow(ValidationError);
+      expect(() => Quantity.create("heavy")).toThrow(ValidationError);
+    });
+  });
+
+  describe("conversion", () => {
+    it("should convert exactly between units of a dimension", () => {
+      // Act & Assert
+      expect(Quantity.of(1, "ft").to("in").amount).toBe(12);
+      expect(Quantity.of(1, "mi").to("km").amount).toBe(1.609344);
+      expect(Quantity.of(1, "lb").to("g").amount).toBe(453.59237);
+      expect(Quantity.of(1, "gal").to("l").amount).toBe(3.785411784);
+      expect(Quantity.of(2.5, "kg").to("lb").amount).toBe(5.511556554622);
+    });
+
+    it("should refuse to convert across dimensions", () => {
+      // Act & Assert
+      expect(() => Quantity.of(1, "kg").to("m")).toThrow(
+        "Cannot convert kg (mass) to m (length)",
+      );
+      expect(() => Quantity.of(1, "kg").to("stone")).toThrow(
+        "Unknown unit: stone",
+      );
+    });
+
+    it("should compare amounts across units", () => {
+      // Arrange
+      const kilogram = Quantity.of(1, "kg");
+
+      // Assert
+      expect(kilogram.isEquivalentTo("1000 g")).toBe(true);
+      expect(kilogram.isEquivalentTo("1 g")).toBe(false);
+      expect(kilogram.isEquivalentTo("1 m")).toBe(false);
+      expect(kilogram.equals(Quantity.of(1000, "g"))).toBe(false);
+    });
+  });
+
+  describe("arithmetic", () => {
+    it("should add and subtract in this quantity's unit", () => {
+      // Arrange
+      const parcel = Quantity.of(2, "kg");
+
+      // Act & Assert
+      expect(parcel.add(Quantity.of(500, "g")).toString()).toBe("2.5 kg");
+      expect(parcel.subtract("8 oz").toString()).toBe("1.773203815 kg");
+      expect(Quantity.of(0.1, "kg").add("0.2 kg").amount).toBe(0.3);
+    });
+
+    it("should reject mixing dimensions with context", () => {
+      // Arrange
+      const parcel = Quantity.of(2, "kg");
+
+      // Act
+      let error;
+      try {
+        parcel.add(Quantity.of(1, "m"));
+      } catch (e) {
+        error = e;
+      }
+
+      // Assert
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe("Cannot add m (length) and kg (mass)");
+      expect(error.context).toEqual({
+        objectType: "Quantity",
+        operation: "add",
+        unit: "kg",
+        dimension: "mass",
+        otherUnit: "m",
+        otherDimension: "length",
+      });
+    });
+
+    it("should multiply and divide by scalars", () => {
+      // Arrange
+      const quantity = Quantity.of(10, "kg");
+
+      // Act & Assert
+      expect(quantity.multiply(0.1).amount).toBe(1);
+      expect(quantity.divide(4).amount).toBe(2.5);
+      expect(quantity.divide(3).amount).toBe(3.333333333333);
+      expect(() => quantity.divide(0)).toThrow("Cannot divide by zero");
+    });
+
+    it("should report the sign of the amount", () => {
+      // Arrange
+      const quantity = Quantity.of(-3, "l");
+
+      // Assert
+      expect(quantity.isNegative()).toBe(true);
+      expect(quantity.negate().isPositive()).toBe(true);
+      expect(quantity.add("3 l").isZero()).toBe(true);
+    });
+  });
+
+  describe("formatting", () => {
+    it("should format units known to Intl", () => {
+      // Act & Assert
+      expect(Quantity.of(2.5, "kg").format()).toBe("2.5 kg");
+      expect(Quantity.of(2.5, "kg").format("de-DE", { unitDisplay: "long" })).toBe(
+        "2,5 Kilogramm",
+      );
+      expect(Quantity.of(1200, "m").format("en-US")).toBe("1,200 m");
+    });
+
+    it("should fall back to the unit symbol", () => {
+      // Act & Assert
+      expect(Quantity.of(1500, "t").format("en-US")).toBe("1,500 t");
+    });
+  });
+
+  describe("dimension-specific factories", () => {
+    it("should only accept units of their dimension", () => {
+      // Act & Assert
+      expect(Mass.create("3 lb").unit).toBe("lb");
+      expect(Length.create("3 ft").getDimension()).toBe("length");
+      expect(Volume.create("330 ml").to("l").amount).toBe(0.33);
+      expect(() => Mass.create("1 m")).toThrow(
+        "Invalid Mass: Unit m measures length, not mass",
+      );
+    });
+
+    it("should create Quantities", () => {
+      // Act
+      const mass = Mass.create("2 kg");
+
+      // Assert
+      expect(Quantity.forDimension("mass")).toBe(Mass);
+      expect(Quantity.isInstance(mass)).toBe(true);
+      expect(mass.equals(Quantity.of(2, "kg"))).toBe(true);
+      expect(Quantity.of(2, "kg").equals(mass)).toBe(true);
+      expect(Mass.isInstance(Length.create("2 m"))).toBe(false);
+    });
+
+    it("should reject unknown dimensions", () => {
+      // Act & Assert
+      expect(() => Quantity.forDimension("time")).toThrow(
+        "Unknown dimension: time",
+      );
+    });
+  });
+
+  describe("custom dimensions", () => {
+    Quantity.defineDimension("logistics", {
+      pallet: { factor: 1, labels: { one: "pallet", other: "pallets" } },
+      "half-pallet": { factor: 0.5, labels: { one: "half pallet", other: "half pallets" } },
+    });
+
+    it("should convert and format custom units", () => {
+      // Act
+      const pallets = Quantity.of(3, "half-pallet").to("pallet");
+
+      // Assert
+      expect(pallets.amount).toBe(1.5);
+      expect(pallets.format()).toBe("1.5 pallets");
+      expect(Quantity.of(1, "half-pallet").format()).toBe("1 half pallet");
+      expect(Quantity.dimensionOf("pallet")).toBe("logistics");
+      expect(Quantity.unitsOf("logistics")).toEqual(["pallet", "half-pallet"]);
+    });
+
+    it("should create factories for custom dimensions", () => {
+      // Arrange
+      const Pallets = Quantity.forDimension("logistics", "Pallets");
+
+      // Act & Assert
+      expect(Pallets.name).toBe("Pallets");
+      expect(Pallets.create("2 pallet").add("1 half-pallet").amount).toBe(2.5);
+      expect(() => Pallets.create("2 kg")).toThrow(ValidationError);
+    });
+  });
+
+  it("should guard aggregate state against unit mix-ups", () => {
+    // Arrange
+    const Shipment = aggregate({
+      name: "Shipment",
+      schema: z.object({
+        id: z.string(),
+        weight: Mass.schema,
+      }),
+      identity: "id",
+      methodsFactory: (factory) => ({
+        addParcel(parcelWeight) {
+          const weight = Mass.create(this.weight).add(parcelWeight);
+          return factory.update(this, { weight: weight.toJSON() });
+        },
+      }),
+    });
+    const shipment = Shipment.create({ id: "s-1", weight: "10 kg" });
+
+    // Act
+    const updated = shipment.addParcel("11 lb");
+
+    // Assert
+    expect(updated.weight).toEqual({ amount: 14.98951607, unit: "kg" });
+    expect(() => shipment.addParcel("1 m3")).toThrow(ValidationError);
+  });
+});
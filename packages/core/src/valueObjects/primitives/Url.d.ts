@@ -0,0 +1,85 @@
+import { ValueObject, ValueObjectFactory } from "../Base";
+
+/**
+ * Url represents an absolute, normalized URL
+ */
+export type UrlType = ValueObject<string> & {
+  /**
+   * Returns the protocol without the trailing colon
+   */
+  getProtocol: () => string;
+
+  /**
+   * Returns the host name without port
+   */
+  getHostname: () => string;
+
+  /**
+   * Returns the explicit port, or null for the protocol's default port
+   */
+  getPort: () => number | null;
+
+  /**
+   * Returns the origin (protocol, host and port)
+   */
+  getOrigin: () => string;
+
+  /**
+   * Returns the path
+   */
+  getPathname: () => string;
+
+  /**
+   * Returns the fragment without the leading #
+   */
+  getFragment: () => string;
+
+  /**
+   * Checks if a query parameter is present
+   */
+  hasQueryParam: (name: string) => boolean;
+
+  /**
+   * Returns the first value of a query parameter
+   */
+  getQueryParam: (name: string) => string | null;
+
+  /**
+   * Returns all query parameters, repeated parameters as arrays
+   */
+  getQueryParams: () => Record<string, string | string[]>;
+
+  /**
+   * Sets a query parameter, replacing existing values
+   */
+  withQueryParam: (name: string, value: string | number | boolean) => UrlType;
+
+  /**
+   * Removes a query parameter
+   */
+  withoutQueryParam: (name: string) => UrlType;
+
+  /**
+   * Replaces the path
+   */
+  withPathname: (pathname: string) => UrlType;
+
+  /**
+   * Checks if the URL uses https
+   */
+  isSecure: () => boolean;
+};
+
+/**
+ * Url value object factory
+ */
+export const Url: ValueObjectFactory<string> & {
+  create: (data: string | unknown) => UrlType;
+
+  /**
+   * Creates a Url factory that accepts the given protocols
+   */
+  withProtocols: (protocols: string[]) => ValueObjectFactory<string> & {
+    create: (data: string | unknown) => UrlType;
+  };
+};
@@ -0,0 +1,261 @@
+import { z } from "zod";
+import { valueObject } from "../Base.js";
+import { BRAND, inheritVariant } from "../branding.js";
+
+/**
+ * Protocols accepted by the default Url factory
+ */
+const WEB_PROTOCOLS = ["http", "https"];
+
+/**
+ * Url represents an absolute, normalized URL
+ *
+ * Use cases:
+ * - Links to websites, documents and images
+ * - Webhook and callback endpoints
+ * - Redirect targets
+ *
+ * Features:
+ * - Normalized through the WHATWG URL parser (lower-case scheme and host,
+ *   default ports removed, paths resolved)
+ * - Only http and https by default, other protocols via Url.withProtocols
+ * - Accessors for the parsed components
+ * - Immutable helpers to add or remove query parameters
+ *
+ * @example
+ * const url = Url.create("HTTPS://Example.com:443/docs/../search?q=ddd");
+ * url.toString(); // "https://example.com/search?q=ddd"
+ * url.getQueryParam("q"); // "ddd"
+ * url.withQueryParam("page", 2).toString(); // "https://example.com/search?q=ddd&page=2"
+ *
+ * const Ftp = Url.withProtocols(["ftp", "sftp"]);
+ *
+ * @typedef {import('../Base.js').ValueObject<string>} UrlType
+ */
+export const Url = createUrl(WEB_PROTOCOLS);
+
+/**
+ * Url factories accepting other protocols, by protocol list
+ * @type {Map<string, any>}
+ * @private
+ */
+const protocolUrls = new Map();
+
+/**
+ * Creates a Url factory that accepts the given protocols
+ * Its values are Urls, and calls with the same protocols return the same
+ * factory.
+ * @param {string[]} protocols - Allowed protocols without colon, e.g. ["https"]
+ * @returns {import('../Base.js').ValueObjectFactory<string>} A factory for URLs with these protocols
+ * @throws {Error} If no protocols are given
+ *
+ * @example
+ * const SecureUrl = Url.withProtocols(["https"]);
+ * SecureUrl.create("http://example.com"); // throws ValidationError
+ */
+Url.withProtocols = function (protocols) {
+  if (!Array.isArray(protocols) || protocols.length === 0) {
+    throw new Error("At least one protocol is required");
+  }
+  const normalized = protocols.map((protocol) =>
+    protocol.toLowerCase().replace(/:$/, ""),
+  );
+  const key = normalized.join(",");
+  if (!protocolUrls.has(key)) {
+    const ProtocolUrl = createUrl(normalized);
+    inheritVariant(ProtocolUrl[BRAND], Url[BRAND]);
+    protocolUrls.set(key, ProtocolUrl);
+  }
+  return protocolUrls.get(key);
+};
+
+/**
+ * Creates a Url factory for the given protocols
+ * @param {string[]} protocols - Allowed protocols without colon
+ * @returns {any} A Url value object factory
+ * @private
+ */
+function createUrl(protocols) {
+  return valueObject({
+    name: "Url",
+    schema: z
+      .string()
+      .trim()
+      .transform((value, ctx) => {
+        const url = parse(value);
+
+        if (!url) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.invalid_string,
+            validation: "url",
+            message: "Invalid URL",
+          });
+          return z.NEVER;
+        }
+
+        const protocol = url.protocol.slice(0, -1);
+        if (!protocols.includes(protocol)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `URL protocol must be one of ${protocols.join(", ")}`,
+            params: { protocol },
+          });
+          return z.NEVER;
+        }
+
+        return url.href;
+      }),
+    overrideIsPrimitive: true,
+    methodsFactory: (factory) => {
+      /**
+       * Creates a new instance from a modified URL
+       * @param {URL} url - The modified URL
+       * @returns {UrlType}
+       */
+      const fromUrl = (url) => /** @type {UrlType} */ (factory.create(url.href));
+
+      return {
+        /**
+         * Returns the protocol without the trailing colon
+         * @returns {string} The protocol, e.g. "https"
+         */
+        getProtocol() {
+          return new URL(this.valueOf()).protocol.slice(0, -1);
+        },
+
+        /**
+         * Returns the host name without port
+         * @returns {string} The host name, e.g. "example.com"
+         */
+        getHostname() {
+          return new URL(this.valueOf()).hostname;
+        },
+
+        /**
+         * Returns the explicit port
+         * @returns {number|null} The port, or null if the protocol's default port is used
+         */
+        getPort() {
+          const { port } = new URL(this.valueOf());
+          return port ? Number(port) : null;
+        },
+
+        /**
+         * Returns the origin (protocol, host and port)
+         * @returns {string} The origin, e.g. "https://example.com"
+         */
+        getOrigin() {
+          return new URL(this.valueOf()).origin;
+        },
+
+        /**
+         * Returns the path
+         * @returns {string} The path, e.g. "/docs/intro"
+         */
+        getPathname() {
+          return new URL(this.valueOf()).pathname;
+        },
+
+        /**
+         * Returns the fragment without the leading #
+         * @returns {string} The fragment, or an empty string
+         */
+        getFragment() {
+          return new URL(this.valueOf()).hash.slice(1);
+        },
+
+        /**
+         * Checks if a query parameter is present
+         * @param {string} name - The parameter name
+         * @returns {boolean} True if the parameter is present
+         */
+        hasQueryParam(name) {
+          return new URL(this.valueOf()).searchParams.has(name);
+        },
+
+        /**
+         * Returns the first value of a query parameter
+         * @param {string} name - The parameter name
+         * @returns {string|null} The value, or null if the parameter is missing
+         */
+        getQueryParam(name) {
+          return new URL(this.valueOf()).searchParams.get(name);
+        },
+
+        /**
+         * Returns all query parameters
+         * Parameters that occur more than once are returned as arrays.
+         * @returns {Record<string, string|string[]>} The parameters by name
+         */
+        getQueryParams() {
+          /** @type {Record<string, string|string[]>} */
+          const params = {};
+          for (const [name, value] of new URL(this.valueOf()).searchParams) {
+            const existing = params[name];
+            params[name] =
+              existing === undefined
+                ? value
+                : [...(Array.isArray(existing) ? existing : [existing]), value];
+          }
+          return params;
+        },
+
+        /**
+         * Sets a query parameter, replacing existing values
+         * @param {string} name - The parameter name
+         * @param {string|number|boolean} value - The parameter value
+         * @returns {UrlType} New instance with the parameter set
+         */
+        withQueryParam(name, value) {
+          const url = new URL(this.valueOf());
+          url.searchParams.set(name, String(value));
+          return fromUrl(url);
+        },
+
+        /**
+         * Removes a query parameter
+         * @param {string} name - The parameter name
+         * @returns {UrlType} New instance without the parameter
+         */
+        withoutQueryParam(name) {
+          const url = new URL(this.valueOf());
+          url.searchParams.delete(name);
+          return fromUrl(url);
+        },
+
+        /**
+         * Replaces the path
+         * @param {string} pathname - The new path, e.g. "/docs"
+         * @returns {UrlType} New instance with the path replaced
+         */
+        withPathname(pathname) {
+          const url = new URL(this.valueOf());
+          url.pathname = pathname;
+          return fromUrl(url);
+        },
+
+        /**
+         * Checks if the URL uses https
+         * @returns {boolean} True if the protocol is https
+         */
+        isSecure() {
+          return new URL(this.valueOf()).protocol === "https:";
+        },
+      };
+    },
+  });
+}
+
+/**
+ * Parses an absolute URL
+ * @param {string} value - The URL string
+ * @returns {URL|null} The parsed URL, or null if it is not a valid absolute URL
+ * @private
+ */
+function parse(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
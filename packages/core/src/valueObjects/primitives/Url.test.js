@@ -0,0 +1,104 @@
+// packages/core/src/valueObjects/primitives/Url.test.js
+import { describe, it, expect } from "vitest";
+import { Url } from "./Url.js";
+import { ValidationError } from "../../errors/index.js";
+
+describe("Url Value Object", () => {
+  describe("creation", () => {
+    it("should normalize the URL", () => {
+      // Act
+      const url = Url.create(" HTTPS://Example.com:443/docs/../search?q=ddd ");
+
+      // Assert
+      expect(url.toString()).toBe("https://example.com/search?q=ddd");
+      expect(url.equals(Url.create("https://example.com/search?q=ddd"))).toBe(
+        true,
+      );
+    });
+
+    it("should only accept http and https by default", () => {
+      // Act & Assert
+      expect(() => Url.create("javascript:alert(1)")).toThrow(ValidationError);
+      expect(() => Url.create("ftp://files.example.com")).toThrow(
+        "URL protocol must be one of http, https",
+      );
+    });
+
+    it("should accept other protocols via withProtocols", () => {
+      // Arrange
+      const FileUrl = Url.withProtocols(["ftp", "SFTP:"]);
+
+      // Act
+      const url = FileUrl.create("sftp://files.example.com/report.csv");
+
+      // Assert
+      expect(url.getProtocol()).toBe("sftp");
+      expect(() => FileUrl.create("https://example.com")).toThrow(
+        ValidationError,
+      );
+      expect(() => Url.withProtocols([])).toThrow(
+        "At least one protocol is required",
+      );
+    });
+
+    it("should throw ValidationError for relative or malformed URLs", () => {
+      // Arrange
+      const invalidUrls = ["", "/docs", "example.com", "https://", 42];
+
+      // Act & Assert
+      invalidUrls.forEach((value) => {
+        expect(() => Url.create(value)).toThrow(ValidationError);
+      });
+    });
+  });
+
+  describe("components", () => {
+    it("should expose the parsed components", () => {
+      // Arrange
+      const url = Url.create("http://shop.example.com:8080/cart/items#summary");
+
+      // Act & Assert
+      expect(url.getProtocol()).toBe("http");
+      expect(url.getHostname()).toBe("shop.example.com");
+      expect(url.getPort()).toBe(8080);
+      expect(url.getOrigin()).toBe("http://shop.example.com:8080");
+      expect(url.getPathname()).toBe("/cart/items");
+      expect(url.getFragment()).toBe("summary");
+      expect(url.isSecure()).toBe(false);
+    });
+
+    it("should return null for default ports", () => {
+      // Act & Assert
+      expect(Url.create("https://example.com").getPort()).toBeNull();
+    });
+  });
+
+  describe("query helpers", () => {
+    it("should read query parameters", () => {
+      // Arrange
+      const url = Url.create("https://example.com/search?q=ddd&tag=a&tag=b");
+
+      // Act & Assert
+      expect(url.hasQueryParam("q")).toBe(true);
+      expect(url.getQueryParam("tag")).toBe("a");
+      expect(url.getQueryParam("page")).toBeNull();
+      expect(url.getQueryParams()).toEqual({ q: "ddd", tag: ["a", "b"] });
+    });
+
+    it("should return new instances when changing the query or path", () => {
+      // Arrange
+      const url = Url.create("https://example.com/search?q=ddd");
+
+      // Act
+      const paged = url.withQueryParam("page", 2);
+      const cleared = paged.withoutQueryParam("q");
+      const moved = url.withPathname("/find");
+
+      // Assert
+      expect(paged.toString()).toBe("https://example.com/search?q=ddd&page=2");
+      expect(cleared.toString()).toBe("https://example.com/search?page=2");
+      expect(moved.toString()).toBe("https://example.com/find?q=ddd");
+      expect(url.toString()).toBe("https://example.com/search?q=ddd");
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Crockford's base32 alphabet used by ULIDs
+ */
+export const CROCKFORD_ALPHABET: string;
+
+/**
+ * Base62 alphabet used by KSUIDs
+ */
+export const BASE62_ALPHABET: string;
+
+/**
+ * Largest timestamp a ULID can hold
+ */
+export const MAX_ULID_TIME: number;
+
+/**
+ * Start of the KSUID epoch in seconds since the Unix epoch
+ */
+export const KSUID_EPOCH_SECONDS: number;
+
+/**
+ * Default Snowflake epoch in milliseconds
+ */
+export const DEFAULT_SNOWFLAKE_EPOCH: number;
+
+/**
+ * Largest valid Snowflake ID
+ */
+export const MAX_SNOWFLAKE: bigint;
+
+/**
+ * Encodes a non-negative integer with an alphabet, left-padded to a length
+ */
+export function encode(value: bigint, alphabet: string, length: number): string;
+
+/**
+ * Decodes a string encoded with an alphabet
+ */
+export function decode(text: string, alphabet: string): bigint;
+
+/**
+ * Returns a random non-negative integer of the given size in bytes
+ */
+export function randomBigInt(bytes: number): bigint;
+
+/**
+ * Converts a point in time into epoch milliseconds, defaulting to now
+ */
+export function toEpochMilliseconds(time?: Date | number): number;
+
+/**
+ * Creates a ULID generator that stays sortable within the same millisecond
+ */
+export function createUlidGenerator(): (time?: Date | number) => string;
+
+/**
+ * Reads the timestamp of a ULID in epoch milliseconds
+ */
+export function ulidTime(ulid: string): number;
+
+/**
+ * Generates a UUID version 7
+ */
+export function generateUuidV7(time?: Date | number): string;
+
+/**
+ * Reads the timestamp of a UUID version 7 in epoch milliseconds
+ */
+export function uuidV7Time(uuid: string): number;
+
+/**
+ * Generates a KSUID
+ */
+export function generateKsuid(time?: Date | number): string;
+
+/**
+ * Reads the timestamp of a KSUID in epoch milliseconds
+ */
+export function ksuidTime(ksuid: string): number;
+
+/**
+ * Creates a Snowflake generator returning decimal strings
+ */
+export function createSnowflakeGenerator(options: {
+  epoch: number;
+  workerId: number;
+}): (time?: Date | number) => string;
+
+/**
+ * Splits a Snowflake ID into timestamp, worker ID and sequence
+ */
+export function snowflakeParts(
+  snowflake: string,
+  epoch: number
+): { time: number; workerId: number; sequence: number };
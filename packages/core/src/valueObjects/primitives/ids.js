@@ -0,0 +1,256 @@
+import { randomBytes } from "crypto";
+
+/**
+ * Crockford's base32 alphabet used by ULIDs (no I, L, O or U)
+ */
+export const CROCKFORD_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+/**
+ * Base62 alphabet used by KSUIDs, in ASCII order so encodings sort like numbers
+ */
+export const BASE62_ALPHABET =
+  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Largest timestamp a ULID can hold (48 bits of milliseconds)
+ */
+export const MAX_ULID_TIME = 2 ** 48 - 1;
+
+/**
+ * Start of the KSUID epoch in seconds since the Unix epoch (2014-05-13)
+ */
+export const KSUID_EPOCH_SECONDS = 1400000000;
+
+/**
+ * Default Snowflake epoch in milliseconds (2010-11-04, as used by Twitter)
+ */
+export const DEFAULT_SNOWFLAKE_EPOCH = 1288834974657;
+
+/**
+ * Largest valid Snowflake ID (63 bits, the sign bit stays clear)
+ */
+export const MAX_SNOWFLAKE = (1n << 63n) - 1n;
+
+/**
+ * Encodes a non-negative integer with an alphabet, left-padded to a length
+ * @param {bigint} value - The value to encode
+ * @param {string} alphabet - The digits of the numeral system
+ * @param {number} length - The length of the result
+ * @returns {string} The encoded value
+ */
+export function encode(value, alphabet, length) {
+  const base = BigInt(alphabet.length);
+  let result = "";
+  let remaining = value;
+  while (remaining > 0n) {
+    result = alphabet[Number(remaining % base)] + result;
+    remaining /= base;
+  }
+  return result.padStart(length, alphabet[0]);
+}
+
+/**
+ * Decodes a string encoded with an alphabet
+ * @param {string} text - The encoded value
+ * @param {string} alphabet - The digits of the numeral system
+ * @returns {bigint} The decoded value
+ */
+export function decode(text, alphabet) {
+  const base = BigInt(alphabet.length);
+  let result = 0n;
+  for (const char of text) {
+    result = result * base + BigInt(alphabet.indexOf(char));
+  }
+  return result;
+}
+
+/**
+ * Returns a random non-negative integer of the given size
+ * @param {number} bytes - Number of random bytes
+ * @returns {bigint} The random value
+ */
+export function randomBigInt(bytes) {
+  return BigInt(`0x${randomBytes(bytes).toString("hex")}`);
+}
+
+/**
+ * Converts a point in time into epoch milliseconds
+ * @param {Date|number} [time] - The point in time, defaults to now
+ * @returns {number} Epoch milliseconds
+ * @throws {Error} If the time is not a valid point in time
+ */
+export function toEpochMilliseconds(time) {
+  const epochMs =
+    time === undefined
+      ? Date.now()
+      : time instanceof Date
+        ? time.getTime()
+        : time;
+
+  if (typeof epochMs !== "number" || !Number.isInteger(epochMs)) {
+    throw new Error(`Invalid timestamp: ${String(time)}`);
+  }
+  return epochMs;
+}
+
+/**
+ * Creates a ULID generator that stays sortable within the same millisecond
+ * by incrementing the random part instead of drawing a new one.
+ * @returns {(time?: Date|number) => string} The generator
+ */
+export function createUlidGenerator() {
+  let lastTime = -1;
+  let lastRandom = 0n;
+
+  return (time) => {
+    const epochMs = toEpochMilliseconds(time);
+    if (epochMs < 0 || epochMs > MAX_ULID_TIME) {
+      throw new Error(`Timestamp out of range for a ULID: ${epochMs}`);
+    }
+
+    if (epochMs === lastTime) {
+      lastRandom += 1n;
+      if (lastRandom >= 1n << 80n) {
+        throw new Error("ULID random part overflowed within one millisecond");
+      }
+    } else {
+      lastTime = epochMs;
+      lastRandom = randomBigInt(10);
+    }
+
+    return (
+      encode(BigInt(epochMs), CROCKFORD_ALPHABET, 10) +
+      encode(lastRandom, CROCKFORD_ALPHABET, 16)
+    );
+  };
+}
+
+/**
+ * Reads the timestamp of a ULID
+ * @param {string} ulid - A valid ULID
+ * @returns {number} Epoch milliseconds
+ */
+export function ulidTime(ulid) {
+  return Number(decode(ulid.slice(0, 10).toUpperCase(), CROCKFORD_ALPHABET));
+}
+
+/**
+ * Generates a UUID version 7 (RFC 9562)
+ * @param {Date|number} [time] - The point in time, defaults to now
+ * @returns {string} The UUID in lowercase hyphenated form
+ * @throws {Error} If the time is invalid or out of range
+ */
+export function generateUuidV7(time) {
+  const epochMs = toEpochMilliseconds(time);
+  if (epochMs < 0 || epochMs > MAX_ULID_TIME) {
+    throw new Error(`Timestamp out of range for a UUIDv7: ${epochMs}`);
+  }
+
+  const bytes = randomBytes(16);
+  bytes.writeUIntBE(epochMs, 0, 6);
+  bytes[6] = (bytes[6] & 0x0f) | 0x70; // version 7
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC variant
+
+  const hex = bytes.toString("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join("-");
+}
+
+/**
+ * Reads the timestamp of a UUID version 7
+ * @param {string} uuid - A valid UUIDv7
+ * @returns {number} Epoch milliseconds
+ */
+export function uuidV7Time(uuid) {
+  return parseInt(uuid.replace(/-/g, "").slice(0, 12), 16);
+}
+
+/**
+ * Generates a KSUID: 32 bits of seconds since the KSUID epoch followed by
+ * 128 random bits, base62 encoded
+ * @param {Date|number} [time] - The point in time, defaults to now
+ * @returns {string} The 27 character KSUID
+ * @throws {Error} If the time is invalid or out of range
+ */
+export function generateKsuid(time) {
+  const seconds =
+    Math.floor(toEpochMilliseconds(time) / 1000) - KSUID_EPOCH_SECONDS;
+  if (seconds < 0 || seconds > 0xffffffff) {
+    throw new Error(`Timestamp out of range for a KSUID: ${String(time)}`);
+  }
+
+  return encode(
+    (BigInt(seconds) << 128n) | randomBigInt(16),
+    BASE62_ALPHABET,
+    27,
+  );
+}
+
+/**
+ * Reads the timestamp of a KSUID
+ * @param {string} ksuid - A valid KSUID
+ * @returns {number} Epoch milliseconds, in whole seconds
+ */
+export function ksuidTime(ksuid) {
+  const seconds = Number(decode(ksuid, BASE62_ALPHABET) >> 128n);
+  return (seconds + KSUID_EPOCH_SECONDS) * 1000;
+}
+
+/**
+ * Creates a Snowflake generator: 41 bits of milliseconds since the epoch,
+ * 10 bits of worker ID and a 12 bit sequence per millisecond. When the
+ * sequence is exhausted, the generator borrows the next millisecond.
+ * @param {{epoch: number, workerId: number}} options - Generator configuration
+ * @returns {(time?: Date|number) => string} The generator, returning decimal strings
+ */
+export function createSnowflakeGenerator({ epoch, workerId }) {
+  let lastTime = -1;
+  let sequence = 0;
+
+  return (time) => {
+    let elapsed = toEpochMilliseconds(time) - epoch;
+    if (elapsed < 0 || elapsed >= 2 ** 41) {
+      throw new Error(
+        `Timestamp out of range for a Snowflake ID: ${String(time)}`,
+      );
+    }
+
+    // Never go back in time, so IDs of one generator keep increasing
+    if (elapsed <= lastTime) {
+      elapsed = lastTime;
+      sequence = (sequence + 1) & 0xfff;
+      if (sequence === 0) {
+        elapsed += 1;
+      }
+    } else {
+      sequence = 0;
+    }
+    lastTime = elapsed;
+
+    return (
+      (BigInt(elapsed) << 22n) |
+      (BigInt(workerId) << 12n) |
+      BigInt(sequence)
+    ).toString();
+  };
+}
+
+/**
+ * Splits a Snowflake ID into its parts
+ * @param {string} snowflake - A valid Snowflake ID
+ * @param {number} epoch - The epoch the ID was generated with
+ * @returns {{time: number, workerId: number, sequence: number}} The parts, time in epoch milliseconds
+ */
+export function snowflakeParts(snowflake, epoch) {
+  const value = BigInt(snowflake);
+  return {
+    time: Number(value >> 22n) + epoch,
+    workerId: Number((value >> 12n) & 0x3ffn),
+    sequence: Number(value & 0xfffn),
+  };
+}
@@ -0,0 +1,86 @@
+// packages/core/src/valueObjects/primitives/ids.test.js
+import { describe, it, expect } from "vitest";
+import {
+  encode,
+  decode,
+  CROCKFORD_ALPHABET,
+  BASE62_ALPHABET,
+  createUlidGenerator,
+  ulidTime,
+  createSnowflakeGenerator,
+  snowflakeParts,
+  toEpochMilliseconds,
+} from "./ids.js";
+
+describe("identifier helpers", () => {
+  it("should encode and decode numbers with an alphabet", () => {
+    // Act
+    const encoded = encode(123456789n, BASE62_ALPHABET, 8);
+
+    // Assert
+    expect(encoded).toBe("0008M0kX");
+    expect(decode(encoded, BASE62_ALPHABET)).toBe(123456789n);
+    expect(encode(0n, CROCKFORD_ALPHABET, 3)).toBe("000");
+  });
+
+  it("should match the reference ULID timestamp encoding", () => {
+    // Act
+    const ulid = createUlidGenerator()(1469918176385);
+
+    // Assert
+    expect(ulid.slice(0, 10)).toBe("01ARYZ6S41");
+    expect(ulidTime(ulid)).toBe(1469918176385);
+  });
+
+  it("should reject timestamps a ULID cannot hold", () => {
+    // Arrange
+    const generate = createUlidGenerator();
+
+    // Act & Assert
+    expect(() => generate(-1)).toThrow("Timestamp out of range for a ULID");
+    expect(() => generate(2 ** 48)).toThrow("Timestamp out of range for a ULID");
+  });
+
+  it("should keep Snowflake IDs increasing when the clock goes back", () => {
+    // Arrange
+    const generate = createSnowflakeGenerator({ epoch: 0, workerId: 1 });
+
+    // Act
+    const first = generate(1000);
+    const second = generate(999);
+
+    // Assert
+    expect(BigInt(second) > BigInt(first)).toBe(true);
+    expect(snowflakeParts(second, 0)).toEqual({
+      time: 1000,
+      workerId: 1,
+      sequence: 1,
+    });
+  });
+
+  it("should borrow the next millisecond when the sequence is exhausted", () => {
+    // Arrange
+    const generate = createSnowflakeGenerator({ epoch: 0, workerId: 0 });
+
+    // Act
+    let last = "";
+    for (let i = 0; i < 4097; i++) {
+      last = generate(1000);
+    }
+
+    // Assert
+    expect(snowflakeParts(last, 0)).toEqual({
+      time: 1001,
+      workerId: 0,
+      sequence: 0,
+    });
+  });
+
+  it("should reject invalid points in time", () => {
+    // Act & Assert
+    expect(() => toEpochMilliseconds(new Date("invalid"))).toThrow(
+      "Invalid timestamp",
+    );
+    expect(toEpochMilliseconds(new Date(5))).toBe(5);
+  });
+});
@@ -1,3 +1,24 @@
 export { String, StringValueType } from "./String";
 export { NumberValue, NumberValueType } from "./Number";
-export { Identifier, IdentifierType, UUIDIdentifierType, NumericIdentifierType } from "./Identifier";
\ No newline at end of file
+export {
+  Identifier,
+  IdentifierType,
+  UUIDIdentifierType,
+  NumericIdentifierType,
+  TimestampedIdentifierType,
+  SnowflakeIdentifierType,
+  TypedIdentifierType,
+  GeneratingIdentifierFactory,
+} from "./Identifier";
+export { Money, MoneyType } from "./Money";
+export { RoundingMode, RoundingModeType } from "./rounding";
+export { Decimal, DecimalType, DecimalInput, withPrecision } from "./Decimal";
+export { LocalDate, LocalDateType, LocalDateInput } from "./LocalDate";
+export { Instant, InstantType } from "./Instant";
+export { Duration, DurationType, DurationInput, DurationUnits, PointInTimeInput } from "./Duration";
+export { DateRange, DateRangeType, DateRangeInput } from "./DateRange";
+export { Email, EmailType } from "./Email";
+export { Url, UrlType } from "./Url";
+export { PhoneNumber, PhoneNumberType } from "./PhoneNumber";
+export { PostalAddress, PostalAddressType, PostalAddressData } from "./PostalAddress";
+export { Quantity, QuantityType, QuantityInput, QuantityFactory, UnitDefinition, Length, Mass, Volume } from "./Quantity";
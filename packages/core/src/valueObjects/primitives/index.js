@@ -5,3 +5,15 @@ export { IntegerNumber } from "./IntegerNumber.js";
 export { PositiveNumber } from "./PositiveNumber.js";
 export { NumberValue } from "./Number.js";
 export { NonNegativeNumber } from "./NonNegativeNumber.js";
+export { Money } from "./Money.js";
+export { RoundingMode } from "./rounding.js";
+export { Decimal, withPrecision } from "./Decimal.js";
+export { LocalDate } from "./LocalDate.js";
+export { Instant } from "./Instant.js";
+export { Duration } from "./Duration.js";
+export { DateRange } from "./DateRange.js";
+export { Email } from "./Email.js";
+export { Url } from "./Url.js";
+export { PhoneNumber } from "./PhoneNumber.js";
+export { PostalAddress } from "./PostalAddress.js";
+export { Quantity, Length, Mass, Volume } from "./Quantity.js";
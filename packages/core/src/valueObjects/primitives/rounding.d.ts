@@ -0,0 +1,36 @@
+/**
+ * Rounding modes supported by the exact arithmetic of the numeric primitives
+ */
+export const RoundingMode: {
+  readonly HALF_UP: "HALF_UP";
+  readonly HALF_DOWN: "HALF_DOWN";
+  readonly HALF_EVEN: "HALF_EVEN";
+  readonly UP: "UP";
+  readonly DOWN: "DOWN";
+  readonly CEILING: "CEILING";
+  readonly FLOOR: "FLOOR";
+};
+
+/**
+ * One of the supported rounding modes
+ */
+export type RoundingModeType = (typeof RoundingMode)[keyof typeof RoundingMode];
+
+/**
+ * Divides two bigints and rounds the quotient with the given rounding mode
+ */
+export function divideRounded(
+  numerator: bigint,
+  denominator: bigint,
+  mode?: RoundingModeType
+): bigint;
+
+/**
+ * Converts a finite number or numeric string into an exact scaled bigint
+ */
+export function toScaled(value: number | string | bigint): { digits: bigint; scale: number };
+
+/**
+ * Returns 10 raised to the given power as a bigint
+ */
+export function powerOfTen(exponent: number): bigint;
@@ -0,0 +1,129 @@
+/**
+ * Rounding modes supported by the exact arithmetic of the numeric primitives
+ *
+ * - HALF_UP: round to nearest, ties away from zero
+ * - HALF_DOWN: round to nearest, ties towards zero
+ * - HALF_EVEN: round to nearest, ties to the even neighbour (banker's rounding)
+ * - UP: away from zero
+ * - DOWN: towards zero (truncate)
+ * - CEILING: towards positive infinity
+ * - FLOOR: towards negative infinity
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const RoundingMode = Object.freeze({
+  HALF_UP: "HALF_UP",
+  HALF_DOWN: "HALF_DOWN",
+  HALF_EVEN: "HALF_EVEN",
+  UP: "UP",
+  DOWN: "DOWN",
+  CEILING: "CEILING",
+  FLOOR: "FLOOR",
+});
+
+/**
+ * Divides two bigints and rounds the quotient with the given rounding mode
+ *
+ * @param {bigint} numerator - The dividend
+ * @param {bigint} denominator - The divisor (must not be zero)
+ * @param {string} [mode=RoundingMode.HALF_EVEN] - The rounding mode
+ * @returns {bigint} The rounded quotient
+ * @throws {Error} If the divisor is zero or the rounding mode is unknown
+ */
+export function divideRounded(
+  numerator,
+  denominator,
+  mode = RoundingMode.HALF_EVEN,
+) {
+  if (denominator === 0n) {
+    throw new Error("Cannot divide by zero");
+  }
+
+  // Normalize so that the denominator is positive
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator; // truncated towards zero
+  const remainder = numerator % denominator;
+
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  const sign = numerator < 0n ? -1n : 1n;
+  const absRemainderTwice = (remainder < 0n ? -remainder : remainder) * 2n;
+
+  switch (mode) {
+    case RoundingMode.DOWN:
+      return quotient;
+    case RoundingMode.UP:
+      return quotient + sign;
+    case RoundingMode.CEILING:
+      return sign > 0n ? quotient + 1n : quotient;
+    case RoundingMode.FLOOR:
+      return sign < 0n ? quotient - 1n : quotient;
+    case RoundingMode.HALF_UP:
+      return absRemainderTwice >= denominator ? quotient + sign : quotient;
+    case RoundingMode.HALF_DOWN:
+      return absRemainderTwice > denominator ? quotient + sign : quotient;
+    case RoundingMode.HALF_EVEN:
+      if (absRemainderTwice === denominator) {
+        return quotient % 2n === 0n ? quotient : quotient + sign;
+      }
+      return absRemainderTwice > denominator ? quotient + sign : quotient;
+    default:
+      throw new Error(`Unknown rounding mode: ${mode}`);
+  }
+}
+
+/**
+ * Converts a finite number or numeric string into an exact scaled bigint
+ *
+ * The result satisfies `value === digits / 10^scale`, using the shortest
+ * decimal representation of the number rather than its binary expansion.
+ *
+ * @param {number|string|bigint} value - The value to convert
+ * @returns {{digits: bigint, scale: number}} The unscaled digits and the scale
+ * @throws {Error} If the value is not a finite decimal number
+ *
+ * @example
+ * toScaled(1.15)   // { digits: 115n, scale: 2 }
+ * toScaled("2e-3") // { digits: 2n, scale: 3 }
+ */
+export function toScaled(value) {
+  if (typeof value === "bigint") {
+    return { digits: value, scale: 0 };
+  }
+
+  const text = String(value).trim();
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+
+  if (!match || (match[2] === "" && !match[3])) {
+    throw new Error(`Invalid decimal value: ${text}`);
+  }
+
+  const [, sign, integerPart, fractionPart = "", exponentPart = "0"] = match;
+  const exponent = parseInt(exponentPart, 10);
+
+  let digits = BigInt(`${integerPart}${fractionPart}` || "0");
+  let scale = fractionPart.length - exponent;
+
+  if (scale < 0) {
+    digits *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+
+  return { digits: sign === "-" ? -digits : digits, scale };
+}
+
+/**
+ * Returns 10 raised to the given power as a bigint
+ * @param {number} exponent - Non-negative exponent
+ * @returns {bigint} The power of ten
+ */
+export function powerOfTen(exponent) {
+  return 10n ** BigInt(exponent);
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { RoundingMode, divideRounded, toScaled } from "./rounding.js";
+
+describe("rounding", () => {
+  describe("divideRounded", () => {
+    it("should round ties according to the rounding mode", () => {
+      // Arrange
+      const cases = [
+        [RoundingMode.HALF_UP, 25n, 3n, -25n, -3n],
+        [RoundingMode.HALF_DOWN, 25n, 2n, -25n, -2n],
+        [RoundingMode.HALF_EVEN, 25n, 2n, -25n, -2n],
+        [RoundingMode.UP, 21n, 3n, -21n, -3n],
+        [RoundingMode.DOWN, 29n, 2n, -29n, -2n],
+        [RoundingMode.CEILING, 21n, 3n, -29n, -2n],
+        [RoundingMode.FLOOR, 29n, 2n, -21n, -3n],
+      ];
+
+      // Act & Assert
+      for (const [mode, pos, posExpected, neg, negExpected] of cases) {
+        expect(divideRounded(pos, 10n, mode)).toBe(posExpected);
+        expect(divideRounded(neg, 10n, mode)).toBe(negExpected);
+      }
+      expect(divideRounded(35n, 10n, RoundingMode.HALF_EVEN)).toBe(4n);
+    });
+
+    it("should return exact quotients unchanged", () => {
+      // Arrange & Act & Assert
+      expect(divideRounded(30n, 10n, RoundingMode.UP)).toBe(3n);
+      expect(divideRounded(30n, -10n)).toBe(-3n);
+    });
+
+    it("should reject division by zero and unknown modes", () => {
+      // Arrange & Act & Assert
+      expect(() => divideRounded(1n, 0n)).toThrow("Cannot divide by zero");
+      expect(() => divideRounded(1n, 3n, "SIDEWAYS")).toThrow(
+        "Unknown rounding mode: SIDEWAYS",
+      );
+    });
+  });
+
+  describe("toScaled", () => {
+    it("should convert numbers and strings exactly", () => {
+      // Arrange & Act & Assert
+      expect(toScaled(1.15)).toEqual({ digits: 115n, scale: 2 });
+      expect(toScaled("-0.5")).toEqual({ digits: -5n, scale: 1 });
+      expect(toScaled("2e-3")).toEqual({ digits: 2n, scale: 3 });
+      expect(toScaled(1e21)).toEqual({ digits: 10n ** 21n, scale: 0 });
+      expect(toScaled(7n)).toEqual({ digits: 7n, scale: 0 });
+    });
+
+    it("should reject non-numeric input", () => {
+      // Arrange & Act & Assert
+      expect(() => toScaled("abc")).toThrow("Invalid decimal value: abc");
+      expect(() => toScaled(NaN)).toThrow();
+      expect(() => toScaled(".")).toThrow();
+    });
+  });
+});
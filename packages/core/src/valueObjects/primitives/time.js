@@ -0,0 +1,232 @@
+import { ValidationError } from "../../errors/index.js";
+
+/**
+ * Milliseconds per time unit, used by the date and time primitives
+ */
+export const MS_PER = Object.freeze({
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+});
+
+/**
+ * @typedef {Object} DateTimeParts
+ * @property {number} year
+ * @property {number} month - 1-12
+ * @property {number} day - 1-31
+ * @property {number} [hour=0]
+ * @property {number} [minute=0]
+ * @property {number} [second=0]
+ * @property {number} [millisecond=0]
+ */
+
+/**
+ * Cache of Intl formatters per time zone
+ * @type {Map<string, Intl.DateTimeFormat>}
+ * @private
+ */
+const formatters = new Map();
+
+/**
+ * Ensures a time zone was given explicitly and is known to the runtime
+ * @param {string} timeZone - IANA time zone name, e.g. "Europe/Vienna"
+ * @throws {ValidationError} If the time zone is missing or unknown
+ */
+export function assertTimeZone(timeZone) {
+  getFormatter(timeZone);
+}
+
+/**
+ * Checks if a year is a leap year in the proleptic Gregorian calendar
+ * @param {number} year - The year
+ * @returns {boolean} True if the year has 366 days
+ */
+export function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Returns the number of days of a month
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @returns {number} The number of days (28-31)
+ */
+export function daysInMonth(year, month) {
+  if (month === 2) {
+    return isLeapYear(year) ? 29 : 28;
+  }
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/**
+ * Checks if year, month and day form an existing calendar date
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {number} day - The day of the month
+ * @returns {boolean} True if the date exists
+ */
+export function isValidDate(year, month, day) {
+  return (
+    month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month)
+  );
+}
+
+/**
+ * Converts calendar fields interpreted as UTC into epoch milliseconds
+ * Unlike Date.UTC, years below 100 are not mapped to the 20th century.
+ * @param {DateTimeParts} parts - The calendar fields
+ * @returns {number} Epoch milliseconds
+ */
+export function utcEpoch({
+  year,
+  month,
+  day,
+  hour = 0,
+  minute = 0,
+  second = 0,
+  millisecond = 0,
+}) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  date.setUTCHours(hour, minute, second, millisecond);
+  return date.getTime();
+}
+
+/**
+ * Returns the wall clock fields of an instant in a time zone
+ * @param {number} epochMs - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Required<DateTimeParts>} The local calendar fields
+ * @throws {ValidationError} If the time zone is missing or unknown
+ */
+export function zonedParts(epochMs, timeZone) {
+  /** @type {Record<string, number>} */
+  const fields = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(epochMs))) {
+    if (part.type !== "literal" && part.type !== "era") {
+      fields[part.type] = parseInt(part.value, 10);
+    }
+  }
+
+  return {
+    year: fields.year,
+    month: fields.month,
+    day: fields.day,
+    hour: fields.hour,
+    minute: fields.minute,
+    second: fields.second,
+    millisecond: ((epochMs % 1000) + 1000) % 1000,
+  };
+}
+
+/**
+ * Returns the UTC offset of a time zone at an instant
+ * @param {number} epochMs - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} The offset in milliseconds (positive east of Greenwich)
+ * @throws {ValidationError} If the time zone is missing or unknown
+ */
+export function timeZoneOffset(epochMs, timeZone) {
+  return utcEpoch(zonedParts(epochMs, timeZone)) - epochMs;
+}
+
+/**
+ * Converts wall clock fields in a time zone into epoch milliseconds
+ * Ambiguous times (DST overlaps) resolve to the earlier instant, times skipped
+ * by a DST gap are moved forward by the length of the gap.
+ * @param {DateTimeParts} parts - The local calendar fields
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Epoch milliseconds
+ * @throws {ValidationError} If the time zone is missing or unknown
+ */
+export function zonedToEpoch(parts, timeZone) {
+  const wallClock = utcEpoch(parts);
+
+  // Offsets a day apart bracket any transition near the wall clock time
+  const offsetBefore = timeZoneOffset(wallClock - MS_PER.day, timeZone);
+  const offsetAfter = timeZoneOffset(wallClock + MS_PER.day, timeZone);
+
+  const candidates = [wallClock - offsetBefore, wallClock - offsetAfter].filter(
+    (epochMs) => utcEpoch(zonedParts(epochMs, timeZone)) === wallClock,
+  );
+
+  return candidates.length > 0
+    ? Math.min(...candidates)
+    : wallClock - offsetBefore;
+}
+
+/**
+ * Formats an offset in milliseconds as "+HH:MM"
+ * @param {number} offsetMs - The offset in milliseconds
+ * @returns {string} The ISO-8601 offset
+ */
+export function formatOffset(offsetMs) {
+  const sign = offsetMs < 0 ? "-" : "+";
+  const totalMinutes = Math.round(Math.abs(offsetMs) / MS_PER.minute);
+  return `${sign}${pad(Math.floor(totalMinutes / 60), 2)}:${pad(totalMinutes % 60, 2)}`;
+}
+
+/**
+ * Left-pads a non-negative number with zeros
+ * @param {number} value - The number to pad
+ * @param {number} length - The target length
+ * @returns {string} The padded number
+ */
+export function pad(value, length) {
+  return String(value).padStart(length, "0");
+}
+
+/**
+ * Unwraps value objects to their primitive value
+ * @param {any} value - A primitive or a value object
+ * @returns {any} The primitive value
+ */
+export function unwrap(value) {
+  return value !== null &&
+    typeof value === "object" &&
+    !(value instanceof Date) &&
+    typeof value.valueOf === "function"
+    ? value.valueOf()
+    : value;
+}
+
+/**
+ * Gets a cached formatter producing numeric wall clock fields for a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} The formatter
+ * @throws {ValidationError} If the time zone is missing or unknown
+ * @private
+ */
+function getFormatter(timeZone) {
+  if (typeof timeZone !== "string" || timeZone.length === 0) {
+    throw new ValidationError({ key: "time.zoneRequired" }, undefined, {
+      timeZone,
+    });
+  }
+
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      });
+    } catch (error) {
+      throw new ValidationError(
+        { key: "time.invalidZone", params: { timeZone } },
+        error instanceof Error ? error : undefined,
+        { timeZone },
+      );
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
@@ -0,0 +1,110 @@
+// packages/core/src/valueObjects/primitives/time.test.js
+import { describe, it, expect } from "vitest";
+import {
+  daysInMonth,
+  isValidDate,
+  formatOffset,
+  timeZoneOffset,
+  zonedParts,
+  zonedToEpoch,
+  utcEpoch,
+} from "./time.js";
+import { ValidationError } from "../../errors/index.js";
+
+describe("time helpers", () => {
+  describe("calendar", () => {
+    it("should know the length of each month including leap years", () => {
+      // Assert
+      expect(daysInMonth(2024, 2)).toBe(29);
+      expect(daysInMonth(2023, 2)).toBe(28);
+      expect(daysInMonth(1900, 2)).toBe(28);
+      expect(daysInMonth(2000, 2)).toBe(29);
+      expect(daysInMonth(2024, 4)).toBe(30);
+      expect(daysInMonth(2024, 12)).toBe(31);
+    });
+
+    it("should reject dates that do not exist", () => {
+      // Assert
+      expect(isValidDate(2024, 2, 29)).toBe(true);
+      expect(isValidDate(2023, 2, 29)).toBe(false);
+      expect(isValidDate(2024, 13, 1)).toBe(false);
+      expect(isValidDate(2024, 4, 31)).toBe(false);
+    });
+
+    it("should not map years below 100 to the 20th century", () => {
+      // Act
+      const epochMs = utcEpoch({ year: 50, month: 1, day: 1 });
+
+      // Assert
+      expect(new Date(epochMs).getUTCFullYear()).toBe(50);
+    });
+  });
+
+  describe("time zones", () => {
+    it("should return wall clock fields in a time zone", () => {
+      // Arrange
+      const epochMs = Date.parse("2024-07-01T07:30:15.250Z");
+
+      // Act
+      const parts = zonedParts(epochMs, "Europe/Vienna");
+
+      // Assert
+      expect(parts).toEqual({
+        year: 2024,
+        month: 7,
+        day: 1,
+        hour: 9,
+        minute: 30,
+        second: 15,
+        millisecond: 250,
+      });
+    });
+
+    it("should return the offset of a time zone at an instant", () => {
+      // Assert
+      expect(
+        timeZoneOffset(Date.parse("2024-01-15T12:00:00Z"), "Europe/Vienna"),
+      ).toBe(60 * 60 * 1000);
+      expect(
+        timeZoneOffset(Date.parse("2024-07-15T12:00:00Z"), "America/New_York"),
+      ).toBe(-4 * 60 * 60 * 1000);
+    });
+
+    it("should move wall clock times in a DST gap forward", () => {
+      // Act - 02:30 does not exist in Vienna on 2024-03-31
+      const epochMs = zonedToEpoch(
+        { year: 2024, month: 3, day: 31, hour: 2, minute: 30 },
+        "Europe/Vienna",
+      );
+
+      // Assert
+      expect(new Date(epochMs).toISOString()).toBe("2024-03-31T01:30:00.000Z");
+    });
+
+    it("should resolve ambiguous wall clock times to the earlier instant", () => {
+      // Act - 02:30 happens twice in Vienna on 2024-10-27
+      const epochMs = zonedToEpoch(
+        { year: 2024, month: 10, day: 27, hour: 2, minute: 30 },
+        "Europe/Vienna",
+      );
+
+      // Assert
+      expect(new Date(epochMs).toISOString()).toBe("2024-10-27T00:30:00.000Z");
+    });
+
+    it("should throw ValidationError for missing or unknown time zones", () => {
+      // Act & Assert
+      expect(() => zonedParts(0, "")).toThrow(ValidationError);
+      expect(() => zonedParts(0, "Mars/Olympus_Mons")).toThrow(
+        "Invalid time zone: Mars/Olympus_Mons",
+      );
+    });
+
+    it("should format offsets as +HH:MM", () => {
+      // Assert
+      expect(formatOffset(0)).toBe("+00:00");
+      expect(formatOffset(5.5 * 60 * 60 * 1000)).toBe("+05:30");
+      expect(formatOffset(-4 * 60 * 60 * 1000)).toBe("-04:00");
+    });
+  });
+});
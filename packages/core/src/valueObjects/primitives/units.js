@@ -0,0 +1,140 @@
+/**
+ * @typedef {Object} UnitDefinition
+ * @property {number|string} factor - How many base units one of this unit is, e.g. 1000 for km when the base is m
+ * @property {string} [intlUnit] - Unit identifier understood by Intl.NumberFormat, e.g. "kilometer"
+ * @property {{one: string, other: string}} [labels] - Display names used when Intl does not know the unit
+ */
+
+/**
+ * @typedef {Object} Unit
+ * @property {string} symbol - The unit symbol, e.g. "kg"
+ * @property {string} dimension - The dimension the unit measures, e.g. "mass"
+ * @property {number|string} factor - How many base units one of this unit is
+ * @property {string} [intlUnit] - Unit identifier understood by Intl.NumberFormat
+ * @property {{one: string, other: string}} [labels] - Display names for custom units
+ */
+
+/**
+ * Registered units by symbol
+ * @type {Map<string, Unit>}
+ * @private
+ */
+const unitsBySymbol = new Map();
+
+/**
+ * Registered unit symbols by dimension
+ * @type {Map<string, string[]>}
+ * @private
+ */
+const symbolsByDimension = new Map();
+
+/**
+ * Registers a dimension and the units measuring it
+ *
+ * Unit symbols must be unique across all dimensions, so a symbol alone
+ * identifies its dimension.
+ *
+ * @param {string} name - Name of the dimension, e.g. "length"
+ * @param {Record<string, number|string|UnitDefinition>} units - Units by symbol, given as factor or definition
+ * @throws {Error} If the dimension or one of its units is already registered or a factor is invalid
+ *
+ * @example
+ * defineDimension("logistics", {
+ *   pallet: { factor: 1, labels: { one: "pallet", other: "pallets" } },
+ *   "half-pallet": 0.5,
+ * });
+ */
+export function defineDimension(name, units) {
+  if (typeof name !== "string" || name.length === 0) {
+    throw new Error("Dimension name is required");
+  }
+  if (symbolsByDimension.has(name)) {
+    throw new Error(`Dimension "${name}" is already defined`);
+  }
+
+  const entries = Object.entries(units ?? {});
+  if (entries.length === 0) {
+    throw new Error(`Dimension "${name}" needs at least one unit`);
+  }
+
+  /** @type {Unit[]} */
+  const definitions = entries.map(([symbol, definition]) => {
+    const { factor, intlUnit, labels } =
+      typeof definition === "object" ? definition : { factor: definition };
+
+    if (unitsBySymbol.has(symbol)) {
+      throw new Error(
+        `Unit "${symbol}" is already defined for dimension "${unitsBySymbol.get(symbol)?.dimension}"`,
+      );
+    }
+    if (!(Number(factor) > 0) || !Number.isFinite(Number(factor))) {
+      throw new Error(`Unit "${symbol}" needs a positive conversion factor`);
+    }
+
+    return { symbol, dimension: name, factor, intlUnit, labels };
+  });
+
+  // Register only once all units are valid, so a failed definition leaves no trace
+  for (const unit of definitions) {
+    unitsBySymbol.set(unit.symbol, unit);
+  }
+  symbolsByDimension.set(
+    name,
+    definitions.map((unit) => unit.symbol),
+  );
+}
+
+/**
+ * Looks up a registered unit
+ * @param {string} symbol - The unit symbol, e.g. "kg"
+ * @returns {Unit|undefined} The unit, or undefined if it is not registered
+ */
+export function findUnit(symbol) {
+  return unitsBySymbol.get(symbol);
+}
+
+/**
+ * Lists the symbols of all units of a dimension
+ * @param {string} dimension - Name of the dimension
+ * @returns {string[]} The unit symbols, empty if the dimension is unknown
+ */
+export function unitsOf(dimension) {
+  return [...(symbolsByDimension.get(dimension) ?? [])];
+}
+
+/**
+ * Lists all registered dimensions
+ * @returns {string[]} The dimension names
+ */
+export function dimensions() {
+  return Array.from(symbolsByDimension.keys());
+}
+
+defineDimension("length", {
+  mm: { factor: "0.001", intlUnit: "millimeter" },
+  cm: { factor: "0.01", intlUnit: "centimeter" },
+  m: { factor: 1, intlUnit: "meter" },
+  km: { factor: 1000, intlUnit: "kilometer" },
+  in: { factor: "0.0254", intlUnit: "inch" },
+  ft: { factor: "0.3048", intlUnit: "foot" },
+  yd: { factor: "0.9144", intlUnit: "yard" },
+  mi: { factor: "1609.344", intlUnit: "mile" },
+});
+
+defineDimension("mass", {
+  mg: "0.000001",
+  g: { factor: "0.001", intlUnit: "gram" },
+  kg: { factor: 1, intlUnit: "kilogram" },
+  t: 1000,
+  oz: { factor: "0.028349523125", intlUnit: "ounce" },
+  lb: { factor: "0.45359237", intlUnit: "pound" },
+});
+
+defineDimension("volume", {
+  ml: { factor: "0.001", intlUnit: "milliliter" },
+  cl: "0.01",
+  l: { factor: 1, intlUnit: "liter" },
+  m3: 1000,
+  "fl-oz": { factor: "0.0295735295625", intlUnit: "fluid-ounce" },
+  gal: { factor: "3.785411784", intlUnit: "gallon" },
+});
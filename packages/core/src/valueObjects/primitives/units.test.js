@@ -0,0 +1,52 @@
+// packages/core/src/valueObjects/primitives/units.test.js
+import { describe, it, expect } from "vitest";
+import { defineDimension, dimensions, findUnit, unitsOf } from "./units.js";
+
+describe("unit registry", () => {
+  it("should provide length, mass and volume out of the box", () => {
+    // Assert
+    expect(dimensions()).toEqual(
+      expect.arrayContaining(["length", "mass", "volume"]),
+    );
+    expect(unitsOf("mass")).toEqual(["mg", "g", "kg", "t", "oz", "lb"]);
+    expect(findUnit("ft")).toMatchObject({
+      symbol: "ft",
+      dimension: "length",
+      intlUnit: "foot",
+    });
+  });
+
+  it("should register custom dimensions", () => {
+    // Act
+    defineDimension("seating", { seat: 1, row: 12 });
+
+    // Assert
+    expect(unitsOf("seating")).toEqual(["seat", "row"]);
+    expect(findUnit("row")).toMatchObject({ dimension: "seating", factor: 12 });
+  });
+
+  it("should reject duplicate dimensions and unit symbols", () => {
+    // Act & Assert
+    expect(() => defineDimension("mass", { stone: "6.35029318" })).toThrow(
+      'Dimension "mass" is already defined',
+    );
+    expect(() => defineDimension("weight", { kg: 1 })).toThrow(
+      'Unit "kg" is already defined for dimension "mass"',
+    );
+  });
+
+  it("should reject invalid definitions without registering anything", () => {
+    // Act & Assert
+    expect(() => defineDimension("", { x: 1 })).toThrow(
+      "Dimension name is required",
+    );
+    expect(() => defineDimension("empty", {})).toThrow(
+      'Dimension "empty" needs at least one unit',
+    );
+    expect(() =>
+      defineDimension("broken", { crate: 1, "negative-crate": -1 }),
+    ).toThrow('Unit "negative-crate" needs a positive conversion factor');
+    expect(findUnit("crate")).toBeUndefined();
+    expect(dimensions()).not.toContain("broken");
+  });
+});
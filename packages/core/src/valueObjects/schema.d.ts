@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { ValidationError } from "../errors";
 
 /**
  * Creates a Zod schema for validating value objects
@@ -23,4 +24,33 @@ export function specificValueObjectSchema<VOFactory>(
    * The value object factory
    */
   valueObjectFactory: VOFactory
-): z.ZodType;
\ No newline at end of file
+): z.ZodType;
+
+/**
+ * Creates a Zod schema that hydrates raw data into value objects
+ *
+ * Instances of the factory are kept as is, raw data is passed to its create
+ * method. Validation issues are reported at the path of the field.
+ */
+export function hydratedValueObjectSchema<
+  VOFactory extends { name?: string; create: (data: any) => any }
+>(
+  /**
+   * The value object factory
+   */
+  valueObjectFactory: VOFactory
+): z.ZodType<ReturnType<VOFactory["create"]>, z.ZodTypeDef, unknown>;
+
+/**
+ * Converts value objects, entities and aggregates into plain data
+ */
+export function dehydrate(value: unknown): any;
+
+/**
+ * Reports the issues of a nested validation error at the current path of a
+ * Zod schema
+ */
+export function addNestedIssues(
+  ctx: z.RefinementCtx,
+  error: ValidationError
+): void;
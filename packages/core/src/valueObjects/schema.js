@@ -1,4 +1,6 @@
 import { z } from "zod";
+import { brandOf } from "./branding.js";
+import { ValidationError, translate } from "../errors/index.js";
 
 /**
  * Creates a Zod schema for validating value objects
@@ -25,9 +27,7 @@ export function valueObjectSchema(options = {}) {
 
       return isValueObject;
     },
-    {
-      message: `Expected a ${typeName}`,
-    },
+    () => typeMismatch(typeName),
   );
 }
 
@@ -59,6 +59,15 @@ export function specificValueObjectSchema(valueObjectFactory) {
     typeName,
     // Check if the value is from this specific factory or an extension of it
     typeCheck: (val) => {
+      // Branded instances are checked by their type ancestry, so value
+      // objects of other types never pass even when their data would
+      if (
+        brandOf(val) !== undefined &&
+        typeof valueObjectFactory.isInstance === "function"
+      ) {
+        return valueObjectFactory.isInstance(val);
+      }
+
       try {
         // If we can create an instance with the factory and it equals the value,
         // or if the value has the same shape as instances from this factory,
@@ -92,3 +101,146 @@ export function specificValueObjectSchema(valueObjectFactory) {
     },
   });
 }
+
+/**
+ * Creates a Zod schema that hydrates raw data into value objects
+ *
+ * The field accepts either an instance of the factory (or of a factory
+ * extended from it), which is kept as is, or raw data, which is passed to the
+ * factory's create method. This lets entities and aggregates be created
+ * straight from repository records or request bodies. Validation issues of
+ * the value object are reported at the path of the field, so the schema can
+ * be nested in objects and arrays. Use {@link dehydrate} to turn the result
+ * back into plain data.
+ *
+ * @template VOFactory - The value object factory
+ * @param {VOFactory & {name?: string, create: (data: any) => any, isInstance?: (value: any) => boolean}} valueObjectFactory - The value object factory
+ * @returns {z.ZodType} A Zod schema that outputs instances of this value object
+ * @throws {Error} If an invalid value object factory is provided
+ *
+ * @example
+ * const Customer = entity({
+ *   name: "Customer",
+ *   schema: z.object({
+ *     id: z.string(),
+ *     email: hydratedValueObjectSchema(Email),
+ *     addresses: z.array(hydratedValueObjectSchema(Address)),
+ *   }),
+ *   identity: "id",
+ *   methodsFactory: () => ({}),
+ * });
+ *
+ * Customer.create({ id: "c-1", email: "ada@example.com", addresses: [] });
+ */
+export function hydratedValueObjectSchema(valueObjectFactory) {
+  if (
+    !valueObjectFactory ||
+    typeof valueObjectFactory !== "object" ||
+    typeof valueObjectFactory.create !== "function"
+  ) {
+    throw new Error("Invalid value object factory provided");
+  }
+
+  const typeName = valueObjectFactory.name || "ValueObject";
+  const isInstance =
+    typeof valueObjectFactory.isInstance === "function"
+      ? valueObjectFactory.isInstance
+      : () => false;
+
+  return z.any().transform((value, ctx) => {
+    if (isInstance(value)) {
+      return value;
+    }
+
+    // Value objects of other types are refused rather than converted
+    if (brandOf(value) !== undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, ...typeMismatch(typeName) });
+      return z.NEVER;
+    }
+
+    try {
+      return valueObjectFactory.create(value);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      addNestedIssues(ctx, error);
+      return z.NEVER;
+    }
+  });
+}
+
+/**
+ * Describes the issue of a value that is not of the expected value object type
+ * The message key lets translators render the issue in other locales.
+ * @param {string} typeName - Name of the expected value object type
+ * @returns {{message: string, params: Record<string, any>}} The message and parameters of the issue
+ * @private
+ */
+function typeMismatch(typeName) {
+  const messageParams = { type: typeName };
+  return {
+    message: translate("valueObject.typeMismatch", messageParams),
+    params: { messageKey: "valueObject.typeMismatch", messageParams },
+  };
+}
+
+/**
+ * Converts value objects, entities and aggregates into plain data
+ *
+ * Domain objects are reduced to the data of their toJSON method, recursively,
+ * so primitive value objects become their primitive value. Arrays and plain
+ * objects are walked, anything else is returned as is. The result can be
+ * stored or sent and hydrated again with the factory that created it.
+ *
+ * @param {any} value - The value to dehydrate
+ * @returns {any} The plain data
+ *
+ * @example
+ * dehydrate(customer); // { id: "c-1", email: "ada@example.com", addresses: [] }
+ */
+export function dehydrate(value) {
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(dehydrate);
+  }
+
+  if (brandOf(value) !== undefined && typeof value.toJSON === "function") {
+    return dehydrate(value.toJSON());
+  }
+
+  if (Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+
+  /** @type {Record<string, any>} */
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item !== "function") {
+      result[key] = dehydrate(item);
+    }
+  }
+  return result;
+}
+
+/**
+ * Reports the issues of a nested validation error at the current path of a
+ * Zod schema, so the error of the parent lists them with the full path
+ * Their original code and value are kept in the params of the custom issues.
+ *
+ * @param {z.RefinementCtx} ctx - Context of the transform or refinement
+ * @param {ValidationError} error - The error of the nested value object
+ */
+export function addNestedIssues(ctx, error) {
+  for (const issue of error.issues) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: issue.message,
+      path: issue.path,
+      params: { code: issue.code, received: issue.received },
+    });
+  }
+}
@@ -1,6 +1,11 @@
 import { describe, it, expect } from "vitest";
 import { z } from "zod";
-import { valueObjectSchema, specificValueObjectSchema } from "./schema.js";
+import {
+  valueObjectSchema,
+  specificValueObjectSchema,
+  hydratedValueObjectSchema,
+  dehydrate,
+} from "./schema.js";
 import {
   String as StringValue,
   NonEmptyString,
@@ -8,6 +13,15 @@ import {
   IntegerNumber,
 } from "./primitives/index.js";
 import { valueObject } from "./Base.js";
+import { Email } from "./primitives/Email.js";
+import { entity } from "../entities/Base.js";
+import { aggregate } from "../aggregates/Base.js";
+import {
+  ValidationError,
+  createCatalogTranslator,
+  setTranslator,
+  translateIssue,
+} from "../errors/index.js";
 
 describe("valueObjectSchema", () => {
   it("should create a schema that validates value objects", () => {
@@ -225,6 +239,15 @@ describe("specificValueObjectSchema", () => {
     expect(() => schema.parse({ extended: extendedInstance })).not.toThrow();
   });
 
+  it("should reject value objects of other types with valid data", () => {
+    // Arrange
+    const schema = specificValueObjectSchema(NonEmptyString);
+
+    // Act & Assert
+    expect(() => schema.parse(StringValue.create("text"))).toThrow();
+    expect(() => schema.parse(NonEmptyString.create("text"))).not.toThrow();
+  });
+
   it("should validate properly in complex object structures", () => {
     // Arrange
     const complexSchema = z.object({
@@ -348,3 +371,199 @@ describe("specificValueObjectSchema", () => {
     }
   });
 });
+
+describe("hydratedValueObjectSchema", () => {
+  const Address = valueObject({
+    name: "Address",
+    schema: z.object({
+      street: z.string().min(1),
+      city: z.string().min(1),
+    }),
+    methodsFactory: () => ({}),
+  });
+
+  const Customer = entity({
+    name: "Customer",
+    schema: z.object({
+      id: z.string(),
+      email: hydratedValueObjectSchema(Email),
+      addresses: z.array(hydratedValueObjectSchema(Address)),
+      billing: z
+        .object({ contact: hydratedValueObjectSchema(Email) })
+        .optional(),
+    }),
+    identity: "id",
+    methodsFactory: () => ({}),
+  });
+
+  const raw = {
+    id: "c-1",
+    email: "ada@example.com",
+    addresses: [{ street: "Main St 1", city: "Springfield" }],
+    billing: { contact: "billing@example.com" },
+  };
+
+  it("should hydrate raw values in nested objects and arrays", () => {
+    // Act
+    const customer = Customer.create(raw);
+
+    // Assert
+    expect(Email.isInstance(customer.email)).toBe(true);
+    expect(customer.email.getDomain()).toBe("example.com");
+    expect(Address.isInstance(customer.addresses[0])).toBe(true);
+    expect(Email.isInstance(customer.billing.contact)).toBe(true);
+  });
+
+  it("should keep existing instances", () => {
+    // Arrange
+    const email = Email.create("ada@example.com");
+
+    // Act
+    const customer = Customer.create({ ...raw, email });
+
+    // Assert
+    expect(customer.email).toBe(email);
+  });
+
+  it("should hydrate raw values passed to update", () => {
+    // Arrange
+    const customer = Customer.create(raw);
+
+    // Act
+    const updated = Customer.update(customer, { email: "grace@example.com" });
+
+    // Assert
+    expect(updated.email.equals(Email.create("grace@example.com"))).toBe(true);
+  });
+
+  it("should report invalid values at the path of the field", () => {
+    // Arrange
+    const schema = z.object({
+      addresses: z.array(hydratedValueObjectSchema(Address)),
+    });
+
+    // Act
+    const result = schema.safeParse({
+      addresses: [{ street: "Main St 1", city: "Springfield" }, { street: "" }],
+    });
+
+    // Assert
+    expect(result.success).toBe(false);
+    expect(result.error.issues.map((issue) => issue.path)).toEqual([
+      ["addresses", 1, "street"],
+      ["addresses", 1, "city"],
+    ]);
+    expect(() => Customer.create({ ...raw, email: "not-an-email" })).toThrow(
+      ValidationError,
+    );
+  });
+
+  it("should refuse value objects of other types", () => {
+    // Arrange
+    const schema = hydratedValueObjectSchema(Email);
+
+    // Act
+    const result = schema.safeParse(NonEmptyString.create("ada@example.com"));
+
+    // Assert
+    expect(result.success).toBe(false);
+    expect(result.error.issues[0].message).toBe("Expected a Email");
+  });
+
+  it("should render the refusal from the message catalog", () => {
+    // Arrange
+    const schema = hydratedValueObjectSchema(Email);
+    const { error } = schema.safeParse(
+      NonEmptyString.create("ada@example.com"),
+    );
+    setTranslator(
+      createCatalogTranslator({
+        de: { "valueObject.typeMismatch": "{type} erwartet" },
+      }),
+    );
+
+    // Act
+    let message;
+    try {
+      message = translateIssue(error.issues[0], "de");
+    } finally {
+      setTranslator(null);
+    }
+
+    // Assert
+    expect(error.issues[0].params).toEqual({
+      messageKey: "valueObject.typeMismatch",
+      messageParams: { type: "Email" },
+    });
+    expect(message).toBe("Email erwartet");
+  });
+
+  it("should hydrate fields of aggregates", () => {
+    // Arrange
+    const Order = aggregate({
+      name: "Order",
+      schema: z.object({
+        id: z.string(),
+        contact: hydratedValueObjectSchema(Email),
+      }),
+      identity: "id",
+      methodsFactory: () => ({}),
+    });
+
+    // Act
+    const order = Order.create({ id: "o-1", contact: "ada@example.com" });
+
+    // Assert
+    expect(Email.isInstance(order.contact)).toBe(true);
+  });
+
+  it("should throw for invalid factories", () => {
+    // Act & Assert
+    expect(() => hydratedValueObjectSchema(null)).toThrow(
+      "Invalid value object factory provided",
+    );
+  });
+});
+
+describe("dehydrate", () => {
+  it("should round-trip entities through hydrating schemas", () => {
+    // Arrange
+    const Customer = entity({
+      name: "Customer",
+      schema: z.object({
+        id: z.string(),
+        email: hydratedValueObjectSchema(Email),
+        tags: z.array(hydratedValueObjectSchema(NonEmptyString)),
+        since: z.date(),
+      }),
+      identity: "id",
+      methodsFactory: () => ({}),
+    });
+    const since = new Date("2024-01-01T00:00:00Z");
+    const customer = Customer.create({
+      id: "c-1",
+      email: "ada@example.com",
+      tags: ["vip"],
+      since,
+    });
+
+    // Act
+    const data = dehydrate(customer);
+
+    // Assert
+    expect(data).toEqual({
+      id: "c-1",
+      email: "ada@example.com",
+      tags: ["vip"],
+      since,
+    });
+    expect(Customer.create(data).email.equals(customer.email)).toBe(true);
+  });
+
+  it("should return primitives and plain values as is", () => {
+    // Assert
+    expect(dehydrate(PositiveNumber.create(5))).toBe(5);
+    expect(dehydrate("text")).toBe("text");
+    expect(dehydrate(null)).toBe(null);
+  });
+});